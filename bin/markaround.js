@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Markaround - command line tool
+ * Resolves, lists and renders CriticMarkup outside the browser, with the
+ * same core (js/critic-core.js) the app uses, e.g. in CI:
+ *
+ *   markaround list notes.md            # review regions as JSON
+ *   markaround accept -w notes.md       # accept every change in place
+ *   markaround render notes.md > notes.html
+ *
+ * Reads standard input when the file is missing or "-". Exits with 1 on
+ * errors and 2 on usage errors.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Critic = require('../js/critic-core.js');
+
+var USAGE = [
+  'Usage: markaround <command> [options] [file.md]',
+  '',
+  'Commands:',
+  '  accept   Print the document with every change accepted',
+  '  reject   Print the document with every change rejected',
+  '  strip    Remove comments and highlights, keeping suggested changes',
+  '  list     Print the review regions as JSON',
+  '  render   Print the preview HTML',
+  '  stats    Count the review regions by type and author',
+  '',
+  'Options:',
+  '  -o, --output <file>  Write to <file> instead of standard output',
+  '  -w, --write          Overwrite the input file (accept, reject, strip)',
+  '  --keep-threads       Keep open comment threads (accept, reject)',
+  '  --json               Print stats as JSON',
+  '  -h, --help           Show this help',
+].join('\n');
+
+var COMMANDS = ['accept', 'reject', 'strip', 'list', 'render', 'stats'];
+var TYPES = ['addition', 'deletion', 'substitution', 'comment', 'highlight'];
+
+function UsageError(message) {
+  this.message = message;
+}
+
+// --- Arguments ---
+function parseArgs(argv) {
+  var args = { command: null, file: null, output: null, write: false, keepThreads: false, json: false, help: false };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === '-h' || arg === '--help') args.help = true;
+    else if (arg === '-w' || arg === '--write') args.write = true;
+    else if (arg === '--keep-threads') args.keepThreads = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '-o' || arg === '--output') {
+      if (i + 1 >= argv.length) throw new UsageError(arg + ' needs a file name');
+      args.output = argv[++i];
+    } else if (arg.charAt(0) === '-' && arg !== '-') throw new UsageError('Unknown option ' + arg);
+    else if (!args.command) args.command = arg;
+    else if (!args.file) args.file = arg;
+    else throw new UsageError('Unexpected argument ' + arg);
+  }
+  if (args.help) return args;
+  if (!args.command) throw new UsageError('Missing command');
+  if (COMMANDS.indexOf(args.command) === -1) throw new UsageError('Unknown command ' + args.command);
+  if (args.write && (args.command === 'list' || args.command === 'render' || args.command === 'stats')) {
+    throw new UsageError('--write only applies to accept, reject and strip');
+  }
+  if (args.write && (!args.file || args.file === '-')) throw new UsageError('--write needs an input file');
+  if (args.write && args.output) throw new UsageError('Use either --write or --output');
+  return args;
+}
+
+function readInput(file) {
+  return fs.readFileSync(!file || file === '-' ? 0 : file, 'utf8');
+}
+
+// --- Commands ---
+// Preview HTML without the accept/reject buttons, which only work in the app
+function render(source) {
+  var markdownit = require('markdown-it');
+  var md = markdownit(Critic.MARKDOWN_OPTIONS).use(require('../js/criticmarkup-plugin.js'));
+  return md.render(source)
+    .replace(/<span class="critic-controls">(?:<button[^>]*>[^<]*<\/button>)*<\/span>/g, '');
+}
+
+function stats(source) {
+  var result = { total: 0, openThreads: 0, resolvedThreads: 0, authors: {} };
+  TYPES.forEach(function (type) { result[type] = 0; });
+  Critic.listRegions(source).forEach(function (item) {
+    result.total++;
+    result[item.type]++;
+    var author = item.author || (item.thread && item.thread.author);
+    if (author) result.authors[author] = (result.authors[author] || 0) + 1;
+    if (item.thread) {
+      if (item.thread.resolved) result.resolvedThreads++;
+      else result.openThreads++;
+    }
+  });
+  return result;
+}
+
+function formatStats(result) {
+  var lines = TYPES.map(function (type) {
+    return (type + 's').padEnd(16) + result[type];
+  });
+  lines.push('total'.padEnd(16) + result.total);
+  lines.push('open threads'.padEnd(16) + result.openThreads);
+  lines.push('resolved'.padEnd(16) + result.resolvedThreads);
+  var authors = Object.keys(result.authors).sort();
+  if (authors.length) {
+    lines.push('authors'.padEnd(16) + authors.map(function (author) {
+      return Critic.authorDisplayName(author) + ' (' + result.authors[author] + ')';
+    }).join(', '));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function run(args, source) {
+  switch (args.command) {
+    case 'accept': return Critic.resolveSource(source, Critic.acceptMarkup, !args.keepThreads);
+    case 'reject': return Critic.resolveSource(source, Critic.rejectMarkup, !args.keepThreads);
+    case 'strip':  return Critic.stripComments(source);
+    case 'list':   return JSON.stringify(Critic.listRegions(source), null, 2) + '\n';
+    case 'render': return render(source);
+    case 'stats':
+      var result = stats(source);
+      return args.json ? JSON.stringify(result, null, 2) + '\n' : formatStats(result);
+  }
+}
+
+function main(argv) {
+  var args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write('markaround: ' + err.message + '\n\n' + USAGE + '\n');
+    return 2;
+  }
+  if (args.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+  try {
+    var output = run(args, readInput(args.file));
+    var target = args.write ? args.file : args.output;
+    if (target) fs.writeFileSync(target, output);
+    else process.stdout.write(output);
+  } catch (err) {
+    var name = args.file && args.file !== '-' ? path.basename(args.file) + ': ' : '';
+    process.stderr.write('markaround: ' + name + err.message + '\n');
+    return 1;
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -10,41 +10,52 @@
   'use strict';
 
   // --- Autosave (inlined to avoid module dependency) ---
+  // One entry per open document, keyed by file name. Saved entries double as
+  // the recent documents list in the workspace sidebar.
   var Autosave = (function () {
     var PREFIX = 'markaround-autosave-';
     var timer = null;
-    var dirty = false;
-    var currentKey = null;
-    var getSource = null;
+    var tracked = {}; // fileName -> { getSource, dirty }
+
+    function keyFor(fileName) {
+      return PREFIX + (fileName || 'document.md');
+    }
+
+    function save(fileName, source) {
+      if (!source) return;
+      try {
+        localStorage.setItem(keyFor(fileName), JSON.stringify({ source: source, timestamp: Date.now() }));
+      } catch (e) { /* quota exceeded, ignore */ }
+    }
+
+    function flush(fileName) {
+      var entry = tracked[fileName];
+      if (entry && entry.dirty) {
+        save(fileName, entry.getSource());
+        entry.dirty = false;
+      }
+    }
 
     function start(fileName, sourceFn) {
-      stop();
-      currentKey = PREFIX + (fileName || 'document.md');
-      getSource = sourceFn;
-      dirty = false;
-      timer = setInterval(function () {
-        if (dirty && getSource) {
-          var source = getSource();
-          if (source) {
-            try {
-              localStorage.setItem(currentKey, JSON.stringify({ source: source, timestamp: Date.now() }));
-            } catch (e) { /* quota exceeded, ignore */ }
-          }
-          dirty = false;
-        }
-      }, 3000);
+      tracked[fileName] = { getSource: sourceFn, dirty: false };
+      if (!timer) {
+        timer = setInterval(function () { Object.keys(tracked).forEach(flush); }, 3000);
+      }
     }
 
-    function markDirty() { dirty = true; }
+    function markDirty(fileName) {
+      if (tracked[fileName]) tracked[fileName].dirty = true;
+    }
 
-    function stop() {
-      if (timer) { clearInterval(timer); timer = null; }
-      dirty = false; currentKey = null; getSource = null;
+    // Saves pending edits, then stops watching the document
+    function stop(fileName) {
+      flush(fileName);
+      delete tracked[fileName];
+      if (timer && !Object.keys(tracked).length) { clearInterval(timer); timer = null; }
     }
 
     function check(fileName) {
-      var key = PREFIX + (fileName || 'document.md');
-      var raw = localStorage.getItem(key);
+      var raw = localStorage.getItem(keyFor(fileName));
       if (!raw) return null;
       try {
         var data = JSON.parse(raw);
@@ -54,13 +65,28 @@
     }
 
     function clear(fileName) {
-      localStorage.removeItem(PREFIX + (fileName || 'document.md'));
+      localStorage.removeItem(keyFor(fileName));
+    }
+
+    // Saved documents, newest first: [{ fileName, timestamp }]
+    function list() {
+      var docs = [];
+      try {
+        for (var i = 0; i < localStorage.length; i++) {
+          var key = localStorage.key(i);
+          if (key.indexOf(PREFIX) !== 0) continue;
+          var data = check(key.substring(PREFIX.length));
+          if (data) docs.push({ fileName: key.substring(PREFIX.length), timestamp: data.timestamp });
+        }
+      } catch (e) { /* storage unavailable */ }
+      return docs.sort(function (a, b) { return b.timestamp - a.timestamp; });
     }
 
-    return { start: start, markDirty: markDirty, stop: stop, check: check, clear: clear };
+    return { start: start, save: save, markDirty: markDirty, stop: stop, check: check, clear: clear, list: list };
   })();
 
   // --- State ---
+  // The active document; see Workspace for the other open ones
   var state = {
     source: '',
     fileName: 'document.md',
@@ -72,144 +98,91 @@
   var suggestionModeActive = false;
   var lastFallbackSelection = { start: 0, end: 0 }; // persists across focus loss
 
+  // --- Reviewer Identity (attached to generated suggestions and comments) ---
+  var REVIEWER_KEY = 'markaround-reviewer';
+  var reviewer = '';
+  try { reviewer = localStorage.getItem(REVIEWER_KEY) || ''; } catch (e) { /* storage unavailable */ }
+
+  // --- CriticMarkup Core (js/critic-core.js, shared with bin/markaround.js) ---
+  var Critic = window.MarkaroundCritic;
+  var findTopLevelSeparator = Critic.findTopLevelSeparator;
+  var findReviewRegions = Critic.findReviewRegions;
+  var findCodeRanges = Critic.findCodeRanges;
+  var regionMarkup = Critic.regionMarkup;
+  var regionThread = Critic.regionThread;
+  var escapeHtml = Critic.escapeHtml;
+  var parseCommentMeta = Critic.parseCommentMeta;
+  var formatComment = Critic.formatComment;
+  var todayStamp = Critic.todayStamp;
+  var normalizeAuthor = Critic.normalizeAuthor;
+  var authorDisplayName = Critic.authorDisplayName;
+  var authorInitials = Critic.authorInitials;
+  var authorColor = Critic.authorColor;
+  var authorBadge = Critic.authorBadge;
+  var acceptMarkup = Critic.acceptMarkup;
+  var rejectMarkup = Critic.rejectMarkup;
+  var resolveSource = Critic.resolveSource;
+
+  function formatCommentMeta(author, text) {
+    return formatComment({ author: author, date: todayStamp(), text: text });
+  }
+
   // --- Markdown-it Setup ---
-  var md = window.markdownit({ html: false, linkify: true, typographer: true });
-  md.use(window.criticmarkupPlugin);
-
-  // --- Nesting-Aware CriticMarkup Scanner ---
-  // The markdown-it inline rule can't handle CriticMarkup that:
-  //   (a) spans block boundaries (e.g. {--## Heading--}), or
-  //   (b) contains nested CriticMarkup (e.g. {--text {++inner++}--}).
-  // This scanner finds regions correctly, then a pre/post-processing step
-  // around md.render() replaces them with placeholders before block parsing
-  // and restores styled HTML afterward.
-
-  function detectCriticOpener(source, i) {
-    var s = source.substring(i, i + 3);
-    if (s === '{++') return { type: 'addition', closer: '++}' };
-    if (s === '{--') return { type: 'deletion', closer: '--}' };
-    if (s === '{~~') return { type: 'substitution', closer: '~~}' };
-    if (s === '{>>') return { type: 'comment', closer: '<<}' };
-    if (s === '{==') return { type: 'highlight', closer: '==}' };
-    return null;
+  // js/preview.js builds it (the CriticMarkup plugin, the Markdown
+  // extensions turned on and data-source-offset on blocks), the same way
+  // the render worker does
+  var Preview = window.MarkaroundPreview;
+  var Extensions = window.MarkaroundExtensions;
+  var Sanitize = window.MarkaroundSanitize;
+
+  // Extensions the user turned on or off, by id; the rest keep their default
+  var EXTENSIONS_KEY = 'markaround-extensions';
+  var extensionChoices = {};
+  try { extensionChoices = JSON.parse(localStorage.getItem(EXTENSIONS_KEY)) || {}; } catch (e) { /* storage unavailable or corrupt */ }
+
+  function enabledExtensions() {
+    return Extensions.list().filter(function (extension) {
+      return extension.id in extensionChoices ? extensionChoices[extension.id] : extension.enabled;
+    }).map(function (extension) { return extension.id; });
   }
 
-  function findCriticClose(source, startPos, closer) {
-    var i = startPos;
-    while (i <= source.length - 3) {
-      if (source.substring(i, i + 3) === closer) return i + 3;
-      if (source[i] === '{') {
-        var nested = detectCriticOpener(source, i);
-        if (nested) {
-          var nestedEnd = findCriticClose(source, i + 3, nested.closer);
-          if (nestedEnd !== -1) { i = nestedEnd; continue; }
-        }
-      }
-      i++;
-    }
-    return -1;
+  var md = Preview.createMarkdown(enabledExtensions());
+
+  // Review regions of the open document, rescanned only around edits
+  var regionIndex = Preview.createRegionIndex();
+
+  function currentRegions() {
+    return regionIndex.regions(state.source);
   }
 
-  function findCriticRegions(source) {
-    var regions = [];
-    var i = 0;
-    while (i < source.length) {
-      if (source[i] === '{') {
-        var opener = detectCriticOpener(source, i);
-        if (opener) {
-          var end = findCriticClose(source, i + 3, opener.closer);
-          if (end !== -1) {
-            regions.push({ start: i, end: end, type: opener.type,
-              fullMarkup: source.substring(i, end) });
-            i = end;
-            continue;
-          }
-        }
-      }
-      i++;
-    }
-    return regions;
+  // Renders a CriticMarkup document to preview HTML: { html, regions }
+  function renderSourceHtml(source) {
+    var env = {};
+    var html = md.render(source, env);
+    return { html: html, regions: env.critic.regions };
   }
 
-  // Find the top-level ~> separator in substitution content (skipping nested markup)
-  function findTopLevelSeparator(content) {
-    var i = 0;
-    while (i < content.length - 1) {
-      if (content[i] === '~' && content[i + 1] === '>') return i;
-      if (content[i] === '{') {
-        var opener = detectCriticOpener(content, i);
-        if (opener) {
-          var end = findCriticClose(content, i + 3, opener.closer);
-          if (end !== -1) { i = end; continue; }
-        }
-      }
-      i++;
-    }
-    return -1;
-  }
-
-  function escapeHtml(str) {
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-  }
-
-  function renderCriticRegion(region) {
-    var markupAttr = escapeHtml(region.fullMarkup);
-    var offset = region.start;
-    var content = region.fullMarkup.substring(3, region.fullMarkup.length - 3);
-    // If heading prefix was extracted during placeholder generation, strip it
-    // from the displayed content (the <h2> etc. already provides the styling).
-    var displayContent = region._headingPrefix
-      ? content.replace(/^\n+|\n+$/g, '').substring(region._headingPrefix.length)
-      : content;
-    var controls;
-
-    switch (region.type) {
-      case 'addition':
-        controls = '<span class="critic-controls">'
-          + '<button class="critic-accept" title="Accept addition">&#10003;</button>'
-          + '<button class="critic-reject" title="Reject addition">&#10005;</button></span>';
-        return '<span class="critic-addition" data-markup="' + markupAttr + '" data-offset="' + offset + '">'
-          + md.renderInline(displayContent) + controls + '</span>';
-
-      case 'deletion':
-        controls = '<span class="critic-controls">'
-          + '<button class="critic-accept" title="Accept deletion">&#10003;</button>'
-          + '<button class="critic-reject" title="Reject deletion">&#10005;</button></span>';
-        return '<span class="critic-deletion" data-markup="' + markupAttr + '" data-offset="' + offset + '">'
-          + escapeHtml(displayContent) + controls + '</span>';
-
-      case 'substitution':
-        var sep = findTopLevelSeparator(content);
-        var oldText = sep !== -1 ? content.substring(0, sep) : content;
-        var newText = sep !== -1 ? content.substring(sep + 2) : '';
-        controls = '<span class="critic-controls">'
-          + '<button class="critic-accept" title="Accept change">&#10003;</button>'
-          + '<button class="critic-reject" title="Reject change">&#10005;</button></span>';
-        return '<span class="critic-substitution" data-markup="' + markupAttr + '" data-offset="' + offset + '">'
-          + '<span class="critic-deletion">' + escapeHtml(oldText) + '</span>'
-          + '<span class="critic-addition">' + md.renderInline(newText) + '</span>'
-          + controls + '</span>';
-
-      case 'comment':
-        controls = '<span class="critic-controls">'
-          + '<button class="critic-accept" title="Remove comment">&#10003;</button>'
-          + '<button class="critic-reject" title="Remove comment">&#10005;</button></span>';
-        return '<span class="critic-comment-marker" data-markup="' + markupAttr + '" data-offset="' + offset
-          + '" data-comment-text="' + escapeHtml(content) + '">' + controls + '</span>';
-
-      case 'highlight':
-        controls = '<span class="critic-controls">'
-          + '<button class="critic-accept" title="Accept highlight">&#10003;</button>'
-          + '<button class="critic-reject" title="Reject highlight">&#10005;</button></span>';
-        return '<span class="critic-highlight" data-markup="' + markupAttr + '" data-offset="' + offset + '">'
-          + md.renderInline(displayContent) + controls + '</span>';
-    }
-    return escapeHtml(region.fullMarkup);
+  // Puts rendered HTML into `el`, sanitized when raw HTML is on
+  function setRenderedHtml(el, html) {
+    if (!md.options.html) {
+      el.innerHTML = html;
+      return;
+    }
+    el.textContent = '';
+    el.appendChild(el.ownerDocument.importNode(Sanitize.fragment(html), true));
   }
 
   // --- DOM References ---
   var dropZone = document.getElementById('dropZone');
   var inputArea = document.getElementById('inputArea');
+  var dropZonePrompt = document.getElementById('dropZonePrompt');
+  var comparePanel = document.getElementById('comparePanel');
+  var compareFilePicker = document.getElementById('compareFilePicker');
+  var mergePanel = document.getElementById('mergePanel');
+  var mergeSubtitle = document.getElementById('mergeSubtitle');
+  var mergeFiles = document.getElementById('mergeFiles');
+  var mergeConflicts = document.getElementById('mergeConflicts');
+  var mergeFilePicker = document.getElementById('mergeFilePicker');
   var mainLayout = document.getElementById('mainLayout');
   var editorContainer = document.getElementById('editorContainer');
   var renderedView = document.getElementById('renderedView');
@@ -218,18 +191,68 @@
   var suggestionCount = document.getElementById('suggestionCount');
   var filePicker = document.getElementById('filePicker');
   var fileBar = document.getElementById('fileBar');
-  var fileBarName = document.getElementById('fileBarName');
+  var fileTabs = document.getElementById('fileTabs');
+  var docSidebar = document.getElementById('docSidebar');
+  var recentDocList = document.getElementById('recentDocList');
+  var recentDocsHeader = document.getElementById('recentDocsHeader');
+  var folderSection = document.getElementById('folderSection');
+  var folderName = document.getElementById('folderName');
+  var folderFileList = document.getElementById('folderFileList');
+  var historyPanel = document.getElementById('historyPanel');
+  var historyTitle = document.getElementById('historyTitle');
+  var historyList = document.getElementById('historyList');
+  var historyDetail = document.getElementById('historyDetail');
+  var historyView = document.getElementById('historyView');
   var resizeHandle = document.getElementById('resizeHandle');
 
   var btnAcceptAll = document.getElementById('btnAcceptAll');
   var btnRejectAll = document.getElementById('btnRejectAll');
   var btnDownload = document.getElementById('btnDownload');
+  var exportMenu = document.getElementById('exportMenu');
   var btnLoadFile = document.getElementById('btnLoadFile');
   var btnLoadSample = document.getElementById('btnLoadSample');
   var btnNewFile = document.getElementById('btnNewFile');
+  var btnLoadFolder = document.getElementById('btnLoadFolder');
+  var btnOpenFolder = document.getElementById('btnOpenFolder');
+  var btnCloseFolder = document.getElementById('btnCloseFolder');
+  var btnReconnectFolder = document.getElementById('btnReconnectFolder');
+  var btnSave = document.getElementById('btnSave');
+  var btnSaveAs = document.getElementById('btnSaveAs');
+  var btnShare = document.getElementById('btnShare');
+  var shareMenu = document.getElementById('shareMenu');
+  var btnMakeEditable = document.getElementById('btnMakeEditable');
+  var btnCollab = document.getElementById('btnCollab');
+  var collabMenu = document.getElementById('collabMenu');
+  var collabRoom = document.getElementById('collabRoom');
+  var collabRelay = document.getElementById('collabRelay');
+  var collabStatus = document.getElementById('collabStatus');
+  var collabPeers = document.getElementById('collabPeers');
+  var btnCollabJoin = document.getElementById('btnCollabJoin');
+  var btnCollabLeave = document.getElementById('btnCollabLeave');
   var btnPasteNew = document.getElementById('btnPasteNew');
+  var btnRecentDocs = document.getElementById('btnRecentDocs');
+  var btnDocSidebarClose = document.getElementById('btnDocSidebarClose');
+  var btnHistory = document.getElementById('btnHistory');
+  var btnHistoryClose = document.getElementById('btnHistoryClose');
+  var btnCheckpoint = document.getElementById('btnCheckpoint');
+  var btnHistoryRestore = document.getElementById('btnHistoryRestore');
+  var btnCompare = document.getElementById('btnCompare');
+  var btnCompareBack = document.getElementById('btnCompareBack');
+  var btnCompareRun = document.getElementById('btnCompareRun');
+  var btnMerge = document.getElementById('btnMerge');
+  var btnMergeBack = document.getElementById('btnMergeBack');
+  var btnMergeRun = document.getElementById('btnMergeRun');
   var btnSuggestionMode = document.getElementById('btnSuggestionMode');
   var btnAddComment = document.getElementById('btnAddComment');
+  var btnReviewer = document.getElementById('btnReviewer');
+  var btnFoldMarkup = document.getElementById('btnFoldMarkup');
+  var btnRawHtml = document.getElementById('btnRawHtml');
+  var btnExtensions = document.getElementById('btnExtensions');
+  var extensionsMenu = document.getElementById('extensionsMenu');
+  var reviewNav = document.getElementById('reviewNav');
+  var reviewPosition = document.getElementById('reviewPosition');
+  var btnPrevChange = document.getElementById('btnPrevChange');
+  var btnNextChange = document.getElementById('btnNextChange');
 
   var btnLayoutBoth = document.getElementById('btnLayoutBoth');
   var btnLayoutEditor = document.getElementById('btnLayoutEditor');
@@ -237,69 +260,79 @@
 
   var renderTimer = null;
   var currentLayout = 'both';
+  var commentThreads = {};   // top-level comment regions by start offset (rebuilt each render)
+  var collapsedThreads = {}; // thread id -> explicit collapse state chosen in the sidebar
 
   // --- Sample Content ---
   var SAMPLE = '# CriticMarkup Demo\n\nThis is a sample document demonstrating {++all five types of++} CriticMarkup.\n\n## Tracked Changes\n\nHere is some text that has {--been carelessly--} written and needs editing.\n\nThe word {~~colour~>color~~} was changed to American English.\n\n{++This entire paragraph was added during review. It contains **bold** and *italic* text to show that markdown renders inside additions.++}\n\n## Comments and Highlights\n\nThis is {==an important claim==}{>>Do we have a source for this? Needs citation.<<} that reviewers flagged.\n\nAnother paragraph with a {>>Nice work on this section!<<} comment.\n\n## Multiple Changes Per Line\n\nNormal text {++with an addition++} and {--a deletion--} on the same line, plus a {~~typo~>correction~~}.\n\n## Nested Changes\n\n{--## Multiple Changes Per Line--}\n\n{--\nNormal text {++with an addition++} and {--a deletion--} on the same line, plus a {~~typo~>correction~~}.\n--}\n\n## Edge Cases\n\n{++First++} word addition. Last word {--deletion--}.\n\nA paragraph with {++multiple++} additions of the {++same word++} to test offset tracking.\n';
 
   // --- Render Pipeline ---
-  function render() {
-    var regions = findCriticRegions(state.source);
+  // The preview is patched chunk by chunk (see js/preview.js): render()
+  // updates it at once, debouncedRender() leaves the work to the render
+  // worker while typing, where the page can start one.
+  var previewRenderer = Preview.createRenderer(md);
+  var previewPatcher = Preview.createPatcher(renderedView);
+  var renderWorker = startRenderWorker();
+
+  // The worker loads the page's own copies of the scripts it needs
+  function startRenderWorker() {
+    var scripts = ['markdown-it', 'js/critic-core.js', 'js/criticmarkup-plugin.js', 'js/extensions.js', 'js/sanitize.js', 'js/preview.js'].map(function (name) {
+      var script = document.querySelector('script[src*="' + name + '"]');
+      return script && script.src;
+    });
+    return scripts.every(Boolean) ? Preview.startWorker('js/render-worker.js', scripts, enabledExtensions(), md.options.html) : null;
+  }
 
-    if (regions.length === 0) {
-      renderedView.innerHTML = md.render(state.source);
-    } else {
-      // Replace CriticMarkup regions with placeholders before markdown-it
-      // sees the source, so block-level syntax inside them (e.g. ## headings)
-      // doesn't trigger block parsing.
-      var processed = '';
-      var lastEnd = 0;
-      for (var r = 0; r < regions.length; r++) {
-        processed += state.source.substring(lastEnd, regions[r].start);
-        var placeholder = '%%CRITIC_' + r + '%%';
-
-        // If the content is a single-line heading and the region starts a line,
-        // preserve the heading prefix (e.g. "## ") in the placeholder so
-        // markdown-it renders it inside an <h2> etc.
-        var rtype = regions[r].type;
-        if (rtype === 'addition' || rtype === 'deletion' || rtype === 'highlight') {
-          var inner = regions[r].fullMarkup.substring(3, regions[r].fullMarkup.length - 3);
-          var trimmed = inner.replace(/^\n+|\n+$/g, '');
-          var atLineStart = (regions[r].start === 0 || state.source[regions[r].start - 1] === '\n');
-          if (atLineStart && !trimmed.includes('\n')) {
-            var hm = trimmed.match(/^(#{1,6}\s+)/);
-            if (hm) {
-              regions[r]._headingPrefix = hm[1];
-              placeholder = hm[1] + placeholder;
-            }
-          }
-        }
+  // Rebuilds the preview's markdown-it, on the page and in the render
+  // worker, for the extensions turned on and the active document's raw HTML
+  function configureMarkdown() {
+    var ids = enabledExtensions();
+    var html = !!state.rawHtml;
+    md = Preview.createMarkdown(ids, html);
+    previewRenderer = Preview.createRenderer(md);
+    previewPatcher.setSanitizer(html ? Sanitize.sanitize : null);
+    if (renderWorker) renderWorker.configure(ids, html);
+  }
 
-        processed += placeholder;
-        lastEnd = regions[r].end;
-      }
-      processed += state.source.substring(lastEnd);
+  function render() {
+    clearTimeout(renderTimer);
+    if (renderWorker) renderWorker.cancel();
+    showRender(previewRenderer.render(state.source));
+  }
 
-      var html = md.render(processed);
+  function debouncedRender() {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(function () {
+      if (!renderWorker) return render();
+      var source = state.source;
+      renderWorker.render(source, function (rendered) {
+        if (!rendered) render();
+        else if (source === state.source) showRender(rendered);
+      });
+    }, 150);
+  }
 
-      // Restore styled CriticMarkup HTML in place of placeholders
-      for (var r = 0; r < regions.length; r++) {
-        html = html.replace('%%CRITIC_' + r + '%%', renderCriticRegion(regions[r]));
-      }
-      renderedView.innerHTML = html;
-    }
+  // Applies a render of state.source: { chunks, regions }
+  function showRender(rendered) {
+    var regions = rendered.regions;
+    commentThreads = {};
+    regions.forEach(function (region) {
+      var thread = regionThread(region);
+      if (thread) commentThreads[region.start] = thread;
+    });
+    previewPatcher.apply(rendered.chunks);
 
-    updateSuggestionCount();
+    updateSuggestionCount(regions.length);
     updateToolbar();
     positionComments();
+    refreshReviewFocus(regions);
+    if (activeSourcePos >= 0) highlightPreviewBlock(activeSourcePos);
+    // Drawn math and diagrams change the height of what they replace
+    var drawing = Extensions.typeset(renderedView);
+    if (drawing) drawing.then(repositionExistingComments);
   }
 
-  function debouncedRender() {
-    clearTimeout(renderTimer);
-    renderTimer = setTimeout(render, 150);
-  }
-
-  function updateSuggestionCount() {
-    var count = findCriticRegions(state.source).length;
+  function updateSuggestionCount(count) {
     if (count > 0) {
       suggestionCount.textContent = count + ' suggestion' + (count !== 1 ? 's' : '');
       suggestionCount.classList.add('visible');
@@ -311,11 +344,16 @@
   function updateToolbar() {
     var hasContent = state.source.length > 0;
     var hasSuggestions = suggestionCount.classList.contains('visible');
-    btnAcceptAll.disabled = !hasSuggestions;
-    btnRejectAll.disabled = !hasSuggestions;
+    btnAcceptAll.disabled = !hasSuggestions || !!state.reviewOnly;
+    btnRejectAll.disabled = !hasSuggestions || !!state.reviewOnly;
     btnDownload.disabled = !hasContent;
+    btnSave.disabled = !hasContent;
+    updateTabStates();
+    if (!hasContent) setExportMenuOpen(false);
     // Suggest/Comment work with CM6 or fallback textarea
     var editorAvailable = hasContent && (editorView || fallbackTextarea);
+    reviewNav.hidden = !hasSuggestions;
+    updateFoldButton();
     btnSuggestionMode.disabled = !editorAvailable || currentLayout === 'preview-only';
     // Comment needs a selection in either CM6 or fallback
     var hasSel = false;
@@ -328,102 +366,176 @@
   }
 
   // --- Comment Sidebar ---
-  function positionComments() {
-    commentSidebar.innerHTML = '';
-    var markers = renderedView.querySelectorAll('.critic-comment-marker');
+  function renderCommentEntry(meta, className) {
+    var header = '';
+    if (meta.author) {
+      header = '<div class="comment-header">'
+        + '<span class="comment-avatar" style="background:' + authorColor(meta.author) + '">'
+        + md.utils.escapeHtml(authorInitials(meta.author)) + '</span>'
+        + '<span class="comment-author">' + md.utils.escapeHtml(authorDisplayName(meta.author)) + '</span>'
+        + (meta.date ? '<span class="comment-date">' + meta.date + '</span>' : '')
+        + '</div>';
+    }
+    return '<div class="' + className + '">' + header
+      + '<div class="comment-text">' + md.utils.escapeHtml(meta.text) + '</div></div>';
+  }
 
-    if (markers.length === 0) return;
+  function isThreadCollapsed(meta) {
+    if (meta.id && collapsedThreads.hasOwnProperty(meta.id)) return collapsedThreads[meta.id];
+    return meta.resolved;
+  }
 
-    var sidebarRect = commentSidebar.getBoundingClientRect();
-    var lastBottom = 0;
+  // Cards are reused in order and only rewritten when their content
+  // changes, so re-rendering a long document doesn't rebuild the sidebar.
+  function positionComments() {
+    var markers = renderedView.querySelectorAll('.critic-comment-marker');
+    var cards = commentSidebar.children;
+    while (cards.length > markers.length) commentSidebar.removeChild(commentSidebar.lastChild);
 
     markers.forEach(function (marker, i) {
       var id = 'comment-' + i;
       marker.setAttribute('data-comment-id', id);
 
-      var card = document.createElement('div');
-      card.className = 'comment-card';
+      // Top-level comments come with their parsed thread; comments nested
+      // inside other markup only carry their own text.
+      var thread = commentThreads[marker.getAttribute('data-offset')];
+      var meta = thread ? thread.meta : parseCommentMeta(marker.getAttribute('data-comment-text') || '');
+      var replies = thread ? thread.replies : [];
+      var collapsed = isThreadCollapsed(meta);
+
+      var html = '';
+      if (meta.resolved) html += '<div class="comment-status">Resolved</div>';
+      html += renderCommentEntry(meta, 'comment-entry');
+      if (replies.length > 0) {
+        html += '<div class="comment-replies">';
+        replies.forEach(function (reply) { html += renderCommentEntry(reply.meta, 'comment-entry comment-reply'); });
+        html += '</div>';
+      }
+      html += '<div class="comment-actions">';
+      if (replies.length > 0 || meta.resolved) {
+        html += '<button class="comment-collapse" data-comment-id="' + id + '">'
+          + (collapsed ? 'Show thread' + (replies.length ? ' (' + replies.length + ')' : '') : 'Collapse') + '</button>';
+      }
+      if (thread) {
+        html += '<button class="comment-reply-btn" data-comment-id="' + id + '" title="Reply to this comment">Reply</button>'
+          + '<button class="comment-resolve" data-comment-id="' + id + '">' + (meta.resolved ? 'Reopen' : 'Resolve') + '</button>';
+      }
+      html += '<button class="comment-remove" data-comment-id="' + id + '" title="Remove comment">Remove</button>'
+        + '</div>';
+
+      var card = cards[i];
+      if (!card) {
+        card = document.createElement('div');
+        card.addEventListener('mouseenter', function () { focusCardAnchor(card, true); });
+        card.addEventListener('mouseleave', function () { focusCardAnchor(card, false); });
+        commentSidebar.appendChild(card);
+      }
+      card.className = 'comment-card' + (meta.resolved ? ' resolved' : '') + (collapsed ? ' collapsed' : '');
       card.setAttribute('data-comment-id', id);
+      card.style.borderLeftColor = meta.author && !meta.resolved ? authorColor(meta.author) : '';
+      if (card.criticHtml !== html) {
+        card.innerHTML = html;
+        card.criticHtml = html;
+      }
+      bindCommentAnchor(marker);
+    });
+    repositionExistingComments();
+  }
 
-      var text = marker.getAttribute('data-comment-text') || '';
-      card.innerHTML = '<div class="comment-text">' + md.utils.escapeHtml(text) + '</div>'
-        + '<div class="comment-actions">'
-        + '<button class="comment-resolve" data-comment-id="' + id + '" title="Remove comment">Remove</button>'
-        + '</div>';
+  // Hovering a comment's anchor lights up its card. Listeners are added
+  // once per anchor and look the card up when they fire.
+  function bindCommentAnchor(marker) {
+    var anchor = commentAnchor(marker);
+    if (!anchor.criticMarker) {
+      anchor.addEventListener('mouseenter', function () { highlightCard(anchor.criticMarker, true); });
+      anchor.addEventListener('mouseleave', function () { highlightCard(anchor.criticMarker, false); });
+    }
+    anchor.criticMarker = marker;
+  }
 
-      commentSidebar.appendChild(card);
+  function highlightCard(marker, on) {
+    var card = commentSidebar.querySelector('.comment-card[data-comment-id="' + marker.getAttribute('data-comment-id') + '"]');
+    if (card) card.classList.toggle('highlight', on);
+  }
 
-      var markerRect = marker.getBoundingClientRect();
-      var targetTop = markerRect.top - sidebarRect.top + commentSidebar.scrollTop;
-      targetTop = Math.max(targetTop, lastBottom + 8);
-      card.style.top = targetTop + 'px';
-      lastBottom = targetTop + card.offsetHeight;
+  function focusCardAnchor(card, on) {
+    var marker = renderedView.querySelector('.critic-comment-marker[data-comment-id="' + card.getAttribute('data-comment-id') + '"]');
+    if (!marker) return;
+    var anchor = commentAnchor(marker);
+    marker.style.transform = on ? 'scale(1.5)' : '';
+    if (anchor !== marker) anchor.classList.toggle('comment-focus', on);
+  }
 
-      marker.addEventListener('mouseenter', function () { card.classList.add('highlight'); });
-      marker.addEventListener('mouseleave', function () { card.classList.remove('highlight'); });
-      card.addEventListener('mouseenter', function () { marker.style.transform = 'scale(1.5)'; });
-      card.addEventListener('mouseleave', function () { marker.style.transform = ''; });
-    });
+  // Annotated highlights anchor their card to the whole highlighted span
+  function commentAnchor(marker) {
+    return marker.closest('.critic-annotated') || marker;
   }
 
-  // --- Accept / Reject ---
-  function acceptMarkup(originalMarkup) {
-    var opener = detectCriticOpener(originalMarkup, 0);
-    if (!opener) return originalMarkup;
-    var content = originalMarkup.substring(3, originalMarkup.length - 3);
-    switch (opener.type) {
-      case 'addition':    return content;
-      case 'deletion':    return '';
-      case 'substitution':
-        var sep = findTopLevelSeparator(content);
-        return sep !== -1 ? content.substring(sep + 2) : '';
-      case 'comment':     return '';
-      case 'highlight':   return content;
-    }
-    return originalMarkup;
-  }
-
-  function rejectMarkup(originalMarkup) {
-    var opener = detectCriticOpener(originalMarkup, 0);
-    if (!opener) return originalMarkup;
-    var content = originalMarkup.substring(3, originalMarkup.length - 3);
-    switch (opener.type) {
-      case 'addition':    return '';
-      case 'deletion':    return content;
-      case 'substitution':
-        var sep = findTopLevelSeparator(content);
-        return sep !== -1 ? content.substring(0, sep) : content;
-      case 'comment':     return '';
-      case 'highlight':   return content;
-    }
-    return originalMarkup;
+  // --- Comment Threads ---
+  function newThreadId() {
+    return Math.random().toString(36).substring(2, 8);
   }
 
-  function acceptAll() {
-    // Loop to handle nested markup exposed after outer regions are resolved
-    var regions;
-    while ((regions = findCriticRegions(state.source)).length > 0) {
-      for (var i = regions.length - 1; i >= 0; i--) {
-        var r = regions[i];
-        state.source = state.source.slice(0, r.start) + acceptMarkup(r.fullMarkup) + state.source.slice(r.end);
-      }
+  function findThreadAt(offset) {
+    var regions = currentRegions();
+    for (var i = 0; i < regions.length; i++) {
+      if (regions[i].start === offset) return regionThread(regions[i]);
     }
+    return null;
+  }
+
+  function replaceThread(thread, root, replies) {
+    if (state.reviewOnly) return;
+    var markup = '{>>' + formatComment(root) + '<<}';
+    replies.forEach(function (reply) { markup += '{>>' + formatComment(reply) + '<<}'; });
+    state.source = state.source.slice(0, thread.start) + markup + state.source.slice(thread.end);
     render();
     syncEditorIfNeeded();
+    Autosave.markDirty(state.fileName);
   }
 
-  function rejectAll() {
-    var regions;
-    while ((regions = findCriticRegions(state.source)).length > 0) {
-      for (var i = regions.length - 1; i >= 0; i--) {
-        var r = regions[i];
-        state.source = state.source.slice(0, r.start) + rejectMarkup(r.fullMarkup) + state.source.slice(r.end);
-      }
-    }
+  function replyToThread(offset) {
+    var thread = findThreadAt(offset);
+    if (!thread || state.reviewOnly) return;
+    var text = prompt('Reply:');
+    if (text === null || !text.trim()) return;
+
+    var root = thread.meta;
+    if (!root.id) root.id = newThreadId();
+    var replies = thread.replies.map(function (reply) { return reply.meta; });
+    replies.push({ id: root.id, author: reviewer || null, date: reviewer ? todayStamp() : null, text: text });
+    collapsedThreads[root.id] = false;
+    replaceThread(thread, root, replies);
+  }
+
+  function toggleThreadResolved(offset) {
+    var thread = findThreadAt(offset);
+    if (!thread) return;
+    var root = thread.meta;
+    if (!root.id) root.id = newThreadId();
+    root.resolved = !root.resolved;
+    delete collapsedThreads[root.id];
+    replaceThread(thread, root, thread.replies.map(function (reply) { return reply.meta; }));
+  }
+
+  // --- Accept / Reject ---
+  function resolveAll(resolveMarkup) {
+    if (state.reviewOnly) return;
+    state.source = resolveSource(state.source, resolveMarkup, false);
     render();
     syncEditorIfNeeded();
   }
 
+  function acceptAll() {
+    takeSnapshot(state, 'bulk', 'Before Accept All');
+    resolveAll(acceptMarkup);
+  }
+
+  function rejectAll() {
+    takeSnapshot(state, 'bulk', 'Before Reject All');
+    resolveAll(rejectMarkup);
+  }
+
   function handleAcceptReject(button, accept) {
     var el = button.closest('[data-markup]');
     if (!el) return;
@@ -431,6 +543,13 @@
     var markup = el.getAttribute('data-markup')
       .replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
     var offset = parseInt(el.getAttribute('data-offset'), 10);
+    resolveMarkupAt(offset, markup, accept);
+  }
+
+  // Replace one region's markup with its accepted/rejected text. Falls back
+  // to the first occurrence if the offset is stale.
+  function resolveMarkupAt(offset, markup, accept) {
+    if (state.reviewOnly) return;
     var replacement = accept ? acceptMarkup(markup) : rejectMarkup(markup);
 
     if (state.source.substr(offset, markup.length) === markup) {
@@ -444,37 +563,529 @@
 
     render();
     syncEditorIfNeeded();
-    Autosave.markDirty();
+    Autosave.markDirty(state.fileName);
+  }
+
+  // --- Export ---
+  // Everything is generated in the browser from state.source: Markdown with
+  // changes resolved, a standalone redline HTML page (also used for PDF via
+  // the print dialog) and a Word document with native tracked changes.
+  var EXPORT_STYLES = [
+    'body { margin: 0; background: #f8f9fa; color: #202124; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }',
+    '.export-layout { display: grid; grid-template-columns: minmax(0, 800px) 280px; justify-content: center; gap: 24px; padding: 24px; }',
+    '.rendered-view { padding: 40px; background: #fff; line-height: 1.7; font-size: 15px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }',
+    '.rendered-view h1 { font-size: 28px; margin: 24px 0 16px; font-weight: 600; }',
+    '.rendered-view h2 { font-size: 22px; margin: 20px 0 12px; font-weight: 600; }',
+    '.rendered-view h3 { font-size: 18px; margin: 16px 0 10px; font-weight: 600; }',
+    '.rendered-view p { margin: 0 0 12px; }',
+    '.rendered-view ul, .rendered-view ol { margin: 0 0 12px; padding-left: 24px; }',
+    '.rendered-view blockquote { border-left: 3px solid #dadce0; padding-left: 16px; color: #5f6368; margin: 0 0 12px; }',
+    '.rendered-view code { background: #f1f3f4; padding: 2px 6px; border-radius: 3px; font-size: 13px; }',
+    '.rendered-view pre { background: #f1f3f4; padding: 16px; border-radius: 6px; overflow-x: auto; margin: 0 0 12px; }',
+    '.rendered-view pre code { background: none; padding: 0; }',
+    '.rendered-view a { color: #1a73e8; }',
+    '.rendered-view hr { border: none; border-top: 1px solid #dadce0; margin: 24px 0; }',
+    '.rendered-view table { border-collapse: collapse; margin: 0 0 12px; }',
+    '.rendered-view th, .rendered-view td { border: 1px solid #dadce0; padding: 4px 8px; }',
+    '.rendered-view kbd { background: #f8f9fa; border: 1px solid #dadce0; border-bottom-width: 2px; border-radius: 3px; padding: 1px 5px; font-size: 13px; }',
+    '.rendered-view details { margin: 0 0 12px; }',
+    '.rendered-view img { max-width: 100%; }',
+    '.critic-addition { color: #1e8e3e; background-color: #e6f4ea; text-decoration: underline; padding: 1px 2px; border-radius: 2px; }',
+    '.critic-deletion { color: #c5221f; background-color: #fce8e6; text-decoration: line-through; padding: 1px 2px; border-radius: 2px; }',
+    '.critic-highlight { background-color: #fef7e0; border-bottom: 2px solid #f9ab00; padding: 1px 2px; border-radius: 2px; }',
+    '.critic-block { display: block; margin: 0 0 16px; padding: 2px 8px; }',
+    'li > .critic-block { margin: 0; padding: 0 4px; }',
+    '.rendered-view pre.critic-code-diff { padding: 16px 0; color: #202124; text-decoration: none; }',
+    '.critic-code-diff > code > span { display: block; padding: 0 16px 0 32px; position: relative; }',
+    '.critic-code-diff > code > span::before { position: absolute; left: 12px; }',
+    '.critic-code-diff .critic-diff-removed { background-color: #fce8e6; color: #c5221f; }',
+    '.critic-code-diff .critic-diff-removed::before { content: "-"; }',
+    '.critic-code-diff .critic-diff-added { background-color: #e6f4ea; color: #1e8e3e; }',
+    '.critic-code-diff .critic-diff-added::before { content: "+"; }',
+    '.heading-anchor { display: none; }',
+    '.toc { margin: 0 0 12px; padding: 4px 16px; border-left: 3px solid #dadce0; }',
+    '.task-list-item { list-style: none; }',
+    '.task-list-item-checkbox { margin: 0 6px 0 -20px; }',
+    '.footnote { position: relative; padding-left: 24px; font-size: 13px; }',
+    ':not(.footnote) + .footnote { margin-top: 24px; padding-top: 12px; border-top: 1px solid #dadce0; }',
+    '.footnote-label { position: absolute; left: 0; font-weight: 600; }',
+    '.footnote-ref a, .footnote-backref { text-decoration: none; }',
+    '.math-display, .mermaid-diagram { display: block; margin: 0 0 12px; text-align: center; }',
+    '.critic-author { display: inline-block; min-width: 16px; height: 16px; padding: 0 3px; margin-left: 3px; border-radius: 8px; color: #fff;'
+      + ' font-size: 9px; font-weight: 600; line-height: 16px; text-align: center; text-decoration: none; vertical-align: super; }',
+    '.comment-ref { font-size: 11px; font-weight: 600; }',
+    '.comment-ref a { color: #b06000; text-decoration: none; }',
+    '.comment-sidebar h2 { font-size: 14px; margin: 0 0 12px; color: #5f6368; text-transform: uppercase; letter-spacing: 0.5px; }',
+    '.comment-sidebar ol { list-style: none; margin: 0; padding: 0; }',
+    '.comment-card { background: #fff; border-left: 3px solid #f9ab00; border-radius: 4px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);'
+      + ' padding: 10px 12px; margin-bottom: 8px; font-size: 13px; line-height: 1.5; color: #3c4043; break-inside: avoid; }',
+    '.comment-card.resolved { border-left-color: #9aa0a6; color: #5f6368; }',
+    '.comment-number { font-weight: 600; color: #b06000; margin-right: 4px; }',
+    '.comment-header { display: flex; align-items: center; gap: 6px; margin-bottom: 4px; }',
+    '.comment-avatar { display: inline-block; width: 20px; height: 20px; border-radius: 50%; color: #fff; font-size: 10px;'
+      + ' font-weight: 600; line-height: 20px; text-align: center; flex-shrink: 0; }',
+    '.comment-author { font-weight: 600; color: #202124; }',
+    '.comment-date { color: #5f6368; font-size: 12px; }',
+    '.comment-reply { border-top: 1px solid #e8eaed; padding-top: 6px; margin-top: 6px; }',
+    '.comment-status { font-size: 11px; font-weight: 600; color: #1e8e3e; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 4px; }',
+    '@media (max-width: 900px) { .export-layout { grid-template-columns: minmax(0, 1fr); } }',
+    '@media print {',
+    '  body { background: #fff; -webkit-print-color-adjust: exact; print-color-adjust: exact; }',
+    '  .export-layout { display: block; padding: 0; }',
+    '  .rendered-view { padding: 0; box-shadow: none; }',
+    '  .comment-sidebar { margin-top: 32px; border-top: 1px solid #dadce0; padding-top: 16px; }',
+    '  .comment-card { box-shadow: none; border: 1px solid #dadce0; border-left-width: 3px; }',
+    '}',
+  ].join('\n');
+
+  // Helpers for js/docx.js, which turns the plugin's tokens into Word markup
+  function docxHelpers() {
+    var helpers = { md: md, resolveSource: resolveSource, authorDisplayName: authorDisplayName };
+    for (var key in criticHelpers) helpers[key] = criticHelpers[key];
+    return helpers;
+  }
+
+  // "notes.md" -> "notes" + suffix
+  function exportFileName(suffix) {
+    return (state.fileName || 'document.md').replace(/\.(md|markdown|txt)$/i, '') + suffix;
+  }
+
+  function downloadBlob(blob, fileName) {
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function commentCard(n, meta, replies) {
+    var html = '<li class="comment-card' + (meta.resolved ? ' resolved' : '') + '" id="comment-' + n + '"'
+      + (meta.author && !meta.resolved ? ' style="border-left-color:' + authorColor(meta.author) + '"' : '') + '>';
+    if (meta.resolved) html += '<div class="comment-status">Resolved</div>';
+    html += '<a class="comment-number" href="#comment-ref-' + n + '">' + n + '.</a>';
+    html += renderCommentEntry(meta, 'comment-entry');
+    replies.forEach(function (reply) { html += renderCommentEntry(reply.meta, 'comment-entry comment-reply'); });
+    return html + '</li>';
+  }
+
+  // Redline page: the preview without its interactive controls, with
+  // numbered comment references and the threads listed alongside.
+  function buildStandaloneHtml() {
+    var rendered = renderSourceHtml(state.source);
+    var threads = {};
+    rendered.regions.forEach(function (region) {
+      var thread = regionThread(region);
+      if (thread) threads[region.start] = thread;
+    });
+
+    var doc = document.implementation.createHTMLDocument('');
+    var body = doc.createElement('div');
+    setRenderedHtml(body, rendered.html);
+    body.querySelectorAll('.critic-controls').forEach(function (el) { el.remove(); });
+
+    var cards = '';
+    body.querySelectorAll('.critic-comment-marker').forEach(function (marker, i) {
+      var n = i + 1;
+      var thread = threads[marker.getAttribute('data-offset')];
+      var meta = thread ? thread.meta : parseCommentMeta(marker.getAttribute('data-comment-text') || '');
+      cards += commentCard(n, meta, thread ? thread.replies : []);
+
+      var ref = doc.createElement('sup');
+      ref.className = 'comment-ref';
+      ref.innerHTML = '<a href="#comment-' + n + '" id="comment-ref-' + n + '">' + n + '</a>';
+      marker.replaceWith(ref);
+    });
+    Extensions.typesetStatic(body, renderedView);
+    body.querySelectorAll('[data-markup], [data-offset], [data-source-offset]').forEach(function (el) {
+      el.removeAttribute('data-markup');
+      el.removeAttribute('data-offset');
+      el.removeAttribute('data-source-offset');
+    });
+
+    var title = escapeHtml(exportFileName(''));
+    return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n'
+      + '<meta name="viewport" content="width=device-width, initial-scale=1.0">\n'
+      + '<title>' + title + '</title>\n<style>\n' + EXPORT_STYLES + '\n</style>\n</head>\n<body>\n'
+      + '<div class="export-layout">\n<article class="rendered-view">\n' + body.innerHTML + '\n</article>\n'
+      + (cards ? '<aside class="comment-sidebar">\n<h2>Comments</h2>\n<ol>' + cards + '</ol>\n</aside>\n' : '')
+      + '</div>\n</body>\n</html>\n';
+  }
+
+  // PDF goes through the browser's print dialog ("Save as PDF") on the
+  // redline page, printed from a hidden frame so the app stays as it is.
+  function printDocument() {
+    var frame = document.createElement('iframe');
+    frame.className = 'export-print-frame';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.onload = function () {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(function () { frame.remove(); }, 1000);
+    };
+    frame.srcdoc = buildStandaloneHtml();
+    document.body.appendChild(frame);
+  }
+
+  function exportDocument(kind) {
+    switch (kind) {
+      case 'markdown':
+        Autosave.clear(state.fileName);
+        renderRecentDocs();
+        downloadBlob(new Blob([state.source], { type: 'text/markdown' }), state.fileName);
+        break;
+      case 'accepted':
+        downloadBlob(new Blob([resolveSource(state.source, acceptMarkup, true)], { type: 'text/markdown' }),
+          exportFileName('.accepted.md'));
+        break;
+      case 'rejected':
+        downloadBlob(new Blob([resolveSource(state.source, rejectMarkup, true)], { type: 'text/markdown' }),
+          exportFileName('.original.md'));
+        break;
+      case 'html':
+        downloadBlob(new Blob([buildStandaloneHtml()], { type: 'text/html' }), exportFileName('.html'));
+        break;
+      case 'docx':
+        downloadBlob(MarkaroundDocx.build(state.source, docxHelpers()), exportFileName('.docx'));
+        break;
+      case 'pdf':
+        printDocument();
+        break;
+    }
+  }
+
+  // --- Keyboard Review Navigation ---
+  // The focused change is tracked by its index in currentRegions(), so
+  // after accepting/rejecting it the next change slides into focus.
+  var reviewFocusIndex = -1;
+
+  function cursorOffset() {
+    if (editorView && Editor) return Editor.getCursor(editorView);
+    if (fallbackTextarea) return lastFallbackSelection.start;
+    return 0;
   }
 
+  // Top-level elements rendered for the region starting at offset: one per
+  // block it crosses (nested spans rendered by the markdown-it plugin carry
+  // unrelated offsets)
+  function findPreviewElements(offset) {
+    var candidates = renderedView.querySelectorAll('[data-offset="' + offset + '"]');
+    return Array.prototype.filter.call(candidates, function (el) {
+      return !el.parentElement.closest('[data-offset]');
+    });
+  }
+
+  function findPreviewElement(offset) {
+    return findPreviewElements(offset)[0] || null;
+  }
+
+  function focusChange(direction) {
+    var regions = currentRegions();
+    if (regions.length === 0) return false;
+
+    if (reviewFocusIndex >= 0 && reviewFocusIndex < regions.length) {
+      reviewFocusIndex = (reviewFocusIndex + direction + regions.length) % regions.length;
+    } else {
+      // Nothing focused yet: start from the editor cursor
+      var pos = cursorOffset();
+      reviewFocusIndex = direction > 0 ? 0 : regions.length - 1;
+      for (var i = 0; i < regions.length; i++) {
+        if (direction > 0 && regions[i].start >= pos) { reviewFocusIndex = i; break; }
+        if (direction < 0 && regions[i].end <= pos) reviewFocusIndex = i;
+      }
+    }
+    showReviewFocus(regions);
+    return true;
+  }
+
+  function showReviewFocus(regions) {
+    refreshReviewFocus(regions);
+    var region = regions[reviewFocusIndex];
+    if (editorView && Editor) {
+      Editor.setReviewFocus(editorView, region ? { from: region.start, to: region.end } : null, true);
+    } else if (fallbackTextarea && region) {
+      fallbackTextarea.setSelectionRange(region.start, region.end);
+    }
+    var el = region && findPreviewElement(region.start);
+    if (el && currentLayout !== 'editor-only') el.scrollIntoView({ block: 'center' });
+  }
+
+  // Re-apply the preview highlight and position indicator after a render
+  function refreshReviewFocus(regions) {
+    renderedView.querySelectorAll('.review-focus').forEach(function (el) {
+      el.classList.remove('review-focus');
+    });
+
+    if (reviewFocusIndex >= regions.length) {
+      reviewFocusIndex = regions.length - 1;
+      if (editorView && Editor) {
+        var last = regions[reviewFocusIndex];
+        Editor.setReviewFocus(editorView, last ? { from: last.start, to: last.end } : null, false);
+      }
+    }
+    var region = regions[reviewFocusIndex];
+    if (!region) {
+      reviewPosition.textContent = '';
+      return;
+    }
+    findPreviewElements(region.start).forEach(function (el) {
+      el.classList.add('review-focus');
+    });
+    reviewPosition.textContent = 'Change ' + (reviewFocusIndex + 1) + ' of ' + regions.length;
+  }
+
+  function clearReviewFocus() {
+    if (reviewFocusIndex === -1) return false;
+    reviewFocusIndex = -1;
+    if (editorView && Editor) Editor.setReviewFocus(editorView, null, false);
+    refreshReviewFocus(currentRegions());
+    return true;
+  }
+
+  function resolveFocusedChange(accept) {
+    var regions = currentRegions();
+    var region = regions[reviewFocusIndex];
+    if (!region || state.reviewOnly) return false;
+    resolveMarkupAt(region.start, regionMarkup(region), accept);
+    showReviewFocus(currentRegions());
+    return true;
+  }
+
+  var reviewCommands = {
+    next: function () { return focusChange(1); },
+    prev: function () { return focusChange(-1); },
+    accept: function () { return resolveFocusedChange(true); },
+    reject: function () { return resolveFocusedChange(false); },
+  };
+
   function syncEditorIfNeeded() {
     if (editorView && Editor) {
       Editor.syncEditorFromState(editorView, state.source);
     } else {
       syncFallbackTextarea();
+      shareEdit();
     }
   }
 
   // --- Editor Callback ---
-  function onEditorUpdate(newDoc) {
+  // changes: the local edits behind newDoc (see editor.js createEditor)
+  function onEditorUpdate(newDoc, changes) {
     state.source = newDoc;
-    Autosave.markDirty();
+    Autosave.markDirty(state.fileName);
+    shareEdit(changes);
     debouncedRender();
   }
 
-  // --- Inside-Markup Detection (for suggestion mode) ---
-  function isInsideMarkup(text, pos) {
-    var chunk = text.substring(Math.max(0, pos - 500), pos);
-    var lo, lc;
-    lo = chunk.lastIndexOf('{++'); lc = chunk.lastIndexOf('++}');
-    if (lo !== -1 && (lc === -1 || lo > lc)) return true;
-    lo = chunk.lastIndexOf('{--'); lc = chunk.lastIndexOf('--}');
-    if (lo !== -1 && (lc === -1 || lo > lc)) return true;
-    lo = chunk.lastIndexOf('{~~'); lc = chunk.lastIndexOf('~~}');
-    if (lo !== -1 && (lc === -1 || lo > lc)) return true;
-    lo = chunk.lastIndexOf('{>>'); lc = chunk.lastIndexOf('<<}');
-    if (lo !== -1 && (lc === -1 || lo > lc)) return true;
-    return false;
+  // --- Suggestion Merging ---
+  // Suggestion mode turns every raw edit into markup. planSuggestion decides
+  // what that markup is, coalescing with the reviewer's own adjacent changes:
+  //   - typing inside or right next to your own addition extends it
+  //   - typing next to your own deletion turns it into a substitution
+  //   - deleting inside your own addition really deletes (dropping it once empty)
+  //   - deleting next to or across your own deletions extends them
+  //   - edits inside someone else's addition or a highlight nest a change
+  //   - backspace/delete next to any other change skips over it
+  //   - edits to comment text or deleted text go through untracked
+  //   - edits inside code change the whole code span or fenced block
+  // The edit deletes text[from, to) and inserts `inserted`; direction is
+  // 'backward' or 'forward' for a collapsed-cursor delete, 'range' otherwise.
+  // Returns { from, to, insert, cursor } (from/to in the old text, cursor in
+  // the new one and never before `from`), or null to apply the edit untracked.
+  // Shared by the CodeMirror transaction filter and the fallback textarea.
+  function planSuggestion(text, from, to, inserted, author, direction) {
+    // The shared index follows the open document; the content of a change
+    // (planned on its own below) is scanned afresh
+    var regions = text === state.source ? regionIndex.regions(text) : findReviewRegions(text);
+    var attribution = author ? '{>>' + formatCommentMeta(author) + '<<}' : '';
+    var i, r;
+
+    function own(region) {
+      return (region.author || '') === (author || '');
+    }
+
+    function content(region) {
+      return region.fullMarkup.substring(3, region.fullMarkup.length - 3);
+    }
+
+    // Part of a region that reads as document text: the content of an
+    // addition or highlight, the new side of a substitution
+    function visibleRange(region) {
+      var start = region.start + 3;
+      var end = region.start + region.fullMarkup.length - 3;
+      if (region.type === 'addition' || region.type === 'highlight') return { start: start, end: end };
+      if (region.type === 'substitution') {
+        var sep = findTopLevelSeparator(text.substring(start, end));
+        return sep === -1 ? null : { start: start + sep + 2, end: end };
+      }
+      return null;
+    }
+
+    // Your own additions and substitutions are edited in place
+    function editableRange(region) {
+      return own(region) && region.type !== 'highlight' ? visibleRange(region) : null;
+    }
+
+    function editOwnChange(region, range) {
+      if (inserted || from > range.start || to < range.end) {
+        return { from: from, to: to, insert: inserted, cursor: from + inserted.length };
+      }
+      // Deleted everything you added: drop the addition, or fall back to a
+      // plain deletion when it was the new side of a substitution
+      if (region.type === 'addition') return { from: region.start, to: region.end, insert: '', cursor: region.start };
+      var old = '{--' + text.substring(region.start + 3, range.start - 2) + '--}' + (region.attributionMarkup || '');
+      return { from: region.start, to: region.end, insert: old, cursor: region.start + old.length };
+    }
+
+    var overlapping = [];
+    var before = null; // region ending exactly at `from`
+    var after = null;  // region starting exactly at `to`
+    for (i = 0; i < regions.length; i++) {
+      r = regions[i];
+      if (r.start < Math.max(to, from + 1) && r.end > from && !(from === to && r.start === from)) {
+        overlapping.push(r);
+      }
+      if (r.end === from) before = r;
+      if (r.start === to) after = r;
+    }
+    var inside = overlapping.length === 1 && overlapping[0].start <= from && to <= overlapping[0].end
+      ? overlapping[0] : null;
+
+    // --- Edits within a single region ---
+    if (inside) {
+      var visible = visibleRange(inside);
+      var editable = editableRange(inside);
+      if (visible && from >= visible.start && to <= visible.end) {
+        if (editable) return editOwnChange(inside, editable);
+        // Someone else's text: plan the edit against the region's content
+        var nested = planSuggestion(text.substring(visible.start, visible.end),
+          from - visible.start, to - visible.start, inserted, author, direction);
+        return nested && {
+          from: nested.from + visible.start, to: nested.to + visible.start,
+          insert: nested.insert, cursor: nested.cursor + visible.start,
+        };
+      }
+      // Backspace/delete from just outside a region: step into your own
+      // change, skip over anything else
+      var count = to - from;
+      var ownText = editable && editable.end > editable.start;
+      if (!inserted && direction === 'backward' && to === inside.end) {
+        if (ownText) {
+          return planSuggestion(text, Math.max(editable.start, editable.end - count), editable.end, '', author, direction);
+        }
+        if (inside.start === 0) return { from: 0, to: 0, insert: '', cursor: 0 };
+        return planSuggestion(text, Math.max(0, inside.start - count), inside.start, '', author, direction);
+      }
+      if (!inserted && direction === 'forward' && from === inside.start) {
+        if (ownText) {
+          return planSuggestion(text, editable.start, Math.min(editable.end, editable.start + count), '', author, direction);
+        }
+        if (inside.end === text.length) return { from: inside.end, to: inside.end, insert: '', cursor: inside.end };
+        return planSuggestion(text, inside.end, Math.min(text.length, inside.end + count), '', author, direction);
+      }
+      // Comment text, deleted text, the markup itself
+      return null;
+    }
+
+    // --- Edits inside code ---
+    // Markup typed into code would read as more code, so an edit inside a
+    // code span or fenced block replaces the whole span or block; further
+    // edits then go to the new side of your own change
+    var code = overlapping.length ? null : codeRangeAround(text, from, to);
+    if (code) {
+      var fenced = code.type === 'fence';
+      var opener = fenced ? '{~~\n' : '{~~';
+      var separator = fenced ? '\n~>\n' : '~>';
+      var original = text.substring(code.start, code.end);
+      var edited = text.substring(code.start, from) + inserted + text.substring(to, code.end);
+      var change = opener + original + separator + edited + (fenced ? '\n~~}' : '~~}') + attribution;
+      return {
+        from: code.start, to: code.end, insert: change,
+        cursor: code.start + opener.length + original.length + separator.length + (from - code.start) + inserted.length,
+      };
+    }
+
+    // --- Insertions ---
+    if (from === to) {
+      var target = null;
+      if (before && own(before) && (before.type === 'deletion' || editableRange(before))) target = before;
+      else if (after && own(after) && (after.type === 'deletion' || after.type === 'addition')) target = after;
+      if (target && target.type === 'deletion') {
+        var sub = '{~~' + content(target) + '~>' + inserted + '~~}' + attribution;
+        return {
+          from: target.start, to: target.end, insert: sub,
+          cursor: target.start + sub.length - attribution.length - 3,
+        };
+      }
+      if (target) {
+        var range = editableRange(target);
+        var at = target === before ? range.end : range.start;
+        return { from: at, to: at, insert: inserted, cursor: at + inserted.length };
+      }
+      var wrapped = '{++' + inserted + '++}' + attribution;
+      return { from: from, to: to, insert: wrapped, cursor: from + 3 + inserted.length };
+    }
+
+    // --- Deletions and replacements ---
+    // Deleted plain text is wrapped, your own deletions are folded in, the
+    // covered part of your own additions really goes, and any other region
+    // touched is swallowed whole so the markup nests cleanly
+    var spans = overlapping.slice();
+    if (!inserted) {
+      if (before && own(before) && before.type === 'deletion') spans.unshift(before);
+      if (after && own(after) && after.type === 'deletion') spans.push(after);
+    }
+    var start = from, end = to;
+    for (i = 0; i < spans.length; i++) {
+      start = Math.min(start, spans[i].start);
+      end = Math.max(end, spans[i].end);
+    }
+
+    var out = '';
+    var pending = '';
+    var pos = start;
+    var flush = function () {
+      if (pending) out += '{--' + pending + '--}' + attribution;
+      pending = '';
+    };
+    var clamp = function (n, lo, hi) { return Math.max(lo, Math.min(hi, n)); };
+    for (i = 0; i < spans.length; i++) {
+      r = spans[i];
+      pending += text.substring(pos, r.start);
+      if (own(r) && r.type === 'deletion') {
+        pending += content(r);
+      } else if (own(r) && r.type === 'addition') {
+        var cs = r.start + 3, ce = r.start + r.fullMarkup.length - 3;
+        var kept = text.substring(cs, clamp(from, cs, ce)) + text.substring(clamp(to, cs, ce), ce);
+        if (kept) {
+          flush();
+          out += '{++' + kept + '++}' + (r.attributionMarkup || '');
+        }
+      } else {
+        pending += text.substring(r.start, r.end);
+      }
+      pos = r.end;
+    }
+    pending += text.substring(pos, end);
+
+    if (inserted) {
+      if (pending) out += '{~~' + pending + '~>' + inserted + '~~}' + attribution;
+      else out += '{++' + inserted + '++}' + attribution;
+      return { from: start, to: end, insert: out, cursor: start + out.length - attribution.length - 3 };
+    }
+    flush();
+    return {
+      from: start, to: end, insert: out,
+      cursor: direction === 'backward' ? start : start + out.length,
+    };
+  }
+
+  // Code span or fenced block strictly containing text[from, to)
+  function codeRangeAround(text, from, to) {
+    var ranges = findCodeRanges(text);
+    for (var i = 0; i < ranges.length; i++) {
+      if (ranges[i].start < from && to < ranges[i].end) return ranges[i];
+    }
+    return null;
   }
 
   // --- Fallback Textarea (used when CodeMirror can't load) ---
@@ -494,6 +1105,101 @@
     // execCommand fires 'input', which syncs state.source via the input handler
   }
 
+  // Suggestion mode edits the fallback can compute before the browser applies
+  // them. Returns { from, to, inserted, direction }, or null for input types
+  // that are reconciled after the fact (see reconcileFallbackEdit).
+  var FALLBACK_INSERT_TYPES = {
+    insertText: true, insertReplacementText: true, insertFromPaste: true,
+    insertFromDrop: true, insertFromYank: true, insertLineBreak: true, insertParagraph: true,
+  };
+
+  function fallbackEdit(e, val, from, to) {
+    var type = e.inputType;
+    if (FALLBACK_INSERT_TYPES[type]) {
+      var data = type === 'insertLineBreak' || type === 'insertParagraph' ? '\n'
+        : e.data !== null && e.data !== undefined ? e.data
+        : e.dataTransfer ? e.dataTransfer.getData('text/plain') : '';
+      // No text to go on (some spellcheckers): reconcile afterwards instead
+      return data ? { from: from, to: to, inserted: data, direction: 'range' } : null;
+    }
+    if (type.indexOf('delete') !== 0) return null;
+
+    // Cut, drag-moves and deletes with a selection remove exactly the selection
+    var edit = { from: from, to: to, inserted: '', direction: 'range' };
+    if (from !== to) return edit;
+    var lineStart = val.lastIndexOf('\n', from - 1) + 1;
+    var lineEnd = val.indexOf('\n', to);
+    if (lineEnd === -1) lineEnd = val.length;
+
+    if (/Backward$/.test(type)) {
+      edit.direction = 'backward';
+      if (type === 'deleteWordBackward') {
+        edit.from = from - /(?:\w+|[^\w\s]+)?\s*$/.exec(val.substring(0, from))[0].length;
+      } else if (type !== 'deleteContentBackward') {
+        edit.from = lineStart;
+      }
+      // Nothing matched (or a plain backspace): one character, joining lines
+      if (edit.from === from) edit.from = Math.max(0, from - 1);
+    } else if (/Forward$/.test(type)) {
+      edit.direction = 'forward';
+      if (type === 'deleteWordForward') {
+        edit.to = to + /^\s*(?:\w+|[^\w\s]+)?/.exec(val.substring(to))[0].length;
+      } else if (type !== 'deleteContentForward') {
+        edit.to = lineEnd;
+      }
+      if (edit.to === to) edit.to = Math.min(val.length, to + 1);
+    } else if (type === 'deleteEntireSoftLine') {
+      edit.from = lineStart;
+      edit.to = Math.min(val.length, lineEnd + 1);
+    }
+    return edit;
+  }
+
+  // Edits suggestion mode can't see coming (IME composition, input types it
+  // doesn't know) are applied by the browser first, then diffed against a
+  // snapshot and rewritten as markup.
+  var fallbackPending = null;
+  var fallbackComposing = false;
+
+  function snapshotFallback() {
+    return {
+      value: fallbackTextarea.value,
+      start: fallbackTextarea.selectionStart,
+      end: fallbackTextarea.selectionEnd,
+    };
+  }
+
+  function reconcileFallbackEdit() {
+    var snap = fallbackPending;
+    fallbackPending = null;
+    if (!snap || !suggestionModeActive || fallbackTextarea.value === snap.value) return;
+
+    var old = snap.value;
+    var val = fallbackTextarea.value;
+    // Anchor the diff at the caret so repeated characters resolve correctly
+    var prefix = 0;
+    var limit = Math.min(snap.start, fallbackTextarea.selectionEnd, old.length, val.length);
+    while (prefix < limit && old.charAt(prefix) === val.charAt(prefix)) prefix++;
+    var suffix = 0;
+    while (suffix < old.length - prefix && suffix < val.length - prefix &&
+      old.charAt(old.length - 1 - suffix) === val.charAt(val.length - 1 - suffix)) suffix++;
+
+    var from = prefix;
+    var to = old.length - suffix;
+    var inserted = val.substring(prefix, val.length - suffix);
+    var direction = 'range';
+    if (snap.start === snap.end && snap.start === to) direction = 'backward';
+    else if (snap.start === snap.end && snap.start === from) direction = 'forward';
+
+    var plan = planSuggestion(old, from, to, inserted, reviewer, direction);
+    if (!plan) return;
+    // The plan is relative to the old text; replay it over the browser's edit
+    var start = Math.min(from, plan.from);
+    var end = Math.max(to, plan.to);
+    var replacement = old.substring(start, plan.from) + plan.insert + old.substring(plan.to, end);
+    suggestionExec(start, end + inserted.length - (to - from), replacement, plan.cursor);
+  }
+
   function createFallbackTextarea() {
     if (fallbackTextarea) return;
     fallbackTextarea = document.createElement('textarea');
@@ -502,70 +1208,58 @@
 
     // Sync state on any input (normal edits + execCommand-driven suggestion edits)
     fallbackTextarea.addEventListener('input', function () {
+      if (!fallbackComposing && !suggestionApplying) reconcileFallbackEdit();
       state.source = fallbackTextarea.value;
-      Autosave.markDirty();
+      Autosave.markDirty(state.fileName);
+      shareEdit();
       debouncedRender();
     });
 
     // Suggestion mode: intercept edits via beforeinput
     fallbackTextarea.addEventListener('beforeinput', function (e) {
       if (!suggestionModeActive || suggestionApplying) return;
+      if (e.isComposing || /^(insertComposition|history|format)/.test(e.inputType)) return;
+      fallbackPending = null;
 
       var val = fallbackTextarea.value;
-      var selStart = fallbackTextarea.selectionStart;
-      var selEnd = fallbackTextarea.selectionEnd;
-      var selected = val.substring(selStart, selEnd);
-
-      // Don't wrap if inside existing markup
-      if (isInsideMarkup(val, selStart)) return;
-
-      var type = e.inputType;
-      var data = e.data || '';
-
-      if (type === 'insertText' || type === 'insertFromPaste' || type === 'insertFromDrop') {
-        e.preventDefault();
-        if (selected) {
-          // Replace selection -> substitution
-          var wrapped = '{~~' + selected + '~>' + data + '~~}';
-          suggestionExec(selStart, selEnd, wrapped, selStart + wrapped.length);
-        } else {
-          // Pure insertion -> addition, cursor inside before ++}
-          var wrapped = '{++' + data + '++}';
-          suggestionExec(selStart, selEnd, wrapped, selStart + 3 + data.length);
-        }
-      } else if (type === 'deleteContentBackward') {
-        e.preventDefault();
-        if (selected) {
-          var wrapped = '{--' + selected + '--}';
-          suggestionExec(selStart, selEnd, wrapped, selStart + wrapped.length);
-        } else if (selStart > 0) {
-          // Wrap the one character before cursor as deletion
-          var ch = val.charAt(selStart - 1);
-          var wrapped = '{--' + ch + '--}';
-          suggestionExec(selStart - 1, selStart, wrapped, selStart - 1 + wrapped.length);
-        }
-      } else if (type === 'deleteContentForward') {
+      var edit = fallbackEdit(e, val, fallbackTextarea.selectionStart, fallbackTextarea.selectionEnd);
+      if (!edit) {
+        // Let the browser apply it, then turn the result into markup
+        fallbackPending = snapshotFallback();
+        return;
+      }
+      if (edit.from === edit.to && !edit.inserted) {
         e.preventDefault();
-        if (selected) {
-          var wrapped = '{--' + selected + '--}';
-          suggestionExec(selStart, selEnd, wrapped, selStart + wrapped.length);
-        } else if (selStart < val.length) {
-          var ch = val.charAt(selStart);
-          var wrapped = '{--' + ch + '--}';
-          suggestionExec(selStart, selStart + 1, wrapped, selStart + wrapped.length);
-        }
+        return;
       }
-      // Other input types fall through to normal handling
+
+      var plan = planSuggestion(val, edit.from, edit.to, edit.inserted, reviewer, edit.direction);
+      if (!plan) return;
+      e.preventDefault();
+      suggestionExec(plan.from, plan.to, plan.insert, plan.cursor);
+    });
+
+    // IME input can't be cancelled midway: record it once composition ends
+    fallbackTextarea.addEventListener('compositionstart', function () {
+      fallbackComposing = true;
+      if (suggestionModeActive) fallbackPending = snapshotFallback();
+    });
+    fallbackTextarea.addEventListener('compositionend', function () {
+      fallbackComposing = false;
+      reconcileFallbackEdit();
     });
 
     // Track selection so it survives focus loss (e.g. clicking Comment button)
     function trackSelection() {
       lastFallbackSelection.start = fallbackTextarea.selectionStart;
       lastFallbackSelection.end = fallbackTextarea.selectionEnd;
+      highlightPreviewBlock(fallbackTextarea.selectionEnd);
+      shareSelection();
     }
     fallbackTextarea.addEventListener('select', trackSelection);
     fallbackTextarea.addEventListener('keyup', trackSelection);
     fallbackTextarea.addEventListener('mouseup', trackSelection);
+    fallbackTextarea.addEventListener('scroll', syncPreviewToEditor);
 
     editorContainer.appendChild(fallbackTextarea);
   }
@@ -583,12 +1277,41 @@
     }
   }
 
+  function createEditorView() {
+    editorView = Editor.createEditor(editorContainer, state.source, onEditorUpdate, {
+      reviewCommands: reviewCommands,
+      onSelectionChange: function (pos) {
+        highlightPreviewBlock(pos);
+        shareSelection();
+      },
+      critic: criticHelpers,
+    });
+    Editor.setReviewer(editorView, reviewer);
+    if (foldDelimiters) Editor.setFoldDelimiters(editorView, true);
+    editorView.scrollDOM.addEventListener('scroll', syncPreviewToEditor);
+    showRemoteCursors();
+  }
+
+  // CriticMarkup helpers handed to the editor's inline decorations.
+  // documentRegions keeps its own index of the editor's text.
+  var editorRegions = Preview.createRegionIndex();
+  var criticHelpers = {
+    findReviewRegions: findReviewRegions,
+    documentRegions: function (text) { return editorRegions.regions(text); },
+    findTopLevelSeparator: findTopLevelSeparator,
+    planSuggestion: planSuggestion,
+    acceptMarkup: acceptMarkup,
+    rejectMarkup: rejectMarkup,
+    authorColor: authorColor,
+    authorInitials: authorInitials,
+  };
+
   // --- Setup editor pane (CM6 if available, textarea fallback otherwise) ---
   function setupEditorPane() {
     if (Editor) {
       removeFallbackTextarea();
       if (!editorView) {
-        editorView = Editor.createEditor(editorContainer, state.source, onEditorUpdate);
+        createEditorView();
       } else {
         Editor.syncEditorFromState(editorView, state.source);
       }
@@ -602,50 +1325,771 @@
     }
   }
 
-  // --- Input Handling ---
-  function loadContent(text, fileName) {
-    state.source = text;
-    state.fileName = fileName || 'document.md';
+  // --- Workspace ---
+  // Every open document is a state object of its own ({ source, fileName }
+  // plus its editor), shown as a tab on the file bar; `state` points at the
+  // active one. Background documents keep their CodeMirror view or fallback
+  // textarea, just hidden, so undo history, selection and suggestion mode
+  // survive switching tabs. Each document has its own autosave entry.
+  var openDocs = [];
+  var nextDocId = 1;
+  var RECENT_DOC_LIMIT = 20;
+  var DOC_SIDEBAR_KEY = 'markaround-doc-sidebar';
+  var docSidebarOpen = true;
+  try { docSidebarOpen = localStorage.getItem(DOC_SIDEBAR_KEY) !== 'closed'; } catch (e) { /* storage unavailable */ }
+
+  function findOpenDoc(fileName) {
+    return openDocs.filter(function (doc) { return doc.fileName === fileName; })[0] || null;
+  }
+
+  // "notes.md" -> "notes (2).md" while another notes.md is open
+  function uniqueFileName(fileName) {
+    var match = /^(.*?)(\.[^.]*)?$/.exec(fileName);
+    var name = fileName;
+    for (var n = 2; findOpenDoc(name); n++) name = match[1] + ' (' + n + ')' + (match[2] || '');
+    return name;
+  }
+
+  function docEditorElement(doc) {
+    return doc.editorView ? doc.editorView.dom : doc.fallbackTextarea;
+  }
+
+  // Moves the editor globals onto the active document and hides its editor
+  function stashActiveDoc() {
+    if (openDocs.indexOf(state) === -1) return;
+    state.editorView = editorView;
+    state.fallbackTextarea = fallbackTextarea;
+    state.suggestionMode = suggestionModeActive;
+    state.fallbackSelection = lastFallbackSelection;
+    state.previewScroll = previewPane.scrollTop;
+    var el = docEditorElement(state);
+    if (el) el.hidden = true;
+  }
+
+  function activateDoc(doc) {
+    if (doc !== state) stashActiveDoc();
+    state = doc;
+    editorView = doc.editorView || null;
+    fallbackTextarea = doc.fallbackTextarea || null;
+    suggestionModeActive = !!doc.suggestionMode;
+    lastFallbackSelection = doc.fallbackSelection || { start: 0, end: 0 };
+    var el = docEditorElement(doc);
+    if (el) el.hidden = false;
+
+    reviewFocusIndex = -1;
+    activeSourcePos = -1;
     dropZone.hidden = true;
     mainLayout.hidden = false;
     fileBar.hidden = false;
-    fileBarName.textContent = state.fileName;
-
-    // Check for autosave
-    var saved = Autosave.check(state.fileName);
-    if (saved && saved.source !== text) {
-      var date = new Date(saved.timestamp);
-      var when = date.toLocaleString();
-      if (confirm('Autosaved version from ' + when + ' found. Restore it?')) {
-        state.source = saved.source;
-      }
-    }
-
     setupEditorPane();
+    btnSuggestionMode.classList.toggle('active', suggestionModeActive);
+    if (!!doc.rawHtml !== md.options.html) configureMarkdown();
+    updateRawHtmlButton();
     render();
-    Autosave.start(state.fileName, function () { return state.source; });
+    previewPane.scrollTop = doc.previewScroll || 0;
     updateToolbar();
+    renderTabs();
+    renderRecentDocs();
+    if (!historyPanel.hidden) showHistoryPanel(true);
+    showRemoteCursors();
+    renderCollab();
+    showReviewOnly();
   }
 
-  function showDropZone() {
-    dropZone.hidden = false;
-    mainLayout.hidden = true;
-    fileBar.hidden = true;
-    inputArea.value = '';
-    inputArea.focus();
-    Autosave.stop();
-
-    if (editorView) {
-      editorView.destroy();
-      editorView = null;
+  function closeDoc(doc) {
+    var index = openDocs.indexOf(doc);
+    var wasActive = doc === state;
+    leaveCollab(doc);
+    if (wasActive) stashActiveDoc();
+    if (doc.editorView) doc.editorView.destroy();
+    if (doc.fallbackTextarea) doc.fallbackTextarea.remove();
+    Autosave.stop(doc.fileName);
+    openDocs.splice(index, 1);
+
+    if (!wasActive) {
+      renderTabs();
+      return;
     }
-    removeFallbackTextarea();
+    editorView = null;
+    fallbackTextarea = null;
+    suggestionModeActive = false;
+    state = { source: '', fileName: 'document.md' };
+    var next = openDocs[index] || openDocs[index - 1];
+    if (next) activateDoc(next);
+    else showDropZone();
   }
 
-  // --- Layout Modes ---
+  // Marks tabs whose file on disk is behind the editor
+  function updateTabStates() {
+    openDocs.forEach(function (doc) {
+      var tab = fileTabs.querySelector('[data-doc-id="' + doc.id + '"]');
+      if (tab) tab.classList.toggle('unsaved', !!doc.fileHandle && doc.source !== doc.diskSource);
+    });
+  }
+
+  function renderTabs() {
+    fileTabs.innerHTML = '';
+    openDocs.forEach(function (doc) {
+      var active = doc === state && !mainLayout.hidden;
+      var tab = document.createElement('div');
+      tab.className = 'file-tab' + (active ? ' active' : '');
+      tab.setAttribute('data-doc-id', doc.id);
+      var name = document.createElement('button');
+      name.className = 'file-tab-name';
+      name.setAttribute('role', 'tab');
+      name.setAttribute('aria-selected', active ? 'true' : 'false');
+      name.textContent = doc.fileName;
+      name.title = doc.fileName;
+      var close = document.createElement('button');
+      close.className = 'file-tab-close';
+      close.textContent = '\u00d7';
+      close.title = 'Close ' + doc.fileName;
+      tab.appendChild(name);
+      tab.appendChild(close);
+      fileTabs.appendChild(tab);
+    });
+    updateTabStates();
+  }
+
+  // Recently edited documents, restorable from their autosave entries
+  function renderRecentDocs() {
+    var recent = Autosave.list().slice(0, RECENT_DOC_LIMIT);
+    recentDocList.innerHTML = '';
+    recent.forEach(function (entry) {
+      var item = document.createElement('li');
+      item.className = 'recent-doc' + (findOpenDoc(entry.fileName) ? ' open' : '');
+      var open = document.createElement('button');
+      open.className = 'recent-doc-open';
+      open.setAttribute('data-recent-doc', entry.fileName);
+      open.title = 'Open ' + entry.fileName;
+      var name = document.createElement('span');
+      name.className = 'recent-doc-name';
+      name.textContent = entry.fileName;
+      var when = document.createElement('span');
+      when.className = 'recent-doc-date';
+      when.textContent = new Date(entry.timestamp).toLocaleString();
+      open.appendChild(name);
+      open.appendChild(when);
+      var forget = document.createElement('button');
+      forget.className = 'recent-doc-forget';
+      forget.setAttribute('data-forget-doc', entry.fileName);
+      forget.textContent = '\u00d7';
+      forget.title = 'Remove the saved copy of ' + entry.fileName;
+      item.appendChild(open);
+      item.appendChild(forget);
+      recentDocList.appendChild(item);
+    });
+    var hasFolder = !folderSection.hidden;
+    recentDocsHeader.hidden = !recent.length;
+    docSidebar.hidden = !docSidebarOpen || !(recent.length || hasFolder);
+    btnRecentDocs.disabled = !(recent.length || hasFolder);
+    btnRecentDocs.classList.toggle('active', !docSidebar.hidden);
+  }
+
+  function setDocSidebarOpen(open) {
+    docSidebarOpen = open;
+    try { localStorage.setItem(DOC_SIDEBAR_KEY, open ? 'open' : 'closed'); } catch (e) { /* storage unavailable */ }
+    renderRecentDocs();
+  }
+
+  function openRecentDoc(fileName) {
+    var doc = findOpenDoc(fileName);
+    if (doc) {
+      activateDoc(doc);
+      return;
+    }
+    var saved = Autosave.check(fileName);
+    if (!saved) {
+      renderRecentDocs();
+      return;
+    }
+    loadContent(saved.source, fileName);
+    reattachFile(state);
+  }
+
+  // Saving under a new name moves the document's autosave entry with it
+  function renameDoc(doc, fileName) {
+    if (doc.fileName === fileName) return;
+    Autosave.stop(doc.fileName);
+    doc.fileName = uniqueFileName(fileName);
+    Autosave.start(doc.fileName, function () { return doc.source; });
+    Autosave.save(doc.fileName, doc.source);
+    renderTabs();
+    renderRecentDocs();
+  }
+
+  fileTabs.addEventListener('click', function (e) {
+    var tab = e.target.closest('.file-tab');
+    if (!tab) return;
+    var id = Number(tab.getAttribute('data-doc-id'));
+    var doc = openDocs.filter(function (d) { return d.id === id; })[0];
+    if (!doc) return;
+    if (e.target.closest('.file-tab-close')) closeDoc(doc);
+    else activateDoc(doc);
+  });
+
+  recentDocList.addEventListener('click', function (e) {
+    var open = e.target.closest('[data-recent-doc]');
+    var forget = e.target.closest('[data-forget-doc]');
+    if (open) {
+      openRecentDoc(open.getAttribute('data-recent-doc'));
+    } else if (forget) {
+      Autosave.clear(forget.getAttribute('data-forget-doc'));
+      renderRecentDocs();
+    }
+  });
+
+  btnRecentDocs.addEventListener('click', function () { setDocSidebarOpen(docSidebar.hidden); });
+  btnDocSidebarClose.addEventListener('click', function () { setDocSidebarOpen(false); });
+
+  // Offer saved documents on the start screen too
+  renderRecentDocs();
+
+  // --- Snapshot History ---
+  // Earlier versions of each document live in IndexedDB (js/history.js):
+  // a snapshot every minute while it changes, one when it is opened, one
+  // before Accept All / Reject All and before a restore, plus named
+  // checkpoints. The History panel previews any snapshot, diffs it against
+  // the current text and restores it.
+  var SNAPSHOT_INTERVAL = 60000;
+  var SNAPSHOT_LABELS = { auto: 'Snapshot', autosave: 'Autosaved copy', restore: 'Before restore' };
+  var historyAvailable = true;
+  var historySnapshot = null;
+  var historyMode = 'preview';
+
+  // Resolves to the stored snapshot, or null if it was a duplicate or the
+  // browser has no usable IndexedDB
+  function takeSnapshot(doc, kind, label, source, timestamp) {
+    if (source === undefined) source = doc.source;
+    if (source === doc.source) doc.snapshotSource = source;
+    return MarkaroundHistory.add({
+      fileName: doc.fileName, source: source, kind: kind, label: label, timestamp: timestamp,
+    }).then(function (snapshot) {
+      if (snapshot && doc === state && !historyPanel.hidden) refreshHistory();
+      return snapshot;
+    }, function (err) {
+      if (historyAvailable) console.warn('Snapshot history unavailable:', err.message);
+      historyAvailable = false;
+      return null;
+    });
+  }
+
+  setInterval(function () {
+    openDocs.forEach(function (doc) {
+      if (doc.source && doc.source !== doc.snapshotSource) takeSnapshot(doc, 'auto');
+    });
+  }, SNAPSHOT_INTERVAL);
+
+  // Opens the panel on the active document, optionally selecting a snapshot
+  function showHistoryPanel(show, selectId, mode) {
+    historyPanel.hidden = !show;
+    btnHistory.classList.toggle('active', show);
+    historySnapshot = null;
+    historyDetail.hidden = true;
+    if (mode) setHistoryMode(mode);
+    if (show) refreshHistory(selectId);
+  }
+
+  function snapshotLabel(snapshot) {
+    return snapshot.label || SNAPSHOT_LABELS[snapshot.kind] || 'Snapshot';
+  }
+
+  function refreshHistory(selectId) {
+    historyTitle.textContent = 'History: ' + state.fileName;
+    var doc = state;
+    MarkaroundHistory.list(doc.fileName).then(function (snapshots) {
+      if (doc !== state) return;
+      if (selectId === undefined && historySnapshot) selectId = historySnapshot.id;
+      historyList.innerHTML = '';
+      if (!snapshots.length) {
+        historyList.innerHTML = '<li class="history-empty">No snapshots yet</li>';
+      }
+      snapshots.forEach(function (snapshot) {
+        var item = document.createElement('li');
+        item.className = 'history-item' + (snapshot.kind === 'checkpoint' ? ' checkpoint' : '') +
+          (snapshot.id === selectId ? ' selected' : '');
+        var open = document.createElement('button');
+        open.className = 'history-item-open';
+        open.setAttribute('data-snapshot-id', snapshot.id);
+        var label = document.createElement('span');
+        label.className = 'history-item-label';
+        label.textContent = snapshotLabel(snapshot);
+        var when = document.createElement('span');
+        when.className = 'recent-doc-date';
+        when.textContent = new Date(snapshot.timestamp).toLocaleString();
+        open.appendChild(label);
+        open.appendChild(when);
+        var remove = document.createElement('button');
+        remove.className = 'recent-doc-forget';
+        remove.setAttribute('data-delete-snapshot', snapshot.id);
+        remove.textContent = '\u00d7';
+        remove.title = 'Delete this snapshot';
+        item.appendChild(open);
+        item.appendChild(remove);
+        historyList.appendChild(item);
+        if (snapshot.id === selectId) showSnapshot(snapshot);
+      });
+    }, function () {
+      historyList.innerHTML = '<li class="history-empty">History needs IndexedDB, which this browser does not allow here</li>';
+    });
+  }
+
+  function setHistoryMode(mode) {
+    historyMode = mode;
+    historyDetail.querySelectorAll('[data-history-mode]').forEach(function (btn) {
+      btn.classList.toggle('active', btn.getAttribute('data-history-mode') === mode);
+    });
+    if (historySnapshot) showSnapshot(historySnapshot);
+  }
+
+  function showSnapshot(snapshot) {
+    historySnapshot = snapshot;
+    historyDetail.hidden = false;
+    if (historyMode === 'diff') {
+      historyView.className = 'history-view history-diff';
+      historyView.innerHTML = snapshot.source === state.source
+        ? '<p class="history-empty">Same as the current text</p>'
+        : sourceDiffHtml(snapshot.source, state.source);
+    } else {
+      historyView.className = 'history-view rendered-view';
+      setRenderedHtml(historyView, renderSourceHtml(snapshot.source).html);
+      historyView.querySelectorAll('.critic-controls').forEach(function (el) { el.remove(); });
+      Extensions.typeset(historyView);
+    }
+  }
+
+  // Raw source diff (markup included) with removed and added text marked
+  function sourceDiffHtml(before, after) {
+    before = before.replace(/\r\n?/g, '\n');
+    after = after.replace(/\r\n?/g, '\n');
+    var html = '';
+    var pos = 0;
+    MarkaroundDiff.changes(before, after).forEach(function (change) {
+      html += escapeHtml(before.substring(pos, change.from));
+      if (change.to > change.from) html += '<del>' + escapeHtml(before.substring(change.from, change.to)) + '</del>';
+      if (change.newTo > change.newFrom) html += '<ins>' + escapeHtml(after.substring(change.newFrom, change.newTo)) + '</ins>';
+      pos = change.to;
+    });
+    return html + escapeHtml(before.substring(pos));
+  }
+
+  function restoreSnapshot(snapshot) {
+    takeSnapshot(state, 'restore');
+    state.source = snapshot.source;
+    render();
+    syncEditorIfNeeded();
+    Autosave.markDirty(state.fileName);
+    showSnapshot(snapshot);
+  }
+
+  btnHistory.addEventListener('click', function () { showHistoryPanel(historyPanel.hidden); });
+  btnHistoryClose.addEventListener('click', function () { showHistoryPanel(false); });
+
+  btnCheckpoint.addEventListener('click', function () {
+    var name = prompt('Checkpoint name:', 'Checkpoint ' + new Date().toLocaleString());
+    if (name === null) return;
+    takeSnapshot(state, 'checkpoint', name.trim() || 'Checkpoint').then(function (snapshot) {
+      if (!snapshot) alert('Could not save the checkpoint: this browser does not allow IndexedDB here.');
+    });
+  });
+
+  btnHistoryRestore.addEventListener('click', function () {
+    if (historySnapshot) restoreSnapshot(historySnapshot);
+  });
+
+  historyDetail.addEventListener('click', function (e) {
+    var modeBtn = e.target.closest('[data-history-mode]');
+    if (modeBtn) setHistoryMode(modeBtn.getAttribute('data-history-mode'));
+  });
+
+  historyList.addEventListener('click', function (e) {
+    var open = e.target.closest('[data-snapshot-id]');
+    var remove = e.target.closest('[data-delete-snapshot]');
+    if (open) {
+      refreshHistory(Number(open.getAttribute('data-snapshot-id')));
+    } else if (remove) {
+      var id = Number(remove.getAttribute('data-delete-snapshot'));
+      MarkaroundHistory.remove(id).then(function () {
+        if (historySnapshot && historySnapshot.id === id) {
+          historySnapshot = null;
+          historyDetail.hidden = true;
+        }
+        refreshHistory();
+      });
+    }
+  });
+
+  // --- Live Collaboration ---
+  // A document shared in a room (js/collab.js) takes in everyone's edits
+  // and selections as they happen. Rooms link the tabs of this browser, or
+  // browsers anywhere through a WebSocket relay (server/collab-relay.js).
+  // The session belongs to the document (doc.collab) and keeps running
+  // while its tab is in the background.
+  var COLLAB_RELAY_KEY = 'markaround-collab-relay';
+  var COLLAB_STATUS = {
+    connecting: 'Connecting…',
+    joining: 'Joining…',
+    live: 'Live',
+    closed: 'Disconnected. Leave and join again to reconnect.',
+  };
+
+  try { collabRelay.value = localStorage.getItem(COLLAB_RELAY_KEY) || ''; } catch (e) { /* storage unavailable */ }
+
+  // Remote edits wait while an input method is composing
+  function editorBusy() {
+    return fallbackComposing || !!(editorView && Editor && Editor.isComposing(editorView));
+  }
+
+  // Sends a local edit of the active document to its room. changes are the
+  // exact edits when the editor knows them; otherwise they are worked out.
+  function shareEdit(changes) {
+    if (state.collab) state.collab.update(state.source, changes);
+  }
+
+  function shareSelection() {
+    if (!state.collab) return;
+    if (editorView && Editor) {
+      var selection = Editor.getSelection(editorView);
+      state.collab.setSelection(selection.anchor, selection.head);
+    } else if (fallbackTextarea) {
+      var backward = fallbackTextarea.selectionDirection === 'backward';
+      state.collab.setSelection(
+        backward ? fallbackTextarea.selectionEnd : fallbackTextarea.selectionStart,
+        backward ? fallbackTextarea.selectionStart : fallbackTextarea.selectionEnd
+      );
+    }
+  }
+
+  function mapThroughChange(pos, change) {
+    if (pos <= change.from) return pos;
+    if (pos >= change.to) return pos + change.insert.length - (change.to - change.from);
+    return change.from + change.insert.length;
+  }
+
+  // Remote edits bypass suggestion mode: they are markup already
+  function applyRemoteEdit(doc, changes, text) {
+    if (doc !== state) {
+      // The editor catches up when the tab is shown again
+      doc.source = text;
+      Autosave.markDirty(doc.fileName);
+      return;
+    }
+    if (editorView && Editor) {
+      Editor.applyRemoteChanges(editorView, changes); // onEditorUpdate takes it from here
+      return;
+    }
+    if (fallbackTextarea) {
+      var start = fallbackTextarea.selectionStart;
+      var end = fallbackTextarea.selectionEnd;
+      changes.forEach(function (change) {
+        start = mapThroughChange(start, change);
+        end = mapThroughChange(end, change);
+      });
+      fallbackTextarea.value = text;
+      fallbackTextarea.setSelectionRange(start, end);
+    }
+    state.source = text;
+    Autosave.markDirty(state.fileName);
+    debouncedRender();
+  }
+
+  function showRemoteCursors() {
+    if (!(editorView && Editor)) return;
+    var peers = state.collab ? state.collabPeers : [];
+    Editor.setRemoteCursors(editorView, peers.filter(function (peer) { return peer.head !== null; }).map(function (peer) {
+      var name = peer.name || 'Anonymous';
+      return { anchor: peer.anchor, head: peer.head, name: authorDisplayName(name), color: authorColor(name) };
+    }));
+  }
+
+  function renderCollab() {
+    var live = !!state.collab;
+    var peers = live ? state.collabPeers : [];
+    btnCollab.classList.toggle('active', live);
+    collabPeers.innerHTML = peers.map(function (peer) { return authorBadge(peer.name || 'Anonymous'); }).join('');
+    collabRoom.disabled = live;
+    collabRelay.disabled = live;
+    btnCollabJoin.hidden = live;
+    btnCollabLeave.hidden = !live;
+    if (live) collabRoom.value = state.collabRoom;
+    else if (collabMenu.hidden) collabRoom.value = state.fileName.replace(/\.(md|markdown|txt)$/i, '');
+
+    if (!live) {
+      collabStatus.textContent = 'Everyone who joins the same room edits this document together.';
+    } else if (state.collabStatus !== 'live') {
+      collabStatus.textContent = COLLAB_STATUS[state.collabStatus];
+    } else {
+      collabStatus.textContent = COLLAB_STATUS.live + ' · ' + (peers.length
+        ? peers.map(function (peer) { return authorDisplayName(peer.name || 'Anonymous'); }).join(', ')
+        : 'nobody else here yet');
+    }
+  }
+
+  function joinCollab() {
+    var room = collabRoom.value.trim();
+    if (!room) return;
+    var relay = collabRelay.value.trim();
+    try {
+      if (relay) localStorage.setItem(COLLAB_RELAY_KEY, relay);
+      else localStorage.removeItem(COLLAB_RELAY_KEY);
+    } catch (e) { /* storage unavailable */ }
+
+    var transport;
+    try {
+      transport = relay ? MarkaroundCollab.websocketTransport(relay, room) : MarkaroundCollab.broadcastTransport(room);
+    } catch (e) {
+      alert('Could not join the room: ' + e.message);
+      return;
+    }
+    var doc = state;
+    // A room that is already open replaces this copy of the document
+    takeSnapshot(doc, 'bulk', 'Before joining ' + room);
+    doc.collabRoom = room;
+    doc.collabStatus = 'connecting';
+    doc.collabPeers = [];
+    doc.collab = MarkaroundCollab.join({
+      transport: transport,
+      text: doc.source,
+      name: reviewer,
+      isBusy: function () { return doc === state && editorBusy(); },
+      onChange: function (changes, text) { applyRemoteEdit(doc, changes, text); },
+      onPeers: function (peers) {
+        doc.collabPeers = peers;
+        if (doc !== state) return;
+        showRemoteCursors();
+        renderCollab();
+      },
+      onStatus: function (status) {
+        doc.collabStatus = status;
+        if (doc === state) renderCollab();
+      },
+    });
+    shareSelection();
+    renderCollab();
+  }
+
+  function leaveCollab(doc) {
+    if (!doc.collab) return;
+    doc.collab.leave();
+    doc.collab = null;
+    doc.collabPeers = [];
+    if (doc !== state) return;
+    showRemoteCursors();
+    renderCollab();
+  }
+
+  function setCollabMenuOpen(open) {
+    if (open) renderCollab();
+    collabMenu.hidden = !open;
+    btnCollab.setAttribute('aria-expanded', open ? 'true' : 'false');
+    if (open && !state.collab) collabRoom.focus();
+  }
+
+  btnCollab.addEventListener('click', function () { setCollabMenuOpen(collabMenu.hidden); });
+  btnCollabJoin.addEventListener('click', joinCollab);
+  btnCollabLeave.addEventListener('click', function () { leaveCollab(state); });
+
+  collabMenu.addEventListener('keydown', function (e) {
+    if (e.key === 'Enter' && !state.collab) joinCollab();
+    if (e.key === 'Escape') setCollabMenuOpen(false);
+  });
+
+  document.addEventListener('click', function (e) {
+    if (!collabMenu.hidden && !e.target.closest('.collab-control')) setCollabMenuOpen(false);
+  });
+
+  window.addEventListener('pagehide', function () {
+    openDocs.forEach(leaveCollab);
+  });
+
+  // --- Share Links ---
+  // A share link carries the document itself in its URL fragment (see
+  // js/share.js), so nothing is uploaded. Opening one loads the document in
+  // a new tab. Review-only links open in the preview with editing,
+  // accept/reject and comment actions turned off until the reader picks
+  // Make Editable.
+  // Longer links get cut off by some browsers, chat apps and mail clients
+  var SHARE_URL_LIMIT = 32000;
+  var SHARE_LAYOUTS = { 'both': true, 'editor-only': true, 'preview-only': true };
+  var shareButtonLabel = btnShare.innerHTML;
+  var shareFeedbackTimer = null;
+
+  function setShareMenuOpen(open) {
+    shareMenu.hidden = !open;
+    btnShare.setAttribute('aria-expanded', open ? 'true' : 'false');
+  }
+
+  function showShareFeedback(text) {
+    clearTimeout(shareFeedbackTimer);
+    btnShare.textContent = text;
+    shareFeedbackTimer = setTimeout(function () { btnShare.innerHTML = shareButtonLabel; }, 2000);
+  }
+
+  function copyLink(url, done) {
+    function manualCopy() { prompt('Copy this link:', url); }
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(function () { showShareFeedback(done); }, manualCopy);
+    } else {
+      manualCopy();
+    }
+  }
+
+  function copyShareLink(review) {
+    var doc = state;
+    MarkaroundShare.encode({
+      name: doc.fileName,
+      layout: review ? 'preview-only' : currentLayout,
+      review: review,
+      source: doc.source,
+    }).then(function (fragment) {
+      var url = location.href.split('#')[0] + fragment;
+      if (url.length > SHARE_URL_LIMIT) {
+        alert(doc.fileName + ' is too large to share as a link: even compressed, the link would be '
+          + Math.ceil(url.length / 1000) + ' KB, and links over ' + SHARE_URL_LIMIT / 1000
+          + ' KB get cut off along the way. Send the file instead (Download → Markdown with changes).');
+        return;
+      }
+      copyLink(url, review ? 'Review link copied' : 'Link copied');
+    }, function (err) {
+      alert('Could not create a share link: ' + err.message);
+    });
+  }
+
+  function showReviewOnly() {
+    var locked = !!state.reviewOnly;
+    if (locked && currentLayout !== 'preview-only') setLayout('preview-only');
+    mainLayout.classList.toggle('review-only', locked);
+    btnLayoutBoth.disabled = locked;
+    btnLayoutEditor.disabled = locked;
+    btnMakeEditable.hidden = !locked;
+    updateToolbar();
+  }
+
+  // Opens the document in a #share= fragment, then drops the fragment from
+  // the address bar: from here on the document lives in its tab
+  function openShareLink() {
+    var hash = location.hash;
+    if (!MarkaroundShare.isShareFragment(hash)) return;
+    try {
+      history.replaceState(null, '', location.href.split('#')[0]);
+    } catch (e) { /* some file:// pages refuse; the fragment just stays */ }
+    MarkaroundShare.decode(hash).then(function (shared) {
+      loadContent(shared.source, shared.name || 'shared.md');
+      state.reviewOnly = !!shared.review;
+      if (!shared.review && SHARE_LAYOUTS[shared.layout]) setLayout(shared.layout);
+      showReviewOnly();
+    }, function (err) {
+      alert('This share link could not be opened (' + err.message + '). It may have been cut short; ask for it again or for the file itself.');
+    });
+  }
+
+  btnShare.addEventListener('click', function () {
+    setShareMenuOpen(shareMenu.hidden);
+  });
+
+  shareMenu.addEventListener('click', function (e) {
+    var item = e.target.closest('[data-share]');
+    if (!item) return;
+    setShareMenuOpen(false);
+    copyShareLink(item.getAttribute('data-share') === 'review');
+  });
+
+  document.addEventListener('click', function (e) {
+    if (!shareMenu.hidden && !e.target.closest('.share-menu')) setShareMenuOpen(false);
+  });
+
+  btnMakeEditable.addEventListener('click', function () {
+    state.reviewOnly = false;
+    showReviewOnly();
+  });
+
+  window.addEventListener('hashchange', openShareLink);
+  openShareLink();
+
+  // --- Input Handling ---
+  // Opens the text in a new tab. The same file with the same text just
+  // switches to its tab; a different file of the same name gets a numbered one.
+  function loadContent(text, fileName) {
+    fileName = fileName || 'document.md';
+    var existing = findOpenDoc(fileName);
+    if (existing && existing.source === text) {
+      activateDoc(existing);
+      return;
+    }
+    var doc = { id: nextDocId++, source: text, fileName: existing ? uniqueFileName(fileName) : fileName, rawHtml: false };
+
+    var saved = Autosave.check(doc.fileName);
+    openDocs.push(doc);
+    Autosave.start(doc.fileName, function () { return doc.source; });
+    Autosave.save(doc.fileName, doc.source);
+    activateDoc(doc);
+    takeSnapshot(doc, 'auto');
+
+    // A different autosaved copy goes into the history, which opens on its
+    // diff against the text just loaded. Without IndexedDB, offer it directly.
+    if (saved && saved.source !== text) {
+      takeSnapshot(doc, 'autosave', '', saved.source, saved.timestamp).then(function (snapshot) {
+        if (snapshot) {
+          if (doc === state) showHistoryPanel(true, snapshot.id, 'diff');
+        } else if (confirm('Autosaved version from ' + new Date(saved.timestamp).toLocaleString() + ' found. Restore it?')) {
+          doc.source = saved.source;
+          if (doc === state) {
+            render();
+            syncEditorIfNeeded();
+          }
+          Autosave.markDirty(doc.fileName);
+        }
+      });
+    }
+  }
+
+  // Markdown files are read as text; Word files are converted to CriticMarkup
+  // first (js/docx-import.js), keeping tracked changes and comments. Calls
+  // back with the text and a .md file name.
+  function readDocumentFile(file, callback) {
+    var reader = new FileReader();
+    if (/\.docx$/i.test(file.name)) {
+      reader.onload = function () {
+        MarkaroundDocxImport.convert(reader.result, {
+          normalizeAuthor: normalizeAuthor,
+          formatComment: formatComment,
+          newThreadId: newThreadId,
+        }).then(function (text) {
+          callback(text, file.name.replace(/\.docx$/i, '.md'));
+        }, function (err) {
+          alert('Could not import ' + file.name + ': ' + err.message);
+        });
+      };
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.onload = function () { callback(reader.result, file.name); };
+      reader.readAsText(file);
+    }
+  }
+
+  function loadFile(file) {
+    readDocumentFile(file, loadContent);
+  }
+
+  // Shows the start screen for opening another document; open documents
+  // stay in their tabs
+  function showDropZone() {
+    dropZone.hidden = false;
+    mainLayout.hidden = true;
+    fileBar.hidden = !openDocs.length;
+    showComparePanel(false);
+    showMergePanel(false);
+    inputArea.value = '';
+    inputArea.focus();
+    renderTabs();
+    renderRecentDocs();
+  }
+
+  // --- Layout Modes ---
   function setLayout(mode) {
     currentLayout = mode;
     mainLayout.className = 'main-layout layout-' + mode;
+    mainLayout.classList.toggle('review-only', !!state.reviewOnly);
 
     btnLayoutBoth.classList.toggle('active', mode === 'both');
     btnLayoutEditor.classList.toggle('active', mode === 'editor-only');
@@ -685,23 +2129,128 @@
     btnSuggestionMode.classList.toggle('active', suggestionModeActive);
   });
 
+  // --- Fold Delimiters Toggle (CodeMirror only) ---
+  var FOLD_KEY = 'markaround-fold-delimiters';
+  var foldDelimiters = false;
+  try { foldDelimiters = localStorage.getItem(FOLD_KEY) === '1'; } catch (e) { /* storage unavailable */ }
+
+  function updateFoldButton() {
+    btnFoldMarkup.hidden = !editorView;
+    btnFoldMarkup.classList.toggle('active', foldDelimiters);
+    btnFoldMarkup.textContent = foldDelimiters ? 'Show Delimiters' : 'Fold Delimiters';
+  }
+
+  btnFoldMarkup.addEventListener('click', function () {
+    foldDelimiters = !foldDelimiters;
+    try { localStorage.setItem(FOLD_KEY, foldDelimiters ? '1' : '0'); } catch (e) { /* storage unavailable */ }
+    if (editorView && Editor) Editor.setFoldDelimiters(editorView, foldDelimiters);
+    updateFoldButton();
+  });
+
+  // --- Raw HTML Button ---
+  // Raw HTML is off unless turned on for the document: <details>, <kbd>,
+  // sized images and the like then render, cleaned by js/sanitize.js. The
+  // choice belongs to the open document (its tab), not its file name, so a
+  // share link, paste or collaboration room that happens to use the same
+  // name starts with it off.
+  function updateRawHtmlButton() {
+    btnRawHtml.classList.toggle('active', !!state.rawHtml);
+    btnRawHtml.setAttribute('aria-pressed', state.rawHtml ? 'true' : 'false');
+  }
+
+  btnRawHtml.addEventListener('click', function () {
+    state.rawHtml = !state.rawHtml;
+    configureMarkdown();
+    updateRawHtmlButton();
+    render();
+  });
+
+  // --- Markdown Extensions Menu ---
+  // Turning an extension on or off rebuilds the preview's markdown-it, on
+  // the page and in the render worker, and renders again
+  function renderExtensionsMenu() {
+    var enabled = enabledExtensions();
+    extensionsMenu.innerHTML = Extensions.list().map(function (extension) {
+      return '<label class="extension-option"><input type="checkbox" data-extension="' + escapeHtml(extension.id) + '"'
+        + (enabled.indexOf(extension.id) !== -1 ? ' checked' : '') + '>'
+        + '<span class="extension-name">' + escapeHtml(extension.name) + '</span>'
+        + '<span class="extension-description">' + escapeHtml(extension.description) + '</span></label>';
+    }).join('');
+  }
+
+  function setExtensionsMenuOpen(open) {
+    if (open) renderExtensionsMenu();
+    extensionsMenu.hidden = !open;
+    btnExtensions.setAttribute('aria-expanded', open ? 'true' : 'false');
+  }
+
+  function setExtensionEnabled(id, enabled) {
+    extensionChoices[id] = enabled;
+    try { localStorage.setItem(EXTENSIONS_KEY, JSON.stringify(extensionChoices)); } catch (e) { /* storage unavailable */ }
+    configureMarkdown();
+    render();
+  }
+
+  btnExtensions.addEventListener('click', function () {
+    setExtensionsMenuOpen(extensionsMenu.hidden);
+  });
+
+  extensionsMenu.addEventListener('change', function (e) {
+    var id = e.target.getAttribute('data-extension');
+    if (id) setExtensionEnabled(id, e.target.checked);
+  });
+
+  document.addEventListener('click', function (e) {
+    if (!extensionsMenu.hidden && !e.target.closest('.extensions-menu')) setExtensionsMenuOpen(false);
+  });
+
+  // --- Reviewer Button ---
+  function updateReviewerButton() {
+    if (reviewer) {
+      btnReviewer.innerHTML = '<span class="comment-avatar" style="background:' + authorColor(reviewer) + '">'
+        + escapeHtml(authorInitials(reviewer)) + '</span>' + escapeHtml(authorDisplayName(reviewer));
+      btnReviewer.title = 'Suggestions and comments are attributed to ' + authorDisplayName(reviewer);
+    } else {
+      btnReviewer.textContent = 'Set Reviewer';
+      btnReviewer.title = 'Set your reviewer name for attribution';
+    }
+  }
+
+  btnReviewer.addEventListener('click', function () {
+    var name = prompt('Reviewer name (leave empty for anonymous suggestions):', authorDisplayName(reviewer));
+    if (name === null) return;
+    reviewer = normalizeAuthor(name);
+    try {
+      if (reviewer) localStorage.setItem(REVIEWER_KEY, reviewer);
+      else localStorage.removeItem(REVIEWER_KEY);
+    } catch (e) { /* storage unavailable */ }
+    if (editorView && Editor) Editor.setReviewer(editorView, reviewer);
+    openDocs.forEach(function (doc) {
+      if (doc.collab) doc.collab.setName(reviewer);
+    });
+    updateReviewerButton();
+  });
+  updateReviewerButton();
+
   // --- Comment Button ---
   btnAddComment.addEventListener('click', function () {
     if (editorView && Editor) {
       Editor.addComment(editorView);
     } else if (fallbackTextarea) {
-      // Fallback: insert comment after selection (use saved selection since click stole focus)
+      // Fallback: annotate the selection (use saved selection since click stole focus)
       var selStart = lastFallbackSelection.start;
       var selEnd = lastFallbackSelection.end;
       if (selStart === selEnd) return;
       var commentText = prompt('Enter comment:');
       if (commentText === null) return;
       var val = fallbackTextarea.value;
-      var insertion = '{>>' + commentText + '<<}';
-      fallbackTextarea.value = val.substring(0, selEnd) + insertion + val.substring(selEnd);
-      fallbackTextarea.selectionStart = fallbackTextarea.selectionEnd = selEnd + insertion.length;
+      var insertion = '{==' + val.substring(selStart, selEnd) + '==}'
+        + '{>>' + (reviewer ? formatCommentMeta(reviewer, commentText) : commentText) + '<<}';
+      fallbackTextarea.value = val.substring(0, selStart) + insertion + val.substring(selEnd);
+      fallbackTextarea.selectionStart = fallbackTextarea.selectionEnd = selStart + insertion.length;
       state.source = fallbackTextarea.value;
-      Autosave.markDirty();
+      Autosave.markDirty(state.fileName);
+      shareEdit();
       fallbackTextarea.focus();
       render();
     }
@@ -736,11 +2285,7 @@
     e.preventDefault();
     dropZone.classList.remove('dragover');
     var file = e.dataTransfer.files[0];
-    if (file) {
-      var reader = new FileReader();
-      reader.onload = function () { loadContent(reader.result, file.name); };
-      reader.readAsText(file);
-    }
+    if (file) loadFile(file);
   });
 
   // Drop on main layout when content is loaded
@@ -748,11 +2293,7 @@
   mainLayout.addEventListener('drop', function (e) {
     e.preventDefault();
     var file = e.dataTransfer.files[0];
-    if (file) {
-      var reader = new FileReader();
-      reader.onload = function () { loadContent(reader.result, file.name); };
-      reader.readAsText(file);
-    }
+    if (file) loadFile(file);
   });
 
   // --- Textarea Input ---
@@ -774,13 +2315,16 @@
   });
 
   // --- File Picker ---
-  function openFilePicker() { filePicker.click(); }
+  // Picks files through the File System Access API when the browser has it
+  // (see Files on Disk), otherwise through the hidden file input
+  function openFilePicker() {
+    if (MarkaroundFiles.supported) openFilesOnDisk();
+    else filePicker.click();
+  }
   function handleFileSelect() {
     var file = filePicker.files[0];
     if (file) {
-      var reader = new FileReader();
-      reader.onload = function () { loadContent(reader.result, file.name); };
-      reader.readAsText(file);
+      loadFile(file);
       filePicker.value = '';
     }
   }
@@ -795,19 +2339,538 @@
 
   btnPasteNew.addEventListener('click', showDropZone);
 
+  // --- Files on Disk ---
+  // With the File System Access API (js/files.js) a document opened from
+  // disk keeps a handle to its file: Save writes back in place, Save As picks
+  // a new file, and the file is checked for outside changes while it is the
+  // active tab. doc.diskSource is the text last read from or written to the
+  // file. Without the API, Save falls back to downloading the Markdown.
+  var DISK_CHECK_INTERVAL = 5000;
+  var openFolderHandle = null;
+  var folderFiles = [];
+  var checkingDisk = false;
+
+  function reportFileError(err) {
+    if (err && err.name === 'AbortError') return; // picker cancelled
+    alert('File error: ' + (err && err.message ? err.message : err));
+  }
+
+  function attachFile(doc, handle, text, lastModified) {
+    doc.fileHandle = handle;
+    doc.diskSource = text;
+    doc.diskModified = lastModified;
+    MarkaroundFiles.remember('file:' + doc.fileName, handle).catch(function () { /* not storable here */ });
+    updateToolbar();
+  }
+
+  function openFileHandle(handle) {
+    return MarkaroundFiles.ensurePermission(handle, false).then(function (granted) {
+      if (!granted) return;
+      return handle.getFile().then(function (file) {
+        readDocumentFile(file, function (text, name) {
+          loadContent(text, name);
+          // Word files open as new Markdown documents, so only Markdown is saved in place
+          if (!/\.docx$/i.test(file.name)) attachFile(state, handle, text, file.lastModified);
+        });
+      });
+    }).catch(reportFileError);
+  }
+
+  function openFilesOnDisk() {
+    MarkaroundFiles.pickFiles().then(function (handles) {
+      handles.forEach(openFileHandle);
+    }, reportFileError);
+  }
+
+  // A document reopened from its autosave gets its file back if the handle
+  // was remembered and access is granted again
+  function reattachFile(doc) {
+    if (!MarkaroundFiles.supported || doc.fileHandle) return;
+    MarkaroundFiles.recall('file:' + doc.fileName).then(function (handle) {
+      if (!handle) return;
+      return MarkaroundFiles.ensurePermission(handle, false).then(function (granted) {
+        if (!granted) return;
+        return handle.getFile().then(function (file) {
+          return file.text().then(function (text) { attachFile(doc, handle, text, file.lastModified); });
+        });
+      });
+    }).catch(function () { /* file moved or access refused: the document stays unattached */ });
+  }
+
+  function saveDoc(doc) {
+    if (!doc.fileHandle) {
+      saveDocAs(doc);
+      return;
+    }
+    var text = doc.source;
+    MarkaroundFiles.write(doc.fileHandle, text).then(function (lastModified) {
+      doc.diskSource = text;
+      doc.diskModified = lastModified;
+      updateToolbar();
+    }, reportFileError);
+  }
+
+  function saveDocAs(doc) {
+    if (!MarkaroundFiles.supported) {
+      exportDocument('markdown');
+      return;
+    }
+    MarkaroundFiles.pickSaveFile(doc.fileName).then(function (handle) {
+      var text = doc.source;
+      return MarkaroundFiles.write(handle, text).then(function (lastModified) {
+        renameDoc(doc, handle.name);
+        attachFile(doc, handle, text, lastModified);
+      });
+    }).catch(reportFileError);
+  }
+
+  // Offers to reload the active document when its file changed elsewhere.
+  // The text being replaced is kept as a snapshot in History.
+  function checkDiskChanges() {
+    var doc = state;
+    if (!doc.fileHandle || checkingDisk || mainLayout.hidden) return;
+    checkingDisk = true;
+    MarkaroundFiles.hasPermission(doc.fileHandle, false).then(function (granted) {
+      if (!granted) return;
+      return doc.fileHandle.getFile().then(function (file) {
+        if (file.lastModified <= doc.diskModified) return;
+        return file.text().then(function (text) {
+          doc.diskModified = file.lastModified;
+          if (text === doc.diskSource) return;
+          var unsaved = doc.source !== doc.diskSource;
+          doc.diskSource = text;
+          if (text !== doc.source && confirm(doc.fileName + ' changed on disk. Reload it?' +
+              (unsaved ? ' Your unsaved edits will be kept in History.' : ''))) {
+            takeSnapshot(doc, 'restore', 'Before reload from disk');
+            doc.source = text;
+            if (doc === state) {
+              render();
+              syncEditorIfNeeded();
+            }
+            Autosave.markDirty(doc.fileName);
+          }
+          updateToolbar();
+        });
+      });
+    }).catch(function () { /* file moved or deleted; checked again later */ }).then(function () {
+      checkingDisk = false;
+    });
+  }
+
+  function showFolder(handle) {
+    openFolderHandle = handle;
+    folderSection.hidden = !handle;
+    folderFiles = [];
+    folderFileList.innerHTML = '';
+    if (!handle) {
+      renderRecentDocs();
+      return;
+    }
+    folderName.textContent = handle.name;
+    folderName.title = handle.name;
+    MarkaroundFiles.hasPermission(handle, false).then(function (granted) {
+      // Access to a remembered folder has to be granted again with a click
+      btnReconnectFolder.hidden = granted;
+      if (granted) return MarkaroundFiles.listFolder(handle).then(renderFolderFiles);
+    }).catch(reportFileError).then(renderRecentDocs);
+  }
+
+  function renderFolderFiles(files) {
+    folderFiles = files;
+    folderFileList.innerHTML = '';
+    if (!files.length) {
+      folderFileList.innerHTML = '<li class="doc-sidebar-empty">No Markdown or Word files</li>';
+    }
+    files.forEach(function (entry, i) {
+      var item = document.createElement('li');
+      item.className = 'recent-doc';
+      var open = document.createElement('button');
+      open.className = 'recent-doc-open';
+      open.setAttribute('data-folder-file', i);
+      open.title = 'Open ' + entry.path;
+      var name = document.createElement('span');
+      name.className = 'recent-doc-name';
+      name.textContent = entry.path;
+      open.appendChild(name);
+      item.appendChild(open);
+      folderFileList.appendChild(item);
+    });
+  }
+
+  function openFolder() {
+    MarkaroundFiles.pickFolder().then(function (handle) {
+      MarkaroundFiles.remember('folder', handle).catch(function () { /* not storable here */ });
+      setDocSidebarOpen(true);
+      showFolder(handle);
+    }, reportFileError);
+  }
+
+  btnSave.addEventListener('click', function () { saveDoc(state); });
+  btnSaveAs.addEventListener('click', function () { saveDocAs(state); });
+  btnLoadFolder.addEventListener('click', openFolder);
+  btnOpenFolder.addEventListener('click', openFolder);
+
+  btnCloseFolder.addEventListener('click', function () {
+    MarkaroundFiles.forget('folder').catch(function () { /* nothing stored */ });
+    showFolder(null);
+  });
+
+  btnReconnectFolder.addEventListener('click', function () {
+    MarkaroundFiles.ensurePermission(openFolderHandle, false).then(function (granted) {
+      if (granted) showFolder(openFolderHandle);
+    }, reportFileError);
+  });
+
+  folderFileList.addEventListener('click', function (e) {
+    var open = e.target.closest('[data-folder-file]');
+    if (open) openFileHandle(folderFiles[Number(open.getAttribute('data-folder-file'))].handle);
+  });
+
+  document.addEventListener('keydown', function (e) {
+    if (mainLayout.hidden || !(e.metaKey || e.ctrlKey) || e.altKey || e.key.toLowerCase() !== 's') return;
+    e.preventDefault();
+    if (e.shiftKey) saveDocAs(state);
+    else saveDoc(state);
+  });
+
+  if (MarkaroundFiles.supported) {
+    btnLoadFolder.hidden = false;
+    btnOpenFolder.hidden = false;
+    btnSaveAs.hidden = false;
+    window.addEventListener('focus', checkDiskChanges);
+    setInterval(checkDiskChanges, DISK_CHECK_INTERVAL);
+    MarkaroundFiles.recall('folder').then(function (handle) {
+      if (handle) showFolder(handle);
+    }).catch(function () { /* no folder remembered */ });
+  } else {
+    btnSave.title = 'Download the Markdown (Ctrl+S)';
+  }
+
+  // --- Compare Versions ---
+  // Two versions (pasted, picked or dropped on either side) are diffed by
+  // js/diff.js into one CriticMarkup document for the normal review flow.
+  var compareSides = {
+    original: { textarea: document.getElementById('compareOriginal'), fileName: null },
+    revised: { textarea: document.getElementById('compareRevised'), fileName: null },
+  };
+  var comparePickTarget = null;
+
+  function showComparePanel(show) {
+    comparePanel.hidden = !show;
+    dropZonePrompt.hidden = show;
+    if (show) compareSides.original.textarea.focus();
+  }
+
+  function setCompareSide(name, text, fileName) {
+    compareSides[name].textarea.value = text;
+    compareSides[name].fileName = fileName;
+    updateCompareSide(name);
+  }
+
+  function updateCompareSide(name) {
+    var fileName = compareSides[name].fileName;
+    comparePanel.querySelector('[data-compare-side="' + name + '"] .compare-side-name').textContent =
+      (name === 'original' ? 'Original' : 'Revised') + (fileName ? ': ' + fileName : '');
+    btnCompareRun.disabled = !(compareSides.original.textarea.value || compareSides.revised.textarea.value);
+  }
+
+  function readCompareFile(name, file) {
+    var reader = new FileReader();
+    reader.onload = function () { setCompareSide(name, reader.result, file.name); };
+    reader.readAsText(file);
+  }
+
+  function runCompare() {
+    var redline = MarkaroundDiff.compare(compareSides.original.textarea.value, compareSides.revised.textarea.value);
+    loadContent(redline, compareSides.revised.fileName || compareSides.original.fileName || 'comparison.md');
+  }
+
+  btnCompare.addEventListener('click', function () { showComparePanel(true); });
+  btnCompareBack.addEventListener('click', function () { showComparePanel(false); });
+  btnCompareRun.addEventListener('click', runCompare);
+
+  comparePanel.addEventListener('click', function (e) {
+    var pick = e.target.closest('[data-compare-pick]');
+    if (!pick) return;
+    comparePickTarget = pick.getAttribute('data-compare-pick');
+    compareFilePicker.click();
+  });
+
+  compareFilePicker.addEventListener('change', function () {
+    var file = compareFilePicker.files[0];
+    if (file && comparePickTarget) readCompareFile(comparePickTarget, file);
+    compareFilePicker.value = '';
+  });
+
+  Object.keys(compareSides).forEach(function (name) {
+    var textarea = compareSides[name].textarea;
+    var column = textarea.closest('.compare-side');
+    textarea.addEventListener('input', function () {
+      compareSides[name].fileName = null;
+      updateCompareSide(name);
+    });
+    // Dropping on a side fills that side instead of opening the file
+    column.addEventListener('dragover', function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      column.classList.add('dragover');
+    });
+    column.addEventListener('dragleave', function (e) {
+      if (!column.contains(e.relatedTarget)) column.classList.remove('dragover');
+    });
+    column.addEventListener('drop', function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      column.classList.remove('dragover');
+      var file = e.dataTransfer.files[0];
+      if (file) readCompareFile(name, file);
+    });
+  });
+
+  // --- Merge Reviews ---
+  // A base document and each reviewer's copy of it are combined by
+  // js/merge.js. Overlapping suggestions are laid out side by side and the
+  // user picks one of each before the merged document opens for review.
+  var mergeDocs = { base: null, copies: [] };
+  var mergePickTarget = null;
+  var pendingMerge = null;
+
+  function showMergePanel(show) {
+    mergePanel.hidden = !show;
+    dropZonePrompt.hidden = show;
+    if (!show) {
+      mergeDocs = { base: null, copies: [] };
+      showMergeConflicts(null);
+    }
+  }
+
+  function updateMergeFiles() {
+    function fillList(list, docs, role) {
+      list.innerHTML = '';
+      docs.forEach(function (doc, i) {
+        var item = document.createElement('li');
+        var name = document.createElement('span');
+        name.textContent = doc.name;
+        var remove = document.createElement('button');
+        remove.className = 'merge-file-remove';
+        remove.textContent = '\u00d7';
+        remove.title = 'Remove ' + doc.name;
+        remove.setAttribute('data-merge-remove', role === 'base' ? 'base' : String(i));
+        item.appendChild(name);
+        item.appendChild(remove);
+        list.appendChild(item);
+      });
+    }
+    fillList(document.getElementById('mergeBaseList'), mergeDocs.base ? [mergeDocs.base] : [], 'base');
+    fillList(document.getElementById('mergeCopyList'), mergeDocs.copies, 'copies');
+    btnMergeRun.disabled = !(mergeDocs.base && mergeDocs.copies.length);
+  }
+
+  function addMergeFiles(role, files) {
+    Array.prototype.forEach.call(role === 'base' ? [files[0]] : files, function (file) {
+      readDocumentFile(file, function (text, name) {
+        if (role === 'base') mergeDocs.base = { name: name, text: text };
+        else mergeDocs.copies.push({ name: name, text: text });
+        updateMergeFiles();
+      });
+    });
+  }
+
+  // Switches between the file lists and the conflict choices
+  function showMergeConflicts(result) {
+    pendingMerge = result;
+    mergeFiles.hidden = !!result;
+    mergeConflicts.hidden = !result;
+    mergeConflicts.innerHTML = '';
+    mergeSubtitle.textContent = result
+      ? 'These suggestions overlap. Choose which version to keep for each one.'
+      : 'Combine the suggestions and comments from each reviewer\'s copy of the same document';
+    btnMergeRun.textContent = result ? 'Finish Merge' : 'Merge';
+    if (!result) {
+      updateMergeFiles();
+      return;
+    }
+
+    result.conflicts.forEach(function (conflict, i) {
+      var block = document.createElement('div');
+      block.className = 'merge-conflict';
+      var title = document.createElement('div');
+      title.className = 'merge-conflict-title';
+      title.textContent = 'Conflict ' + (i + 1) + ' of ' + result.conflicts.length;
+      var options = document.createElement('div');
+      options.className = 'merge-options';
+
+      conflict.options.forEach(function (option, n) {
+        var card = document.createElement('label');
+        card.className = 'merge-option';
+        var header = document.createElement('span');
+        header.className = 'merge-option-header';
+        var radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'merge-conflict-' + i;
+        radio.value = String(n);
+        header.appendChild(radio);
+        header.appendChild(document.createTextNode(' ' + option.label));
+
+        // The choice is previewed in its surrounding text, without controls
+        var preview = document.createElement('div');
+        preview.className = 'merge-option-preview rendered-view';
+        var before = (conflict.from > conflict.before.length ? '\u2026' : '') + conflict.before;
+        setRenderedHtml(preview, renderSourceHtml(before + option.markup + conflict.after).html);
+        preview.querySelectorAll('.critic-controls').forEach(function (el) { el.remove(); });
+        Extensions.typeset(preview);
+
+        card.appendChild(header);
+        card.appendChild(preview);
+        options.appendChild(card);
+      });
+
+      block.appendChild(title);
+      block.appendChild(options);
+      mergeConflicts.appendChild(block);
+    });
+    btnMergeRun.disabled = true;
+  }
+
+  function mergeChoices() {
+    return pendingMerge.conflicts.map(function (conflict, i) {
+      var checked = mergeConflicts.querySelector('input[name="merge-conflict-' + i + '"]:checked');
+      return checked ? Number(checked.value) : -1;
+    });
+  }
+
+  function runMerge() {
+    var result = pendingMerge;
+    if (!result) {
+      result = MarkaroundMerge.merge(mergeDocs.base, mergeDocs.copies, {
+        findReviewRegions: findReviewRegions,
+        resolveSource: resolveSource,
+        rejectMarkup: rejectMarkup,
+        formatComment: formatComment,
+        normalizeAuthor: normalizeAuthor,
+      });
+      if (result.conflicts.length) {
+        showMergeConflicts(result);
+        return;
+      }
+    }
+    loadContent(result.resolve(pendingMerge ? mergeChoices() : []), mergeDocs.base.name);
+  }
+
+  btnMerge.addEventListener('click', function () {
+    showMergePanel(true);
+    updateMergeFiles();
+  });
+  btnMergeBack.addEventListener('click', function () {
+    if (pendingMerge) showMergeConflicts(null);
+    else showMergePanel(false);
+  });
+  btnMergeRun.addEventListener('click', runMerge);
+
+  mergeConflicts.addEventListener('change', function () {
+    btnMergeRun.disabled = mergeChoices().indexOf(-1) !== -1;
+  });
+
+  mergePanel.addEventListener('click', function (e) {
+    var pick = e.target.closest('[data-merge-pick]');
+    var remove = e.target.closest('[data-merge-remove]');
+    if (pick) {
+      mergePickTarget = pick.getAttribute('data-merge-pick');
+      mergeFilePicker.multiple = mergePickTarget === 'copies';
+      mergeFilePicker.click();
+    } else if (remove) {
+      var which = remove.getAttribute('data-merge-remove');
+      if (which === 'base') mergeDocs.base = null;
+      else mergeDocs.copies.splice(Number(which), 1);
+      updateMergeFiles();
+    }
+  });
+
+  mergeFilePicker.addEventListener('change', function () {
+    if (mergeFilePicker.files.length && mergePickTarget) addMergeFiles(mergePickTarget, mergeFilePicker.files);
+    mergeFilePicker.value = '';
+  });
+
+  mergeFiles.querySelectorAll('[data-merge-role]').forEach(function (column) {
+    var role = column.getAttribute('data-merge-role');
+    column.addEventListener('dragover', function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      column.classList.add('dragover');
+    });
+    column.addEventListener('dragleave', function (e) {
+      if (!column.contains(e.relatedTarget)) column.classList.remove('dragover');
+    });
+    column.addEventListener('drop', function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      column.classList.remove('dragover');
+      if (e.dataTransfer.files.length) addMergeFiles(role, e.dataTransfer.files);
+    });
+  });
+
   // --- Toolbar ---
   btnAcceptAll.addEventListener('click', acceptAll);
   btnRejectAll.addEventListener('click', rejectAll);
 
+  function setExportMenuOpen(open) {
+    exportMenu.hidden = !open;
+    btnDownload.setAttribute('aria-expanded', open ? 'true' : 'false');
+  }
+
   btnDownload.addEventListener('click', function () {
-    Autosave.clear(state.fileName);
-    var blob = new Blob([state.source], { type: 'text/markdown' });
-    var url = URL.createObjectURL(blob);
-    var a = document.createElement('a');
-    a.href = url;
-    a.download = state.fileName;
-    a.click();
-    URL.revokeObjectURL(url);
+    setExportMenuOpen(exportMenu.hidden);
+  });
+
+  exportMenu.addEventListener('click', function (e) {
+    var item = e.target.closest('[data-export]');
+    if (!item) return;
+    setExportMenuOpen(false);
+    exportDocument(item.getAttribute('data-export'));
+  });
+
+  document.addEventListener('click', function (e) {
+    if (!exportMenu.hidden && !e.target.closest('.export-menu')) setExportMenuOpen(false);
+  });
+
+  btnPrevChange.addEventListener('click', function () { focusChange(-1); });
+  btnNextChange.addEventListener('click', function () { focusChange(1); });
+
+  // --- Review Keyboard Shortcuts ---
+  // Alt+] / Alt+[ and Alt+A / Alt+R work everywhere (CodeMirror handles them
+  // itself while focused); plain j/k/a/r and Escape work outside text fields.
+  // Option types characters on macOS (Option+A is å), so there they take
+  // Ctrl+Option instead.
+  var PLAIN_REVIEW_KEYS = { j: 'next', k: 'prev', a: 'accept', r: 'reject' };
+  var ALT_REVIEW_CODES = { BracketRight: 'next', BracketLeft: 'prev', KeyA: 'accept', KeyR: 'reject' };
+  var REVIEW_CTRL = /Mac|iPhone|iPad|iPod/.test(navigator.platform);
+  var REVIEW_MODIFIER = REVIEW_CTRL ? 'Ctrl+Option+' : 'Alt+';
+
+  btnPrevChange.title = 'Previous change (' + REVIEW_MODIFIER + '[ or k)';
+  btnNextChange.title = 'Next change (' + REVIEW_MODIFIER + '] or j)';
+
+  document.addEventListener('keydown', function (e) {
+    if (e.defaultPrevented || mainLayout.hidden) return;
+    var target = e.target;
+    var inTextField = target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'INPUT';
+    var command = null;
+
+    if (e.altKey && e.ctrlKey === REVIEW_CTRL && !e.metaKey) {
+      command = ALT_REVIEW_CODES[e.code];
+    } else if (!e.altKey && !e.ctrlKey && !e.metaKey && !inTextField) {
+      if (e.key === 'Escape') {
+        if (!exportMenu.hidden) {
+          setExportMenuOpen(false);
+          btnDownload.focus();
+          e.preventDefault();
+          return;
+        }
+        if (clearReviewFocus()) e.preventDefault();
+        return;
+      }
+      command = PLAIN_REVIEW_KEYS[e.key];
+    }
+    if (command && reviewCommands[command]()) e.preventDefault();
   });
 
   // --- Event Delegation for Accept/Reject ---
@@ -820,18 +2883,49 @@
     } else if (rejectBtn) {
       e.preventDefault();
       handleAcceptReject(rejectBtn, false);
+    } else if (!e.target.closest('a')) {
+      revealSourceFor(e.target);
     }
   });
 
-  // --- Comment Sidebar Resolve ---
+  // A change shown in several blocks has its controls on the last one;
+  // hovering any of them shows them
+  function toggleSplitHover(target, on) {
+    var part = target.closest('.critic-split');
+    if (!part) return;
+    renderedView.querySelectorAll('.critic-split[data-offset="' + part.getAttribute('data-offset') + '"]').forEach(function (el) {
+      el.classList.toggle('critic-hover', on);
+    });
+  }
+
+  renderedView.addEventListener('mouseover', function (e) {
+    toggleSplitHover(e.target, true);
+  });
+
+  renderedView.addEventListener('mouseout', function (e) {
+    toggleSplitHover(e.target, false);
+  });
+
+  // --- Comment Sidebar Actions ---
   commentSidebar.addEventListener('click', function (e) {
-    var resolveBtn = e.target.closest('.comment-resolve');
-    if (resolveBtn) {
-      var commentId = resolveBtn.getAttribute('data-comment-id');
-      var marker = renderedView.querySelector('[data-comment-id="' + commentId + '"]');
-      if (marker) {
-        handleAcceptReject(marker.querySelector('.critic-accept') || marker, true);
-      }
+    var btn = e.target.closest('button[data-comment-id]');
+    if (!btn) return;
+    var commentId = btn.getAttribute('data-comment-id');
+    var marker = renderedView.querySelector('.critic-comment-marker[data-comment-id="' + commentId + '"]');
+    if (!marker) return;
+    var offset = parseInt(marker.getAttribute('data-offset'), 10);
+
+    if (btn.classList.contains('comment-remove')) {
+      handleAcceptReject(marker.querySelector('.critic-accept') || marker, true);
+    } else if (btn.classList.contains('comment-reply-btn')) {
+      replyToThread(offset);
+    } else if (btn.classList.contains('comment-resolve')) {
+      toggleThreadResolved(offset);
+    } else if (btn.classList.contains('comment-collapse')) {
+      var thread = commentThreads[offset];
+      if (!thread || !thread.meta.id) return;
+      collapsedThreads[thread.meta.id] = !isThreadCollapsed(thread.meta);
+      positionComments();
     }
   });
 
@@ -844,25 +2938,155 @@
 
   window.addEventListener('resize', debouncedReposition);
   previewPane.addEventListener('scroll', debouncedReposition);
+  previewPane.addEventListener('scroll', syncEditorToPreview);
 
+  // Measures every anchor and card before moving any card, so the layout
+  // is computed once
   function repositionExistingComments() {
     var markers = renderedView.querySelectorAll('.critic-comment-marker[data-comment-id]');
-    if (markers.length === 0) return;
+    var cards = commentSidebar.children;
+    var sidebarTop = commentSidebar.getBoundingClientRect().top - commentSidebar.scrollTop;
+    var places = [];
+    for (var i = 0; i < markers.length && i < cards.length; i++) {
+      places.push({ top: commentAnchor(markers[i]).getBoundingClientRect().top - sidebarTop, height: cards[i].offsetHeight });
+    }
 
-    var sidebarRect = commentSidebar.getBoundingClientRect();
     var lastBottom = 0;
+    places.forEach(function (place, n) {
+      var top = Math.max(place.top, lastBottom + 8);
+      cards[n].style.top = top + 'px';
+      lastBottom = top + place.height;
+    });
+  }
 
-    markers.forEach(function (marker) {
-      var id = marker.getAttribute('data-comment-id');
-      var card = commentSidebar.querySelector('[data-comment-id="' + id + '"]');
-      if (!card) return;
+  // --- Scroll Sync & Click-to-Source (Both layout only) ---
+  // Block elements carry data-source-offset (see the source_offsets core
+  // rule); scroll positions are interpolated between neighbouring blocks.
+  var scrollSyncTarget = null; // pane we just scrolled programmatically
+  var scrollSyncUntil = 0;
+  var activeSourcePos = -1;    // last editor cursor position, for the preview highlight
+
+  function previewAnchors() {
+    var paneTop = previewPane.getBoundingClientRect().top - previewPane.scrollTop;
+    var anchors = [{ offset: 0, top: 0 }];
+    var els = renderedView.querySelectorAll('[data-source-offset]');
+    for (var i = 0; i < els.length; i++) {
+      var offset = parseInt(els[i].getAttribute('data-source-offset'), 10);
+      var top = els[i].getBoundingClientRect().top - paneTop;
+      var last = anchors[anchors.length - 1];
+      if (offset > last.offset && top >= last.top) anchors.push({ offset: offset, top: top });
+    }
+    if (state.source.length > anchors[anchors.length - 1].offset) {
+      anchors.push({ offset: state.source.length, top: Math.max(previewPane.scrollHeight - previewPane.clientHeight, 0) });
+    }
+    return anchors;
+  }
 
-      var markerRect = marker.getBoundingClientRect();
-      var targetTop = markerRect.top - sidebarRect.top + commentSidebar.scrollTop;
-      targetTop = Math.max(targetTop, lastBottom + 8);
-      card.style.top = targetTop + 'px';
-      lastBottom = targetTop + card.offsetHeight;
-    });
+  // Linear interpolation of `value` from one anchor key to the other
+  function interpolateAnchors(anchors, value, fromKey, toKey) {
+    for (var i = 0; i < anchors.length - 1; i++) {
+      var a = anchors[i], b = anchors[i + 1];
+      if (value < b[fromKey] || i === anchors.length - 2) {
+        var span = b[fromKey] - a[fromKey];
+        var t = span > 0 ? Math.min(1, Math.max(0, (value - a[fromKey]) / span)) : 0;
+        return a[toKey] + t * (b[toKey] - a[toKey]);
+      }
+    }
+    return anchors[0][toKey];
+  }
+
+  function fallbackLineHeight() {
+    return parseFloat(getComputedStyle(fallbackTextarea).lineHeight) || 21;
+  }
+
+  function editorTopOffset() {
+    if (editorView && Editor) return Editor.topVisiblePos(editorView);
+    var line = Math.floor(fallbackTextarea.scrollTop / fallbackLineHeight());
+    var pos = 0;
+    for (var i = 0; i < line; i++) {
+      var next = state.source.indexOf('\n', pos);
+      if (next === -1) break;
+      pos = next + 1;
+    }
+    return pos;
+  }
+
+  function scrollEditorTo(pos) {
+    if (editorView && Editor) {
+      Editor.scrollPosToTop(editorView, pos);
+    } else if (fallbackTextarea) {
+      var line = state.source.substring(0, pos).split('\n').length - 1;
+      fallbackTextarea.scrollTop = line * fallbackLineHeight();
+    }
+  }
+
+  function claimScroll(pane) {
+    if (scrollSyncTarget === pane && Date.now() < scrollSyncUntil) return false;
+    return true;
+  }
+
+  function syncPreviewToEditor() {
+    if (currentLayout !== 'both' || !claimScroll('editor')) return;
+    var top = interpolateAnchors(previewAnchors(), editorTopOffset(), 'offset', 'top');
+    scrollSyncTarget = 'preview';
+    scrollSyncUntil = Date.now() + 100;
+    previewPane.scrollTop = top;
+  }
+
+  function syncEditorToPreview() {
+    if (currentLayout !== 'both' || !claimScroll('preview')) return;
+    if (!(editorView || fallbackTextarea)) return;
+    var pos = Math.round(interpolateAnchors(previewAnchors(), previewPane.scrollTop, 'top', 'offset'));
+    scrollSyncTarget = 'editor';
+    scrollSyncUntil = Date.now() + 100;
+    scrollEditorTo(pos);
+  }
+
+  // Click in the preview: put the editor cursor at the clicked change, or at
+  // the start of the clicked block.
+  function revealSourceFor(target) {
+    if (currentLayout !== 'both' || !(editorView || fallbackTextarea)) return;
+    if (String(window.getSelection())) return; // user is selecting text
+
+    var pos = -1;
+    var critic = target.closest('[data-offset]');
+    while (critic && critic.parentElement.closest('[data-offset]')) {
+      critic = critic.parentElement.closest('[data-offset]');
+    }
+    if (critic) {
+      pos = parseInt(critic.getAttribute('data-offset'), 10) + 3; // inside the opening delimiter
+    } else {
+      var block = target.closest('[data-source-offset]');
+      if (block) pos = parseInt(block.getAttribute('data-source-offset'), 10);
+    }
+    if (pos < 0 || isNaN(pos)) return;
+    pos = Math.min(pos, state.source.length);
+
+    if (editorView && Editor) {
+      Editor.revealPos(editorView, pos);
+    } else {
+      fallbackTextarea.focus();
+      fallbackTextarea.setSelectionRange(pos, pos);
+      lastFallbackSelection.start = lastFallbackSelection.end = pos;
+      var line = state.source.substring(0, pos).split('\n').length - 1;
+      fallbackTextarea.scrollTop = Math.max(0, line * fallbackLineHeight() - fallbackTextarea.clientHeight / 2);
+    }
+    highlightPreviewBlock(pos);
+  }
+
+  // Editor cursor moved: mark the innermost preview block containing it
+  function highlightPreviewBlock(pos) {
+    activeSourcePos = pos;
+    var previous = renderedView.querySelector('.source-active');
+    if (previous) previous.classList.remove('source-active');
+    if (currentLayout !== 'both') return;
+
+    var best = null;
+    var els = renderedView.querySelectorAll('[data-source-offset]');
+    for (var i = 0; i < els.length; i++) {
+      if (parseInt(els[i].getAttribute('data-source-offset'), 10) <= pos) best = els[i];
+    }
+    if (best) best.classList.add('source-active');
   }
 
   // --- Resizable Pane Handle ---
@@ -910,7 +3134,7 @@
     // If content is already loaded, replace fallback textarea with CM6
     if (!mainLayout.hidden && !editorView) {
       removeFallbackTextarea();
-      editorView = Editor.createEditor(editorContainer, state.source, onEditorUpdate);
+      createEditorView();
     }
     updateToolbar();
   });
@@ -0,0 +1,618 @@
+/**
+ * Markaround - live collaboration
+ * Shares one document between several browsers. Each browser keeps the text
+ * in a sequence CRDT (RGA): every character has a unique id and records the
+ * character it was typed after, and deleted characters stay behind as
+ * tombstones, so concurrent edits merge the same way everywhere whatever
+ * order they arrive in. Selections are sent as character ids as well, so
+ * remote cursors follow the text they point at.
+ *
+ * Peers exchange JSON messages through a transport, an object with
+ * send(message), close() and onopen / onmessage / onclose callbacks.
+ * broadcastTransport links tabs of one browser; websocketTransport goes
+ * through a relay such as server/collab-relay.js. Messages:
+ *   hello  { from, name }                    joined, asks for the document
+ *   state  { from, to, seed, items }         the whole document
+ *   ops    { from, ops }                     insertions and deletions
+ *   cursor { from, name, anchor, head }      selection (null: not in the text)
+ *   bye    { from }                          left the room
+ */
+(function () {
+  'use strict';
+
+  // How long a new peer waits for a copy before starting the room itself
+  var JOIN_TIMEOUT = 1000;
+  var FLUSH_DELAY = 20;
+  var RETRY_DELAY = 50;
+  var HEARTBEAT_INTERVAL = 10000;
+  var PEER_TIMEOUT = 30000;
+
+  // --- Sequence CRDT ---
+  // doc.items holds every character ever inserted, in document order:
+  // { client, clock, origin, ch, deleted }, where origin is the key of the
+  // item it was inserted after (null for the start of the document).
+  // doc.text is the visible text.
+
+  function itemKey(client, clock) {
+    return clock + '@' + client;
+  }
+
+  function createDoc() {
+    return { items: [], byKey: {}, clock: 0, text: '' };
+  }
+
+  // Concurrent insertions after the same character are ordered newest
+  // first (Lamport clock, then client id), which every peer agrees on
+  function isLater(item, clock, client) {
+    return item.clock > clock || (item.clock === clock && item.client > client);
+  }
+
+  function visibleBefore(doc, end) {
+    var count = 0;
+    for (var i = 0; i < end; i++) {
+      if (!doc.items[i].deleted) count++;
+    }
+    return count;
+  }
+
+  // Index in doc.items of the pos-th visible character
+  function indexOfVisible(doc, pos) {
+    for (var i = 0; i < doc.items.length; i++) {
+      if (!doc.items[i].deleted && pos-- === 0) return i;
+    }
+    return doc.items.length;
+  }
+
+  function applyToText(text, changes) {
+    changes.forEach(function (c) {
+      text = text.slice(0, c.from) + c.insert + text.slice(c.to);
+    });
+    return text;
+  }
+
+  // Visible-text changes are applied one after another, each in the text
+  // the previous one produced; neighbours are merged as they are recorded
+  function pushChange(changes, from, to, insert) {
+    var last = changes[changes.length - 1];
+    if (last && !insert && !last.insert && last.from === from) last.to += to - from;
+    else if (last && !insert && !last.insert && last.from === to) last.from = from;
+    else if (last && insert && last.to === last.from && last.from + last.insert.length === from) last.insert += insert;
+    else changes.push({ from: from, to: to, insert: insert });
+  }
+
+  // Integrates a run of characters typed one after another:
+  // { client, clock, origin, text }. Returns the visible changes, or null
+  // while the character it follows has not arrived yet.
+  function insertRun(doc, run) {
+    var originIndex = -1;
+    if (run.origin !== null) {
+      var origin = doc.byKey[run.origin];
+      if (!origin) return null;
+      originIndex = doc.items.indexOf(origin);
+    }
+    var changes = [];
+    var length = run.text.length;
+    doc.clock = Math.max(doc.clock, run.clock + length - 1);
+    if (doc.byKey[itemKey(run.client, run.clock)] && doc.byKey[itemKey(run.client, run.clock + length - 1)]) {
+      return changes;
+    }
+    var visible = visibleBefore(doc, originIndex + 1);
+    for (var k = 0; k < length; k++) {
+      var clock = run.clock + k;
+      var key = itemKey(run.client, clock);
+      var known = doc.byKey[key];
+      if (known) {
+        originIndex = doc.items.indexOf(known);
+        visible = visibleBefore(doc, originIndex + 1);
+        continue;
+      }
+      var index = originIndex + 1;
+      while (index < doc.items.length && isLater(doc.items[index], clock, run.client)) {
+        if (!doc.items[index].deleted) visible++;
+        index++;
+      }
+      var item = {
+        client: run.client,
+        clock: clock,
+        origin: k ? itemKey(run.client, clock - 1) : run.origin,
+        ch: run.text.charAt(k),
+        deleted: false,
+      };
+      doc.items.splice(index, 0, item);
+      doc.byKey[key] = item;
+      pushChange(changes, visible, visible, item.ch);
+      visible++;
+      originIndex = index;
+    }
+    doc.text = applyToText(doc.text, changes);
+    return changes;
+  }
+
+  // ranges: [[client, clock, length]]. Returns the visible changes, or null
+  // while some of the characters have not arrived yet.
+  function deleteRanges(doc, ranges) {
+    var targets = [];
+    for (var r = 0; r < ranges.length; r++) {
+      for (var k = 0; k < ranges[r][2]; k++) {
+        var item = doc.byKey[itemKey(ranges[r][0], ranges[r][1] + k)];
+        if (!item) return null;
+        targets.push(item);
+      }
+    }
+    var changes = [];
+    var visible = 0;
+    targets.forEach(function (item) { item.pendingDelete = true; });
+    doc.items.forEach(function (item) {
+      if (item.deleted) return;
+      if (item.pendingDelete) {
+        item.deleted = true;
+        pushChange(changes, visible, visible + 1, '');
+      } else {
+        visible++;
+      }
+    });
+    targets.forEach(function (item) { delete item.pendingDelete; });
+    doc.text = applyToText(doc.text, changes);
+    return changes;
+  }
+
+  // Groups items into [[client, clock, length]] ranges of consecutive clocks
+  function rangesOf(items) {
+    var ranges = [];
+    items.forEach(function (item) {
+      var last = ranges[ranges.length - 1];
+      if (last && last[0] === item.client && last[1] + last[2] === item.clock) last[2]++;
+      else ranges.push([item.client, item.clock, 1]);
+    });
+    return ranges;
+  }
+
+  // Applies a local edit of the visible text; returns the ops describing it
+  function localEdit(doc, client, from, to, insert) {
+    var ops = [];
+    if (to > from) {
+      var removed = [];
+      var visible = 0;
+      for (var i = 0; i < doc.items.length && visible < to; i++) {
+        var item = doc.items[i];
+        if (item.deleted) continue;
+        if (visible >= from) {
+          item.deleted = true;
+          removed.push(item);
+        }
+        visible++;
+      }
+      ops.push({ type: 'delete', ranges: rangesOf(removed) });
+    }
+    if (insert) {
+      var originIndex = from ? indexOfVisible(doc, from - 1) : -1;
+      var run = {
+        type: 'insert',
+        client: client,
+        clock: doc.clock + 1,
+        origin: originIndex === -1 ? null : itemKey(doc.items[originIndex].client, doc.items[originIndex].clock),
+        text: insert,
+      };
+      var items = [];
+      for (var k = 0; k < insert.length; k++) {
+        var added = {
+          client: client,
+          clock: run.clock + k,
+          origin: k ? itemKey(client, run.clock + k - 1) : run.origin,
+          ch: insert.charAt(k),
+          deleted: false,
+        };
+        doc.byKey[itemKey(client, added.clock)] = added;
+        items.push(added);
+      }
+      // The newest clock sorts first, so no concurrent item comes between
+      doc.items = doc.items.slice(0, originIndex + 1).concat(items, doc.items.slice(originIndex + 1));
+      doc.clock += insert.length;
+      ops.push(run);
+    }
+    doc.text = applyToText(doc.text, [{ from: from, to: to, insert: insert }]);
+    return ops;
+  }
+
+  // The whole document as runs: { client, clock, origin, text, deleted }
+  function encodeDoc(doc) {
+    var runs = [];
+    var last = null;
+    doc.items.forEach(function (item) {
+      if (last && item.client === last.client && item.clock === last.clock + last.text.length &&
+          item.origin === itemKey(last.client, item.clock - 1) && item.deleted === last.deleted) {
+        last.text += item.ch;
+        return;
+      }
+      last = { client: item.client, clock: item.clock, origin: item.origin, text: item.ch, deleted: item.deleted };
+      runs.push(last);
+    });
+    return runs;
+  }
+
+  // Rebuilds a document from its runs, which are in document order
+  function decodeDoc(runs) {
+    var doc = createDoc();
+    var text = '';
+    runs.forEach(function (run) {
+      for (var k = 0; k < run.text.length; k++) {
+        var item = {
+          client: run.client,
+          clock: run.clock + k,
+          origin: k ? itemKey(run.client, run.clock + k - 1) : run.origin,
+          ch: run.text.charAt(k),
+          deleted: run.deleted,
+        };
+        doc.items.push(item);
+        doc.byKey[itemKey(item.client, item.clock)] = item;
+      }
+      doc.clock = Math.max(doc.clock, run.clock + run.text.length - 1);
+      if (!run.deleted) text += run.text;
+    });
+    doc.text = text;
+    return doc;
+  }
+
+  // Adds the runs of another copy of the same document; returns the
+  // visible changes
+  function mergeRuns(doc, runs) {
+    var changes = [];
+    runs.forEach(function (run) {
+      (insertRun(doc, run) || []).forEach(function (c) { changes.push(c); });
+      if (run.deleted) {
+        (deleteRanges(doc, [[run.client, run.clock, run.text.length]]) || []).forEach(function (c) { changes.push(c); });
+      }
+    });
+    return changes;
+  }
+
+  // One change turning text a into text b (common prefix and suffix kept)
+  function textChange(a, b) {
+    var start = 0;
+    while (start < a.length && start < b.length && a.charCodeAt(start) === b.charCodeAt(start)) start++;
+    var endA = a.length;
+    var endB = b.length;
+    while (endA > start && endB > start && a.charCodeAt(endA - 1) === b.charCodeAt(endB - 1)) {
+      endA--;
+      endB--;
+    }
+    return { from: start, to: endA, insert: b.substring(start, endB) };
+  }
+
+  // --- Session ---
+  // options: { transport, text, name, onChange(changes, text), onPeers(peers),
+  //   onStatus(status), isBusy() }. onChange gets remote edits as changes to
+  //   apply in order; while isBusy() returns true (e.g. during IME input)
+  //   remote messages wait. onPeers gets [{ id, name, anchor, head }] with
+  //   offsets in the current text (null when the peer has no selection).
+  //   onStatus gets 'connecting', 'joining', 'live' or 'closed'.
+  function join(options) {
+    var transport = options.transport;
+    var id = Math.random().toString(36).slice(2, 10);
+    var name = options.name || '';
+    var doc = createDoc();
+    var localText = options.text || '';
+    var seed = null; // { id, time } of the peer that started the room's document
+    var joined = false;
+    var closed = false;
+    var outbox = [];
+    var inbox = [];
+    var waiting = []; // ops whose characters have not arrived yet
+    var peers = {};
+    var selection = null;
+    var selectionDirty = false;
+    var flushTimer = null;
+    var retryTimer = null;
+    var joinTimer = null;
+
+    function send(message) {
+      if (closed) return;
+      message.from = id;
+      transport.send(message);
+    }
+
+    function status(value) {
+      if (options.onStatus) options.onStatus(value);
+    }
+
+    // --- Cursors ---
+    // A position is stored as the key of the character before it ('' for
+    // the start of the document)
+    function anchorKey(pos) {
+      if (pos <= 0) return '';
+      var index = indexOfVisible(doc, Math.min(pos, doc.text.length) - 1);
+      var item = doc.items[index];
+      return item ? itemKey(item.client, item.clock) : '';
+    }
+
+    function resolveKey(key) {
+      if (key === '') return 0;
+      var item = doc.byKey[key];
+      return item ? visibleBefore(doc, doc.items.indexOf(item) + 1) : null;
+    }
+
+    function notifyPeers() {
+      if (!options.onPeers) return;
+      options.onPeers(Object.keys(peers).map(function (peerId) {
+        var peer = peers[peerId];
+        var anchor = peer.anchor === null ? null : resolveKey(peer.anchor);
+        var head = peer.head === null ? null : resolveKey(peer.head);
+        return {
+          id: peerId,
+          name: peer.name,
+          anchor: anchor === null || head === null ? null : anchor,
+          head: anchor === null || head === null ? null : head,
+        };
+      }));
+    }
+
+    function sendCursor() {
+      selectionDirty = false;
+      send({
+        type: 'cursor',
+        name: name,
+        anchor: joined && selection ? anchorKey(selection.anchor) : null,
+        head: joined && selection ? anchorKey(selection.head) : null,
+      });
+    }
+
+    // --- Outgoing ---
+    function flush() {
+      flushTimer = null;
+      if (outbox.length) {
+        send({ type: 'ops', ops: outbox });
+        outbox = [];
+      }
+      if (selectionDirty) sendCursor();
+    }
+
+    function scheduleFlush() {
+      if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY);
+    }
+
+    function sendState(to) {
+      send({ type: 'state', to: to, seed: seed, items: encodeDoc(doc) });
+    }
+
+    // --- Incoming ---
+    function deliver(changes) {
+      if (changes.length && options.onChange) options.onChange(changes, doc.text);
+    }
+
+    function applyOps(ops) {
+      var changes = [];
+      var pending = waiting.concat(ops);
+      var progress = true;
+      while (progress) {
+        progress = false;
+        waiting = [];
+        pending.forEach(function (op) {
+          var applied = op.type === 'insert' ? insertRun(doc, op) : deleteRanges(doc, op.ranges);
+          if (!applied) {
+            waiting.push(op);
+            return;
+          }
+          applied.forEach(function (c) { changes.push(c); });
+          progress = true;
+        });
+        pending = waiting;
+      }
+      return changes;
+    }
+
+    // Takes over another copy of the room's document, dropping this one
+    function adopt(message) {
+      var previous = joined ? doc.text : localText;
+      doc = decodeDoc(message.items);
+      seed = message.seed;
+      outbox = [];
+      var queued = waiting;
+      waiting = [];
+      applyOps(queued);
+      if (doc.text !== previous) deliver([textChange(previous, doc.text)]);
+      becomeLive();
+    }
+
+    function startRoom() {
+      joinTimer = null;
+      if (joined) return;
+      seed = { id: id, time: Date.now() };
+      localEdit(doc, id, 0, 0, localText);
+      applyOps([]);
+      becomeLive();
+      // Anyone who started the room at the same moment settles on one copy
+      sendState(null);
+    }
+
+    function becomeLive() {
+      if (joinTimer) clearTimeout(joinTimer);
+      joinTimer = null;
+      joined = true;
+      status('live');
+      sendCursor();
+      notifyPeers();
+    }
+
+    // The copy started first wins when two peers started the same room
+    function isEarlier(a, b) {
+      return a.time < b.time || (a.time === b.time && a.id < b.id);
+    }
+
+    function handle(message) {
+      var peer = peers[message.from];
+      if (peer) peer.seen = Date.now();
+      switch (message.type) {
+        case 'hello':
+          peers[message.from] = { name: message.name, anchor: null, head: null, seen: Date.now() };
+          if (joined) {
+            sendState(message.from);
+            sendCursor();
+          }
+          notifyPeers();
+          break;
+        case 'state':
+          if (!joined || isEarlier(message.seed, seed)) adopt(message);
+          else if (message.seed.id === seed.id) deliver(mergeRuns(doc, message.items));
+          else sendState(message.from);
+          break;
+        case 'ops':
+          if (!joined) {
+            waiting = waiting.concat(message.ops);
+            break;
+          }
+          deliver(applyOps(message.ops));
+          notifyPeers();
+          break;
+        case 'cursor':
+          peers[message.from] = { name: message.name, anchor: message.anchor, head: message.head, seen: Date.now() };
+          notifyPeers();
+          break;
+        case 'bye':
+          delete peers[message.from];
+          notifyPeers();
+          break;
+      }
+    }
+
+    function drainInbox() {
+      retryTimer = null;
+      if (closed) return;
+      if (options.isBusy && options.isBusy()) {
+        retryTimer = setTimeout(drainInbox, RETRY_DELAY);
+        return;
+      }
+      var messages = inbox;
+      inbox = [];
+      messages.forEach(handle);
+    }
+
+    function receive(message) {
+      if (closed || !message || message.from === id || (message.to && message.to !== id)) return;
+      inbox.push(message);
+      if (!retryTimer) drainInbox();
+    }
+
+    function heartbeat() {
+      var now = Date.now();
+      var changed = false;
+      Object.keys(peers).forEach(function (peerId) {
+        if (now - peers[peerId].seen > PEER_TIMEOUT) {
+          delete peers[peerId];
+          changed = true;
+        }
+      });
+      if (changed) notifyPeers();
+      sendCursor();
+    }
+
+    transport.onmessage = receive;
+    transport.onopen = function () {
+      status('joining');
+      send({ type: 'hello', name: name });
+      joinTimer = setTimeout(startRoom, JOIN_TIMEOUT);
+    };
+    transport.onclose = function () {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeatTimer);
+      status('closed');
+    };
+    var heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+    status('connecting');
+
+    return {
+      id: id,
+
+      // Reports a local edit. changes (optional) are the edits that turned
+      // the previous text into `text`, applied in order; without them the
+      // difference is worked out from the two texts.
+      update: function (text, changes) {
+        if (!joined) {
+          localText = text;
+          return;
+        }
+        if (text === doc.text) return;
+        if (!changes || !changes.length || applyToText(doc.text, changes) !== text) {
+          changes = [textChange(doc.text, text)];
+        }
+        changes.forEach(function (c) {
+          localEdit(doc, id, c.from, c.to, c.insert).forEach(function (op) { outbox.push(op); });
+        });
+        // Peers' cursors are not re-sent here: the editor maps them through
+        // its own edits
+        scheduleFlush();
+      },
+
+      // Shares the local selection (null when the editor is not in use)
+      setSelection: function (anchor, head) {
+        selection = anchor === null ? null : { anchor: anchor, head: head };
+        selectionDirty = true;
+        scheduleFlush();
+      },
+
+      setName: function (value) {
+        name = value || '';
+        sendCursor();
+      },
+
+      leave: function () {
+        if (closed) return;
+        flush();
+        send({ type: 'bye' });
+        closed = true;
+        clearTimeout(joinTimer);
+        clearTimeout(flushTimer);
+        clearTimeout(retryTimer);
+        clearInterval(heartbeatTimer);
+        transport.close();
+      },
+    };
+  }
+
+  // --- Transports ---
+  // Tabs and windows of this browser on the same origin
+  function broadcastTransport(room) {
+    var channel = new BroadcastChannel('markaround-collab:' + room);
+    var transport = {
+      send: function (message) { channel.postMessage(message); },
+      close: function () { channel.close(); },
+    };
+    channel.onmessage = function (e) {
+      if (transport.onmessage) transport.onmessage(e.data);
+    };
+    setTimeout(function () {
+      if (transport.onopen) transport.onopen();
+    }, 0);
+    return transport;
+  }
+
+  // A WebSocket relay that forwards each text frame to the other clients
+  // connected with the same ?room= (see server/collab-relay.js)
+  function websocketTransport(url, room) {
+    var socket = new WebSocket(url + (url.indexOf('?') === -1 ? '?' : '&') + 'room=' + encodeURIComponent(room));
+    var transport = {
+      send: function (message) {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+      },
+      close: function () { socket.close(); },
+    };
+    socket.onopen = function () {
+      if (transport.onopen) transport.onopen();
+    };
+    socket.onmessage = function (e) {
+      var message;
+      try { message = JSON.parse(e.data); } catch (err) { return; }
+      if (transport.onmessage) transport.onmessage(message);
+    };
+    socket.onclose = function () {
+      if (transport.onclose) transport.onclose();
+    };
+    return transport;
+  }
+
+  window.MarkaroundCollab = {
+    join: join,
+    broadcastTransport: broadcastTransport,
+    websocketTransport: websocketTransport,
+  };
+})();
@@ -0,0 +1,522 @@
+/**
+ * Markaround - CriticMarkup core
+ * Everything that reads and resolves CriticMarkup without touching the
+ * page: the nesting-aware region scanner, comment metadata (attribution and
+ * threads) and accept/reject. The browser app, the markdown-it plugin
+ * (js/criticmarkup-plugin.js), the editor decorations and the command line
+ * tool (bin/markaround.js) all use this one copy.
+ *
+ * Loads as a classic script (sets window.MarkaroundCritic), as a CommonJS
+ * module, or as an ES module through js/critic-core.mjs. It has no
+ * dependencies.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MarkaroundCritic = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Options the preview and the command line both create markdown-it with
+  var MARKDOWN_OPTIONS = { html: false, linkify: true, typographer: true };
+
+  // --- Code Contexts ---
+  // CriticMarkup inside code is code: `{++x++}` in backticks or a fenced
+  // block is an example of the syntax, not a change, so the scanner skips
+  // code spans and fenced code blocks. A fence that is never closed is
+  // treated as text rather than hiding the rest of the document. A change
+  // written around a fence, as in {~~```js ... ```~>```js ... ```~~}, ends
+  // it on the closing line: ```~> and ```~~} close a fence but don't open one.
+  var FENCE_OPEN_RE = /^(?:[ \t]*>)*[ \t]*(`{3,}|~{3,})(.*)$/;
+  var CRITIC_CLOSER_RE = /(\+\+|--|~~|==|<<)\}\s*$/;
+  var FENCE_CLOSE_TAIL = '(?=[ \\t]*$|~>|(?:\\+\\+|--|~~|==|<<)\\})';
+
+  // Code ranges of `source` in order: [{ type: 'fence' | 'span', start, end }].
+  // A fence range runs from the start of its opening line to the end of its
+  // closing line (without the newline).
+  function findCodeRanges(source) {
+    var ranges = [];
+    var lines = source.split('\n');
+    var pos = 0;
+    var textStart = 0;
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i];
+      var lineEnd = pos + line.length;
+      var fence = FENCE_OPEN_RE.exec(line);
+      if (fence && (fence[1].charAt(0) === '~' || fence[2].indexOf('`') === -1) && !CRITIC_CLOSER_RE.test(fence[2])) {
+        var closer = new RegExp('^(?:[ \\t]*>)*[ \\t]*' + fence[1].charAt(0) + '{' + fence[1].length + ',}' + FENCE_CLOSE_TAIL);
+        var closePos = lineEnd + 1;
+        var close = null;
+        for (var j = i + 1; j < lines.length; j++) {
+          if ((close = closer.exec(lines[j]))) break;
+          closePos += lines[j].length + 1;
+        }
+        if (close) {
+          findCodeSpans(source, textStart, pos, ranges);
+          ranges.push({ type: 'fence', start: pos, end: closePos + close[0].length });
+          pos = closePos + lines[j].length + 1;
+          textStart = closePos + close[0].length;
+          i = j;
+          continue;
+        }
+      }
+      // Code spans don't cross paragraphs
+      if (!line.trim()) {
+        findCodeSpans(source, textStart, pos, ranges);
+        textStart = lineEnd + 1;
+      }
+      pos = lineEnd + 1;
+    }
+    findCodeSpans(source, textStart, source.length, ranges);
+    return ranges;
+  }
+
+  // A run of backticks opens a code span closed by the next run of the same
+  // length; with no such run it is literal
+  function findCodeSpans(source, from, to, ranges) {
+    var i = from;
+    while (i < to) {
+      if (source[i] !== '`') { i++; continue; }
+      var n = backtickRun(source, i, to);
+      var escaped = i > 0 && source[i - 1] === '\\';
+      var j = i + n;
+      var end = -1;
+      while (!escaped && j < to) {
+        if (source[j] !== '`') { j++; continue; }
+        var m = backtickRun(source, j, to);
+        if (m === n) { end = j + m; break; }
+        j += m;
+      }
+      if (end === -1) {
+        i += n;
+        continue;
+      }
+      ranges.push({ type: 'span', start: i, end: end });
+      i = end;
+    }
+  }
+
+  function backtickRun(source, i, to) {
+    var n = 0;
+    while (i + n < to && source[i + n] === '`') n++;
+    return n;
+  }
+
+  // Code range start -> end, for skipping code while scanning
+  function codeSkips(source) {
+    var skips = {};
+    findCodeRanges(source).forEach(function (range) { skips[range.start] = range.end; });
+    return skips;
+  }
+
+  // --- Nesting-Aware CriticMarkup Scanner ---
+  // Finds regions that span block boundaries (e.g. {--## Heading--}) and
+  // contain nested CriticMarkup (e.g. {--text {++inner++}--}) in raw source.
+  // The markdown-it plugin places its tokens from these regions.
+
+  function detectCriticOpener(source, i) {
+    var s = source.substring(i, i + 3);
+    if (s === '{++') return { type: 'addition', closer: '++}' };
+    if (s === '{--') return { type: 'deletion', closer: '--}' };
+    if (s === '{~~') return { type: 'substitution', closer: '~~}' };
+    if (s === '{>>') return { type: 'comment', closer: '<<}' };
+    if (s === '{==') return { type: 'highlight', closer: '==}' };
+    return null;
+  }
+
+  // `skips` (see codeSkips) are code ranges of `source` to pass over
+  function findCriticClose(source, startPos, closer, skips) {
+    skips = skips || codeSkips(source);
+    var i = startPos;
+    while (i <= source.length - 3) {
+      if (skips[i] !== undefined) { i = skips[i]; continue; }
+      if (source.substring(i, i + 3) === closer) return i + 3;
+      if (source[i] === '{') {
+        var nested = detectCriticOpener(source, i);
+        if (nested) {
+          var nestedEnd = findCriticClose(source, i + 3, nested.closer, skips);
+          if (nestedEnd !== -1) { i = nestedEnd; continue; }
+        }
+      }
+      i++;
+    }
+    return -1;
+  }
+
+  function findCriticRegions(source) {
+    var skips = codeSkips(source);
+    var regions = [];
+    var i = 0;
+    while (i < source.length) {
+      if (skips[i] !== undefined) { i = skips[i]; continue; }
+      if (source[i] === '{') {
+        var opener = detectCriticOpener(source, i);
+        if (opener) {
+          var end = findCriticClose(source, i + 3, opener.closer, skips);
+          if (end !== -1) {
+            regions.push({ start: i, end: end, type: opener.type,
+              fullMarkup: source.substring(i, end) });
+            i = end;
+            continue;
+          }
+        }
+      }
+      i++;
+    }
+    return regions;
+  }
+
+  // Find the top-level ~> separator in substitution content (skipping nested
+  // markup and code)
+  function findTopLevelSeparator(content) {
+    var skips = codeSkips(content);
+    var i = 0;
+    while (i < content.length - 1) {
+      if (skips[i] !== undefined) { i = skips[i]; continue; }
+      if (content[i] === '~' && content[i + 1] === '>') return i;
+      if (content[i] === '{') {
+        var opener = detectCriticOpener(content, i);
+        if (opener) {
+          var end = findCriticClose(content, i + 3, opener.closer, skips);
+          if (end !== -1) { i = end; continue; }
+        }
+      }
+      i++;
+    }
+    return -1;
+  }
+
+  function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // --- Comment Metadata (attribution + threads) ---
+  // Author and thread metadata live in plain CriticMarkup so they survive Download:
+  //   {++text++}{>>@alice 2026-10-19<<}           attributed change
+  //   {>>@alice 2026-10-19: Needs a source<<}      attributed comment
+  //   {>>#k3f9a2 @alice: Q<<}{>>#k3f9a2 @bob: A<<} thread (adjacent, same id)
+  //   {>>#k3f9a2 resolved @alice: Q<<}...          resolved thread
+  // The header before the first ':' must consist only of metadata tokens,
+  // otherwise the comment is treated as ordinary text.
+  var AUTHOR_COLORS = ['#1a73e8', '#e8710a', '#9334e6', '#188038', '#d01884', '#007b83', '#b06000', '#c5221f'];
+  var META_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  var META_ID_RE = /^#[A-Za-z0-9_-]+$/;
+
+  function parseCommentMeta(content) {
+    var meta = { id: null, resolved: false, author: null, date: null, text: content, isAttribution: false };
+    var colon = content.indexOf(':');
+    var header = colon === -1 ? content : content.substring(0, colon);
+    var tokens = header.trim().split(/\s+/);
+    if (!header.trim()) return meta;
+
+    var parsed = { id: null, resolved: false, author: null, date: null };
+    for (var i = 0; i < tokens.length; i++) {
+      var t = tokens[i];
+      if (t.charAt(0) === '@' && t.length > 1 && !parsed.author) parsed.author = t.substring(1);
+      else if (META_DATE_RE.test(t) && !parsed.date) parsed.date = t;
+      else if (META_ID_RE.test(t) && !parsed.id) parsed.id = t.substring(1);
+      else if (t === 'resolved' && parsed.id) parsed.resolved = true;
+      else return meta;
+    }
+    // A bare date is not enough to tell metadata from prose
+    if (!parsed.author && !parsed.id) return meta;
+
+    meta.id = parsed.id;
+    meta.resolved = parsed.resolved;
+    meta.author = parsed.author;
+    meta.date = parsed.date;
+    meta.text = colon === -1 ? '' : content.substring(colon + 1).replace(/^[ \t]/, '');
+    meta.isAttribution = colon === -1 && !parsed.id;
+    return meta;
+  }
+
+  // Inverse of parseCommentMeta. A null/undefined text yields a header-only
+  // (attribution) comment.
+  function formatComment(meta) {
+    var tokens = [];
+    if (meta.id) tokens.push('#' + meta.id);
+    if (meta.id && meta.resolved) tokens.push('resolved');
+    if (meta.author) tokens.push('@' + meta.author);
+    if (meta.date) tokens.push(meta.date);
+    if (meta.text === null || meta.text === undefined) return tokens.join(' ');
+    return tokens.length ? tokens.join(' ') + ': ' + meta.text : meta.text;
+  }
+
+  function todayStamp() {
+    var d = new Date();
+    var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+
+  // Reviewer names are stored as a single token: "Alice Smith" -> "Alice_Smith"
+  function normalizeAuthor(name) {
+    return (name || '').trim().replace(/[:<>{}]/g, '').replace(/\s+/g, '_');
+  }
+
+  function authorDisplayName(author) {
+    return author.replace(/_/g, ' ');
+  }
+
+  function authorInitials(author) {
+    var parts = authorDisplayName(author).split(/[\s.\-]+/).filter(Boolean);
+    if (parts.length === 0) return '?';
+    if (parts.length === 1) return parts[0].substring(0, 2).toUpperCase();
+    return (parts[0].charAt(0) + parts[parts.length - 1].charAt(0)).toUpperCase();
+  }
+
+  function authorColor(author) {
+    var hash = 0;
+    var key = author.toLowerCase();
+    for (var i = 0; i < key.length; i++) hash = (hash * 31 + key.charCodeAt(i)) | 0;
+    return AUTHOR_COLORS[Math.abs(hash) % AUTHOR_COLORS.length];
+  }
+
+  function authorBadge(author, date) {
+    var title = authorDisplayName(author) + (date ? ', ' + date : '');
+    return '<span class="critic-author" style="background:' + authorColor(author) + '" title="'
+      + escapeHtml(title) + '">' + escapeHtml(authorInitials(author)) + '</span>';
+  }
+
+  // --- Review Regions ---
+  // Fold attribution-only comments into the change they directly follow,
+  // so they render as a badge and accept/reject removes them together.
+  function attachAttributions(regions) {
+    var result = [];
+    for (var i = 0; i < regions.length; i++) {
+      var r = regions[i];
+      var next = regions[i + 1];
+      if (r.type !== 'comment' && next && next.type === 'comment' && next.start === r.end) {
+        var meta = parseCommentMeta(next.fullMarkup.substring(3, next.fullMarkup.length - 3));
+        if (meta.isAttribution) {
+          r.author = meta.author;
+          r.date = meta.date;
+          r.attributionMarkup = next.fullMarkup;
+          r.end = next.end;
+          i++;
+        }
+      }
+      result.push(r);
+    }
+    return result;
+  }
+
+  // Fold adjacent comments sharing a #id into one thread region. The root
+  // comment keeps fullMarkup; replies are kept in order on region.replies.
+  function groupThreads(regions) {
+    var result = [];
+    for (var i = 0; i < regions.length; i++) {
+      var r = regions[i];
+      if (r.type === 'comment') {
+        r.meta = parseCommentMeta(r.fullMarkup.substring(3, r.fullMarkup.length - 3));
+        r.replies = [];
+        while (r.meta.id && regions[i + 1] && regions[i + 1].type === 'comment' && regions[i + 1].start === r.end) {
+          var next = regions[i + 1];
+          var replyMeta = parseCommentMeta(next.fullMarkup.substring(3, next.fullMarkup.length - 3));
+          if (replyMeta.id !== r.meta.id) break;
+          r.replies.push({ markup: next.fullMarkup, meta: replyMeta });
+          r.end = next.end;
+          i++;
+        }
+      }
+      result.push(r);
+    }
+    return result;
+  }
+
+  // Per the CriticMarkup spec a comment directly after a highlight annotates
+  // it: {==text==}{>>note<<} becomes one highlight region with region.comment
+  // set to the (possibly threaded) comment region.
+  function pairHighlights(regions) {
+    var result = [];
+    for (var i = 0; i < regions.length; i++) {
+      var r = regions[i];
+      var next = regions[i + 1];
+      if (r.type === 'highlight' && next && next.type === 'comment' && next.start === r.end) {
+        r.comment = next;
+        r.end = next.end;
+        i++;
+      }
+      result.push(r);
+    }
+    return result;
+  }
+
+  function findReviewRegions(source) {
+    return pairHighlights(groupThreads(attachAttributions(findCriticRegions(source))));
+  }
+
+  // Full source text covered by a review region (change + attribution,
+  // thread, or highlight + its comment)
+  function regionMarkup(region) {
+    var markup = region.fullMarkup + (region.attributionMarkup || '');
+    if (region.replies) {
+      for (var i = 0; i < region.replies.length; i++) markup += region.replies[i].markup;
+    }
+    if (region.comment) markup += regionMarkup(region.comment);
+    return markup;
+  }
+
+  // The comment thread a region carries, if any
+  function regionThread(region) {
+    if (region.type === 'comment') return region;
+    return region.comment || null;
+  }
+
+  // Open discussions (including annotated highlights) survive Accept All /
+  // Reject All; resolved threads and text-less attribution comments are
+  // cleared along with the changes.
+  function isOpenThread(region) {
+    var thread = regionThread(region);
+    return !!thread && !thread.meta.resolved && !thread.meta.isAttribution;
+  }
+
+  // 1-based line and column of an offset
+  function lineColumn(source, offset) {
+    var before = source.substring(0, offset);
+    return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+  }
+
+  // Plain description of every review region, in document order:
+  // [{ type, start, end, line, column, content, ... }]. Substitutions add
+  // old/new, attributed changes author/date, comments (and annotated
+  // highlights) their thread as { id, resolved, author, date, text, replies }.
+  function listRegions(source) {
+    return findReviewRegions(source).map(function (region) {
+      var position = lineColumn(source, region.start);
+      var content = region.fullMarkup.substring(3, region.fullMarkup.length - 3);
+      var item = {
+        type: region.type,
+        start: region.start,
+        end: region.end,
+        line: position.line,
+        column: position.column,
+        content: content,
+      };
+      if (region.type === 'substitution') {
+        var sep = findTopLevelSeparator(content);
+        item.old = sep !== -1 ? content.substring(0, sep) : content;
+        item.new = sep !== -1 ? content.substring(sep + 2) : '';
+      }
+      if (region.author) item.author = region.author;
+      if (region.date) item.date = region.date;
+      var thread = regionThread(region);
+      if (thread) {
+        item.thread = describeComment(thread.meta);
+        item.thread.replies = thread.replies.map(function (reply) { return describeComment(reply.meta); });
+        if (region.type === 'comment') item.content = thread.meta.text;
+      }
+      return item;
+    });
+  }
+
+  function describeComment(meta) {
+    return { id: meta.id, resolved: meta.resolved, author: meta.author, date: meta.date, text: meta.text };
+  }
+
+  // --- Accept / Reject ---
+  // Drop trailing attribution or reply comments, leaving only the leading region
+  function stripAttribution(markup) {
+    var opener = detectCriticOpener(markup, 0);
+    if (!opener) return markup;
+    var end = findCriticClose(markup, 3, opener.closer);
+    return end === -1 ? markup : markup.substring(0, end);
+  }
+
+  function acceptMarkup(originalMarkup) {
+    originalMarkup = stripAttribution(originalMarkup);
+    var opener = detectCriticOpener(originalMarkup, 0);
+    if (!opener) return originalMarkup;
+    var content = originalMarkup.substring(3, originalMarkup.length - 3);
+    switch (opener.type) {
+      case 'addition':    return content;
+      case 'deletion':    return '';
+      case 'substitution':
+        var sep = findTopLevelSeparator(content);
+        return sep !== -1 ? content.substring(sep + 2) : '';
+      case 'comment':     return '';
+      case 'highlight':   return content;
+    }
+    return originalMarkup;
+  }
+
+  function rejectMarkup(originalMarkup) {
+    originalMarkup = stripAttribution(originalMarkup);
+    var opener = detectCriticOpener(originalMarkup, 0);
+    if (!opener) return originalMarkup;
+    var content = originalMarkup.substring(3, originalMarkup.length - 3);
+    switch (opener.type) {
+      case 'addition':    return '';
+      case 'deletion':    return content;
+      case 'substitution':
+        var sep = findTopLevelSeparator(content);
+        return sep !== -1 ? content.substring(0, sep) : content;
+      case 'comment':     return '';
+      case 'highlight':   return content;
+    }
+    return originalMarkup;
+  }
+
+  // Apply accept/reject to every region of `source`. Open comment threads are
+  // kept unless clearThreads is set (e.g. for a clean export); resolved
+  // threads always go with the changes.
+  function resolveSource(source, resolveMarkup, clearThreads) {
+    // Loop to handle nested markup exposed after outer regions are resolved
+    var changed = true;
+    while (changed) {
+      changed = false;
+      var regions = findReviewRegions(source);
+      for (var i = regions.length - 1; i >= 0; i--) {
+        var r = regions[i];
+        if (!clearThreads && isOpenThread(r)) continue;
+        source = source.slice(0, r.start) + resolveMarkup(regionMarkup(r)) + source.slice(r.end);
+        changed = true;
+      }
+    }
+    return source;
+  }
+
+  // Remove comments and highlights (keeping the highlighted text) but leave
+  // suggested changes in place, e.g. to hand a document on without the
+  // discussion
+  function stripComments(source) {
+    var changed = true;
+    while (changed) {
+      changed = false;
+      var regions = findReviewRegions(source);
+      for (var i = regions.length - 1; i >= 0; i--) {
+        var r = regions[i];
+        if (r.type !== 'comment' && r.type !== 'highlight') continue;
+        source = source.slice(0, r.start) + acceptMarkup(regionMarkup(r)) + source.slice(r.end);
+        changed = true;
+      }
+    }
+    return source;
+  }
+
+  return {
+    MARKDOWN_OPTIONS: MARKDOWN_OPTIONS,
+    findCodeRanges: findCodeRanges,
+    detectCriticOpener: detectCriticOpener,
+    findCriticClose: findCriticClose,
+    findCriticRegions: findCriticRegions,
+    findTopLevelSeparator: findTopLevelSeparator,
+    findReviewRegions: findReviewRegions,
+    regionMarkup: regionMarkup,
+    regionThread: regionThread,
+    isOpenThread: isOpenThread,
+    lineColumn: lineColumn,
+    listRegions: listRegions,
+    escapeHtml: escapeHtml,
+    parseCommentMeta: parseCommentMeta,
+    formatComment: formatComment,
+    todayStamp: todayStamp,
+    normalizeAuthor: normalizeAuthor,
+    authorDisplayName: authorDisplayName,
+    authorInitials: authorInitials,
+    authorColor: authorColor,
+    authorBadge: authorBadge,
+    acceptMarkup: acceptMarkup,
+    rejectMarkup: rejectMarkup,
+    resolveSource: resolveSource,
+    stripComments: stripComments,
+  };
+});
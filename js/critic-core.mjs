@@ -0,0 +1,37 @@
+/**
+ * Markaround - CriticMarkup core as an ES module
+ * Named exports for js/critic-core.js, e.g.
+ *   import { findReviewRegions, resolveSource, acceptMarkup } from 'markaround';
+ */
+
+import core from './critic-core.js';
+
+export const {
+  MARKDOWN_OPTIONS,
+  findCodeRanges,
+  detectCriticOpener,
+  findCriticClose,
+  findCriticRegions,
+  findTopLevelSeparator,
+  findReviewRegions,
+  regionMarkup,
+  regionThread,
+  isOpenThread,
+  lineColumn,
+  listRegions,
+  escapeHtml,
+  parseCommentMeta,
+  formatComment,
+  todayStamp,
+  normalizeAuthor,
+  authorDisplayName,
+  authorInitials,
+  authorColor,
+  authorBadge,
+  acceptMarkup,
+  rejectMarkup,
+  resolveSource,
+  stripComments,
+} = core;
+
+export default core;
@@ -0,0 +1,300 @@
+/**
+ * Markaround - CriticMarkup decorations for CodeMirror 6
+ * Styles additions, deletions, substitutions, highlights and comments inline,
+ * optionally folds their delimiters, marks changed lines in a gutter and adds
+ * accept/reject widgets after each change.
+ *
+ * Region detection is not duplicated here: the editor is handed the app's
+ * CriticMarkup helpers (findReviewRegions, documentRegions for the whole
+ * document, findTopLevelSeparator, acceptMarkup, rejectMarkup, authorColor,
+ * authorInitials), so the editor and preview always agree on what a region is.
+ */
+
+import { StateField, StateEffect, RangeSet } from '@codemirror/state';
+import { EditorView, Decoration, WidgetType, GutterMarker, gutter } from '@codemirror/view';
+
+export const setFoldDelimiters = StateEffect.define();
+
+const DELIM = 3; // every CriticMarkup delimiter is three characters
+
+const marks = {
+  addition: Decoration.mark({ class: 'cm-critic-addition' }),
+  deletion: Decoration.mark({ class: 'cm-critic-deletion' }),
+  highlight: Decoration.mark({ class: 'cm-critic-highlight' }),
+  comment: Decoration.mark({ class: 'cm-critic-comment' }),
+  delimiter: Decoration.mark({ class: 'cm-critic-delimiter' }),
+  meta: Decoration.mark({ class: 'cm-critic-meta' }),
+};
+const hidden = Decoration.replace({});
+
+// --- Widgets ---
+class ResolveWidget extends WidgetType {
+  constructor(from, markup, type, resolve) {
+    super();
+    this.from = from;
+    this.markup = markup;
+    this.type = type;
+    this.resolve = resolve;
+  }
+
+  eq(other) {
+    return other.from === this.from && other.markup === this.markup;
+  }
+
+  toDOM(view) {
+    const wrap = document.createElement('span');
+    wrap.className = 'cm-critic-controls';
+    const buttons = this.type === 'comment'
+      ? [[true, '✓', 'Remove comment'], [false, '✕', 'Remove comment']]
+      : [[true, '✓', `Accept ${this.type}`], [false, '✕', `Reject ${this.type}`]];
+    for (const [accept, label, title] of buttons) {
+      const btn = document.createElement('button');
+      btn.className = accept ? 'cm-critic-accept' : 'cm-critic-reject';
+      btn.textContent = label;
+      btn.title = title;
+      // Keep the editor selection where it is
+      btn.addEventListener('mousedown', (e) => e.preventDefault());
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.resolve(view, this.from, this.markup, accept);
+      });
+      wrap.appendChild(btn);
+    }
+    return wrap;
+  }
+
+  ignoreEvent() { return true; }
+}
+
+class AuthorWidget extends WidgetType {
+  constructor(author, date, color, initials) {
+    super();
+    this.author = author;
+    this.date = date;
+    this.color = color;
+    this.initials = initials;
+  }
+
+  eq(other) {
+    return other.author === this.author && other.date === this.date;
+  }
+
+  toDOM() {
+    const el = document.createElement('span');
+    el.className = 'cm-critic-author';
+    el.style.background = this.color;
+    el.textContent = this.initials;
+    el.title = this.author.replace(/_/g, ' ') + (this.date ? `, ${this.date}` : '');
+    return el;
+  }
+}
+
+class ChangeMarker extends GutterMarker {
+  constructor(type) {
+    super();
+    this.type = type;
+  }
+
+  eq(other) { return other.type === this.type; }
+
+  toDOM() {
+    const el = document.createElement('div');
+    el.className = `cm-critic-gutter-marker cm-critic-gutter-${this.type}`;
+    return el;
+  }
+}
+
+// --- Decoration Builder ---
+function buildDecorations(state, critic, fold, resolve) {
+  const doc = state.doc.toString();
+  const ranges = [];
+  const replaced = [];
+  const lineTypes = new Map(); // line start -> change type ('mixed' if several)
+
+  const mark = (deco, from, to) => { if (to > from) ranges.push(deco.range(from, to)); };
+  const delimiter = (from, to) => {
+    if (to <= from) return;
+    if (fold) {
+      const r = hidden.range(from, to);
+      ranges.push(r);
+      replaced.push(r);
+    } else {
+      ranges.push(marks.delimiter.range(from, to));
+    }
+  };
+
+  function markLines(from, to, type) {
+    for (let pos = from; pos <= to;) {
+      const line = state.doc.lineAt(pos);
+      const existing = lineTypes.get(line.from);
+      lineTypes.set(line.from, existing && existing !== type ? 'mixed' : type);
+      pos = line.to + 1;
+    }
+  }
+
+  function decorateComment(from, markup) {
+    const end = from + markup.length;
+    delimiter(from, from + DELIM);
+    mark(marks.comment, from + DELIM, end - DELIM);
+    delimiter(end - DELIM, end);
+  }
+
+  function decorateThread(thread, base) {
+    let from = base + thread.start;
+    decorateComment(from, thread.fullMarkup);
+    from += thread.fullMarkup.length;
+    for (const reply of thread.replies || []) {
+      decorateComment(from, reply.markup);
+      from += reply.markup.length;
+    }
+  }
+
+  function decorate(text, base, topLevel) {
+    const regions = topLevel ? critic.documentRegions(text) : critic.findReviewRegions(text);
+    for (const region of regions) {
+      const from = base + region.start;
+      const markupEnd = from + region.fullMarkup.length;
+      const contentFrom = from + DELIM;
+      const contentTo = markupEnd - DELIM;
+      const content = region.fullMarkup.substring(DELIM, region.fullMarkup.length - DELIM);
+
+      if (region.type === 'comment') {
+        decorateThread(region, base);
+      } else if (region.type === 'substitution') {
+        const sep = critic.findTopLevelSeparator(content);
+        delimiter(from, contentFrom);
+        if (sep === -1) {
+          mark(marks.deletion, contentFrom, contentTo);
+        } else {
+          mark(marks.deletion, contentFrom, contentFrom + sep);
+          delimiter(contentFrom + sep, contentFrom + sep + 2);
+          mark(marks.addition, contentFrom + sep + 2, contentTo);
+        }
+        delimiter(contentTo, markupEnd);
+        decorate(content, contentFrom, false);
+      } else {
+        delimiter(from, contentFrom);
+        mark(marks[region.type], contentFrom, contentTo);
+        delimiter(contentTo, markupEnd);
+        decorate(content, contentFrom, false);
+      }
+
+      if (region.attributionMarkup) {
+        const attrTo = markupEnd + region.attributionMarkup.length;
+        if (fold) {
+          const widget = new AuthorWidget(region.author, region.date,
+            critic.authorColor(region.author), critic.authorInitials(region.author));
+          const r = Decoration.replace({ widget }).range(markupEnd, attrTo);
+          ranges.push(r);
+          replaced.push(r);
+        } else {
+          mark(marks.meta, markupEnd, attrTo);
+        }
+      }
+      if (region.comment) decorateThread(region.comment, base);
+
+      if (topLevel) {
+        const end = base + region.end;
+        const markup = doc.substring(from, end);
+        ranges.push(Decoration.widget({
+          widget: new ResolveWidget(from, markup, region.comment ? 'comment' : region.type, resolve),
+          side: 1,
+        }).range(end));
+        markLines(from, end, region.type);
+      }
+    }
+  }
+
+  decorate(doc, 0, true);
+
+  const gutterRanges = [];
+  for (const [lineFrom, type] of lineTypes) gutterRanges.push(new ChangeMarker(type).range(lineFrom));
+
+  return {
+    decorations: Decoration.set(ranges, true),
+    replaced: Decoration.set(replaced, true),
+    gutter: RangeSet.of(gutterRanges, true),
+  };
+}
+
+// --- Extension ---
+// critic: the app's CriticMarkup helpers (see the module comment).
+// annotations: extra annotations for accept/reject edits (e.g. to bypass
+// suggestion mode wrapping).
+export function criticDecorations(critic, annotations = []) {
+  function resolve(view, from, markup, accept) {
+    if (view.state.doc.sliceString(from, from + markup.length) !== markup) return;
+    const insert = accept ? critic.acceptMarkup(markup) : critic.rejectMarkup(markup);
+    view.dispatch({
+      changes: { from, to: from + markup.length, insert },
+      annotations,
+      userEvent: accept ? 'review.accept' : 'review.reject',
+    });
+  }
+
+  const foldField = StateField.define({
+    create() { return false; },
+    update(value, tr) {
+      for (const e of tr.effects) {
+        if (e.is(setFoldDelimiters)) value = e.value;
+      }
+      return value;
+    },
+  });
+
+  const criticField = StateField.define({
+    create(state) {
+      return buildDecorations(state, critic, state.field(foldField), resolve);
+    },
+    update(value, tr) {
+      const foldChanged = tr.effects.some((e) => e.is(setFoldDelimiters));
+      if (!tr.docChanged && !foldChanged) return value;
+      return buildDecorations(tr.state, critic, tr.state.field(foldField), resolve);
+    },
+    provide: (f) => [
+      EditorView.decorations.from(f, (value) => value.decorations),
+      EditorView.atomicRanges.of((view) => view.state.field(f).replaced),
+    ],
+  });
+
+  return [
+    foldField,
+    criticField,
+    gutter({
+      class: 'cm-critic-gutter',
+      markers: (view) => view.state.field(criticField).gutter,
+      initialSpacer: () => new ChangeMarker('spacer'),
+    }),
+    EditorView.baseTheme({
+      '.cm-critic-addition': { color: '#1e8e3e', backgroundColor: '#e6f4ea' },
+      '.cm-critic-deletion': { color: '#c5221f', backgroundColor: '#fce8e6', textDecoration: 'line-through' },
+      '.cm-critic-highlight': { backgroundColor: '#fef7e0', borderBottom: '2px solid #f9ab00' },
+      '.cm-critic-comment': { color: '#b06000', backgroundColor: '#fef7e0', fontStyle: 'italic' },
+      '.cm-critic-delimiter': { color: '#9aa0a6' },
+      '.cm-critic-meta': { color: '#9aa0a6', fontSize: '0.9em' },
+      '.cm-critic-author': {
+        display: 'inline-block', minWidth: '16px', height: '16px', padding: '0 3px', margin: '0 2px',
+        borderRadius: '8px', color: '#fff', fontSize: '9px', fontWeight: '600', lineHeight: '16px',
+        textAlign: 'center', verticalAlign: 'middle',
+      },
+      '.cm-critic-controls': { marginLeft: '2px', opacity: '0.35', whiteSpace: 'nowrap' },
+      '.cm-critic-controls:hover': { opacity: '1' },
+      '.cm-critic-controls button': {
+        border: 'none', background: 'none', cursor: 'pointer', fontSize: '11px',
+        padding: '0 3px', borderRadius: '3px', lineHeight: '1',
+      },
+      '.cm-critic-accept': { color: '#1e8e3e' },
+      '.cm-critic-accept:hover': { background: '#e6f4ea' },
+      '.cm-critic-reject': { color: '#c5221f' },
+      '.cm-critic-reject:hover': { background: '#fce8e6' },
+      '.cm-critic-gutter .cm-gutterElement': { padding: '0 2px' },
+      '.cm-critic-gutter-marker': { width: '3px', height: '100%', borderRadius: '1px' },
+      '.cm-critic-gutter-addition': { background: '#1e8e3e' },
+      '.cm-critic-gutter-deletion': { background: '#c5221f' },
+      '.cm-critic-gutter-substitution': { background: '#1a73e8' },
+      '.cm-critic-gutter-highlight': { background: '#f9ab00' },
+      '.cm-critic-gutter-comment': { background: '#f9ab00' },
+      '.cm-critic-gutter-mixed': { background: '#9334e6' },
+    }),
+  ];
+}
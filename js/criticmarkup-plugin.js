@@ -7,145 +7,770 @@
  *   {~~old~>new~~}       -> substitution (deletion + addition)
  *   {>>comment<<}        -> comment marker + sidebar card
  *   {==highlight==}      -> yellow highlighted text
+ *
+ * Regions are found once per document by the nesting-aware scanner in
+ * js/critic-core.js, the same one accept/reject uses, so nesting,
+ * attribution and comment threads agree everywhere. Two rules place them:
+ *   - the block rule turns a region that fills whole lines into a container
+ *     (critic_block_open/close) whose content is parsed as blocks, so
+ *     {--## Heading--} or an added list keeps its structure;
+ *   - the inline rule turns every other region into critic_open/close
+ *     around its parsed content. A region that crosses block boundaries
+ *     (paragraphs, list items, table cells) is split into one fragment per
+ *     block, so the Markdown around it stays valid. A block it covers whole
+ *     (a list, table, quote or code block, or all of a list item) goes in a
+ *     fragment container instead and keeps its structure. Every fragment
+ *     carries the whole region; only the last one has its controls.
+ * Deleted text is parsed like added text, so it keeps its formatting and
+ * the changes nested in it, each with its own controls. A change to a
+ * whole fenced code block is shown as a line diff inside one block.
+ * CriticMarkup inside code spans and fences is code (see findCodeRanges).
+ * md.criticmarkup lets other plugins find and show the changes inside text
+ * they take as it is (see js/extensions.js).
+ *
+ * data-offset attributes are offsets into the source given to md.render(),
+ * and env.critic.regions lists its review regions (see findReviewRegions).
+ * Loads as a classic script after critic-core.js (window.criticmarkupPlugin)
+ * or as a CommonJS module.
  */
-(function () {
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./critic-core.js'));
+  else root.criticmarkupPlugin = factory(root.MarkaroundCritic);
+})(typeof self !== 'undefined' ? self : this, function (Critic) {
   'use strict';
 
-  const RE_SUBSTITUTION = /^\{~~([\s\S]+?)~>([\s\S]+?)~~\}/;
-  const RE_ADDITION     = /^\{\+\+([\s\S]+?)\+\+\}/;
-  const RE_DELETION     = /^\{--([\s\S]+?)--\}/;
-  const RE_COMMENT      = /^\{>>([\s\S]+?)<<\}/;
-  const RE_HIGHLIGHT    = /^\{==([\s\S]+?)==\}/;
+  const escapeHtml = Critic.escapeHtml;
+
+  // Block token list -> document state; inline children list -> the context
+  // of that inline content. Both live only as long as one parse.
+  const documents = new WeakMap();
+  const contexts = new WeakMap();
+
+  const CONTROL_TITLES = {
+    addition: ['Accept addition', 'Reject addition'],
+    deletion: ['Accept deletion', 'Reject deletion'],
+    substitution: ['Accept change', 'Reject change'],
+    highlight: ['Accept highlight', 'Reject highlight'],
+    comment: ['Remove comment', 'Remove comment'],
+  };
+
+  // Characters markdown-it drops from the start of a line (indentation,
+  // quote, list and heading markers, table pipes) when it collects the
+  // inline content of a block
+  const LINE_PREFIX_RE = /[\s>|#\-*+.)0-9]/;
+
+  // A single line that is a block of its own (heading, list item, quote,
+  // rule or fence) rather than text inside a paragraph
+  const BLOCK_LINE_RE = /^ {0,3}(#{1,6}(\s|$)|>|[-+*](\s|$)|\d{1,9}[.)](\s|$)|`{3,}|~{3,}|([-*_])[ \t]*\2[ \t]*\2[-*_ \t]*$)/;
+
+  // --- Regions ---
+  function createDocument(src) {
+    const doc = { src: src, regions: Critic.findReviewRegions(src), byStart: new Map(), expanded: new Set(),
+      open: [], spanned: [], lineStarts: null };
+    doc.regions.forEach(function (region) { doc.byStart.set(region.start, region); });
+    return doc;
+  }
+
+  function lineStart(doc, line) {
+    if (!doc.lineStarts) {
+      doc.lineStarts = [0];
+      for (let i = 0; i < doc.src.length; i++) {
+        if (doc.src.charCodeAt(i) === 10) doc.lineStarts.push(i + 1);
+      }
+    }
+    return line < doc.lineStarts.length ? doc.lineStarts[line] : doc.src.length;
+  }
+
+  function contentEnd(region) {
+    return region.start + region.fullMarkup.length - 3;
+  }
+
+  // Source ranges of a region's visible content: [{ kind, from, to }], kind
+  // being the region type or 'old'/'new' for the halves of a substitution
+  function regionParts(region) {
+    const from = region.start + 3;
+    const to = contentEnd(region);
+    if (region.type === 'comment') return [];
+    if (region.type !== 'substitution') return [{ kind: region.type, from: from, to: to }];
+    const sep = Critic.findTopLevelSeparator(region.fullMarkup.substring(3, region.fullMarkup.length - 3));
+    if (sep === -1) return [{ kind: 'old', from: from, to: to }];
+    return [{ kind: 'old', from: from, to: from + sep }, { kind: 'new', from: from + sep + 2, to: to }];
+  }
 
-  function escapeDataAttr(str) {
-    return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  // Content that accepting the change removes
+  function isDeleted(kind) {
+    return kind === 'deletion' || kind === 'old';
   }
 
-  window.criticmarkupPlugin = function criticmarkupPlugin(md) {
+  function shiftRegion(region, delta) {
+    region.start += delta;
+    region.end += delta;
+    if (region.comment) shiftRegion(region.comment, delta);
+  }
+
+  // Regions nested in a region's content become known when it is parsed
+  function expandRegion(doc, region) {
+    if (doc.expanded.has(region)) return;
+    doc.expanded.add(region);
+    regionParts(region).forEach(function (part) {
+      Critic.findReviewRegions(doc.src.substring(part.from, part.to)).forEach(function (nested) {
+        shiftRegion(nested, part.from);
+        doc.byStart.set(nested.start, nested);
+      });
+    });
+  }
+
+  // --- Block Rule ---
+  // Line holding `offset`, searching from `line`
+  function lineOf(state, offset, line) {
+    while (line < state.lineMax - 1 && state.eMarks[line] < offset) line++;
+    return line;
+  }
+
+  // Last line of a region that fills whole lines within the current
+  // container, or -1
+  function blockEndLine(state, region, startLine, endLine) {
+    if (region.type === 'comment') return -1;
+    const lastLine = lineOf(state, region.end, startLine);
+    if (lastLine >= endLine || state.eMarks[lastLine] < region.end) return -1;
+    if (state.src.slice(region.end, state.eMarks[lastLine]).trim()) return -1;
+    for (let line = startLine + 1; line <= lastLine; line++) {
+      if (!state.isEmpty(line) && state.sCount[line] < state.blkIndent) return -1;
+    }
+    if (lastLine === startLine) {
+      // One line: only when its content is a block, not paragraph text
+      if (region.type === 'substitution') return -1;
+      if (!BLOCK_LINE_RE.test(state.src.substring(region.start + 3, contentEnd(region)))) return -1;
+    }
+    return lastLine;
+  }
+
+  // Parse source range [from, to) as blocks, reusing the lines it spans with
+  // their first and last line cut to the range
+  function parseBlockRange(state, from, to, startLine) {
+    const firstLine = lineOf(state, from, startLine);
+    const lastLine = lineOf(state, to, firstLine);
+    const saved = {
+      bMark: state.bMarks[firstLine], tShift: state.tShift[firstLine], sCount: state.sCount[firstLine],
+      eMark: state.eMarks[lastLine], lineMax: state.lineMax,
+    };
+
+    let pos = from;
+    let indent = 0;
+    while (pos < to && (state.src.charCodeAt(pos) === 0x20 || state.src.charCodeAt(pos) === 0x09)) {
+      indent += state.src.charCodeAt(pos) === 0x09 ? 4 - indent % 4 : 1;
+      pos++;
+    }
+    state.bMarks[firstLine] = from;
+    state.tShift[firstLine] = pos - from;
+    state.sCount[firstLine] = state.blkIndent + indent;
+    state.eMarks[lastLine] = to;
+    state.lineMax = lastLine + 1;
+
+    state.md.block.tokenize(state, firstLine, lastLine + 1);
+
+    state.bMarks[firstLine] = saved.bMark;
+    state.tShift[firstLine] = saved.tShift;
+    state.sCount[firstLine] = saved.sCount;
+    state.eMarks[lastLine] = saved.eMark;
+    state.lineMax = saved.lineMax;
+    return lastLine;
+  }
 
-    function criticRule(state, silent) {
-      if (state.src.charCodeAt(state.pos) !== 0x7B) return false;
+  function criticBlock(state, startLine, endLine, silent) {
+    const doc = documents.get(state.tokens);
+    if (!doc || state.sCount[startLine] - state.blkIndent >= 4) return false;
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    if (state.src.charCodeAt(start) !== 0x7B) return false;
+    const region = doc.byStart.get(start);
+    if (!region) return false;
+    const lastLine = blockEndLine(state, region, startLine, endLine);
+    if (lastLine === -1) return false;
+    if (silent) return true;
 
-      const remaining = state.src.slice(state.pos);
-      let match;
+    expandRegion(doc, region);
+    const meta = { region: region, first: true, last: true };
+    const content = state.tokens.length + 1;
+    let token = state.push('critic_block_open', 'div', 1);
+    token.block = true;
+    token.map = [startLine, lastLine + 1];
+    token.meta = meta;
 
-      // Try substitution first (before deletion, since both use special chars)
-      if ((match = remaining.match(RE_SUBSTITUTION))) {
-        if (silent) return true;
-        const token = state.push('critic_substitution', '', 0);
-        token.meta = { old: match[1], new: match[2], offset: state.pos };
-        token.markup = match[0];
-        state.pos += match[0].length;
-        return true;
+    regionParts(region).forEach(function (part) {
+      if (region.type === 'substitution') {
+        token = state.push('critic_block_open', 'div', 1);
+        token.block = true;
+        token.meta = { region: region, part: part.kind };
       }
+      parseBlockRange(state, part.from, part.to, startLine);
+      if (region.type === 'substitution') {
+        token = state.push('critic_block_close', 'div', -1);
+        token.block = true;
+        token.meta = { region: region, part: part.kind };
+      }
+    });
+    collapseCodeChange(state, region, content);
+
+    token = state.push('critic_block_close', 'div', -1);
+    token.block = true;
+    token.meta = meta;
+    state.line = lastLine + 1;
+    return true;
+  }
+
+  // --- Code Changes ---
+  // A change that replaces, adds or deletes a whole fenced code block, e.g.
+  //   {~~
+  //   ```js
+  //   old();
+  //   ```
+  //   ~>
+  //   ```js
+  //   updated();
+  //   ```
+  //   ~~}
+  // is shown as one code block with the changed lines marked
+  // (critic_code_diff) rather than as two blocks.
+  const CODE_CHANGE_SHAPES = {
+    addition: ['fence'],
+    deletion: ['fence'],
+    substitution: ['critic_block_open', 'fence', 'critic_block_close', 'critic_block_open', 'fence', 'critic_block_close'],
+  };
+
+  function collapseCodeChange(state, region, from) {
+    const shape = CODE_CHANGE_SHAPES[region.type];
+    const tokens = state.tokens.slice(from);
+    if (!shape || tokens.length !== shape.length) return;
+    for (let i = 0; i < shape.length; i++) {
+      if (tokens[i].type !== shape[i]) return;
+    }
+    const fences = tokens.filter(function (t) { return t.type === 'fence'; });
+    const rendered = state.md.criticmarkup.renderedFences;
+    if (fences.some(function (fence) { return rendered.indexOf(fenceLanguage(state.md, fence)) !== -1; })) return;
+    let lines;
+    if (region.type === 'substitution') lines = diffLines(codeLines(fences[0].content), codeLines(fences[1].content));
+    else {
+      const kind = region.type === 'addition' ? 'added' : 'removed';
+      lines = codeLines(fences[0].content).map(function (text) { return { kind: kind, text: text }; });
+    }
+    const token = new state.Token('critic_code_diff', 'pre', 0);
+    token.block = true;
+    token.info = fences[fences.length - 1].info;
+    token.markup = fences[fences.length - 1].markup;
+    token.map = [fences[0].map[0], fences[fences.length - 1].map[1]];
+    token.meta = { region: region, lines: lines };
+    state.tokens.splice(from, tokens.length, token);
+  }
+
+  function fenceLanguage(md, token) {
+    return token.info ? md.utils.unescapeAll(token.info).trim().split(/\s+/g)[0] : '';
+  }
+
+  function codeLines(content) {
+    return content ? content.replace(/\n$/, '').split('\n') : [];
+  }
+
+  // Give up on a minimal diff past this many line pairs: every old line is
+  // shown removed and every new one added
+  const MAX_DIFF_CELLS = 250000;
 
-      if ((match = remaining.match(RE_ADDITION))) {
-        if (silent) return true;
-        const token = state.push('critic_addition', '', 0);
-        token.meta = { content: match[1], offset: state.pos };
-        token.markup = match[0];
-        state.pos += match[0].length;
-        return true;
+  // Line diff (longest common subsequence): [{ kind, text }] with kind
+  // 'context', 'removed' or 'added'
+  function diffLines(a, b) {
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+      return a.map(function (text) { return { kind: 'removed', text: text }; })
+        .concat(b.map(function (text) { return { kind: 'added', text: text }; }));
+    }
+    // common[i][j]: length of the LCS of a[i..] and b[j..]
+    const common = [];
+    for (let i = a.length; i >= 0; i--) {
+      common[i] = new Array(b.length + 1).fill(0);
+      for (let j = b.length - 1; i < a.length && j >= 0; j--) {
+        common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        lines.push({ kind: 'context', text: a[i] });
+        i++;
+        j++;
+      } else if (j >= b.length || (i < a.length && common[i + 1][j] >= common[i][j + 1])) {
+        lines.push({ kind: 'removed', text: a[i++] });
+      } else {
+        lines.push({ kind: 'added', text: b[j++] });
       }
+    }
+    return lines;
+  }
+
+  // --- Inline Content ---
+  // Source range inside a block change, or inside one half of it
+  function blockContentRange(meta) {
+    const parts = regionParts(meta.region);
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i].kind === meta.part) return parts[i];
+    }
+    return { from: meta.region.start + 3, to: contentEnd(meta.region) };
+  }
 
-      if ((match = remaining.match(RE_DELETION))) {
-        if (silent) return true;
-        const token = state.push('critic_deletion', '', 0);
-        token.meta = { content: match[1], offset: state.pos };
-        token.markup = match[0];
-        state.pos += match[0].length;
-        return true;
+  // After block parsing: note where each inline token's content comes from,
+  // so the inline rule can map its positions back to source offsets
+  function mapInlineContent(state) {
+    const doc = documents.get(state.tokens);
+    if (!doc) return;
+    let previous = null;
+    let line = 0;
+    // Content can't come from before this offset (a block change's opening
+    // delimiter shares a line with its first block)
+    let floor = 0;
+    state.tokens.forEach(function (token) {
+      // Table cells have no map of their own; their row has
+      if (token.map) line = token.map[0];
+      if (token.type === 'critic_block_open') {
+        floor = blockContentRange(token.meta).from;
+      } else if (token.type === 'critic_block_close') {
+        floor = blockContentRange(token.meta).to;
+      } else if (token.type === 'inline') {
+        const ctx = {
+          doc: doc, content: token.content, line: line, from: floor, offsets: null,
+          // Table cells share a line: each one starts after the previous
+          previous: previous && previous.line === line ? previous : null,
+          continued: false,
+        };
+        contexts.set(token.children, ctx);
+        previous = ctx;
       }
+    });
+  }
+
+  // Context of inline content without a block token behind it (e.g. parsed
+  // by another plugin): its regions are found in the content itself
+  function contextFor(state) {
+    let ctx = contexts.get(state.tokens);
+    if (!ctx) {
+      ctx = { doc: createDocument(state.src), content: state.src, line: 0, from: 0, offsets: null, previous: null,
+        continued: false };
+      contexts.set(state.tokens, ctx);
+    }
+    return ctx;
+  }
 
-      if ((match = remaining.match(RE_COMMENT))) {
-        if (silent) return true;
-        const token = state.push('critic_comment', '', 0);
-        token.meta = { content: match[1], offset: state.pos };
-        token.markup = match[0];
-        state.pos += match[0].length;
-        return true;
+  // Source offset of each content position (plus one past the end), by
+  // walking content and source together and skipping the line prefixes
+  // markdown-it removed. Characters it added (tab expansion) map to the
+  // position they were inserted at.
+  function contentOffsets(ctx) {
+    if (ctx.offsets) return ctx.offsets;
+    const src = ctx.doc.src;
+    const content = ctx.content;
+    let pos = Math.max(lineStart(ctx.doc, ctx.line), ctx.from);
+    if (ctx.previous) pos = Math.max(pos, contentOffsets(ctx.previous)[ctx.previous.content.length]);
+    pos = alignContentStart(src, content, pos);
+    const offsets = new Array(content.length + 1);
+    for (let i = 0; i < content.length; i++) {
+      let scan = pos;
+      while (scan < src.length && src[scan] !== content[i] && LINE_PREFIX_RE.test(src[scan])) scan++;
+      if (src[scan] === content[i]) {
+        offsets[i] = scan;
+        pos = scan + 1;
+      } else {
+        offsets[i] = pos;
       }
+    }
+    offsets[content.length] = pos;
+    ctx.offsets = offsets;
+    return offsets;
+  }
 
-      if ((match = remaining.match(RE_HIGHLIGHT))) {
-        if (silent) return true;
-        const token = state.push('critic_highlight', '', 0);
-        token.meta = { content: match[1], offset: state.pos };
-        token.markup = match[0];
-        state.pos += match[0].length;
-        return true;
+  // Content that starts after more than a line prefix (e.g. a footnote
+  // label another plugin consumed) starts where its first line appears on
+  // the line
+  function alignContentStart(src, content, pos) {
+    if (!content) return pos;
+    let scan = pos;
+    while (scan < src.length && src[scan] !== content[0] && LINE_PREFIX_RE.test(src[scan])) scan++;
+    if (src[scan] === content[0]) return pos;
+    const newline = content.indexOf('\n');
+    const found = src.indexOf(newline === -1 ? content : content.substring(0, newline), pos);
+    const eol = src.indexOf('\n', pos);
+    return found !== -1 && (eol === -1 || found <= eol) ? found : pos;
+  }
+
+  // First content position at or after source offset `offset`
+  function positionOf(offsets, offset) {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (offsets[mid] < offset) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  // --- Inline Rule ---
+  // Emit the part of `region` that lies in content positions [from, to):
+  // its visible content, with the delimiters and trailing comments hidden
+  function pushRegionSlice(state, ctx, region, from, to) {
+    const offsets = contentOffsets(ctx);
+    const sliceStart = offsets[from];
+    const sliceEnd = offsets[to];
+    const meta = { region: region, first: region.start >= sliceStart, last: region.end <= sliceEnd };
+
+    if (region.type === 'comment') {
+      if (meta.first) state.push('critic_comment', '', 0).meta = meta;
+    } else {
+      expandRegion(ctx.doc, region);
+      state.push('critic_open', 'span', 1).meta = meta;
+      regionParts(region).forEach(function (part) {
+        const partFrom = positionOf(offsets, Math.max(part.from, sliceStart));
+        const partTo = positionOf(offsets, Math.min(part.to, sliceEnd));
+        if (partFrom > partTo || (partFrom === partTo && !meta.first)) return;
+        const partMeta = { region: region, part: part.kind };
+        if (region.type === 'substitution') state.push('critic_open', 'span', 1).meta = partMeta;
+        const posMax = state.posMax;
+        state.pos = partFrom;
+        state.posMax = partTo;
+        state.md.inline.tokenize(state);
+        state.posMax = posMax;
+        if (region.type === 'substitution') state.push('critic_close', 'span', -1).meta = partMeta;
+      });
+      state.push('critic_close', 'span', -1).meta = meta;
+    }
+
+    if (!meta.last && ctx.doc.open.indexOf(region) === -1) {
+      ctx.doc.open.push(region);
+      ctx.doc.spanned.push(region);
+    }
+    if (meta.last) {
+      const index = ctx.doc.open.indexOf(region);
+      if (index !== -1) ctx.doc.open.splice(index, 1);
+    }
+    state.pos = to;
+  }
+
+  // Region begun in an earlier block that this content continues
+  function continuedRegion(ctx) {
+    if (!ctx.doc.open.length) return null;
+    const start = contentOffsets(ctx)[0];
+    for (let i = 0; i < ctx.doc.open.length; i++) {
+      const region = ctx.doc.open[i];
+      if (region.start < start && start < region.end) return region;
+    }
+    return null;
+  }
+
+  function criticInline(state, silent) {
+    const ctx = contextFor(state);
+    let region;
+    let end;
+
+    if (state.pos === 0 && !ctx.continued) {
+      ctx.continued = true;
+      region = continuedRegion(ctx);
+      if (region && !silent) {
+        end = Math.min(positionOf(contentOffsets(ctx), region.end), state.posMax);
+        if (end > 0) {
+          pushRegionSlice(state, ctx, region, 0, end);
+          return true;
+        }
       }
+    }
+
+    if (state.src.charCodeAt(state.pos) !== 0x7B) return false;
+    const offsets = contentOffsets(ctx);
+    region = ctx.doc.byStart.get(offsets[state.pos]);
+    if (!region) return false;
+    end = positionOf(offsets, region.end);
+    // A region running past this block continues in the next one; that
+    // only makes sense for the block's own content, not e.g. a link label
+    if (end > state.posMax || (region.end > offsets[end] && state.posMax < state.src.length)) return false;
+    if (silent) {
+      state.pos = end;
+      return true;
+    }
+    pushRegionSlice(state, ctx, region, state.pos, end);
+    return true;
+  }
 
-      return false;
+  // --- Other Plugins ---
+  // Review regions in [from, to) of the text being parsed (content
+  // positions inline, source offsets in a block rule), for plugins that
+  // take that text as it is, e.g. a formula. Regions around the range are
+  // left out; null when one runs across either end of it.
+  function regionsIn(state, from, to) {
+    let doc = documents.get(state.tokens);
+    let start = from;
+    let end = to;
+    if (!state.bMarks) {
+      const ctx = contextFor(state);
+      const offsets = contentOffsets(ctx);
+      doc = ctx.doc;
+      start = offsets[from];
+      end = offsets[to];
     }
+    if (!doc) return [];
+    const inside = [];
+    for (const region of doc.byStart.values()) {
+      if (region.end <= start || region.start >= end || (region.start <= start && region.end >= end)) continue;
+      if (region.start < start || region.end > end) return null;
+      inside.push(region);
+    }
+    return inside.filter(function (region) {
+      return !inside.some(function (other) { return other.start < region.start && region.end <= other.end; });
+    }).sort(function (a, b) { return a.start - b.start; });
+  }
 
-    md.inline.ruler.before('emphasis', 'critic', criticRule);
+  // A change's markers and controls without its content, for a plugin
+  // that shows the content itself
+  function renderChange(region, slf) {
+    if (region.type === 'comment') return commentMarker(region, escapeHtml(Critic.regionMarkup(region)), region.start);
+    const token = { tag: 'span', block: false, attrs: null, meta: { region: region, first: true, last: true } };
+    return renderOpen(token, slf) + renderClose(token);
+  }
 
-    // --- Render Rules ---
+  // --- Blocks Across a Change ---
+  // After inline parsing, a region that crosses blocks is shown block by
+  // block. A block it covers whole (a paragraph, heading, list, table,
+  // quote or code block, or all of a list item) goes in a fragment
+  // container, so it keeps its structure; other blocks have the region's
+  // part of their text wrapped. Only the last fragment has the controls.
+  const LEAF_BLOCKS = ['fence', 'code_block', 'hr', 'html_block'];
+  // Blocks whose content can be any blocks, a container included
+  const FLOW_BLOCKS = ['blockquote_open', 'list_item_open', 'critic_block_open'];
 
-    md.renderer.rules.critic_addition = function (tokens, idx) {
-      const meta = tokens[idx].meta;
-      const markup = escapeDataAttr(tokens[idx].markup);
-      const rendered = md.renderInline(meta.content);
-      return '<span class="critic-addition" data-markup="' + markup + '" data-offset="' + meta.offset + '">'
-        + rendered
-        + '<span class="critic-controls">'
-        + '<button class="critic-accept" title="Accept addition">&#10003;</button>'
-        + '<button class="critic-reject" title="Reject addition">&#10005;</button>'
-        + '</span>'
-        + '</span>';
-    };
+  // Index of the token closing tokens[index]
+  function closingIndex(tokens, index) {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      depth += tokens[i].nesting;
+      if (depth === 0) return i;
+    }
+    return tokens.length - 1;
+  }
 
-    md.renderer.rules.critic_deletion = function (tokens, idx) {
-      const meta = tokens[idx].meta;
-      const markup = escapeDataAttr(tokens[idx].markup);
-      const text = md.utils.escapeHtml(meta.content);
-      return '<span class="critic-deletion" data-markup="' + markup + '" data-offset="' + meta.offset + '">'
-        + text
-        + '<span class="critic-controls">'
-        + '<button class="critic-accept" title="Accept deletion">&#10003;</button>'
-        + '<button class="critic-reject" title="Reject deletion">&#10005;</button>'
-        + '</span>'
-        + '</span>';
-    };
+  // The fragment a code block, rule or HTML block is in: { region, part,
+  // first, last } or null
+  function leafFragment(doc, token) {
+    const offset = token.map ? lineStart(doc, token.map[0]) : -1;
+    const region = offset === -1 ? null : doc.spanned.filter(function (r) {
+      return r.start < offset && offset < r.end;
+    })[0];
+    if (!region) return null;
+    const parts = regionParts(region).filter(function (part) { return part.from <= offset; });
+    const part = region.type === 'substitution' && parts.length ? parts[parts.length - 1].kind : null;
+    return { region: region, part: part, first: false, last: false };
+  }
 
-    md.renderer.rules.critic_substitution = function (tokens, idx) {
-      const meta = tokens[idx].meta;
-      const markup = escapeDataAttr(tokens[idx].markup);
-      const oldText = md.utils.escapeHtml(meta.old);
-      const newText = md.renderInline(meta.new);
-      return '<span class="critic-substitution" data-markup="' + markup + '" data-offset="' + meta.offset + '">'
-        + '<span class="critic-deletion">' + oldText + '</span>'
-        + '<span class="critic-addition">' + newText + '</span>'
-        + '<span class="critic-controls">'
-        + '<button class="critic-accept" title="Accept change">&#10003;</button>'
-        + '<button class="critic-reject" title="Reject change">&#10005;</button>'
-        + '</span>'
-        + '</span>';
-    };
+  // The fragment that is the whole of an inline token's content, or null
+  function inlineFragment(doc, token) {
+    const children = token.children;
+    if (children.length < 2 || children[0].type !== 'critic_open') return null;
+    const meta = children[0].meta;
+    if (doc.spanned.indexOf(meta.region) === -1 || closingIndex(children, 0) !== children.length - 1) return null;
+    let part = null;
+    if (meta.region.type === 'substitution') {
+      if (children.length < 4 || closingIndex(children, 1) !== children.length - 2) return null;
+      part = children[1].meta.part;
+    }
+    return { region: meta.region, part: part, first: meta.first, last: meta.last };
+  }
+
+  // The fragment all of tokens[from, to) is in, or null
+  function coveringFragment(doc, tokens, from, to) {
+    let covering = null;
+    for (let i = from; i < to; i++) {
+      const token = tokens[i];
+      let fragment;
+      if (token.type === 'inline' && token.children.length) fragment = inlineFragment(doc, token);
+      else if (LEAF_BLOCKS.indexOf(token.type) !== -1) fragment = leafFragment(doc, token);
+      else continue;
+      if (!fragment || (covering && (fragment.region !== covering.region || fragment.part !== covering.part))) return null;
+      if (covering) covering.last = fragment.last;
+      else covering = fragment;
+    }
+    return covering;
+  }
+
+  // Put tokens[from, to) in a fragment container, unwrapping their text
+  function pushFragment(state, fragment, from, to, out) {
+    const wrap = [{ region: fragment.region, first: fragment.first, last: fragment.last }];
+    if (fragment.part) wrap.push({ region: fragment.region, part: fragment.part });
+    wrap.forEach(function (meta) {
+      const open = new state.Token('critic_block_open', 'div', 1);
+      open.block = true;
+      open.map = state.tokens[from].map;
+      open.meta = meta;
+      out.push(open);
+    });
+    const depth = fragment.part ? 2 : 1;
+    for (let i = from; i < to; i++) {
+      const token = state.tokens[i];
+      if (token.type === 'inline' && token.children.length) {
+        token.children.splice(token.children.length - depth, depth);
+        token.children.splice(0, depth);
+      }
+      out.push(token);
+    }
+    wrap.reverse().forEach(function (meta) {
+      const close = new state.Token('critic_block_close', 'div', -1);
+      close.block = true;
+      close.meta = meta;
+      out.push(close);
+    });
+  }
+
+  // Copy tokens[from, to) to `out`, containers put around covered blocks;
+  // `flow` when they are in a block that can hold a container
+  function layOutBlocks(state, doc, from, to, flow, out) {
+    for (let i = from; i < to; i++) {
+      const token = state.tokens[i];
+      if (token.nesting === 1) {
+        const close = closingIndex(state.tokens, i);
+        const fragment = coveringFragment(doc, state.tokens, i + 1, close);
+        if (fragment && flow) {
+          pushFragment(state, fragment, i, close + 1, out);
+        } else {
+          out.push(token);
+          // A list item can't go in a container, but its content can
+          if (fragment && token.type === 'list_item_open') pushFragment(state, fragment, i + 1, close, out);
+          else layOutBlocks(state, doc, i + 1, close, FLOW_BLOCKS.indexOf(token.type) !== -1, out);
+          out.push(state.tokens[close]);
+        }
+        i = close;
+      } else {
+        const fragment = LEAF_BLOCKS.indexOf(token.type) !== -1 ? leafFragment(doc, token) : null;
+        if (fragment) pushFragment(state, fragment, i, i + 1, out);
+        else out.push(token);
+      }
+    }
+  }
+
+  // A region whose end isn't shown (e.g. it ends in cells past a table's
+  // columns) has its controls on the last fragment that is
+  function markLastFragments(doc, tokens) {
+    const lastShown = new Map();
+    const ended = new Set();
+    function note(token) {
+      if ((token.type !== 'critic_open' && token.type !== 'critic_block_open') || token.meta.part) return;
+      if (token.meta.last) ended.add(token.meta.region);
+      else lastShown.set(token.meta.region, token.meta);
+    }
+    tokens.forEach(function (token) {
+      note(token);
+      if (token.children) token.children.forEach(note);
+    });
+    lastShown.forEach(function (meta, region) {
+      if (!ended.has(region) && doc.spanned.indexOf(region) !== -1) meta.last = true;
+    });
+  }
+
+  function wrapSpannedBlocks(state) {
+    const doc = documents.get(state.tokens);
+    if (!doc || !doc.spanned.length) return;
+    const tokens = [];
+    layOutBlocks(state, doc, 0, state.tokens.length, true, tokens);
+    state.tokens.length = 0;
+    Array.prototype.push.apply(state.tokens, tokens);
+    markLastFragments(doc, state.tokens);
+  }
+
+  // --- Render Rules ---
+  function controls(type) {
+    const titles = CONTROL_TITLES[type];
+    return '<span class="critic-controls">'
+      + '<button class="critic-accept" title="' + titles[0] + '">&#10003;</button>'
+      + '<button class="critic-reject" title="' + titles[1] + '">&#10005;</button></span>';
+  }
+
+  function commentMarker(thread, markupAttr, offset) {
+    const content = thread.fullMarkup.substring(3, thread.fullMarkup.length - 3);
+    const meta = thread.meta || Critic.parseCommentMeta(content);
+    const markerStyle = meta.author && !meta.resolved ? ' style="background:' + Critic.authorColor(meta.author) + '"' : '';
+    return '<span class="critic-comment-marker' + (meta.resolved ? ' resolved' : '') + '" data-markup="' + markupAttr
+      + '" data-offset="' + offset + '" data-comment-text="' + escapeHtml(content) + '"' + markerStyle + '>'
+      + controls('comment') + '</span>';
+  }
+
+  function isAnnotated(region) {
+    return region.type === 'highlight' && !!region.comment;
+  }
+
+  function renderOpen(token, slf) {
+    const meta = token.meta;
+    const region = meta.region;
+    const tag = token.tag;
+    if (meta.part) return '<' + tag + ' class="' + (isDeleted(meta.part) ? 'critic-deletion' : 'critic-addition') + '">';
+
+    let className = 'critic-' + region.type + (token.block ? ' critic-block' : '');
+    // One of the fragments of a region that crosses blocks
+    if (!meta.first || !meta.last) className += ' critic-split';
+    let attrs = ' data-offset="' + region.start + '"' + (region.author ? ' data-author="' + escapeHtml(region.author) + '"' : '');
+    // An annotated range: the comment marker inside carries the whole pair,
+    // so removing the comment also removes its highlight
+    if (isAnnotated(region)) className += ' critic-annotated';
+    else attrs = ' data-markup="' + escapeHtml(Critic.regionMarkup(region)) + '"' + attrs;
+    return '<' + tag + ' class="' + className + '"' + attrs + slf.renderAttrs(token) + '>';
+  }
+
+  function renderClose(token) {
+    const meta = token.meta;
+    const region = meta.region;
+    const end = '</' + token.tag + '>';
+    if (meta.part) return end;
+    const badge = meta.last && region.author ? Critic.authorBadge(region.author, region.date) : '';
+    if (isAnnotated(region)) {
+      return badge + (meta.last ? commentMarker(region.comment, escapeHtml(Critic.regionMarkup(region)), region.start) : '') + end;
+    }
+    return badge + (meta.last ? controls(region.type) : '') + end;
+  }
+
+  function criticmarkupPlugin(md) {
+    // For other plugins; renderedFences lists fence languages they render
+    // as something other than code (e.g. diagrams), whose changes show both
+    // versions rather than a line diff
+    md.criticmarkup = { regionsIn: regionsIn, renderChange: renderChange, renderedFences: [] };
+    md.core.ruler.after('normalize', 'critic_regions', function (state) {
+      if (state.inlineMode) return;
+      const doc = createDocument(state.src);
+      documents.set(state.tokens, doc);
+      if (state.env) state.env.critic = { regions: doc.regions };
+    });
+    md.block.ruler.before('table', 'critic_block', criticBlock);
+    md.core.ruler.after('block', 'critic_inline_map', mapInlineContent);
+    md.inline.ruler.before('text', 'critic', criticInline);
+    md.core.ruler.after('inline', 'critic_spanned_blocks', wrapSpannedBlocks);
 
+    md.renderer.rules.critic_open = function (tokens, idx, options, env, slf) {
+      return renderOpen(tokens[idx], slf);
+    };
+    md.renderer.rules.critic_close = function (tokens, idx) {
+      return renderClose(tokens[idx]);
+    };
+    md.renderer.rules.critic_block_open = function (tokens, idx, options, env, slf) {
+      return renderOpen(tokens[idx], slf) + '\n';
+    };
+    md.renderer.rules.critic_block_close = function (tokens, idx) {
+      return renderClose(tokens[idx]) + '\n';
+    };
+    md.renderer.rules.critic_code_diff = function (tokens, idx, options, env, slf) {
+      const token = tokens[idx];
+      const lang = fenceLanguage(md, token);
+      return '<pre class="critic-code-diff"' + slf.renderAttrs(token) + '><code'
+        + (lang ? ' class="' + options.langPrefix + escapeHtml(lang) + '"' : '') + '>'
+        + token.meta.lines.map(function (line) {
+          return '<span class="critic-diff-' + line.kind + '">' + escapeHtml(line.text) + '\n</span>';
+        }).join('')
+        + '</code></pre>\n';
+    };
     md.renderer.rules.critic_comment = function (tokens, idx) {
-      const meta = tokens[idx].meta;
-      const markup = escapeDataAttr(tokens[idx].markup);
-      const text = md.utils.escapeHtml(meta.content);
-      return '<span class="critic-comment-marker" data-markup="' + markup + '" data-offset="' + meta.offset + '" data-comment-text="' + escapeDataAttr(meta.content) + '">'
-        + '<span class="critic-controls">'
-        + '<button class="critic-accept" title="Remove comment">&#10003;</button>'
-        + '<button class="critic-reject" title="Remove comment">&#10005;</button>'
-        + '</span>'
-        + '</span>';
+      const region = tokens[idx].meta.region;
+      return commentMarker(region, escapeHtml(Critic.regionMarkup(region)), region.start);
     };
+  }
 
-    md.renderer.rules.critic_highlight = function (tokens, idx) {
-      const meta = tokens[idx].meta;
-      const markup = escapeDataAttr(tokens[idx].markup);
-      const rendered = md.renderInline(meta.content);
-      return '<span class="critic-highlight" data-markup="' + markup + '" data-offset="' + meta.offset + '">'
-        + rendered
-        + '<span class="critic-controls">'
-        + '<button class="critic-accept" title="Accept highlight">&#10003;</button>'
-        + '<button class="critic-reject" title="Reject highlight">&#10005;</button>'
-        + '</span>'
-        + '</span>';
-    };
-  };
-})();
+  return criticmarkupPlugin;
+});
@@ -0,0 +1,364 @@
+/**
+ * Markaround - version compare
+ * Turns two versions of a document into one CriticMarkup redline. Lines are
+ * diffed first, so untouched paragraphs stay untouched, then the words of
+ * each changed hunk, so an edit inside a sentence becomes a small
+ * {~~old~>new~~} rather than a rewritten paragraph.
+ *
+ * Markdown that must not be split is diffed as a single token: fenced code
+ * blocks, inline code, links and images, autolinks and emphasis spans. When
+ * a list, heading or quote marker changes, the whole line becomes the change
+ * so that no markup ends up in the middle of the block syntax.
+ */
+(function () {
+  'use strict';
+
+  // Give up on a minimal diff past this many edits (the rest of the hunk is
+  // reported as one replacement); keeps huge rewrites from eating memory.
+  var MAX_EDITS = 4000;
+
+  var FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+  var BLOCK_PREFIX_RE = /^(?:[ \t]*(?:[-*+]|\d{1,9}[.)]|#{1,6}|>)(?=[ \t]|\n|$)[ \t]*)+(?:\[[ xX]\][ \t]+)?/;
+  var INLINE_TOKEN_RE = new RegExp([
+    '(`+)[^\\n]*?\\1',                                 // inline code
+    '!?\\[[^\\]\\n]*\\](?:\\([^)\\n]*\\)|\\[[^\\]\\n]*\\])?', // link / image / reference
+    '<[A-Za-z][A-Za-z0-9+.-]*:[^\\s>]*>',             // autolink
+    '(\\*\\*|__|~~)(?=\\S)[^\\n]*?\\S\\2',            // strong / strikethrough
+    '([*_])(?=[^\\s*_])[^\\n]*?[^\\s*_]\\3',          // emphasis
+    '[\\p{L}\\p{N}]+(?:[\'’-][\\p{L}\\p{N}]+)*', // word
+    '[ \\t]+',
+    '\\n',
+    '[\\s\\S]',
+  ].join('|'), 'gu');
+
+  // --- Myers Diff ---
+  // Shortest edit script between arrays a and b (compared with ===).
+  // Returns [{ type: 'equal' | 'delete' | 'insert', a, b }] with token
+  // indices, or null if there are more than MAX_EDITS differences.
+  function myers(a, b) {
+    var n = a.length;
+    var m = b.length;
+    var max = Math.min(n + m, MAX_EDITS);
+    var v = { 1: 0 };
+    var trace = [];
+
+    for (var d = 0; d <= max; d++) {
+      var snapshot = {};
+      for (var k = -d; k <= d; k += 2) {
+        var x = k === -d || (k !== d && v[k - 1] < v[k + 1]) ? v[k + 1] : v[k - 1] + 1;
+        var y = x - k;
+        while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+        v[k] = x;
+        snapshot[k] = x;
+        if (x >= n && y >= m) {
+          trace.push(snapshot);
+          return backtrack(trace, n, m);
+        }
+      }
+      trace.push(snapshot);
+    }
+    return null;
+  }
+
+  function backtrack(trace, n, m) {
+    var ops = [];
+    var x = n;
+    var y = m;
+    for (var d = trace.length - 1; d > 0; d--) {
+      var v = trace[d - 1];
+      var k = x - y;
+      var prevK = k === -d || (k !== d && v[k - 1] < v[k + 1]) ? k + 1 : k - 1;
+      var prevX = v[prevK];
+      var prevY = prevX - prevK;
+      while (x > prevX && y > prevY) ops.push({ type: 'equal', a: --x, b: --y });
+      if (x === prevX) ops.push({ type: 'insert', b: --y });
+      else ops.push({ type: 'delete', a: --x });
+    }
+    while (x > 0 && y > 0) ops.push({ type: 'equal', a: --x, b: --y });
+    return ops.reverse();
+  }
+
+  // Diff with common prefix/suffix trimmed first; falls back to replacing
+  // everything in between when the edit script would be too long.
+  function diffArrays(a, b) {
+    var start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    var endA = a.length;
+    var endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    var ops = [];
+    var i;
+    for (i = 0; i < start; i++) ops.push({ type: 'equal', a: i, b: i });
+    var middle = myers(a.slice(start, endA), b.slice(start, endB));
+    if (middle) {
+      middle.forEach(function (op) {
+        ops.push({ type: op.type, a: op.a === undefined ? undefined : op.a + start, b: op.b === undefined ? undefined : op.b + start });
+      });
+    } else {
+      for (i = start; i < endA; i++) ops.push({ type: 'delete', a: i });
+      for (i = start; i < endB; i++) ops.push({ type: 'insert', b: i });
+    }
+    for (i = 0; i < a.length - endA; i++) ops.push({ type: 'equal', a: endA + i, b: endB + i });
+    return ops;
+  }
+
+  // --- Tokenizers ---
+  // Lines (with their newline); a fenced code block is a single unit
+  function splitUnits(text) {
+    var lines = text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    var units = [];
+    for (var i = 0; i < lines.length; i++) {
+      var fence = FENCE_RE.exec(lines[i]);
+      if (!fence) {
+        units.push(lines[i]);
+        continue;
+      }
+      var block = lines[i];
+      var closer = new RegExp('^ {0,3}' + fence[1].charAt(0) + '{' + fence[1].length + ',}[ \\t]*\\n?$');
+      while (++i < lines.length) {
+        block += lines[i];
+        if (closer.test(lines[i])) break;
+      }
+      units.push(block);
+    }
+    return units;
+  }
+
+  // Word-level tokens of a run of units: { text, line, block } where `line`
+  // indexes the unit and `block` marks block syntax (markers, fences)
+  function tokenize(units) {
+    var tokens = [];
+    units.forEach(function (unit, line) {
+      if (FENCE_RE.test(unit)) {
+        var body = unit.replace(/\n$/, '');
+        tokens.push({ text: body, line: line, block: true });
+        if (body.length < unit.length) tokens.push({ text: '\n', line: line });
+        return;
+      }
+      var prefix = BLOCK_PREFIX_RE.exec(unit);
+      var rest = unit;
+      if (prefix && prefix[0]) {
+        tokens.push({ text: prefix[0], line: line, block: true });
+        rest = unit.substring(prefix[0].length);
+      }
+      var match;
+      INLINE_TOKEN_RE.lastIndex = 0;
+      while ((match = INLINE_TOKEN_RE.exec(rest))) tokens.push({ text: match[0], line: line });
+    });
+    return tokens;
+  }
+
+  // --- Word Diff of a Hunk ---
+  // Returns [{ type, text }] runs for one hunk of changed lines
+  function diffHunk(oldUnits, newUnits) {
+    var a = tokenize(oldUnits);
+    var b = tokenize(newUnits);
+    var ops = diffArrays(a.map(textOf), b.map(textOf));
+
+    var changedA = a.map(function () { return true; });
+    var changedB = b.map(function () { return true; });
+    var pairA = a.map(function () { return -1; });
+    var pairB = b.map(function () { return -1; });
+    ops.forEach(function (op) {
+      if (op.type !== 'equal') return;
+      changedA[op.a] = changedB[op.b] = false;
+      pairA[op.a] = op.b;
+      pairB[op.b] = op.a;
+    });
+    wholeLines(a, b, changedA, changedB, pairA, pairB);
+
+    // Rebuild the runs in document order from the (possibly widened) marks
+    var runs = [];
+    var i = 0;
+    var j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && changedA[i]) {
+        push(runs, 'delete', a[i++].text);
+      } else if (j < b.length && changedB[j]) {
+        push(runs, 'insert', b[j++].text);
+      } else {
+        push(runs, 'equal', a[i].text);
+        i++;
+        j++;
+      }
+    }
+    return runs;
+  }
+
+  function textOf(token) { return token.text; }
+
+  // A changed block marker (list bullet, heading, quote, fence) takes its
+  // whole line with it, and the line it was aligned with on the other side.
+  // Newlines stay equal so each line keeps its own markup.
+  function wholeLines(a, b, changedA, changedB, pairA, pairB) {
+    var sides = [
+      { tokens: a, changed: changedA, pair: pairA, marked: {} },
+      { tokens: b, changed: changedB, pair: pairB, marked: {} },
+    ];
+    var queue = [];
+    sides.forEach(function (side, s) {
+      side.tokens.forEach(function (token, i) {
+        if (token.block && side.changed[i]) queue.push([s, token.line]);
+      });
+    });
+    while (queue.length) {
+      var item = queue.pop();
+      var side = sides[item[0]];
+      var other = sides[1 - item[0]];
+      if (side.marked[item[1]]) continue;
+      side.marked[item[1]] = true;
+      side.tokens.forEach(function (token, i) {
+        if (token.line !== item[1] || token.text === '\n') return;
+        side.changed[i] = true;
+        var partner = side.pair[i];
+        if (partner !== -1) {
+          side.pair[i] = -1;
+          other.pair[partner] = -1;
+          queue.push([1 - item[0], other.tokens[partner].line]);
+        }
+      });
+    }
+  }
+
+  function push(runs, type, text) {
+    var last = runs[runs.length - 1];
+    if (last && last.type === type) last.text += text;
+    else runs.push({ type: type, text: text });
+  }
+
+  // --- Grouping ---
+  // Small equalities sandwiched between changes (a space, a short word) are
+  // folded into the surrounding change, so "the quick brown" -> "a slow red"
+  // reads as one substitution instead of three.
+  function groupChanges(runs) {
+    var groups = [];
+    runs.forEach(function (run) {
+      var last = groups[groups.length - 1];
+      if (run.type === 'equal') {
+        groups.push({ equal: run.text });
+      } else {
+        if (!last || last.equal !== undefined) {
+          last = { del: '', ins: '' };
+          groups.push(last);
+        }
+        if (run.type === 'delete') last.del += run.text;
+        else last.ins += run.text;
+      }
+    });
+
+    for (var i = 1; i < groups.length - 1; i++) {
+      var eq = groups[i].equal;
+      if (eq === undefined || eq.indexOf('\n') !== -1) continue;
+      var before = groups[i - 1];
+      var after = groups[i + 1];
+      if (eq.length <= Math.max(before.del.length, before.ins.length)
+          && eq.length <= Math.max(after.del.length, after.ins.length)) {
+        before.del += eq + after.del;
+        before.ins += eq + after.ins;
+        groups.splice(i, 2);
+        i = Math.max(0, i - 3); // the grown change may absorb the equality before it
+      }
+    }
+    return groups;
+  }
+
+  function criticMarkup(group, attribution) {
+    if (group.equal !== undefined) return group.equal;
+    var after = attribution || '';
+    if (group.del && group.ins) {
+      // Keep shared leading/trailing whitespace outside the substitution
+      var lead = commonWhitespace(group.del, group.ins, false);
+      var trail = commonWhitespace(group.del.substring(lead.length), group.ins.substring(lead.length), true);
+      var del = group.del.substring(lead.length, group.del.length - trail.length);
+      var ins = group.ins.substring(lead.length, group.ins.length - trail.length);
+      if (!del) return lead + '{++' + ins + '++}' + after + trail;
+      if (!ins) return lead + '{--' + del + '--}' + after + trail;
+      return lead + '{~~' + del + '~>' + ins + '~~}' + after + trail;
+    }
+    // A paragraph added or removed below another keeps the blank line that
+    // separates them outside the markup, so the change starts a block of its own
+    var text = group.del || group.ins;
+    var blank = group.lineStart ? /^\n*/.exec(text)[0] : '';
+    if (blank.length === text.length) blank = '';
+    text = text.substring(blank.length);
+    return blank + (group.del ? '{--' + text + '--}' : '{++' + text + '++}') + after;
+  }
+
+  function commonWhitespace(a, b, fromEnd) {
+    var n = 0;
+    var max = Math.min(a.length, b.length);
+    while (n < max) {
+      var ca = fromEnd ? a.charAt(a.length - 1 - n) : a.charAt(n);
+      var cb = fromEnd ? b.charAt(b.length - 1 - n) : b.charAt(n);
+      if (ca !== cb || !/\s/.test(ca)) break;
+      n++;
+    }
+    return fromEnd ? a.substring(a.length - n) : a.substring(0, n);
+  }
+
+  // --- Entry Points ---
+  // Splits both texts into alternating equal runs and { del, ins } changes
+  function diffGroups(original, revised) {
+    var oldUnits = splitUnits(original.replace(/\r\n?/g, '\n'));
+    var newUnits = splitUnits(revised.replace(/\r\n?/g, '\n'));
+    var ops = diffArrays(oldUnits, newUnits);
+
+    var groups = [];
+    var hunkOld = [];
+    var hunkNew = [];
+    function flushHunk() {
+      if (!hunkOld.length && !hunkNew.length) return;
+      var hunk = groupChanges(diffHunk(hunkOld, hunkNew));
+      if (hunk[0].equal === undefined) hunk[0].lineStart = true;
+      groups.push.apply(groups, hunk);
+      hunkOld = [];
+      hunkNew = [];
+    }
+    ops.forEach(function (op) {
+      if (op.type === 'equal') {
+        flushHunk();
+        groups.push({ equal: oldUnits[op.a] });
+      } else if (op.type === 'delete') {
+        hunkOld.push(oldUnits[op.a]);
+      } else {
+        hunkNew.push(newUnits[op.b]);
+      }
+    });
+    flushHunk();
+    return groups;
+  }
+
+  // Returns the revised text with every difference from the original marked up
+  function compare(original, revised) {
+    return diffGroups(original, revised).map(function (group) { return criticMarkup(group); }).join('');
+  }
+
+  // Lists the differences as edits against the original: original[from, to)
+  // becomes revised[newFrom, newTo), written as CriticMarkup in `markup`
+  // (followed by `attribution` when given). Offsets assume \n line endings.
+  function changes(original, revised, attribution) {
+    var edits = [];
+    var from = 0;
+    var newFrom = 0;
+    diffGroups(original, revised).forEach(function (group) {
+      if (group.equal !== undefined) {
+        from += group.equal.length;
+        newFrom += group.equal.length;
+        return;
+      }
+      edits.push({
+        from: from,
+        to: from + group.del.length,
+        newFrom: newFrom,
+        newTo: newFrom + group.ins.length,
+        markup: criticMarkup(group, attribution),
+      });
+      from += group.del.length;
+      newFrom += group.ins.length;
+    });
+    return edits;
+  }
+
+  window.MarkaroundDiff = { compare: compare, changes: changes };
+})();
@@ -0,0 +1,727 @@
+/**
+ * Markaround - Word (.docx) import
+ * The reverse of docx.js: reads a Word document's tracked changes and
+ * comments back into CriticMarkup, so a round trip through Word keeps the
+ * review history:
+ *   w:ins / w:moveTo         -> {++text++}
+ *   w:del / w:moveFrom       -> {--text--}
+ *   deletion then insertion  -> {~~old~>new~~} (same author and day)
+ *   comment on a range       -> {==text==}{>>comment<<}
+ *   comment at a point       -> {>>comment<<}
+ *   changes in a code block  -> one change of the whole fenced block
+ * Revision authors become attribution ({>>@Jane_Doe 2026-10-19<<}), Word
+ * replies become thread replies and "done" comments are marked resolved.
+ *
+ * Paragraph styles and numbering map back to Markdown headings, lists,
+ * quotes, code blocks (with the language docx.js tags them with) and tables;
+ * bold, italic, strikethrough, monospace runs and hyperlinks are kept.
+ * Comment formatting helpers come from the app, passed in as `critic` (see
+ * app.js).
+ */
+(function () {
+  'use strict';
+
+  var NS_W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+  var NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  var NS_W14 = 'http://schemas.microsoft.com/office/word/2010/wordml';
+  var NS_W15 = 'http://schemas.microsoft.com/office/word/2012/wordml';
+
+  var PARTS = [
+    'word/document.xml', 'word/styles.xml', 'word/numbering.xml',
+    'word/comments.xml', 'word/commentsExtended.xml', 'word/_rels/document.xml.rels',
+  ];
+  var MONOSPACE_RE = /consolas|courier|mono|menlo|monaco/i;
+  var CODE_STYLE_RE = /code|preformatted|verbatim/i;
+  // docx.js signs unattributed changes and comments with this name, and tags
+  // the content control around each code block with its info string
+  var PLACEHOLDER_AUTHOR = 'Unknown';
+  var CODE_TAG = 'markaround-code:';
+
+  // --- XML Helpers ---
+  function parseXml(bytes) {
+    if (!bytes) return null;
+    var doc = new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('Malformed XML in Word document');
+    return doc;
+  }
+
+  function attr(el, name, ns) {
+    if (!el) return null;
+    ns = ns || NS_W;
+    return el.hasAttributeNS(ns, name) ? el.getAttributeNS(ns, name) : null;
+  }
+
+  function children(el, name) {
+    var result = [];
+    if (!el) return result;
+    for (var i = 0; i < el.children.length; i++) {
+      var child = el.children[i];
+      if (child.namespaceURI === NS_W && (!name || child.localName === name)) result.push(child);
+    }
+    return result;
+  }
+
+  function child(el, name) {
+    return children(el, name)[0] || null;
+  }
+
+  function descendants(doc, name, ns) {
+    return doc ? Array.prototype.slice.call(doc.getElementsByTagNameNS(ns || NS_W, name)) : [];
+  }
+
+  // <w:b/> and <w:b w:val="1"/> are on, <w:b w:val="0"/> is off
+  function isOn(props, name) {
+    var el = child(props, name);
+    if (!el) return false;
+    var val = attr(el, 'val');
+    return val === null || !/^(0|false|off|none)$/i.test(val);
+  }
+
+  // Plain text of an element's runs (used for comment bodies)
+  function plainText(el) {
+    var text = '';
+    descendants(el, '*').forEach(function (node) {
+      if (node.localName === 't') text += node.textContent;
+      else if (node.localName === 'tab') text += ' ';
+    });
+    return text;
+  }
+
+  function dayOf(date) {
+    var m = /^(\d{4}-\d{2}-\d{2})/.exec(date || '');
+    return m ? m[1] : null;
+  }
+
+  // --- Document Parts ---
+  function readStyles(doc) {
+    var styles = {};
+    descendants(doc, 'style').forEach(function (el) {
+      var pPr = child(el, 'pPr');
+      styles[attr(el, 'styleId')] = {
+        name: attr(child(el, 'name'), 'val') || '',
+        basedOn: attr(child(el, 'basedOn'), 'val'),
+        numPr: child(pPr, 'numPr'),
+        outline: attr(child(pPr, 'outlineLvl'), 'val'),
+        rPr: child(el, 'rPr'),
+      };
+    });
+    return styles;
+  }
+
+  // numId -> ilvl -> 'bullet' | 'ordered'
+  function readNumbering(doc) {
+    var abstracts = {};
+    var formats = {};
+    descendants(doc, 'abstractNum').forEach(function (el) {
+      var levels = {};
+      children(el, 'lvl').forEach(function (lvl) {
+        var fmt = attr(child(lvl, 'numFmt'), 'val');
+        levels[attr(lvl, 'ilvl')] = fmt && fmt !== 'bullet' && fmt !== 'none' ? 'ordered' : 'bullet';
+      });
+      abstracts[attr(el, 'abstractNumId')] = levels;
+    });
+    descendants(doc, 'num').forEach(function (el) {
+      formats[attr(el, 'numId')] = abstracts[attr(child(el, 'abstractNumId'), 'val')] || {};
+    });
+    return formats;
+  }
+
+  function readRelationships(doc) {
+    var targets = {};
+    if (!doc) return targets;
+    Array.prototype.forEach.call(doc.getElementsByTagName('Relationship'), function (el) {
+      targets[el.getAttribute('Id')] = el.getAttribute('Target');
+    });
+    return targets;
+  }
+
+  // id -> { author, date, text, paraId, parent, done, replies }
+  function readComments(doc, extendedDoc) {
+    var comments = {};
+    var byParaId = {};
+    descendants(doc, 'comment').forEach(function (el) {
+      var paragraphs = children(el, 'p');
+      var last = paragraphs[paragraphs.length - 1];
+      var comment = {
+        author: attr(el, 'author'),
+        date: dayOf(attr(el, 'date')),
+        text: paragraphs.map(plainText).join(' ').trim().replace(/<<\}/g, '<< }'),
+        paraId: attr(last, 'paraId', NS_W14),
+        parent: null,
+        done: false,
+        replies: [],
+      };
+      comments[attr(el, 'id')] = comment;
+      if (comment.paraId) byParaId[comment.paraId] = comment;
+    });
+
+    // Replies and resolved state live in commentsExtended.xml (Word 2013+)
+    descendants(extendedDoc, 'commentEx', NS_W15).forEach(function (el) {
+      var comment = byParaId[attr(el, 'paraId', NS_W15)];
+      if (!comment) return;
+      var done = attr(el, 'done', NS_W15);
+      comment.done = done === '1' || done === 'true';
+      var parent = byParaId[attr(el, 'paraIdParent', NS_W15)];
+      if (parent && parent !== comment) {
+        comment.parent = parent;
+        parent.replies.push(comment);
+      }
+    });
+    return comments;
+  }
+
+  // --- Paragraph Writer ---
+  // Serializes one block's inline content. Markup is kept properly nested by
+  // treating comment highlights, the tracked change and the hyperlink as
+  // layers (outermost first) that are opened lazily when text arrives and
+  // closed and reopened whenever the layer a run needs differs from the one
+  // that's open. A comment whose range crosses a change boundary therefore
+  // splits the change rather than interleaving delimiters.
+  // mode: 'text' (paragraphs), 'inline' (headings, table cells)
+  function ParagraphWriter(importer, mode) {
+    this.importer = importer;
+    this.mode = mode;
+    this.out = [];
+    this.layers = [];
+    this.chunk = null;        // pending { text, fmt } for the innermost layer
+    this.lastChange = null;   // most recently closed change (substitution merging)
+  }
+
+  ParagraphWriter.prototype.text = function (text, fmt, change, link) {
+    if (!text) return;
+    this.reconcile(this.wanted(change, link));
+    text = text.replace(/[\\`*_[\]]/g, '\\$&');
+    if (this.mode === 'inline') text = text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    var key = formatKey(fmt);
+    if (this.chunk && this.chunk.key === key) {
+      this.chunk.text += text;
+    } else {
+      this.flush();
+      this.chunk = { text: text, fmt: fmt, key: key };
+    }
+  };
+
+  ParagraphWriter.prototype.lineBreak = function (fmt, change, link) {
+    if (this.mode === 'inline') this.text(' ', fmt, change, link);
+    else {
+      this.reconcile(this.wanted(change, link));
+      this.flush();
+      this.out.push('\\\n');
+    }
+  };
+
+  ParagraphWriter.prototype.wanted = function (change, link) {
+    var wanted = this.importer.active.map(function (id) { return { kind: 'highlight', key: id }; });
+    if (change) wanted.push({ kind: 'change', key: change.key, change: change });
+    if (link) wanted.push({ kind: 'link', key: link });
+    return wanted;
+  };
+
+  ParagraphWriter.prototype.reconcile = function (wanted) {
+    var i = 0;
+    while (i < this.layers.length && i < wanted.length
+      && this.layers[i].kind === wanted[i].kind && this.layers[i].key === wanted[i].key) i++;
+    this.closeTo(i);
+    for (; i < wanted.length; i++) this.open(wanted[i]);
+  };
+
+  ParagraphWriter.prototype.open = function (layer) {
+    this.flush();
+    if (layer.kind === 'highlight') {
+      this.out.push('{==');
+    } else if (layer.kind === 'link') {
+      this.out.push('[');
+    } else {
+      var change = layer.change;
+      var last = this.lastChange;
+      if (change.type === 'addition' && last && last.type === 'deletion' && last.author === change.author
+          && last.date === change.date && last.outLength === this.out.length) {
+        // Deletion immediately followed by the same reviewer's insertion
+        this.out[last.openIndex] = '{~~';
+        this.out[last.closeIndex] = '~>';
+        this.out[last.closeIndex + 1] = '';
+        layer.type = 'substitution';
+      } else {
+        this.out.push(change.type === 'addition' ? '{++' : '{--');
+        layer.type = change.type;
+      }
+      layer.openIndex = this.out.length - 1;
+    }
+    this.layers.push(layer);
+  };
+
+  // Close layers down to (but not including) index `depth`
+  ParagraphWriter.prototype.closeTo = function (depth) {
+    while (this.layers.length > depth) {
+      this.flush();
+      var layer = this.layers.pop();
+      if (layer.kind === 'highlight') {
+        this.out.push('==}');
+        if (this.importer.ended[layer.key]) this.out.push(this.importer.finishRange(layer.key));
+      } else if (layer.kind === 'link') {
+        this.out.push('](' + layer.key.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\s/g, '%20') + ')');
+      } else {
+        var close = { addition: '++}', deletion: '--}', substitution: '~~}' }[layer.type];
+        this.out.push(close, this.importer.attribution(layer.change));
+        this.lastChange = {
+          type: layer.type,
+          author: layer.change.author,
+          date: layer.change.date,
+          openIndex: layer.openIndex,
+          closeIndex: this.out.length - 2,
+          outLength: this.out.length,
+        };
+      }
+    }
+  };
+
+  // Index past the last open highlight (changes and links nest inside them)
+  ParagraphWriter.prototype.highlightDepth = function () {
+    var depth = 0;
+    this.layers.forEach(function (layer, i) { if (layer.kind === 'highlight') depth = i + 1; });
+    return depth;
+  };
+
+  ParagraphWriter.prototype.commentEnd = function (id) {
+    var importer = this.importer;
+    importer.ended[id] = true;
+    var open = this.layers.some(function (layer) { return layer.kind === 'highlight' && layer.key === id; });
+    if (!open) {
+      // Nothing was highlighted since the range started: a point comment
+      this.emit(importer.finishRange(id));
+      return;
+    }
+    // Close every finished highlight that is now innermost; one still
+    // enclosing an open range waits for it (its range grows slightly)
+    this.closeTo(this.highlightDepth());
+    while (this.layers.length && importer.ended[this.layers[this.layers.length - 1].key]) {
+      this.closeTo(this.layers.length - 1);
+    }
+  };
+
+  // A comment reference; ranged comments are written when their highlight closes
+  ParagraphWriter.prototype.point = function (id) {
+    if (this.importer.active.indexOf(id) === -1) this.emit(this.importer.take(id));
+  };
+
+  ParagraphWriter.prototype.emit = function (markup) {
+    if (!markup) return;
+    this.closeTo(this.highlightDepth());
+    this.flush();
+    this.out.push(markup);
+  };
+
+  ParagraphWriter.prototype.flush = function () {
+    var chunk = this.chunk;
+    this.chunk = null;
+    if (!chunk) return;
+    var m = /^(\s*)([\s\S]*?)(\s*)$/.exec(chunk.text);
+    var body = m[2];
+    if (!body) {
+      this.out.push(chunk.text);
+      return;
+    }
+    var fmt = chunk.fmt;
+    if (fmt.code) {
+      body = body.replace(/\\([\\`*_[\]])/g, '$1');
+      var fence = body.indexOf('`') === -1 ? '`' : '``';
+      body = fence + (fence.length > 1 ? ' ' + body + ' ' : body) + fence;
+    } else {
+      if (fmt.italic) body = '*' + body + '*';
+      if (fmt.bold) body = '**' + body + '**';
+      if (fmt.strike) body = '~~' + body + '~~';
+    }
+    this.out.push(m[1] + body + m[3]);
+  };
+
+  ParagraphWriter.prototype.finish = function () {
+    this.closeTo(0);
+    this.flush();
+    return this.out.join('');
+  };
+
+  // --- Code Lines ---
+  // Markup inside a fenced code block would read as code, so a code line
+  // is kept as its text before and after its tracked changes; the block
+  // they form becomes one change (see Importer.codeBlock). Comments on it
+  // are written after the block.
+  function CodeWriter(importer) {
+    this.importer = importer;
+    this.before = '';
+    this.after = '';
+    this.change = null;   // first tracked change on the line
+    this.info = null;     // fence info string, on the first line of a tagged block
+    this.notes = '';      // comment markup
+  }
+
+  CodeWriter.prototype.text = function (text, fmt, change) {
+    if (!change || change.type === 'deletion') this.before += text;
+    if (!change || change.type === 'addition') this.after += text;
+    if (change && !this.change) this.change = change;
+  };
+
+  CodeWriter.prototype.lineBreak = function (fmt, change) {
+    this.text('\n', fmt, change);
+  };
+
+  CodeWriter.prototype.point = function (id) {
+    if (this.importer.active.indexOf(id) === -1) this.notes += this.importer.take(id);
+  };
+
+  CodeWriter.prototype.commentEnd = function (id) {
+    this.importer.ended[id] = true;
+    this.notes += this.importer.finishRange(id);
+  };
+
+  function formatKey(fmt) {
+    return (fmt.bold ? 'b' : '') + (fmt.italic ? 'i' : '') + (fmt.strike ? 's' : '') + (fmt.code ? 'c' : '');
+  }
+
+  // --- Importer ---
+  function Importer(files, critic) {
+    this.critic = critic;
+    this.styles = readStyles(parseXml(files['word/styles.xml']));
+    this.numbering = readNumbering(parseXml(files['word/numbering.xml']));
+    this.links = readRelationships(parseXml(files['word/_rels/document.xml.rels']));
+    this.comments = readComments(parseXml(files['word/comments.xml']), parseXml(files['word/commentsExtended.xml']));
+    this.active = [];   // ids of comment ranges currently open, in start order
+    this.ended = {};    // ids whose range end has been seen
+    this.emitted = {};
+  }
+
+  Importer.prototype.author = function (name) {
+    return name && name !== PLACEHOLDER_AUTHOR ? this.critic.normalizeAuthor(name) : null;
+  };
+
+  Importer.prototype.attribution = function (change) {
+    if (!change.author) return '';
+    return '{>>' + this.critic.formatComment({ author: change.author, date: change.date, text: null }) + '<<}';
+  };
+
+  // Root comments only; replies are written with their thread
+  Importer.prototype.rootComment = function (id) {
+    var comment = this.comments[id];
+    return comment && !comment.parent ? comment : null;
+  };
+
+  // The comment's range is over: it leaves the open ranges and its thread
+  // markup is returned (once)
+  Importer.prototype.finishRange = function (id) {
+    this.active = this.active.filter(function (activeId) { return activeId !== id; });
+    return this.take(id);
+  };
+
+  // A thread's markup, once
+  Importer.prototype.take = function (id) {
+    var comment = this.rootComment(id);
+    if (!comment || this.emitted[id]) return '';
+    this.emitted[id] = true;
+    var self = this;
+    var threadId = comment.replies.length || comment.done ? this.critic.newThreadId() : null;
+    var markup = '{>>' + this.critic.formatComment({
+      id: threadId, resolved: comment.done, author: this.author(comment.author), date: comment.date, text: comment.text,
+    }) + '<<}';
+    comment.replies.forEach(function (reply) {
+      markup += '{>>' + self.critic.formatComment({
+        id: threadId, author: self.author(reply.author), date: reply.date, text: reply.text,
+      }) + '<<}';
+    });
+    return markup;
+  };
+
+  Importer.prototype.style = function (styleId, property) {
+    var seen = {};
+    while (styleId && this.styles[styleId] && !seen[styleId]) {
+      seen[styleId] = true;
+      var style = this.styles[styleId];
+      if (style[property] !== null && style[property] !== undefined && style[property] !== '') return style[property];
+      styleId = style.basedOn;
+    }
+    return null;
+  };
+
+  Importer.prototype.styleNames = function (styleId) {
+    var names = [];
+    var seen = {};
+    while (styleId && this.styles[styleId] && !seen[styleId]) {
+      seen[styleId] = true;
+      names.push(this.styles[styleId].name);
+      styleId = this.styles[styleId].basedOn;
+    }
+    return names;
+  };
+
+  // Block kind of a paragraph from its style and numbering:
+  // { kind: 'heading', level } | { kind: 'list', ordered, level } | { kind: 'quote' | 'code' | 'paragraph' }
+  Importer.prototype.paragraphKind = function (pPr) {
+    var styleId = attr(child(pPr, 'pStyle'), 'val');
+    var names = this.styleNames(styleId);
+    for (var i = 0; i < names.length; i++) {
+      var heading = /^heading\s*([1-6])$/i.exec(names[i]);
+      if (heading) return { kind: 'heading', level: +heading[1] };
+      if (/^title$/i.test(names[i])) return { kind: 'heading', level: 1 };
+    }
+    var outline = attr(child(pPr, 'outlineLvl'), 'val') || this.style(styleId, 'outline');
+    if (outline !== null && +outline < 6) return { kind: 'heading', level: +outline + 1 };
+
+    var numPr = child(pPr, 'numPr') || this.style(styleId, 'numPr');
+    var numId = attr(child(numPr, 'numId'), 'val');
+    if (numId && numId !== '0') {
+      var level = +(attr(child(numPr, 'ilvl'), 'val') || 0);
+      return { kind: 'list', ordered: (this.numbering[numId] || {})[level] === 'ordered', level: level };
+    }
+    for (var n = 0; n < names.length; n++) {
+      var list = /^list (bullet|number)\s*(\d?)$/i.exec(names[n]);
+      if (list) return { kind: 'list', ordered: /number/i.test(list[1]), level: list[2] ? +list[2] - 1 : 0 };
+      if (CODE_STYLE_RE.test(names[n]) || /^source code$/i.test(names[n])) return { kind: 'code' };
+      if (/quote|block text/i.test(names[n])) return { kind: 'quote' };
+    }
+    return { kind: 'paragraph' };
+  };
+
+  Importer.prototype.runFormat = function (rPr) {
+    var styleId = attr(child(rPr, 'rStyle'), 'val');
+    var styleRPr = this.style(styleId, 'rPr');
+    var names = this.styleNames(styleId).join(' ');
+    var fonts = child(rPr, 'rFonts') || child(styleRPr, 'rFonts');
+    return {
+      bold: isOn(rPr, 'b') || isOn(styleRPr, 'b') || /strong/i.test(names),
+      italic: isOn(rPr, 'i') || isOn(styleRPr, 'i') || /emphasis/i.test(names),
+      strike: isOn(rPr, 'strike') || isOn(rPr, 'dstrike'),
+      code: CODE_STYLE_RE.test(names) || MONOSPACE_RE.test(attr(fonts, 'ascii') || ''),
+    };
+  };
+
+  Importer.prototype.change = function (el, type) {
+    var author = this.author(attr(el, 'author'));
+    var date = dayOf(attr(el, 'date'));
+    return { type: type, author: author, date: date, key: type + '\u0000' + (author || '') + '\u0000' + (date || '') };
+  };
+
+  // Walks inline content (runs, revisions, hyperlinks, comment anchors)
+  Importer.prototype.inline = function (el, writer, change, link) {
+    var self = this;
+    children(el).forEach(function (node) {
+      switch (node.localName) {
+        case 'r':
+          self.run(node, writer, change, link);
+          break;
+        case 'ins':
+        case 'moveTo':
+          self.inline(node, writer, self.change(node, 'addition'), link);
+          break;
+        case 'del':
+        case 'moveFrom':
+          self.inline(node, writer, self.change(node, 'deletion'), link);
+          break;
+        case 'hyperlink':
+          var rid = attr(node, 'id', NS_R);
+          var anchor = attr(node, 'anchor');
+          var href = (rid && self.links[rid]) || (anchor ? '#' + anchor : null);
+          self.inline(node, writer, change, href || link);
+          break;
+        case 'commentRangeStart':
+          var startId = attr(node, 'id');
+          if (self.rootComment(startId) && !self.emitted[startId]) self.active.push(startId);
+          break;
+        case 'commentRangeEnd':
+          var endId = attr(node, 'id');
+          if (self.active.indexOf(endId) !== -1) writer.commentEnd(endId);
+          break;
+        case 'sdt':
+          self.inline(child(node, 'sdtContent'), writer, change, link);
+          break;
+        case 'smartTag':
+        case 'customXml':
+        case 'fldSimple':
+        case 'bdo':
+        case 'dir':
+          self.inline(node, writer, change, link);
+          break;
+      }
+    });
+  };
+
+  Importer.prototype.run = function (r, writer, change, link) {
+    var fmt = this.runFormat(child(r, 'rPr'));
+    children(r).forEach(function (node) {
+      switch (node.localName) {
+        case 't':
+        case 'delText':
+          writer.text(node.textContent, fmt, change, link);
+          break;
+        case 'tab':
+          writer.text('\t', fmt, change, link);
+          break;
+        case 'br':
+        case 'cr':
+          if (attr(node, 'type') !== 'page' && attr(node, 'type') !== 'column') writer.lineBreak(fmt, change, link);
+          break;
+        case 'noBreakHyphen':
+          writer.text('-', fmt, change, link);
+          break;
+        case 'commentReference':
+          writer.point(attr(node, 'id'));
+          break;
+      }
+    });
+  };
+
+  // --- Blocks ---
+  // Returns [{ kind, text, level, ordered }] for the body's block content
+  Importer.prototype.blocks = function (el, out) {
+    var self = this;
+    out = out || [];
+    children(el).forEach(function (node) {
+      if (node.localName === 'p') {
+        out.push(self.paragraph(node));
+      } else if (node.localName === 'tbl') {
+        out.push({ kind: 'table', text: self.table(node) });
+      } else if (node.localName === 'sdt') {
+        var first = out.length;
+        self.blocks(child(node, 'sdtContent'), out);
+        var tag = attr(child(child(node, 'sdtPr'), 'tag'), 'val') || '';
+        if (out[first] && out[first].kind === 'code' && tag.indexOf(CODE_TAG) === 0) {
+          out[first].line.info = tag.substring(CODE_TAG.length);
+        }
+      } else if (node.localName === 'customXml') {
+        self.blocks(node, out);
+      }
+    });
+    return out;
+  };
+
+  Importer.prototype.paragraph = function (p) {
+    var block = this.paragraphKind(child(p, 'pPr'));
+    if (block.kind === 'code') {
+      var line = new CodeWriter(this);
+      this.inline(p, line, null, null);
+      block.line = line;
+      block.text = line.after;
+      return block;
+    }
+    var writer = new ParagraphWriter(this, block.kind === 'heading' ? 'inline' : 'text');
+    this.inline(p, writer, null, null);
+    block.text = writer.finish();
+    return block;
+  };
+
+  Importer.prototype.table = function (tbl) {
+    var self = this;
+    var rows = children(tbl, 'tr').map(function (tr) {
+      return children(tr, 'tc').map(function (tc) {
+        var writer = new ParagraphWriter(self, 'inline');
+        children(tc, 'p').forEach(function (p, i) {
+          if (i > 0) writer.text(' ', {}, null, null);
+          self.inline(p, writer, null, null);
+        });
+        return writer.finish().trim();
+      });
+    });
+    if (!rows.length) return '';
+    var columns = Math.max.apply(null, rows.map(function (row) { return row.length; }));
+    var line = function (cells) {
+      while (cells.length < columns) cells.push('');
+      return '| ' + cells.join(' | ') + ' |';
+    };
+    // Markdown header cells are bold already
+    rows[0] = rows[0].map(function (cell) { return cell.replace(/^\*\*([^*]*)\*\*$/, '$1'); });
+    var separator = [];
+    for (var c = 0; c < columns; c++) separator.push('---');
+    return [line(rows[0]), line(separator)].concat(rows.slice(1).map(line)).join('\n');
+  };
+
+  // Items of the same list run together; everything else is separated by a
+  // blank line (the lines of a code block are collected before this)
+  function continues(previous, block) {
+    if (block.kind !== previous.kind) return false;
+    return block.kind === 'list' && (block.level > 0 || block.ordered === previous.rootOrdered);
+  }
+
+  Importer.prototype.markdown = function (body) {
+    var blocks = this.blocks(body);
+    var leftover = '';
+    for (var id in this.comments) leftover += this.take(id);
+    if (leftover) blocks.push({ kind: 'paragraph', text: leftover });
+
+    var self = this;
+    var out = '';
+    var previous = null;
+    var code = null;    // lines of the code block being collected
+    blocks.forEach(function (block) {
+      if (block.kind !== 'code' && !block.text.trim()) return;
+      if (code && block.kind === 'code' && block.line.info === null) {
+        code.push(block.line);
+        return;
+      }
+      if (code) {
+        out += self.codeBlock(code);
+        code = null;
+      }
+      if (previous) out += continues(previous, block) ? '\n' : '\n\n';
+      previous = block;
+      var text;
+      switch (block.kind) {
+        case 'heading':
+          text = new Array(block.level + 1).join('#') + ' ' + block.text.trim();
+          break;
+        case 'list':
+          block.rootOrdered = block.level > 0 && previous && previous.kind === 'list' ? previous.rootOrdered : block.ordered;
+          var indent = new Array(block.level * 3 + 1).join(' ');
+          text = indent + (block.ordered ? '1. ' : '- ') + block.text.trim().replace(/\n/g, '\n' + indent + '   ');
+          break;
+        case 'quote':
+          text = '> ' + block.text.trim().replace(/\n/g, '\n> ');
+          break;
+        case 'code':
+          code = [block.line];
+          return;
+        default:
+          text = block.text.trim();
+      }
+      out += text;
+    });
+    if (code) out += this.codeBlock(code);
+    return out + '\n';
+  };
+
+  // A fenced code block from its lines (CodeWriter). With tracked changes
+  // the whole block is replaced, added or deleted, attributed to the first
+  // change; a line added or deleted as a whole is left out of the other side.
+  Importer.prototype.codeBlock = function (lines) {
+    var change = null;
+    var notes = '';
+    var side = function (key, other) {
+      return lines.filter(function (line) { return !line.change || line[key] || !line[other]; })
+        .map(function (line) { return line[key]; }).join('\n');
+    };
+    lines.forEach(function (line) {
+      change = change || line.change;
+      notes += line.notes;
+    });
+    var before = side('before', 'after');
+    var after = side('after', 'before');
+    var open = '```' + (lines[0].info || '') + '\n';
+    var fence = function (body) { return '\n' + open + body + '\n```\n'; };
+    var markup;
+    if (!change || before === after) markup = open + after + '\n```';
+    else if (!before) markup = '{++' + fence(after) + '++}';
+    else if (!after) markup = '{--' + fence(before) + '--}';
+    else markup = '{~~' + fence(before) + '~>' + fence(after) + '~~}';
+    if (change && before !== after) markup += this.attribution(change);
+    return markup + (notes ? '\n' + notes : '');
+  };
+
+  // --- Entry Point ---
+  // archive: the .docx as an ArrayBuffer. Resolves to CriticMarkup text.
+  function convert(archive, critic) {
+    return window.MarkaroundZip.read(archive, PARTS).then(function (files) {
+      var documentXml = parseXml(files['word/document.xml']);
+      if (!documentXml) throw new Error('Not a Word document');
+      var body = descendants(documentXml, 'body')[0];
+      return new Importer(files, critic).markdown(body);
+    });
+  }
+
+  window.MarkaroundDocxImport = { convert: convert };
+})();
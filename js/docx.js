@@ -0,0 +1,661 @@
+/**
+ * Markaround - Word (.docx) export
+ * Converts a CriticMarkup document into Word's own review model:
+ *   {++text++}        -> tracked insertion (w:ins)
+ *   {--text--}        -> tracked deletion (w:del)
+ *   {~~old~>new~~}    -> deletion followed by insertion
+ *   {==text==}{>>..<<} -> Word comment anchored on the highlighted text
+ *   {>>comment<<}     -> Word comment at that point; thread replies become
+ *                        Word replies and resolved threads are marked done
+ * Attribution ({>>@alice 2026-10-19<<}) supplies the author and date.
+ *
+ * The surrounding Markdown maps onto Word paragraph styles (headings, lists,
+ * quotes, code, tables). Parsing is the app's own markdown-it instance with
+ * the CriticMarkup plugin, passed in as `critic` (see app.js), so Word sees
+ * exactly the tokens the preview renders. Whole-block changes become tracked
+ * paragraphs, paragraph marks included. Each code block sits in a content
+ * control tagged with its language, for docx-import.js to read back.
+ */
+(function () {
+  'use strict';
+
+  var MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  var NS_W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+  var NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  var NS_W14 = 'http://schemas.microsoft.com/office/word/2010/wordml';
+  var NS_W15 = 'http://schemas.microsoft.com/office/word/2012/wordml';
+  var NS_MC = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+  var REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+  // Word needs an author on every revision and comment; docx-import.js reads
+  // this one back as no author
+  var DEFAULT_AUTHOR = 'Unknown';
+  // Tag of the content control around each code block, followed by its info
+  // string (the language), which Word has nowhere else to keep
+  var CODE_TAG = 'markaround-code:';
+
+  function xmlEscape(str) {
+    return String(str)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // A code block's paragraphs, in a content control that keeps where the
+  // block starts and its language
+  function codeBlock(info, paragraphs) {
+    return '<w:sdt><w:sdtPr><w:tag w:val="' + xmlEscape(CODE_TAG + info.trim()) + '"/></w:sdtPr>'
+      + '<w:sdtContent>' + paragraphs + '</w:sdtContent></w:sdt>';
+  }
+
+  // --- Runs ---
+  // fmt: { bold, italic, strike, code, highlight, superscript, link, tracked, deleted }
+  function runProps(fmt) {
+    var props = '';
+    if (fmt.link) props += '<w:rStyle w:val="Hyperlink"/>';
+    if (fmt.code) props += '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>';
+    if (fmt.bold) props += '<w:b/>';
+    if (fmt.italic) props += '<w:i/>';
+    if (fmt.strike) props += '<w:strike/>';
+    if (fmt.highlight) props += '<w:highlight w:val="yellow"/>';
+    if (fmt.superscript) props += '<w:vertAlign w:val="superscript"/>';
+    return props ? '<w:rPr>' + props + '</w:rPr>' : '';
+  }
+
+  function run(text, fmt) {
+    if (!text) return '';
+    var tag = fmt.deleted ? 'w:delText' : 'w:t';
+    var body = '';
+    text.split('\n').forEach(function (line, i) {
+      if (i > 0) body += '<w:br/>';
+      line.split('\t').forEach(function (part, j) {
+        if (j > 0) body += '<w:tab/>';
+        if (part) body += '<' + tag + ' xml:space="preserve">' + xmlEscape(part) + '</' + tag + '>';
+      });
+    });
+    return '<w:r>' + runProps(fmt) + body + '</w:r>';
+  }
+
+  // Raw HTML (for documents that render it) comes out as its text: tags
+  // and scripts are dropped and <br> breaks the line
+  function htmlText(html) {
+    return html.replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '').replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<!--[\s\S]*?-->|<\/?[A-Za-z][^>]*>/g, '')
+      .replace(/&nbsp;/g, '\u00a0').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+  }
+
+  function withFormat(fmt, changes) {
+    var copy = {};
+    for (var key in fmt) copy[key] = fmt[key];
+    for (var k in changes) copy[k] = changes[k];
+    return copy;
+  }
+
+  // --- Converter ---
+  function Converter(critic) {
+    this.critic = critic;
+    this.nextId = 0;      // w:id, shared by revisions and comments
+    this.comments = [];   // { id, paraId, parentParaId, done, meta }
+    this.links = [];      // hyperlink targets, rId = 'rIdLink' + index
+    this.lists = [];      // ordered list start values, one w:num each
+    this.commentEnds = {}; // region start -> range end of a comment still open
+  }
+
+  Converter.prototype.revisionAttrs = function (author, date) {
+    var attrs = ' w:id="' + (this.nextId++) + '" w:author="'
+      + xmlEscape(author ? this.critic.authorDisplayName(author) : DEFAULT_AUTHOR) + '"';
+    if (date) attrs += ' w:date="' + date + 'T00:00:00Z"';
+    return attrs;
+  };
+
+  // A region's visible content is one of these kinds: the region type, or
+  // 'old'/'new' for the halves of a substitution
+  function changeKind(meta) {
+    var kind = meta.part || meta.region.type;
+    if (kind === 'addition' || kind === 'new') return 'ins';
+    if (kind === 'deletion' || kind === 'old') return 'del';
+    return kind;
+  }
+
+  // Markup nested in a tracked change can't nest in Word's model: show its
+  // outcome instead, i.e. what accepting an insertion or rejecting a
+  // deletion leaves
+  function hiddenIn(deleted, kind) {
+    return kind === (deleted ? 'ins' : 'del');
+  }
+
+  Converter.prototype.trackedOutcome = function (text, deleted) {
+    var critic = this.critic;
+    return critic.resolveSource(text, deleted ? critic.rejectMarkup : critic.acceptMarkup, true);
+  };
+
+  // Inline tokens (with the CriticMarkup plugin's critic_* tokens) -> runs
+  Converter.prototype.inlineTokens = function (children, fmt) {
+    var self = this;
+    var out = '';
+    var linkStart = -1;
+    var frames = [];      // one per open critic_open: { start, fmt, wrap, meta }
+    var hidden = 0;       // depth inside nested markup whose content is dropped
+    fmt = withFormat(fmt, {});
+
+    children.forEach(function (t) {
+      if (hidden) {
+        if (t.type === 'critic_open') hidden++;
+        else if (t.type === 'critic_close') hidden--;
+        return;
+      }
+      switch (t.type) {
+        case 'text':
+          out += run(t.content, fmt);
+          break;
+        case 'html_inline':
+          out += run(htmlText(t.content), fmt);
+          break;
+        case 'code_inline':
+          out += run(t.content, withFormat(fmt, { code: true }));
+          break;
+        case 'softbreak':
+          out += run(' ', fmt);
+          break;
+        case 'hardbreak':
+          out += '<w:r><w:br/></w:r>';
+          break;
+        case 'strong_open': fmt.bold = true; break;
+        case 'strong_close': fmt.bold = false; break;
+        case 'em_open': fmt.italic = true; break;
+        case 'em_close': fmt.italic = false; break;
+        case 's_open': fmt.strike = true; break;
+        case 's_close': fmt.strike = false; break;
+        case 'link_open':
+          fmt.link = true;
+          self.links.push(t.attrGet('href') || '');
+          linkStart = out.length;
+          break;
+        case 'link_close':
+          fmt.link = false;
+          // Word hyperlinks can't hold tracked changes; leave those as styled text
+          if (linkStart !== -1 && !fmt.tracked && !/<w:(ins|del|comment)/.test(out.substring(linkStart))) {
+            out = out.substring(0, linkStart) + '<w:hyperlink r:id="rIdLink' + (self.links.length - 1) + '" w:history="1">'
+              + out.substring(linkStart) + '</w:hyperlink>';
+          }
+          linkStart = -1;
+          break;
+        case 'image':
+          out += run('[' + (t.content || 'image') + ']', fmt);
+          break;
+        case 'footnote_ref':
+          out += run(String(t.meta.note.number), withFormat(fmt, { superscript: true }));
+          break;
+        case 'task_checkbox':
+          out += run(t.meta.checked ? '\u2612' : '\u2610', fmt);
+          break;
+        case 'math_inline':
+          out += self.mathRuns(t, fmt);
+          break;
+        case 'critic_open':
+          var kind = changeKind(t.meta);
+          if (fmt.tracked && hiddenIn(fmt.deleted, kind)) {
+            hidden = 1;
+            break;
+          }
+          var frame = { start: out.length, fmt: fmt, wrap: null, meta: t.meta };
+          frames.push(frame);
+          fmt = withFormat(fmt, {});
+          if (fmt.tracked) break;
+          if (kind === 'ins' || kind === 'del') {
+            frame.wrap = kind;
+            fmt.tracked = true;
+            fmt.deleted = kind === 'del';
+          } else if (kind === 'highlight') {
+            fmt.highlight = true;
+            if (t.meta.region.comment) out += self.openComment(t.meta, t.meta.region.comment);
+          }
+          break;
+        case 'critic_close':
+          var open = frames.pop();
+          fmt = open.fmt;
+          var region = open.meta.region;
+          if (open.wrap) {
+            var content = out.substring(open.start);
+            out = out.substring(0, open.start) + (content ? '<w:' + open.wrap + self.revisionAttrs(region.author, region.date) + '>'
+              + content + '</w:' + open.wrap + '>' : '');
+          } else if (!fmt.tracked && region.comment && !open.meta.part) {
+            out += self.closeComment(open.meta, region.comment);
+          }
+          break;
+        case 'critic_comment':
+          if (fmt.tracked || t.meta.region.meta.isAttribution) break;
+          var range = self.comment(t.meta.region);
+          out += range.start + range.end;
+          break;
+      }
+    });
+    return out;
+  };
+
+  // Formulas stay TeX. One with changes inside becomes the formula before
+  // and after as a tracked deletion and insertion, attributed to its
+  // first change.
+  Converter.prototype.mathRuns = function (token, fmt) {
+    var critic = this.critic;
+    var code = withFormat(fmt, { code: true });
+    var delimiter = token.markup;
+    if (fmt.tracked) return run(delimiter + this.trackedOutcome(token.content, fmt.deleted) + delimiter, code);
+    var before = critic.resolveSource(token.content, critic.rejectMarkup, true);
+    var after = critic.resolveSource(token.content, critic.acceptMarkup, true);
+    if (before === after) return run(delimiter + after + delimiter, code);
+    var first = token.meta.changes[0];
+    return '<w:del' + this.revisionAttrs(first.author, first.date) + '>'
+      + run(delimiter + before + delimiter, withFormat(code, { tracked: true, deleted: true })) + '</w:del>'
+      + '<w:ins' + this.revisionAttrs(first.author, first.date) + '>'
+      + run(delimiter + after + delimiter, withFormat(code, { tracked: true })) + '</w:ins>';
+  };
+
+  // Comment range markers for a thread: the start goes before the first
+  // fragment of its anchor, the end after the last one
+  Converter.prototype.openComment = function (meta, thread) {
+    if (!meta.first || thread.meta.isAttribution) return '';
+    var range = this.comment(thread);
+    this.commentEnds[meta.region.start] = range.end;
+    return range.start;
+  };
+
+  Converter.prototype.closeComment = function (meta, thread) {
+    if (!meta.last || thread.meta.isAttribution) return '';
+    var end = this.commentEnds[meta.region.start] || '';
+    delete this.commentEnds[meta.region.start];
+    return end;
+  };
+
+  // A comment thread's range markers: { start, end }
+  Converter.prototype.comment = function (thread) {
+    var self = this;
+    var root = this.addComment(thread.meta, null, thread.meta.resolved);
+    var ids = [root.id];
+    thread.replies.forEach(function (reply) {
+      ids.push(self.addComment(reply.meta, root.paraId, thread.meta.resolved).id);
+    });
+    return {
+      start: ids.map(function (id) { return '<w:commentRangeStart w:id="' + id + '"/>'; }).join(''),
+      end: ids.map(function (id) {
+        return '<w:commentRangeEnd w:id="' + id + '"/>'
+          + '<w:r><w:rPr><w:rStyle w:val="CommentReference"/></w:rPr><w:commentReference w:id="' + id + '"/></w:r>';
+      }).join(''),
+    };
+  };
+
+  Converter.prototype.addComment = function (meta, parentParaId, done) {
+    var comment = {
+      id: this.nextId++,
+      // paraIds link replies to their parent (commentsExtended.xml)
+      paraId: (0x10000000 + this.comments.length).toString(16).toUpperCase(),
+      parentParaId: parentParaId,
+      done: done,
+      meta: meta,
+    };
+    this.comments.push(comment);
+    return comment;
+  };
+
+  // --- Blocks ---
+  function paragraph(props, runs) {
+    return '<w:p>' + (props ? '<w:pPr>' + props + '</w:pPr>' : '') + runs + '</w:p>';
+  }
+
+  function styleProp(style) {
+    return style ? '<w:pStyle w:val="' + style + '"/>' : '';
+  }
+
+  Converter.prototype.blocks = function (tokens) {
+    var self = this;
+    var out = '';
+    var lists = [];       // open lists: { numId }
+    var itemStart = false;
+    var quote = 0;
+    var heading = null;
+    var table = null;     // { rows: [[{ header, runs }]] } while inside a table
+    var cell = null;
+    var base = {};        // run format inside block-level CriticMarkup
+    var change = null;    // innermost block-level tracked change: { wrap, region }
+    var frames = [];      // one per open critic_block_open
+    var hidden = 0;       // depth inside nested blocks whose content is dropped
+    var pending = '';     // comment range start for the next paragraph
+    var noteLabel = '';   // footnote number starting the next paragraph
+
+    function paragraphProps() {
+      if (heading) return styleProp(heading) + markProps();
+      var props = styleProp(quote ? 'Quote' : lists.length ? 'ListParagraph' : null);
+      if (lists.length) {
+        var level = lists.length - 1;
+        if (itemStart) {
+          props += '<w:numPr><w:ilvl w:val="' + level + '"/><w:numId w:val="' + lists[level].numId + '"/></w:numPr>';
+        } else {
+          props += '<w:ind w:left="' + (720 * (level + 1)) + '"/>';
+        }
+      }
+      itemStart = false;
+      return props + markProps();
+    }
+
+    // A paragraph inside a block change is inserted or deleted as a whole,
+    // paragraph mark included
+    function markProps() {
+      if (!change) return '';
+      return '<w:rPr><w:' + change.wrap + self.revisionAttrs(change.region.author, change.region.date) + '/></w:rPr>';
+    }
+
+    function trackRuns(runs) {
+      runs = pending + runs;
+      pending = '';
+      if (!change || !runs) return runs;
+      return '<w:' + change.wrap + self.revisionAttrs(change.region.author, change.region.date) + '>'
+        + runs + '</w:' + change.wrap + '>';
+    }
+
+    function appendToLastParagraph(xml) {
+      var end = out.lastIndexOf('</w:p>');
+      out = end === -1 ? out + paragraph('', xml) : out.substring(0, end) + xml + out.substring(end);
+    }
+
+    tokens.forEach(function (t) {
+      if (hidden) {
+        if (t.type === 'critic_block_open') hidden++;
+        else if (t.type === 'critic_block_close') hidden--;
+        return;
+      }
+      switch (t.type) {
+        case 'critic_block_open':
+          var kind = changeKind(t.meta);
+          if (base.tracked && hiddenIn(base.deleted, kind)) {
+            hidden = 1;
+            break;
+          }
+          frames.push({ base: base, change: change, meta: t.meta });
+          base = withFormat(base, {});
+          if (base.tracked) break;
+          if (kind === 'ins' || kind === 'del') {
+            change = { wrap: kind, region: t.meta.region };
+            base.tracked = true;
+            base.deleted = kind === 'del';
+          } else if (kind === 'highlight') {
+            base.highlight = true;
+            if (t.meta.region.comment) pending += self.openComment(t.meta, t.meta.region.comment);
+          }
+          break;
+        case 'critic_block_close':
+          var frame = frames.pop();
+          base = frame.base;
+          change = frame.change;
+          if (!base.tracked && frame.meta.region.comment && !frame.meta.part) {
+            var end = self.closeComment(frame.meta, frame.meta.region.comment);
+            if (end) appendToLastParagraph(end);
+          }
+          break;
+        case 'heading_open':
+          heading = 'Heading' + t.tag.substring(1);
+          break;
+        case 'heading_close':
+          heading = null;
+          break;
+        case 'bullet_list_open':
+          lists.push({ numId: 1 });
+          break;
+        case 'ordered_list_open':
+          self.lists.push(+(t.attrGet('start') || 1));
+          lists.push({ numId: self.lists.length + 1 });
+          break;
+        case 'bullet_list_close':
+        case 'ordered_list_close':
+          lists.pop();
+          break;
+        case 'list_item_open':
+          itemStart = true;
+          break;
+        case 'blockquote_open':
+          quote++;
+          break;
+        case 'blockquote_close':
+          quote--;
+          break;
+        case 'inline':
+          var runs = trackRuns(noteLabel + self.inlineTokens(t.children || [], withFormat(base, { bold: !!(cell && cell.header) })));
+          noteLabel = '';
+          if (cell) cell.runs += runs;
+          else out += paragraph(paragraphProps(), runs);
+          break;
+        case 'critic_code_diff':
+          // Inside a block change the lines follow it; on its own each
+          // removed or added line is a tracked paragraph
+          var diffRegion = t.meta.region;
+          var diffLines = '';
+          t.meta.lines.forEach(function (line) {
+            var wrap = line.kind === 'added' ? 'ins' : line.kind === 'removed' ? 'del' : null;
+            if (base.tracked) {
+              if (!wrap || !hiddenIn(base.deleted, wrap)) {
+                diffLines += paragraph(styleProp('Code') + markProps(), trackRuns(run(line.text, withFormat(base, { code: true }))));
+              }
+              return;
+            }
+            var lineFmt = { code: true, tracked: !!wrap, deleted: wrap === 'del' };
+            var runs = pending + (wrap ? '<w:' + wrap + self.revisionAttrs(diffRegion.author, diffRegion.date) + '>'
+              + run(line.text, lineFmt) + '</w:' + wrap + '>' : run(line.text, lineFmt));
+            pending = '';
+            diffLines += paragraph(styleProp('Code') + (wrap ? '<w:rPr><w:' + wrap
+              + self.revisionAttrs(diffRegion.author, diffRegion.date) + '/></w:rPr>' : ''), runs);
+          });
+          out += codeBlock(t.info, diffLines);
+          break;
+        case 'fence':
+        case 'code_block':
+          var lines = t.content.replace(/\n$/, '').split('\n');
+          out += codeBlock(t.info, lines.map(function (line) {
+            return paragraph(styleProp('Code') + markProps(), trackRuns(run(line, withFormat(base, { code: true }))));
+          }).join(''));
+          break;
+        case 'html_block':
+          htmlText(t.content).split('\n').forEach(function (line) {
+            if (line.trim()) out += paragraph(paragraphProps(), trackRuns(run(line.trim(), base)));
+          });
+          break;
+        case 'math_block':
+          out += paragraph(styleProp('Code') + markProps(), trackRuns(self.mathRuns(t, base)));
+          break;
+        case 'footnote_open':
+          // Notes stay where they're written, numbered like their references
+          var note = t.meta.note && t.meta.note.number ? t.meta.note.number : t.meta.label;
+          noteLabel = run(note + '. ', withFormat(base, { bold: true }));
+          break;
+        case 'hr':
+          out += paragraph('<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="DADCE0"/></w:pBdr>' + markProps(), trackRuns(''));
+          break;
+        case 'table_open':
+          table = { rows: [] };
+          break;
+        case 'tr_open':
+          table.rows.push([]);
+          break;
+        case 'th_open':
+        case 'td_open':
+          cell = { header: t.type === 'th_open', runs: '' };
+          table.rows[table.rows.length - 1].push(cell);
+          break;
+        case 'th_close':
+        case 'td_close':
+          cell = null;
+          break;
+        case 'table_close':
+          out += tableXml(table);
+          table = null;
+          break;
+      }
+    });
+    return out;
+  };
+
+  function tableXml(table) {
+    var columns = table.rows.reduce(function (max, row) { return Math.max(max, row.length); }, 0);
+    var border = ' w:val="single" w:sz="4" w:space="0" w:color="DADCE0"/>';
+    var xml = '<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>'
+      + ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(function (side) { return '<w:' + side + border; }).join('')
+      + '</w:tblBorders></w:tblPr><w:tblGrid>';
+    for (var c = 0; c < columns; c++) xml += '<w:gridCol w:w="' + Math.floor(9000 / columns) + '"/>';
+    xml += '</w:tblGrid>';
+    table.rows.forEach(function (row) {
+      xml += '<w:tr>';
+      for (var i = 0; i < columns; i++) {
+        var runs = row[i] ? row[i].runs : '';
+        xml += '<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>' + paragraph('', runs) + '</w:tc>';
+      }
+      xml += '</w:tr>';
+    });
+    return xml + '</w:tbl>';
+  }
+
+  // --- Package Parts ---
+  function documentXml(body) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<w:document xmlns:w="' + NS_W + '" xmlns:r="' + NS_R + '"><w:body>' + body
+      + '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>'
+      + '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>'
+      + '</w:sectPr></w:body></w:document>';
+  }
+
+  function stylesXml() {
+    var style = function (type, id, name, pPr, rPr, extra) {
+      return '<w:style w:type="' + type + '" w:styleId="' + id + '"><w:name w:val="' + name + '"/>'
+        + (extra || '') + (pPr ? '<w:pPr>' + pPr + '</w:pPr>' : '') + (rPr ? '<w:rPr>' + rPr + '</w:rPr>' : '') + '</w:style>';
+    };
+    var sizes = [40, 32, 28, 24, 22, 22];
+    var headings = sizes.map(function (size, i) {
+      return style('paragraph', 'Heading' + (i + 1), 'heading ' + (i + 1),
+        '<w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="' + i + '"/>',
+        '<w:b/><w:sz w:val="' + size + '"/>', '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>');
+    }).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<w:styles xmlns:w="' + NS_W + '">'
+      + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>'
+      + '<w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/>'
+      + '</w:pPr></w:pPrDefault></w:docDefaults>'
+      + style('paragraph', 'Normal', 'Normal', '', '', '<w:qFormat/>').replace('<w:style ', '<w:style w:default="1" ')
+      + headings
+      + style('paragraph', 'Quote', 'Quote', '<w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="DADCE0"/></w:pBdr><w:ind w:left="720"/>',
+        '<w:color w:val="5F6368"/>', '<w:basedOn w:val="Normal"/>')
+      + style('paragraph', 'Code', 'Code', '<w:shd w:val="clear" w:color="auto" w:fill="F1F3F4"/><w:spacing w:after="0"/>',
+        '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/>', '<w:basedOn w:val="Normal"/>')
+      + style('paragraph', 'ListParagraph', 'List Paragraph', '<w:spacing w:after="60"/>', '', '<w:basedOn w:val="Normal"/>')
+      + style('paragraph', 'CommentText', 'annotation text', '', '<w:sz w:val="20"/>', '<w:basedOn w:val="Normal"/>')
+      + style('character', 'CommentReference', 'annotation reference', '', '<w:sz w:val="16"/>')
+      + style('character', 'Hyperlink', 'Hyperlink', '', '<w:color w:val="1A73E8"/><w:u w:val="single"/>')
+      + '</w:styles>';
+  }
+
+  function numberingXml(orderedStarts) {
+    var levels = function (format, texts) {
+      return texts.map(function (text, i) {
+        return '<w:lvl w:ilvl="' + i + '"><w:start w:val="1"/><w:numFmt w:val="' + format + '"/>'
+          + '<w:lvlText w:val="' + text + '"/><w:lvlJc w:val="left"/>'
+          + '<w:pPr><w:ind w:left="' + (720 * (i + 1)) + '" w:hanging="360"/></w:pPr></w:lvl>';
+      }).join('');
+    };
+    var xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<w:numbering xmlns:w="' + NS_W + '">'
+      + '<w:abstractNum w:abstractNumId="0">' + levels('bullet', ['•', '◦', '▪', '•', '◦', '▪']) + '</w:abstractNum>'
+      + '<w:abstractNum w:abstractNumId="1">' + levels('decimal', ['%1.', '%2.', '%3.', '%4.', '%5.', '%6.']) + '</w:abstractNum>'
+      + '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>';
+    // Each ordered list gets its own instance so numbering restarts
+    orderedStarts.forEach(function (start, i) {
+      xml += '<w:num w:numId="' + (i + 2) + '"><w:abstractNumId w:val="1"/>'
+        + '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="' + start + '"/></w:lvlOverride></w:num>';
+    });
+    return xml + '</w:numbering>';
+  }
+
+  Converter.prototype.commentsXml = function () {
+    var critic = this.critic;
+    var xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<w:comments xmlns:w="' + NS_W + '" xmlns:w14="' + NS_W14 + '" xmlns:mc="' + NS_MC + '" mc:Ignorable="w14">';
+    this.comments.forEach(function (c) {
+      var meta = c.meta;
+      var author = meta.author ? critic.authorDisplayName(meta.author) : DEFAULT_AUTHOR;
+      xml += '<w:comment w:id="' + c.id + '" w:author="' + xmlEscape(author) + '"'
+        + (meta.date ? ' w:date="' + meta.date + 'T00:00:00Z"' : '')
+        + ' w:initials="' + xmlEscape(meta.author ? critic.authorInitials(meta.author) : '?') + '">';
+      // commentsExtended.xml refers to a comment by its last paragraph
+      var lines = (meta.text || '').split('\n');
+      lines.forEach(function (line, i) {
+        var paraId = i === lines.length - 1 ? c.paraId : (0x20000000 + c.id * 64 + i).toString(16).toUpperCase();
+        xml += '<w:p w14:paraId="' + paraId + '" w14:textId="77777777">'
+          + '<w:pPr><w:pStyle w:val="CommentText"/></w:pPr>'
+          + (i === 0 ? '<w:r><w:rPr><w:rStyle w:val="CommentReference"/></w:rPr><w:annotationRef/></w:r>' : '')
+          + run(line, {}) + '</w:p>';
+      });
+      xml += '</w:comment>';
+    });
+    return xml + '</w:comments>';
+  };
+
+  Converter.prototype.commentsExtendedXml = function () {
+    var xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<w15:commentsEx xmlns:w15="' + NS_W15 + '" xmlns:mc="' + NS_MC + '" mc:Ignorable="w15">';
+    this.comments.forEach(function (c) {
+      xml += '<w15:commentEx w15:paraId="' + c.paraId + '"'
+        + (c.parentParaId ? ' w15:paraIdParent="' + c.parentParaId + '"' : '')
+        + ' w15:done="' + (c.done ? 1 : 0) + '"/>';
+    });
+    return xml + '</w15:commentsEx>';
+  };
+
+  // --- Entry Point ---
+  // Returns the .docx as a Blob
+  function build(source, critic) {
+    var converter = new Converter(critic);
+    var body = converter.blocks(critic.md.parse(source, {}));
+    var hasComments = converter.comments.length > 0;
+
+    var types = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+      + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+      + '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>'
+      + (hasComments
+        ? '<Override PartName="/word/comments.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml"/>'
+          + '<Override PartName="/word/commentsExtended.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.commentsExtended+xml"/>'
+        : '')
+      + '</Types>';
+
+    var packageRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="' + REL + 'officeDocument" Target="word/document.xml"/>'
+      + '</Relationships>';
+
+    var documentRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rIdStyles" Type="' + REL + 'styles" Target="styles.xml"/>'
+      + '<Relationship Id="rIdNumbering" Type="' + REL + 'numbering" Target="numbering.xml"/>'
+      + (hasComments
+        ? '<Relationship Id="rIdComments" Type="' + REL + 'comments" Target="comments.xml"/>'
+          + '<Relationship Id="rIdCommentsEx" Type="http://schemas.microsoft.com/office/2011/relationships/commentsExtended" Target="commentsExtended.xml"/>'
+        : '')
+      + converter.links.map(function (href, i) {
+        return '<Relationship Id="rIdLink' + i + '" Type="' + REL + 'hyperlink" Target="' + xmlEscape(href) + '" TargetMode="External"/>';
+      }).join('')
+      + '</Relationships>';
+
+    var files = [
+      { name: '[Content_Types].xml', data: types },
+      { name: '_rels/.rels', data: packageRels },
+      { name: 'word/document.xml', data: documentXml(body) },
+      { name: 'word/styles.xml', data: stylesXml() },
+      { name: 'word/numbering.xml', data: numberingXml(converter.lists) },
+      { name: 'word/_rels/document.xml.rels', data: documentRels },
+    ];
+    if (hasComments) {
+      files.push({ name: 'word/comments.xml', data: converter.commentsXml() });
+      files.push({ name: 'word/commentsExtended.xml', data: converter.commentsExtendedXml() });
+    }
+    return new Blob([window.MarkaroundZip.create(files)], { type: MIME });
+  }
+
+  window.MarkaroundDocx = { build: build };
+})();
@@ -11,7 +11,9 @@
 
 import {
   createEditor, syncEditorFromState, setSuggestionMode,
-  isSuggestionMode, addComment, hasSelection,
+  isSuggestionMode, addComment, hasSelection, setReviewer,
+  setReviewFocus, getCursor, topVisiblePos, scrollPosToTop, revealPos,
+  setFoldDelimiters, applyRemoteChanges, setRemoteCursors, isComposing, getSelection,
 } from './editor.js';
 
 window.CriticEditor = {
@@ -21,6 +23,17 @@ window.CriticEditor = {
   isSuggestionMode,
   addComment,
   hasSelection,
+  setReviewer,
+  setReviewFocus,
+  getCursor,
+  topVisiblePos,
+  scrollPosToTop,
+  revealPos,
+  setFoldDelimiters,
+  applyRemoteChanges,
+  setRemoteCursors,
+  isComposing,
+  getSelection,
 };
 
 window.dispatchEvent(new CustomEvent('editor-ready'));
@@ -4,9 +4,10 @@
  */
 
 import { EditorView, basicSetup } from 'codemirror';
-import { EditorState, StateField, StateEffect, Annotation } from '@codemirror/state';
-import { keymap } from '@codemirror/view';
+import { EditorState, EditorSelection, ChangeSet, StateField, StateEffect, Annotation, Transaction } from '@codemirror/state';
+import { keymap, Decoration, ViewPlugin, WidgetType } from '@codemirror/view';
 import { markdown } from '@codemirror/lang-markdown';
+import { criticDecorations, setFoldDelimiters as setFoldDelimitersEffect } from './critic-decorations.js';
 
 // --- Suggestion Mode State ---
 export const toggleSuggestionMode = StateEffect.define();
@@ -21,88 +22,239 @@ export const suggestionModeField = StateField.define({
   },
 });
 
+// --- Reviewer Identity ---
+// Normalized reviewer token (e.g. "Alice_Smith"), empty for anonymous edits
+export const setReviewerEffect = StateEffect.define();
+
+export const reviewerField = StateField.define({
+  create() { return ''; },
+  update(value, tr) {
+    for (const e of tr.effects) {
+      if (e.is(setReviewerEffect)) value = e.value;
+    }
+    return value;
+  },
+});
+
+function todayStamp() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Same convention app.js parses: {>>@alice 2026-10-19: text<<}
+function commentMeta(state, text) {
+  const reviewer = state.field(reviewerField);
+  return reviewer ? `@${reviewer} ${todayStamp()}: ${text}` : text;
+}
+
 // Annotation to mark transactions we've already processed (prevent recursion)
 const suggestionProcessed = Annotation.define();
 
-// --- Inside-Markup Detection ---
-function isInsideMarkup(doc, pos) {
-  // Scan backward from pos looking for unclosed CriticMarkup delimiters
-  const text = doc.sliceString(Math.max(0, pos - 500), pos);
-  // Check for unclosed {++ (addition)
-  const lastAddOpen = text.lastIndexOf('{++');
-  const lastAddClose = text.lastIndexOf('++}');
-  if (lastAddOpen !== -1 && (lastAddClose === -1 || lastAddOpen > lastAddClose)) return 'addition';
-
-  // Check for unclosed {-- (deletion)
-  const lastDelOpen = text.lastIndexOf('{--');
-  const lastDelClose = text.lastIndexOf('--}');
-  if (lastDelOpen !== -1 && (lastDelClose === -1 || lastDelOpen > lastDelClose)) return 'deletion';
+// --- Suggestion Mode Transaction Filter ---
+// Each raw change is rewritten by the app's planSuggestion (see app.js), which
+// also merges it with the reviewer's adjacent changes, so this filter and the
+// fallback textarea produce identical markup. Changes are planned one at a
+// time from the end of the document backwards, each against the text the
+// previous plans produced, so multi-cursor edits and paired changes (line
+// moves, drag-and-drop) that land next to each other still coalesce.
+function planChanges(critic, state, raw) {
+  const reviewer = state.field(reviewerField);
+  const ranges = state.selection.ranges;
+  let text = state.doc.toString();
+  let changes = ChangeSet.empty(text.length);
+  let cursors = [];
 
-  // Check for unclosed {~~ (substitution) - check both halves
-  const lastSubOpen = text.lastIndexOf('{~~');
-  const lastSubClose = text.lastIndexOf('~~}');
-  if (lastSubOpen !== -1 && (lastSubClose === -1 || lastSubOpen > lastSubClose)) return 'substitution';
+  for (let i = raw.length - 1; i >= 0; i--) {
+    const { fromA, toA, inserted } = raw[i];
+    let direction = 'range';
+    for (const r of ranges) {
+      if (r.empty && r.head === toA && toA > fromA) direction = 'backward';
+      else if (r.empty && r.head === fromA && toA > fromA) direction = 'forward';
+    }
+    const plan = critic.planSuggestion(text, fromA, toA, inserted, reviewer, direction)
+      || { from: fromA, to: toA, insert: inserted, cursor: fromA + inserted.length };
+    const step = ChangeSet.of([{ from: plan.from, to: plan.to, insert: plan.insert }], text.length);
+    cursors = cursors.map((pos) => step.mapPos(pos, 1));
+    cursors.unshift(plan.cursor);
+    changes = changes.compose(step);
+    text = text.slice(0, plan.from) + plan.insert + text.slice(plan.to);
+  }
 
-  // Check for unclosed {>> (comment)
-  const lastComOpen = text.lastIndexOf('{>>');
-  const lastComClose = text.lastIndexOf('<<}');
-  if (lastComOpen !== -1 && (lastComClose === -1 || lastComOpen > lastComClose)) return 'comment';
+  // One change per cursor (typing, deleting, replacing selections): put
+  // each cursor where its plan says. Otherwise (indenting a block, moving
+  // lines) keep the original selection, mapped through the markup.
+  const selection = cursors.length === ranges.length
+    ? EditorSelection.create(cursors.map((pos) => EditorSelection.cursor(pos)), state.selection.mainIndex)
+    : state.selection.map(changes);
+  return { changes, selection };
+}
 
-  return null;
+function rawChanges(changes) {
+  const raw = [];
+  changes.iterChanges((fromA, toA, fromB, toB, inserted) => {
+    raw.push({ fromA, toA, inserted: inserted.toString() });
+  });
+  return raw;
 }
 
-// --- Suggestion Mode Transaction Filter ---
-function suggestionFilter(tr) {
-  // If this transaction was already processed by us, pass through
-  if (tr.annotation(suggestionProcessed)) return tr;
+function suggestionFilter(critic) {
+  return (tr) => {
+    // If this transaction was already processed by us, pass through
+    if (tr.annotation(suggestionProcessed)) return tr;
 
-  // If suggestion mode is off, pass through
-  if (!tr.startState.field(suggestionModeField)) return tr;
+    // If suggestion mode is off, pass through
+    if (!tr.startState.field(suggestionModeField)) return tr;
 
-  // Only intercept document changes
-  if (!tr.docChanged) return tr;
+    // Collaborators' edits arrive as markup already (see applyRemoteChanges)
+    if (tr.annotation(Transaction.remote)) return tr;
 
-  const changes = [];
-  let hasWrapping = false;
+    // Only intercept document changes; IME input is recorded once the
+    // composition ends (see compositionTracker)
+    if (!tr.docChanged || !critic || tr.isUserEvent('input.type.compose')) return tr;
 
-  tr.changes.iterChanges((fromA, toA, fromB, toB, inserted) => {
-    const deletedText = tr.startState.doc.sliceString(fromA, toA);
-    const insertedText = inserted.toString();
+    const { changes, selection } = planChanges(critic, tr.startState, rawChanges(tr.changes));
+    const spec = {
+      changes,
+      selection,
+      annotations: suggestionProcessed.of(true),
+      scrollIntoView: tr.scrollIntoView,
+    };
+    const userEvent = tr.annotation(Transaction.userEvent);
+    if (userEvent) spec.userEvent = userEvent;
+    return spec;
+  };
+}
 
-    // If cursor is inside existing markup, don't wrap
-    if (isInsideMarkup(tr.startState.doc, fromA)) {
-      // Pass through as-is
-      changes.push({ from: fromA, to: toA, insert: insertedText });
-      return;
+// Rewriting a composition while the input method is still working on it
+// would break the IME, so its transactions pass the filter untouched. This
+// collects them and, once the composition ends, replaces the raw result with
+// the planned markup in a single transaction.
+function compositionTracker(critic) {
+  return ViewPlugin.fromClass(class {
+    constructor(view) {
+      this.view = view;
+      this.pending = null;
     }
 
-    if (deletedText && insertedText) {
-      // Replacement -> substitution
-      changes.push({ from: fromA, to: toA, insert: `{~~${deletedText}~>${insertedText}~~}` });
-      hasWrapping = true;
-    } else if (insertedText && !deletedText) {
-      // Pure insertion -> addition
-      changes.push({ from: fromA, to: toA, insert: `{++${insertedText}++}` });
-      hasWrapping = true;
-    } else if (deletedText && !insertedText) {
-      // Pure deletion -> deletion markup (keep the text, wrap it)
-      changes.push({ from: fromA, to: toA, insert: `{--${deletedText}--}` });
-      hasWrapping = true;
+    update(update) {
+      if (!this.pending) return;
+      // Remote changes wait while composing (see isComposing), so every
+      // change here is the input method's
+      for (const tr of update.transactions) {
+        if (tr.docChanged && !tr.annotation(suggestionProcessed)) {
+          this.pending.changes = this.pending.changes.compose(tr.changes);
+        }
+      }
     }
+
+    commit() {
+      const pending = this.pending;
+      this.pending = null;
+      if (!pending || pending.changes.empty || !this.view.state.field(suggestionModeField)) return;
+      const planned = planChanges(critic, pending.state, rawChanges(pending.changes));
+      this.view.dispatch({
+        changes: pending.changes.invert(pending.state.doc).compose(planned.changes),
+        selection: planned.selection,
+        annotations: suggestionProcessed.of(true),
+        userEvent: 'input.type',
+      });
+    }
+  }, {
+    eventHandlers: {
+      compositionstart(e, view) {
+        if (!critic || !view.state.field(suggestionModeField)) return;
+        this.pending = { state: view.state, changes: ChangeSet.empty(view.state.doc.length) };
+      },
+      compositionend() {
+        // CodeMirror applies the final composed text after this event
+        if (this.pending) setTimeout(() => this.commit(), 0);
+      },
+    },
   });
+}
 
-  if (!hasWrapping) return tr;
+// --- Review Focus (change currently selected by keyboard navigation) ---
+const setReviewFocusEffect = StateEffect.define();
+const reviewFocusMark = Decoration.mark({ class: 'cm-review-focus' });
+
+const reviewFocusField = StateField.define({
+  create() { return Decoration.none; },
+  update(deco, tr) {
+    deco = deco.map(tr.changes);
+    for (const e of tr.effects) {
+      if (e.is(setReviewFocusEffect)) {
+        deco = e.value && e.value.from < e.value.to
+          ? Decoration.set([reviewFocusMark.range(e.value.from, e.value.to)])
+          : Decoration.none;
+      }
+    }
+    return deco;
+  },
+  provide: (f) => EditorView.decorations.from(f),
+});
 
-  // Build new transaction with wrapped changes
-  const newChanges = [];
-  for (const c of changes) {
-    newChanges.push({ from: c.from, to: c.to, insert: c.insert });
+// --- Remote Cursors (collaborators' selections) ---
+const setRemoteCursorsEffect = StateEffect.define();
+
+class RemoteCaretWidget extends WidgetType {
+  constructor(name, color) {
+    super();
+    this.name = name;
+    this.color = color;
   }
 
-  return {
-    changes: newChanges,
-    annotations: suggestionProcessed.of(true),
-  };
+  eq(other) { return other.name === this.name && other.color === this.color; }
+
+  toDOM() {
+    const caret = document.createElement('span');
+    caret.className = 'cm-remote-caret';
+    caret.style.borderColor = this.color;
+    const label = document.createElement('span');
+    label.className = 'cm-remote-caret-label';
+    label.style.background = this.color;
+    label.textContent = this.name;
+    caret.appendChild(label);
+    return caret;
+  }
+
+  ignoreEvent() { return true; }
+}
+
+const remoteCursorsField = StateField.define({
+  create() { return Decoration.none; },
+  update(deco, tr) {
+    deco = deco.map(tr.changes);
+    for (const e of tr.effects) {
+      if (!e.is(setRemoteCursorsEffect)) continue;
+      const length = tr.state.doc.length;
+      const ranges = [];
+      for (const cursor of e.value) {
+        const anchor = Math.min(cursor.anchor, length);
+        const head = Math.min(cursor.head, length);
+        if (anchor !== head) {
+          ranges.push(Decoration.mark({
+            class: 'cm-remote-selection',
+            attributes: { style: `background-color: ${cursor.color}33` },
+          }).range(Math.min(anchor, head), Math.max(anchor, head)));
+        }
+        ranges.push(Decoration.widget({ widget: new RemoteCaretWidget(cursor.name, cursor.color), side: 1 }).range(head));
+      }
+      deco = Decoration.set(ranges, true);
+    }
+    return deco;
+  },
+  provide: (f) => EditorView.decorations.from(f),
+});
+
+// Composition tracker of each editor, so collaboration can hold remote
+// changes until the input method is done
+const composers = new WeakMap();
+
+// The edits of a change set as { from, to, insert }, applied one after
+// another (each in the text the previous one produced)
+function sequentialChanges(changes) {
+  return rawChanges(changes).reverse().map(({ fromA, toA, inserted }) => ({ from: fromA, to: toA, insert: inserted }));
 }
 
 // --- Comment Command ---
@@ -113,29 +265,60 @@ function addCommentCommand(view) {
   const commentText = prompt('Enter comment:');
   if (commentText === null) return false; // Cancelled
 
-  // Insert comment after the selection
+  // Highlight the selection and attach the comment: {==text==}{>>note<<}
+  const selected = view.state.doc.sliceString(from, to);
+  const insert = `{==${selected}==}{>>${commentMeta(view.state, commentText)}<<}`;
   view.dispatch({
-    changes: { from: to, insert: `{>>${commentText}<<}` },
+    changes: { from, to, insert },
+    selection: { anchor: from + insert.length },
     annotations: suggestionProcessed.of(true),
   });
   return true;
 }
 
 // --- Create Editor ---
-export function createEditor(container, initialDoc, onUpdate) {
+// options.reviewCommands: { next, prev, accept, reject } callbacks bound to
+//   the review navigation keys (Alt+] / [ / A / R; Ctrl+Option on macOS,
+//   where Option types characters); each should return true when handled.
+// options.onSelectionChange: called with the cursor position when it moves.
+// options.critic: the app's CriticMarkup helpers; drives suggestion mode
+//   edits and enables inline decorations (see critic-decorations.js).
+// onUpdate is called with the new text and the local edits that produced it
+// (see sequentialChanges); edits from applyRemoteChanges are left out.
+export function createEditor(container, initialDoc, onUpdate, options = {}) {
+  const reviewCommands = options.reviewCommands || {};
+  const reviewKey = (name) => () => (reviewCommands[name] ? reviewCommands[name]() !== false : false);
+  const composer = compositionTracker(options.critic);
+
   const state = EditorState.create({
     doc: initialDoc,
     extensions: [
       basicSetup,
       markdown(),
       suggestionModeField,
-      EditorState.transactionFilter.of(suggestionFilter),
+      reviewerField,
+      reviewFocusField,
+      remoteCursorsField,
+      EditorState.transactionFilter.of(suggestionFilter(options.critic)),
+      composer,
+      options.critic ? criticDecorations(options.critic, [suggestionProcessed.of(true)]) : [],
       keymap.of([
         { key: 'Mod-Shift-m', run: addCommentCommand },
+        { key: 'Alt-]', mac: 'Ctrl-Alt-]', run: reviewKey('next') },
+        { key: 'Alt-[', mac: 'Ctrl-Alt-[', run: reviewKey('prev') },
+        { key: 'Alt-a', mac: 'Ctrl-Alt-a', run: reviewKey('accept') },
+        { key: 'Alt-r', mac: 'Ctrl-Alt-r', run: reviewKey('reject') },
       ]),
       EditorView.updateListener.of((update) => {
         if (update.docChanged) {
-          onUpdate(update.state.doc.toString());
+          const local = [];
+          for (const tr of update.transactions) {
+            if (tr.docChanged && !tr.annotation(Transaction.remote)) local.push(...sequentialChanges(tr.changes));
+          }
+          onUpdate(update.state.doc.toString(), local);
+        }
+        if (update.selectionSet && options.onSelectionChange) {
+          options.onSelectionChange(update.state.selection.main.head);
         }
       }),
       EditorView.theme({
@@ -143,24 +326,71 @@ export function createEditor(container, initialDoc, onUpdate) {
         '.cm-scroller': { overflow: 'auto', fontFamily: '"SF Mono", "Fira Code", "Fira Mono", Menlo, monospace' },
         '.cm-content': { padding: '20px 16px', minHeight: '100%' },
         '.cm-gutters': { background: '#f8f9fa', borderRight: '1px solid #dadce0' },
+        '.cm-review-focus': { background: 'rgba(26,115,232,0.15)', outline: '1px solid #1a73e8', borderRadius: '2px' },
+        '.cm-remote-caret': { position: 'relative', borderLeft: '2px solid', marginLeft: '-1px', marginRight: '-1px' },
+        '.cm-remote-caret-label': {
+          position: 'absolute', top: '-1.3em', left: '-2px', padding: '0 4px', borderRadius: '3px 3px 3px 0',
+          color: '#fff', fontSize: '10px', lineHeight: '1.3em', whiteSpace: 'nowrap', pointerEvents: 'none',
+        },
       }),
     ],
   });
 
   const view = new EditorView({ state, parent: container });
+  composers.set(view, composer);
   return view;
 }
 
 // --- Sync State Into Editor ---
+// Replaces only the text that differs, so selections, collaborators'
+// cursors and undo history elsewhere in the document are kept
 export function syncEditorFromState(view, newDoc) {
   const currentDoc = view.state.doc.toString();
   if (currentDoc === newDoc) return;
+  let from = 0;
+  while (from < currentDoc.length && from < newDoc.length && currentDoc.charCodeAt(from) === newDoc.charCodeAt(from)) from++;
+  let to = currentDoc.length;
+  let end = newDoc.length;
+  while (to > from && end > from && currentDoc.charCodeAt(to - 1) === newDoc.charCodeAt(end - 1)) {
+    to--;
+    end--;
+  }
   view.dispatch({
-    changes: { from: 0, to: currentDoc.length, insert: newDoc },
+    changes: { from, to, insert: newDoc.slice(from, end) },
     annotations: suggestionProcessed.of(true),
   });
 }
 
+// --- Collaboration ---
+// Applies collaborators' edits ({ from, to, insert }, in order). They skip
+// the suggestion filter, since they are markup already, and stay out of the
+// local undo history.
+export function applyRemoteChanges(view, changes) {
+  let set = ChangeSet.empty(view.state.doc.length);
+  for (const change of changes) set = set.compose(ChangeSet.of([change], set.newLength));
+  view.dispatch({
+    changes: set,
+    annotations: [Transaction.remote.of(true), Transaction.addToHistory.of(false), suggestionProcessed.of(true)],
+  });
+}
+
+// cursors: [{ anchor, head, name, color }]
+export function setRemoteCursors(view, cursors) {
+  view.dispatch({ effects: setRemoteCursorsEffect.of(cursors) });
+}
+
+// True while an input method is composing text (remote edits have to wait)
+export function isComposing(view) {
+  const tracker = view.plugin(composers.get(view));
+  return view.composing || !!(tracker && tracker.pending);
+}
+
+// Main selection as { anchor, head }
+export function getSelection(view) {
+  const { anchor, head } = view.state.selection.main;
+  return { anchor, head };
+}
+
 // --- Toggle Suggestion Mode ---
 export function setSuggestionMode(view, enabled) {
   view.dispatch({
@@ -168,6 +398,55 @@ export function setSuggestionMode(view, enabled) {
   });
 }
 
+// --- Set Reviewer Identity ---
+export function setReviewer(view, name) {
+  view.dispatch({
+    effects: setReviewerEffect.of(name || ''),
+  });
+}
+
+// --- Highlight the focused change (null clears it) ---
+export function setReviewFocus(view, range, scroll) {
+  const effects = [setReviewFocusEffect.of(range)];
+  if (range && scroll) effects.push(EditorView.scrollIntoView(range.from, { y: 'center' }));
+  view.dispatch({ effects });
+}
+
+// --- Cursor position (start of main selection) ---
+export function getCursor(view) {
+  return view.state.selection.main.from;
+}
+
+// --- Fold CriticMarkup Delimiters ---
+export function setFoldDelimiters(view, enabled) {
+  view.dispatch({
+    effects: setFoldDelimitersEffect.of(enabled),
+  });
+}
+
+// --- Scroll Sync Helpers ---
+// Document position at the top edge of the visible scroll area
+export function topVisiblePos(view) {
+  const scroller = view.scrollDOM;
+  const height = scroller.getBoundingClientRect().top - view.documentTop;
+  const block = view.lineBlockAtHeight(Math.max(0, height));
+  const frac = block.height ? Math.min(1, Math.max(0, (height - block.top) / block.height)) : 0;
+  return Math.round(block.from + frac * (block.to - block.from));
+}
+
+export function scrollPosToTop(view, pos) {
+  view.dispatch({ effects: EditorView.scrollIntoView(pos, { y: 'start', yMargin: 0 }) });
+}
+
+// Place the cursor at pos, scroll it into view and focus the editor
+export function revealPos(view, pos) {
+  view.dispatch({
+    selection: { anchor: pos },
+    effects: EditorView.scrollIntoView(pos, { y: 'center' }),
+  });
+  view.focus();
+}
+
 // --- Get Suggestion Mode State ---
 export function isSuggestionMode(view) {
   return view.state.field(suggestionModeField);
@@ -0,0 +1,658 @@
+/**
+ * Markaround - Markdown extensions
+ * The markdown-it extensions the preview can use besides CriticMarkup, in
+ * one registry so they can be turned on and off. All of them are bundled
+ * here, so a document parses the same offline:
+ *   footnotes   [^1] references, with their [^1]: notes shown where written
+ *   tasks       - [ ] and - [x] list items as checkboxes
+ *   toc         heading anchors, and [[toc]] for a table of contents
+ *   math        $inline$ and $$display$$ TeX, drawn by KaTeX
+ *   mermaid     ```mermaid fences, drawn by Mermaid
+ * KaTeX and Mermaid come with the app (vendor/) and are loaded the first
+ * time a document needs them; until then formulas and diagrams show their
+ * source.
+ *
+ * Changes keep working inside all of them: a change inside a formula shows
+ * the formula before and after, with the change's controls, and a change
+ * to a whole diagram shows both diagrams.
+ *
+ *   register(extension)     adds an extension (see BUILT_IN for the fields)
+ *   list()                  the registered extensions, in order
+ *   use(md, ids)            applies the extensions with these ids to md
+ *   typeset(el)             draws math and diagrams in rendered HTML
+ *   typesetStatic(el, from) the same for HTML leaving the page (exports)
+ *
+ * Classic script for the page and the render worker (sets
+ * self.MarkaroundExtensions); needs js/critic-core.js, and md to have the
+ * CriticMarkup plugin (js/criticmarkup-plugin.js) before use().
+ */
+(function () {
+  'use strict';
+
+  var Critic = self.MarkaroundCritic;
+  var escapeHtml = Critic.escapeHtml;
+
+  var extensions = [];
+
+  function register(extension) {
+    extensions.push(extension);
+  }
+
+  function list() {
+    return extensions.slice();
+  }
+
+  // Applies the extensions with ids in `ids` and returns them
+  function use(md, ids) {
+    var used = extensions.filter(function (extension) { return ids.indexOf(extension.id) !== -1; });
+    used.forEach(function (extension) { md.use(extension.plugin); });
+    return used;
+  }
+
+  // --- Document Context ---
+  // Some HTML depends on the whole document (footnote numbers, heading
+  // ids), while js/preview.js renders it a chunk at a time. Such an
+  // extension summarizes each chunk with scan(text) (null when there's
+  // nothing to note) and turns the summaries of all chunks, in order, into
+  // the value each chunk renders with, as env[id], with context(summaries).
+  // Rendering a whole document, the plugin does the same with its source.
+  var documentContexts = new WeakMap();
+
+  function contextRule(extension) {
+    return function (state) {
+      if (state.inlineMode) return;
+      var value = extension.id in state.env ? state.env[extension.id]
+        : extension.context([extension.scan(state.src)])[0];
+      var contexts = documentContexts.get(state.env) || {};
+      contexts[extension.id] = value || null;
+      documentContexts.set(state.env, contexts);
+    };
+  }
+
+  function documentContext(state, extension) {
+    var contexts = documentContexts.get(state.env);
+    return contexts && contexts[extension.id] || null;
+  }
+
+  // `text` with its code spans and fences blanked out (lines kept)
+  function withoutCode(text) {
+    var out = '';
+    var pos = 0;
+    Critic.findCodeRanges(text).forEach(function (range) {
+      out += text.substring(pos, range.start) + text.substring(range.start, range.end).replace(/[^\n]/g, ' ');
+      pos = range.end;
+    });
+    return out + text.substring(pos);
+  }
+
+  // --- Footnotes ---
+  // Notes are numbered in the order they're first referenced. Each note is
+  // shown where its definition is written (usually the end of the
+  // document), so it keeps its place for scrolling and accept/reject.
+  var FOOTNOTE_DEF_RE = /^ {0,3}\[\^([^\]\s]+)\]:/gm;
+  var FOOTNOTE_REF_RE = /\[\^([^\]\s]+)\]/g;
+
+  function matches(re, text) {
+    var found = [];
+    var match;
+    re.lastIndex = 0;
+    while ((match = re.exec(text))) found.push(match[1]);
+    return found;
+  }
+
+  function scanFootnotes(text) {
+    if (text.indexOf('[^') === -1) return null;
+    text = withoutCode(text);
+    var defs = matches(FOOTNOTE_DEF_RE, text);
+    var refs = matches(FOOTNOTE_REF_RE, text.replace(FOOTNOTE_DEF_RE, ''));
+    return refs.length || defs.length ? { refs: refs, defs: defs } : null;
+  }
+
+  // Per chunk: { notes: { label: { number, before, refs } } } for the notes
+  // it references or defines; before counts the references in earlier
+  // chunks, refs all of them
+  function footnoteContext(summaries) {
+    var defined = Object.create(null);
+    var numbers = Object.create(null);
+    var totals = Object.create(null);
+    var next = 1;
+    summaries.forEach(function (summary) {
+      if (summary) summary.defs.forEach(function (label) { defined[label] = true; });
+    });
+    summaries.forEach(function (summary) {
+      if (!summary) return;
+      summary.refs.forEach(function (label) {
+        if (!defined[label]) return;
+        if (!numbers[label]) numbers[label] = next++;
+        totals[label] = (totals[label] || 0) + 1;
+      });
+    });
+    var seen = Object.create(null);
+    return summaries.map(function (summary) {
+      if (!summary) return null;
+      var notes = {};
+      summary.refs.concat(summary.defs).forEach(function (label) {
+        if (defined[label] && !notes[label]) {
+          notes[label] = { number: numbers[label] || 0, before: seen[label] || 0, refs: totals[label] || 0 };
+        }
+      });
+      summary.refs.forEach(function (label) { seen[label] = (seen[label] || 0) + 1; });
+      return { notes: notes };
+    });
+  }
+
+  function footnoteNote(state, label) {
+    var context = documentContext(state, FOOTNOTES);
+    return context && context.notes[label] || null;
+  }
+
+  function footnoteId(label) {
+    return 'fn-' + escapeHtml(label);
+  }
+
+  function footnoteRefId(label, n) {
+    return 'fnref-' + escapeHtml(label) + '-' + n;
+  }
+
+  function footnoteRef(state, silent) {
+    var src = state.src;
+    var start = state.pos;
+    if (src.charCodeAt(start) !== 0x5B || src.charCodeAt(start + 1) !== 0x5E) return false;
+    var end = src.indexOf(']', start + 2);
+    if (end === -1 || end >= state.posMax) return false;
+    var label = src.slice(start + 2, end);
+    if (!label || /\s/.test(label)) return false;
+    var note = footnoteNote(state, label);
+    if (!note) return false;
+    if (!silent) {
+      var counts = state.env.footnoteRefs || (state.env.footnoteRefs = Object.create(null));
+      counts[label] = (counts[label] || 0) + 1;
+      state.push('footnote_ref', 'sup', 0).meta = { label: label, note: note, n: note.before + counts[label] };
+    }
+    state.pos = end + 1;
+    return true;
+  }
+
+  // [^label]: text, continued by lines indented four spaces; the note's
+  // blocks are parsed as if its first line began after the label
+  function footnoteDef(state, startLine, endLine, silent) {
+    var start = state.bMarks[startLine] + state.tShift[startLine];
+    var max = state.eMarks[startLine];
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    if (start + 4 > max || state.src.charCodeAt(start) !== 0x5B || state.src.charCodeAt(start + 1) !== 0x5E) return false;
+    var close = state.src.indexOf(']', start + 2);
+    if (close === -1 || close + 1 >= max || state.src.charCodeAt(close + 1) !== 0x3A) return false;
+    var label = state.src.slice(start + 2, close);
+    if (!label || /\s/.test(label)) return false;
+    if (silent) return true;
+
+    var open = state.push('footnote_open', 'div', 1);
+    open.map = [startLine, startLine + 1];
+    open.meta = { label: label, note: footnoteNote(state, label) };
+
+    var contentStart = close + 2;
+    var pos = contentStart;
+    var initial = state.sCount[startLine] + pos - start;
+    var offset = initial;
+    while (pos < max) {
+      var ch = state.src.charCodeAt(pos);
+      if (ch === 0x09) offset += 4 - offset % 4;
+      else if (ch === 0x20) offset++;
+      else break;
+      pos++;
+    }
+    var saved = {
+      bMark: state.bMarks[startLine], tShift: state.tShift[startLine], sCount: state.sCount[startLine],
+      parentType: state.parentType,
+    };
+    state.bMarks[startLine] = contentStart;
+    state.tShift[startLine] = pos - contentStart;
+    state.sCount[startLine] = offset - initial;
+    state.blkIndent += 4;
+    state.parentType = 'footnote';
+    if (state.sCount[startLine] < state.blkIndent) state.sCount[startLine] += state.blkIndent;
+
+    state.md.block.tokenize(state, startLine, endLine);
+
+    state.bMarks[startLine] = saved.bMark;
+    state.tShift[startLine] = saved.tShift;
+    state.sCount[startLine] = saved.sCount;
+    state.parentType = saved.parentType;
+    state.blkIndent -= 4;
+    open.map[1] = state.line;
+    state.push('footnote_close', 'div', -1).meta = open.meta;
+    return true;
+  }
+
+  function footnotesPlugin(md) {
+    md.core.ruler.after('normalize', 'footnote_context', contextRule(FOOTNOTES));
+    md.block.ruler.before('reference', 'footnote_def', footnoteDef, { alt: ['paragraph', 'reference'] });
+    md.inline.ruler.after('critic', 'footnote_ref', footnoteRef);
+
+    md.renderer.rules.footnote_ref = function (tokens, idx) {
+      var meta = tokens[idx].meta;
+      return '<sup class="footnote-ref"><a href="#' + footnoteId(meta.label) + '" id="' + footnoteRefId(meta.label, meta.n) + '">'
+        + meta.note.number + '</a></sup>';
+    };
+    md.renderer.rules.footnote_open = function (tokens, idx, options, env, slf) {
+      var meta = tokens[idx].meta;
+      return '<div class="footnote" id="' + footnoteId(meta.label) + '"' + slf.renderAttrs(tokens[idx]) + '>'
+        + '<span class="footnote-label">' + (meta.note && meta.note.number ? meta.note.number : escapeHtml(meta.label)) + '</span>\n';
+    };
+    md.renderer.rules.footnote_close = function (tokens, idx) {
+      var meta = tokens[idx].meta;
+      var backrefs = '';
+      for (var n = 1; meta.note && n <= meta.note.refs; n++) {
+        backrefs += '<a href="#' + footnoteRefId(meta.label, n) + '" class="footnote-backref" title="Back to the text">&#8617;</a>';
+      }
+      return backrefs + '</div>\n';
+    };
+  }
+
+  // --- Task Lists ---
+  var TASK_RE = /^\[([ xX])\](?=\s|$)/;
+
+  function taskLists(state) {
+    var tokens = state.tokens;
+    for (var i = 2; i < tokens.length; i++) {
+      var inline = tokens[i];
+      if (inline.type !== 'inline' || tokens[i - 1].type !== 'paragraph_open') continue;
+      // An item's content may be in a change's container
+      var item = i - 2;
+      while (item > 0 && tokens[item].type === 'critic_block_open') item--;
+      if (tokens[item].type !== 'list_item_open') continue;
+      var first = inline.children[0];
+      var match = first && first.type === 'text' && TASK_RE.exec(first.content);
+      if (!match) continue;
+      first.content = first.content.substring(3);
+      var box = new state.Token('task_checkbox', 'input', 0);
+      box.meta = { checked: match[1] !== ' ' };
+      inline.children.unshift(box);
+      tokens[item].attrJoin('class', 'task-list-item');
+    }
+  }
+
+  function tasksPlugin(md) {
+    md.core.ruler.after('critic_spanned_blocks', 'task_lists', taskLists);
+    md.renderer.rules.task_checkbox = function (tokens, idx) {
+      return '<input type="checkbox" class="task-list-item-checkbox" disabled' + (tokens[idx].meta.checked ? ' checked' : '') + '>';
+    };
+  }
+
+  // --- Headings and Contents ---
+  // Heading ids come from the heading's text with its changes accepted
+  // ("Intro" then "intro-1" for a repeat), and the table of contents lists
+  // the headings of the document as accepted.
+  var ATX_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/;
+  var SETEXT_RE = /^ {0,3}(?:=+|-+)[ \t]*$/;
+  var PARAGRAPH_LINE_RE = /^ {0,3}(?:[^\s#>*+\-=`~|]|\d+[^.)\d]|[*+\-](?!\s|$))/;
+  var TOC_RE = /^\[\[?toc\]\]?$/i;
+  var QUOTE_PREFIX_RE = /^(?: {0,3}>[ \t]?)+/;
+
+  function headingText(markdown) {
+    return Critic.resolveSource(markdown, Critic.acceptMarkup, true)
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*`]|~~/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  function slugify(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').trim().replace(/\s+/g, '-') || 'section';
+  }
+
+  function scanHeadings(text) {
+    if (!/#|^ {0,3}(?:=+|-+)[ \t]*$|\[toc\]/im.test(text)) return null;
+    var accepted = Critic.resolveSource(text, Critic.acceptMarkup, true);
+    var lines = accepted.split('\n');
+    var headings = [];
+    var toc = false;
+    var paragraph = [];
+    // Lines are told apart with their code blanked out (a fence is blank)
+    // and read as written
+    withoutCode(accepted).split('\n').forEach(function (masked, i) {
+      masked = masked.replace(QUOTE_PREFIX_RE, '');
+      var line = lines[i].replace(QUOTE_PREFIX_RE, '');
+      var atx = ATX_RE.test(masked) && ATX_RE.exec(line);
+      if (atx) {
+        headings.push({ level: atx[1].length, text: headingText((atx[2] || '').replace(/(?:^|[ \t]+)#+$/, '')) });
+        paragraph = [];
+      } else if (paragraph.length && SETEXT_RE.test(masked)) {
+        headings.push({ level: masked.trim().charAt(0) === '=' ? 1 : 2, text: headingText(paragraph.join(' ')) });
+        paragraph = [];
+      } else if (TOC_RE.test(masked.trim())) {
+        toc = true;
+        paragraph = [];
+      } else if (PARAGRAPH_LINE_RE.test(masked) || (paragraph.length && /\S/.test(masked))) {
+        paragraph.push(line);
+      } else {
+        paragraph = [];
+      }
+    });
+    return headings.length || toc ? { headings: headings, toc: toc } : null;
+  }
+
+  // Per chunk: { counts, toc }, counts being how often each of its
+  // headings' slugs was used before it, toc every heading of the document
+  // when it has a table of contents
+  function headingContext(summaries) {
+    var counts = Object.create(null);
+    var all = [];
+    var contexts = summaries.map(function (summary) {
+      if (!summary) return null;
+      var before = {};
+      summary.headings.forEach(function (heading) {
+        var slug = slugify(heading.text);
+        var n = counts[slug] || 0;
+        if (!(slug in before)) before[slug] = n;
+        all.push({ level: heading.level, text: heading.text, id: n ? slug + '-' + n : slug });
+        counts[slug] = n + 1;
+      });
+      return { counts: before, toc: summary.toc };
+    });
+    contexts.forEach(function (context) {
+      if (context && context.toc) context.toc = all;
+    });
+    return contexts;
+  }
+
+  // Deleted headings get no id: they aren't in the document as accepted
+  function headingAnchors(state) {
+    var context = documentContext(state, TOC);
+    var counts = Object.create(null);
+    if (context) {
+      for (var slug in context.counts) counts[slug] = context.counts[slug];
+    }
+    var deleted = [];
+    var tokens = state.tokens;
+    for (var i = 0; i < tokens.length; i++) {
+      var token = tokens[i];
+      if (token.type === 'critic_block_open') {
+        var kind = token.meta.part || token.meta.region.type;
+        deleted.push(deleted[deleted.length - 1] || kind === 'deletion' || kind === 'old');
+      } else if (token.type === 'critic_block_close') {
+        deleted.pop();
+      } else if (token.type === 'heading_open' && !deleted[deleted.length - 1]) {
+        var base = slugify(headingText(tokens[i + 1].content));
+        var n = counts[base] || 0;
+        var id = n ? base + '-' + n : base;
+        counts[base] = n + 1;
+        token.attrSet('id', id);
+        var anchor = new state.Token('heading_anchor', 'a', 0);
+        anchor.meta = { id: id };
+        tokens[i + 1].children.push(anchor);
+      } else if (token.type === 'paragraph_open' && tokens[i + 1].type === 'inline'
+          && TOC_RE.test(tokens[i + 1].content.trim()) && tokens[i + 2].type === 'paragraph_close') {
+        var toc = new state.Token('toc', 'nav', 0);
+        toc.block = true;
+        toc.map = token.map;
+        toc.meta = { headings: context && context.toc || [] };
+        tokens.splice(i, 3, toc);
+      }
+    }
+  }
+
+  function renderToc(headings) {
+    var html = '';
+    var levels = [];
+    headings.forEach(function (heading) {
+      if (!levels.length || heading.level > levels[levels.length - 1]) {
+        html += '<ul>';
+        levels.push(heading.level);
+      } else {
+        html += '</li>';
+        while (levels.length > 1 && heading.level < levels[levels.length - 1]) {
+          html += '</ul></li>';
+          levels.pop();
+        }
+      }
+      html += '<li><a href="#' + escapeHtml(heading.id) + '">' + escapeHtml(heading.text) + '</a>';
+    });
+    while (levels.length) {
+      html += '</li></ul>';
+      levels.pop();
+    }
+    return html;
+  }
+
+  function tocPlugin(md) {
+    md.core.ruler.after('normalize', 'toc_context', contextRule(TOC));
+    md.core.ruler.after('critic_spanned_blocks', 'heading_anchors', headingAnchors);
+    md.renderer.rules.heading_anchor = function (tokens, idx) {
+      return '<a class="heading-anchor" href="#' + escapeHtml(tokens[idx].meta.id) + '" aria-hidden="true">#</a>';
+    };
+    md.renderer.rules.toc = function (tokens, idx, options, env, slf) {
+      var token = tokens[idx];
+      return '<nav class="toc"' + slf.renderAttrs(token) + '>' + renderToc(token.meta.headings) + '</nav>\n';
+    };
+  }
+
+  // --- Math ---
+  // $…$ must not start or end with a space, nor be followed by a digit
+  // (so "$5 and $10" stays text); $$…$$ starts a line and may span lines
+  // up to a blank one. A formula with changes inside shows its old and new
+  // version; one a change runs across the edge of stays text.
+  function isSpace(code) {
+    return code === 0x20 || code === 0x09 || code === 0x0A;
+  }
+
+  function mathInline(state, silent) {
+    var src = state.src;
+    var start = state.pos;
+    if (src.charCodeAt(start) !== 0x24 || src.charCodeAt(start + 1) === 0x24) return false;
+    if (start + 1 >= state.posMax || isSpace(src.charCodeAt(start + 1))) return false;
+    var end = start + 1;
+    while ((end = src.indexOf('$', end)) !== -1 && end < state.posMax && src.charCodeAt(end - 1) === 0x5C) end++;
+    if (end === -1 || end >= state.posMax || isSpace(src.charCodeAt(end - 1))) return false;
+    var after = src.charCodeAt(end + 1);
+    if (after >= 0x30 && after <= 0x39) return false;
+    var changes = changesIn(state, start + 1, end);
+    if (!changes) return false;
+    if (!silent) {
+      var token = state.push('math_inline', 'span', 0);
+      token.content = src.slice(start + 1, end);
+      token.markup = '$';
+      token.meta = { changes: changes };
+    }
+    state.pos = end + 1;
+    return true;
+  }
+
+  function mathBlock(state, startLine, endLine, silent) {
+    var start = state.bMarks[startLine] + state.tShift[startLine];
+    var max = state.eMarks[startLine];
+    if (state.sCount[startLine] - state.blkIndent >= 4 || state.src.slice(start, start + 2) !== '$$') return false;
+    var line = startLine;
+    var closeAt = state.src.slice(start + 2, max).trimEnd().length >= 2 ? state.src.lastIndexOf('$$', max) : -1;
+    if (closeAt < start + 2) {
+      closeAt = -1;
+      for (line = startLine + 1; line < endLine && closeAt === -1; line++) {
+        if (state.isEmpty(line) || state.sCount[line] < state.blkIndent) return false;
+        var text = state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]).trimEnd();
+        if (text.slice(-2) === '$$') closeAt = state.bMarks[line] + state.tShift[line] + text.length - 2;
+      }
+      if (closeAt === -1) return false;
+      line--;
+    }
+    if (state.src.slice(closeAt + 2, state.eMarks[line]).trim()) return false;
+    var changes = changesIn(state, start + 2, closeAt);
+    if (!changes) return false;
+    if (silent) return true;
+
+    var token = state.push('math_block', 'div', 0);
+    token.block = true;
+    token.map = [startLine, line + 1];
+    token.markup = '$$';
+    var lines = state.getLines(startLine, line + 1, state.sCount[startLine], false);
+    token.content = lines.slice(lines.indexOf('$$') + 2, lines.lastIndexOf('$$')).trim();
+    token.meta = { changes: changes };
+    state.line = line + 1;
+    return true;
+  }
+
+  function changesIn(state, from, to) {
+    var critic = state.md.criticmarkup;
+    return critic ? critic.regionsIn(state, from, to) : [];
+  }
+
+  function mathHtml(tex, display, className, attrs) {
+    var tag = display ? 'div' : 'span';
+    var delimiter = display ? '$$' : '$';
+    return '<' + tag + ' class="math' + (display ? ' math-display' : '') + (className ? ' ' + className : '') + '"'
+      + ' data-tex="' + escapeHtml(tex) + '"' + (attrs || '') + '>' + escapeHtml(delimiter + tex + delimiter) + '</' + tag + '>';
+  }
+
+  function renderMath(md, token, display, slf) {
+    var changes = token.meta.changes;
+    var attrs = slf.renderAttrs(token);
+    var end = display ? '\n' : '';
+    if (!changes.length) return mathHtml(token.content, display, '', attrs) + end;
+    var before = Critic.resolveSource(token.content, Critic.rejectMarkup, true);
+    var after = Critic.resolveSource(token.content, Critic.acceptMarkup, true);
+    var tag = display ? 'div' : 'span';
+    return '<' + tag + ' class="critic-math"' + attrs + '>'
+      + (before === after ? mathHtml(after, display)
+        : mathHtml(before, display, 'critic-deletion') + mathHtml(after, display, 'critic-addition'))
+      + changes.map(function (region) { return md.criticmarkup.renderChange(region, slf); }).join('')
+      + '</' + tag + '>' + end;
+  }
+
+  function mathPlugin(md) {
+    md.block.ruler.before('fence', 'math_block', mathBlock, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+    md.inline.ruler.after('critic', 'math_inline', mathInline);
+    md.renderer.rules.math_inline = function (tokens, idx, options, env, slf) {
+      return renderMath(md, tokens[idx], false, slf);
+    };
+    md.renderer.rules.math_block = function (tokens, idx, options, env, slf) {
+      return renderMath(md, tokens[idx], true, slf);
+    };
+  }
+
+  // --- Mermaid ---
+  function mermaidPlugin(md) {
+    var fence = md.renderer.rules.fence;
+    md.renderer.rules.fence = function (tokens, idx, options, env, slf) {
+      var token = tokens[idx];
+      var lang = token.info ? md.utils.unescapeAll(token.info).trim().split(/\s+/g)[0] : '';
+      if (lang !== 'mermaid') return fence(tokens, idx, options, env, slf);
+      return '<div class="mermaid-diagram"' + slf.renderAttrs(token) + '><pre class="mermaid-source">'
+        + escapeHtml(token.content) + '</pre></div>\n';
+    };
+    if (md.criticmarkup) md.criticmarkup.renderedFences.push('mermaid');
+  }
+
+  // --- Typesetting ---
+  // On the page only. Libraries load once, on first use, from the copies
+  // in vendor/ (paths relative to index.html); one that can't load leaves
+  // the source showing until the page is reloaded.
+  var KATEX = {
+    script: 'vendor/katex/katex.min.js',
+    style: 'vendor/katex/katex.min.css',
+    global: 'katex',
+  };
+  var MERMAID = {
+    script: 'vendor/mermaid/mermaid.min.js',
+    global: 'mermaid',
+  };
+  var libraries = {};
+  var diagramCount = 0;
+
+  function loadLibrary(library) {
+    if (!libraries[library.script]) {
+      libraries[library.script] = self[library.global] ? Promise.resolve() : new Promise(function (resolve, reject) {
+        if (library.style) {
+          var link = document.createElement('link');
+          link.rel = 'stylesheet';
+          link.href = library.style;
+          document.head.appendChild(link);
+        }
+        var script = document.createElement('script');
+        script.src = library.script;
+        script.onload = resolve;
+        script.onerror = function () { reject(new Error('Could not load ' + library.script)); };
+        document.head.appendChild(script);
+      }).then(function () {
+        if (library.global === 'mermaid') self.mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+      });
+    }
+    return libraries[library.script];
+  }
+
+  // Elements matching `selector` in `el` not drawn yet, marked as drawn
+  function untypeset(el, selector) {
+    var found = Array.prototype.slice.call(el.querySelectorAll(selector + ':not([data-typeset])'));
+    found.forEach(function (item) { item.setAttribute('data-typeset', ''); });
+    return found;
+  }
+
+  function drawMath(item, output) {
+    self.katex.render(item.getAttribute('data-tex'), item, {
+      displayMode: item.classList.contains('math-display'), throwOnError: false, output: output || 'htmlAndMathml',
+    });
+  }
+
+  // Resolves once everything found in `el` is drawn (or can't be); null
+  // when there was nothing to draw
+  function typeset(el) {
+    var waits = [];
+    var formulas = untypeset(el, '.math[data-tex]');
+    if (formulas.length) {
+      waits.push(loadLibrary(KATEX).then(function () {
+        formulas.forEach(function (item) { drawMath(item); });
+      }, function () {}));
+    }
+    var diagrams = untypeset(el, '.mermaid-diagram');
+    if (diagrams.length) {
+      waits.push(loadLibrary(MERMAID).then(function () {
+        return Promise.all(diagrams.map(function (item) {
+          return self.mermaid.render('mermaid-diagram-' + ++diagramCount, item.textContent).then(function (result) {
+            item.innerHTML = result.svg;
+          }, function () {
+            item.classList.add('mermaid-error');
+          });
+        }));
+      }, function () {}));
+    }
+    return waits.length ? Promise.all(waits) : null;
+  }
+
+  // Exports carry no scripts or stylesheets: formulas become MathML (when
+  // KaTeX is loaded) and diagrams are copied from `drawn`, the preview
+  // they're already drawn in, by source offset
+  function typesetStatic(el, drawn) {
+    if (self.katex) el.querySelectorAll('.math[data-tex]').forEach(function (item) { drawMath(item, 'mathml'); });
+    el.querySelectorAll('.mermaid-diagram[data-source-offset]').forEach(function (item) {
+      var copy = drawn.querySelector('.mermaid-diagram[data-source-offset="' + item.getAttribute('data-source-offset') + '"]');
+      if (copy && copy.querySelector('svg')) item.innerHTML = copy.innerHTML;
+    });
+  }
+
+  // --- Built-in Extensions ---
+  // id, name and description show in the toggle list, enabled is the
+  // default, plugin(md) is the markdown-it plugin, and scan/context are for
+  // document context (see above)
+  var FOOTNOTES = {
+    id: 'footnotes', name: 'Footnotes', description: 'Footnote references [^1] with notes [^1]: …',
+    enabled: true, plugin: footnotesPlugin, scan: scanFootnotes, context: footnoteContext,
+  };
+  var TOC = {
+    id: 'toc', name: 'Heading anchors and contents', description: 'Linkable headings; [[toc]] lists them',
+    enabled: true, plugin: tocPlugin, scan: scanHeadings, context: headingContext,
+  };
+  var BUILT_IN = [
+    FOOTNOTES,
+    { id: 'tasks', name: 'Task lists', description: 'List items starting [ ] or [x] as checkboxes', enabled: true, plugin: tasksPlugin },
+    TOC,
+    { id: 'math', name: 'Math', description: '$inline$ and $$display$$ TeX, drawn with KaTeX', enabled: true, plugin: mathPlugin },
+    { id: 'mermaid', name: 'Mermaid diagrams', description: '```mermaid code blocks as diagrams', enabled: true, plugin: mermaidPlugin },
+  ];
+  BUILT_IN.forEach(register);
+
+  self.MarkaroundExtensions = {
+    register: register,
+    list: list,
+    use: use,
+    typeset: typeset,
+    typesetStatic: typesetStatic,
+  };
+})();
@@ -0,0 +1,161 @@
+/**
+ * Markaround - files on disk
+ * Opens and saves files in place through the File System Access API
+ * (Chromium-based browsers). File and folder handles are remembered in
+ * IndexedDB, so a document reopened after a reload can still be saved back
+ * to its file once the user grants access again. Where the API is missing,
+ * `supported` is false and the app keeps using file inputs and downloads.
+ */
+(function () {
+  'use strict';
+
+  var DB_NAME = 'markaround-files';
+  var STORE = 'handles';
+  var MARKDOWN_TYPE = { description: 'Markdown', accept: { 'text/markdown': ['.md', '.markdown', '.txt'] } };
+  var WORD_TYPE = {
+    description: 'Word document',
+    accept: { 'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'] },
+  };
+  var DOCUMENT_RE = /\.(md|markdown|txt|docx)$/i;
+  // Folders skipped when listing an opened folder
+  var SKIPPED_FOLDERS = { node_modules: true };
+  var MAX_FOLDER_DEPTH = 3;
+
+  var supported = typeof window.showOpenFilePicker === 'function';
+  var dbPromise = null;
+
+  // --- Handle Store ---
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise(function (resolve, reject) {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('This browser has no IndexedDB'));
+          return;
+        }
+        var request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = function () {
+          request.result.createObjectStore(STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = function () { resolve(request.result); };
+        request.onerror = function () { reject(request.error); };
+      });
+    }
+    return dbPromise;
+  }
+
+  function transact(mode, fn) {
+    return openDb().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var tx = db.transaction(STORE, mode);
+        var request = fn(tx.objectStore(STORE));
+        tx.oncomplete = function () { resolve(request ? request.result : undefined); };
+        tx.onerror = function () { reject(tx.error); };
+        tx.onabort = function () { reject(tx.error); };
+      });
+    });
+  }
+
+  function remember(key, handle) {
+    return transact('readwrite', function (store) { store.put({ key: key, handle: handle }); });
+  }
+
+  // Resolves to the stored handle, or null
+  function recall(key) {
+    return transact('readonly', function (store) { return store.get(key); }).then(function (record) {
+      return record ? record.handle : null;
+    });
+  }
+
+  function forget(key) {
+    return transact('readwrite', function (store) { store.delete(key); });
+  }
+
+  // --- Permissions ---
+  // Resolves to true once access is granted. Asking the user only works
+  // while handling a click or key press.
+  function ensurePermission(handle, write) {
+    var options = { mode: write ? 'readwrite' : 'read' };
+    return handle.queryPermission(options).then(function (state) {
+      if (state === 'granted') return true;
+      return handle.requestPermission(options).then(function (result) { return result === 'granted'; });
+    });
+  }
+
+  // Resolves to true only if access was granted earlier, without asking
+  function hasPermission(handle, write) {
+    return handle.queryPermission({ mode: write ? 'readwrite' : 'read' }).then(function (state) {
+      return state === 'granted';
+    });
+  }
+
+  // --- Pickers ---
+  // Each resolves to handles, or rejects with an AbortError when cancelled
+  function pickFiles() {
+    return window.showOpenFilePicker({ multiple: true, types: [MARKDOWN_TYPE, WORD_TYPE] });
+  }
+
+  function pickFolder() {
+    return window.showDirectoryPicker({ mode: 'readwrite' });
+  }
+
+  function pickSaveFile(suggestedName) {
+    return window.showSaveFilePicker({ suggestedName: suggestedName, types: [MARKDOWN_TYPE] });
+  }
+
+  // --- Reading and Writing ---
+  // Documents in a folder and its subfolders: [{ path, handle }] sorted by path
+  function listFolder(dir) {
+    var files = [];
+    function walk(folder, prefix, depth) {
+      var entries = folder.values();
+      function next() {
+        return entries.next().then(function (step) {
+          if (step.done) return null;
+          var entry = step.value;
+          var pending = null;
+          var hidden = entry.name.charAt(0) === '.';
+          if (entry.kind === 'directory') {
+            if (!hidden && depth < MAX_FOLDER_DEPTH && !SKIPPED_FOLDERS[entry.name]) {
+              pending = walk(entry, prefix + entry.name + '/', depth + 1);
+            }
+          } else if (!hidden && DOCUMENT_RE.test(entry.name)) {
+            files.push({ path: prefix + entry.name, handle: entry });
+          }
+          return Promise.resolve(pending).then(next);
+        });
+      }
+      return next();
+    }
+    return walk(dir, '', 0).then(function () {
+      return files.sort(function (a, b) { return a.path < b.path ? -1 : a.path > b.path ? 1 : 0; });
+    });
+  }
+
+  // Resolves to the file's lastModified after writing
+  function write(handle, text) {
+    return ensurePermission(handle, true).then(function (granted) {
+      if (!granted) throw new Error('Permission to write ' + handle.name + ' was denied');
+      return handle.createWritable();
+    }).then(function (writable) {
+      return writable.write(text).then(function () { return writable.close(); });
+    }).then(function () {
+      return handle.getFile();
+    }).then(function (file) {
+      return file.lastModified;
+    });
+  }
+
+  window.MarkaroundFiles = {
+    supported: supported,
+    pickFiles: pickFiles,
+    pickFolder: pickFolder,
+    pickSaveFile: pickSaveFile,
+    listFolder: listFolder,
+    ensurePermission: ensurePermission,
+    hasPermission: hasPermission,
+    write: write,
+    remember: remember,
+    recall: recall,
+    forget: forget,
+  };
+})();
@@ -0,0 +1,102 @@
+/**
+ * Markaround - snapshot history
+ * Keeps earlier versions of each document in IndexedDB, keyed by file name:
+ * automatic snapshots taken while editing, snapshots taken before bulk
+ * actions and restores, and named checkpoints. Automatic snapshots are
+ * pruned to the newest MAX_AUTOMATIC per document; everything else is kept
+ * until deleted.
+ *
+ * Snapshot: { id, fileName, source, kind, label, timestamp }, where kind is
+ * 'auto', 'bulk', 'restore', 'autosave' or 'checkpoint'.
+ */
+(function () {
+  'use strict';
+
+  var DB_NAME = 'markaround-history';
+  var STORE = 'snapshots';
+  var MAX_AUTOMATIC = 50;
+
+  var dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise(function (resolve, reject) {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('This browser has no IndexedDB'));
+          return;
+        }
+        var request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = function () {
+          var store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('fileName', 'fileName');
+        };
+        request.onsuccess = function () { resolve(request.result); };
+        request.onerror = function () { reject(request.error); };
+      });
+    }
+    return dbPromise;
+  }
+
+  // Runs fn(store) in one transaction; resolves to the result of the request
+  // fn returns (if any) once the transaction commits
+  function transact(mode, fn) {
+    return openDb().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var tx = db.transaction(STORE, mode);
+        var request = fn(tx.objectStore(STORE));
+        tx.oncomplete = function () { resolve(request ? request.result : undefined); };
+        tx.onerror = function () { reject(tx.error); };
+        tx.onabort = function () { reject(tx.error); };
+      });
+    });
+  }
+
+  // Snapshots of one document, newest first
+  function list(fileName) {
+    return transact('readonly', function (store) {
+      return store.index('fileName').getAll(fileName);
+    }).then(function (snapshots) {
+      return snapshots.sort(function (a, b) { return b.timestamp - a.timestamp || b.id - a.id; });
+    });
+  }
+
+  function get(id) {
+    return transact('readonly', function (store) { return store.get(id); });
+  }
+
+  function remove(id) {
+    return transact('readwrite', function (store) { store.delete(id); });
+  }
+
+  function prune(fileName) {
+    return list(fileName).then(function (snapshots) {
+      var stale = snapshots.filter(function (s) { return s.kind === 'auto'; }).slice(MAX_AUTOMATIC);
+      if (!stale.length) return;
+      return transact('readwrite', function (store) {
+        stale.forEach(function (s) { store.delete(s.id); });
+      });
+    });
+  }
+
+  // options: { fileName, source, kind, label, timestamp }. An automatic
+  // snapshot identical to the newest one is skipped (resolves to null).
+  function add(options) {
+    var snapshot = {
+      fileName: options.fileName,
+      source: options.source,
+      kind: options.kind || 'auto',
+      label: options.label || '',
+      timestamp: options.timestamp || Date.now(),
+    };
+    var check = snapshot.kind === 'auto' ? list(snapshot.fileName) : Promise.resolve([]);
+    return check.then(function (existing) {
+      if (existing.length && existing[0].source === snapshot.source) return null;
+      return transact('readwrite', function (store) { return store.add(snapshot); }).then(function (id) {
+        snapshot.id = id;
+        return prune(snapshot.fileName).then(function () { return snapshot; });
+      });
+    });
+  }
+
+  window.MarkaroundHistory = { add: add, list: list, get: get, remove: remove };
+})();
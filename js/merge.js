@@ -0,0 +1,298 @@
+/**
+ * Markaround - review merge
+ * Combines several reviewed copies of one base document into a single
+ * CriticMarkup document. Each copy's review regions (found with the same
+ * region detection as the preview) are placed on the base text through the
+ * text the copy reads as with every suggestion rejected; edits a reviewer
+ * typed without suggestion mode are picked up by diffing that text against
+ * the base (js/diff.js) and become suggestions too.
+ *
+ * Edits from different copies that overlap cannot all be kept, so they are
+ * reported as conflicts for the user to choose between. Highlights are the
+ * exception: a change inside another reviewer's highlight is nested in it.
+ * Changes and comments without an author are attributed to the file they
+ * came from, so the merged document still says who suggested what.
+ */
+(function () {
+  'use strict';
+
+  // Characters of surrounding text shown with each conflict
+  var CONTEXT_LENGTH = 60;
+
+  var TEXT_CHANGES = { addition: true, deletion: true, substitution: true, untracked: true };
+
+  // --- Edits ---
+  // An edit replaces base[from, to) with `markup`. `sources` lists the files
+  // that made it; identical edits from several copies are kept once.
+
+  function fileAuthor(name, critic) {
+    return critic.normalizeAuthor(name.replace(/\.(md|markdown|txt|docx)$/i, '')) || 'Reviewer';
+  }
+
+  // The copy with every region rejected, plus where each region landed in it
+  function projectCopy(text, critic) {
+    var projected = '';
+    var pos = 0;
+    var spans = critic.findReviewRegions(text).map(function (region) {
+      projected += text.substring(pos, region.start);
+      var markup = text.substring(region.start, region.end);
+      var from = projected.length;
+      projected += critic.resolveSource(markup, critic.rejectMarkup, true);
+      pos = region.end;
+      return { region: region, markup: markup, from: from, to: projected.length };
+    });
+    projected += text.substring(pos);
+    return { text: projected, spans: spans };
+  }
+
+  function commentWithAuthor(meta, author, critic) {
+    return '{>>' + critic.formatComment({
+      id: meta.id, resolved: meta.resolved, author: author, date: meta.date, text: meta.text,
+    }) + '<<}';
+  }
+
+  // Region markup with the file's author filled in where none was recorded
+  function attributedMarkup(span, author, critic) {
+    var r = span.region;
+    var markup = span.markup;
+    if (!author) return markup;
+    if (TEXT_CHANGES[r.type] && !r.attributionMarkup) {
+      return r.fullMarkup + '{>>@' + author + '<<}' + markup.substring(r.fullMarkup.length);
+    }
+    var thread = r.type === 'comment' ? r : r.comment;
+    if (thread && !thread.meta.author) {
+      var at = thread.start - r.start;
+      return markup.substring(0, at) + commentWithAuthor(thread.meta, author, critic) +
+        markup.substring(at + thread.fullMarkup.length);
+    }
+    return markup;
+  }
+
+  // Maps an offset in a copy's projected text back to the base through the
+  // untracked differences between the two
+  function baseOffset(hunks, pos, isEnd) {
+    var delta = 0;
+    for (var i = 0; i < hunks.length; i++) {
+      var h = hunks[i];
+      if (pos <= h.newFrom) break;
+      if (pos < h.newTo) return isEnd ? h.to : h.from;
+      delta = h.to - h.newTo;
+    }
+    return pos + delta;
+  }
+
+  function collectEdits(doc, baseText, source, author, critic) {
+    var projection = projectCopy(doc.text, critic);
+    var hunks = projection.text === baseText ? [] :
+      MarkaroundDiff.changes(baseText, projection.text, author ? '{>>@' + author + '<<}' : '');
+    var edits = projection.spans.map(function (span) {
+      var r = span.region;
+      var from = baseOffset(hunks, span.from, false);
+      var to = Math.max(from, baseOffset(hunks, span.to, true));
+      var markup = attributedMarkup(span, author, critic);
+      var edit = {
+        from: from,
+        to: to,
+        type: r.type,
+        markup: markup,
+        // Where a highlight's content ends, so it can wrap other reviewers' changes
+        innerEnd: r.fullMarkup.length - 3,
+        at: span.from,
+        key: from + ':' + to + ':' + (TEXT_CHANGES[r.type] ? r.fullMarkup : span.markup),
+        sources: [source],
+      };
+      // Copies of one thread are merged reply by reply (see mergeThread)
+      var thread = r.type === 'comment' ? r : r.comment;
+      if (thread && thread.meta.id) {
+        var replies = thread.replies.map(function (reply) { return reply.markup; });
+        edit.key = from + ':' + to + ':#' + thread.meta.id;
+        edit.head = markup.substring(0, markup.length - replies.join('').length);
+        edit.replies = replies;
+        // The root comment ends the head; a highlight before it is unchanged
+        edit.root = { at: thread.start - r.start, meta: thread.meta, author: thread.meta.author || author };
+      }
+      return edit;
+    });
+    hunks.forEach(function (h) {
+      edits.push({
+        from: h.from,
+        to: h.to,
+        type: 'untracked',
+        markup: h.markup,
+        at: h.newFrom,
+        key: h.from + ':' + h.to + ':' + projection.text.substring(h.newFrom, h.newTo),
+        sources: [source],
+      });
+    });
+    // In the order they appear in the copy (`at` is the offset in its projected
+    // text), so text typed next to a tracked insertion lands on the same side
+    // of it in the merge. The sort is stable: a region sits before a hunk that
+    // starts where it does.
+    return edits.sort(function (a, b) { return a.at - b.at; });
+  }
+
+  // Reviewers replying to a thread that was already in the base each add
+  // their own replies; the merged thread gets all of them. A copy that
+  // resolved or reopened the thread carries that over; once one copy has
+  // changed it, copies that left it alone don't change it back.
+  function mergeThread(thread, other, critic) {
+    other.replies.forEach(function (reply) {
+      if (thread.replies.indexOf(reply) === -1) thread.replies.push(reply);
+    });
+    var root = thread.root;
+    var resolved = other.root.meta.resolved;
+    if (!root.changed && resolved !== root.meta.resolved) {
+      root.changed = true;
+      thread.head = thread.head.substring(0, root.at) + commentWithAuthor({
+        id: root.meta.id, resolved: resolved, date: root.meta.date, text: root.meta.text,
+      }, root.author, critic);
+    }
+    thread.markup = thread.head + thread.replies.join('');
+  }
+
+  // Insertions first at a shared offset, then wider ranges before the ranges
+  // they contain, then source order
+  function compareEdits(a, b) {
+    return a.from - b.from || (a.to > a.from) - (b.to > b.from) || b.to - a.to || a.order - b.order;
+  }
+
+  // --- Conflicts ---
+  function overlaps(a, b) {
+    if (a.from < b.to && b.from < a.to) return true;
+    // Two different insertions at the same spot: accepting both would run
+    // them together in an order nobody chose
+    return a.from === a.to && b.from === b.to && a.from === b.from &&
+      TEXT_CHANGES[a.type] && TEXT_CHANGES[b.type];
+  }
+
+  function nests(outer, inner) {
+    if (outer.type !== 'highlight' || !(outer.from <= inner.from && inner.to <= outer.to)) return false;
+    // Highlights of the same text nest in source order
+    return !(inner.type === 'highlight' && inner.from === outer.from && inner.to === outer.to && inner.order < outer.order);
+  }
+
+  // Edits of one copy never conflict with each other: that reviewer already
+  // put them side by side
+  function sameCopy(a, b) {
+    return a.sources.length === 1 && b.sources.length === 1 && a.sources[0] === b.sources[0];
+  }
+
+  function conflicts(a, b) {
+    return !sameCopy(a, b) && overlaps(a, b) && !nests(a, b) && !nests(b, a);
+  }
+
+  // Groups conflicting edits (transitively) into clusters
+  function findClusters(edits) {
+    var parent = edits.map(function (e, i) { return i; });
+    function root(i) {
+      while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+      return i;
+    }
+    for (var i = 0; i < edits.length; i++) {
+      for (var j = i + 1; j < edits.length && edits[j].from <= edits[i].to; j++) {
+        if (conflicts(edits[i], edits[j])) parent[root(j)] = root(i);
+      }
+    }
+    var clusters = {};
+    var order = [];
+    edits.forEach(function (e, i) {
+      var r = root(i);
+      if (!clusters[r]) {
+        clusters[r] = [];
+        order.push(r);
+      }
+      clusters[r].push(e);
+    });
+    return order.map(function (r) { return clusters[r]; }).filter(function (c) { return c.length > 1; });
+  }
+
+  // --- Rendering ---
+  // Writes base[from, to) with the given (sorted, non-conflicting) edits applied
+  function render(text, from, to, edits) {
+    var out = '';
+    var pos = from;
+    for (var i = 0; i < edits.length; i++) {
+      var e = edits[i];
+      if (e.from < pos) continue;
+      var end = i + 1;
+      while (end < edits.length && edits[end].from < e.to) end++;
+      var inner = edits.slice(i + 1, end).filter(function (c) { return overlaps(e, c) && nests(e, c); });
+      out += text.substring(pos, e.from);
+      out += inner.length ?
+        e.markup.substring(0, 3) + render(text, e.from, e.to, inner) + e.markup.substring(e.innerEnd) : e.markup;
+      pos = e.to;
+      i = end - 1;
+    }
+    return out + text.substring(pos, to);
+  }
+
+  // --- Entry Point ---
+  // base: { name, text }; copies: [{ name, text }]. critic provides
+  // findReviewRegions, resolveSource, rejectMarkup, formatComment and
+  // normalizeAuthor. Returns { conflicts, resolve(choices) }, where each
+  // conflict offers options ({ label, markup, edits }) side by side and
+  // choices[i] is the option picked for conflicts[i].
+  function merge(base, copies, critic) {
+    function normalize(doc) {
+      return { name: doc.name, text: doc.text.replace(/\r\n?/g, '\n') };
+    }
+    base = normalize(base);
+    copies = copies.map(normalize);
+    var baseProjection = projectCopy(base.text, critic);
+    var baseText = baseProjection.text;
+
+    // Suggestions already in the base carry through as they are
+    var edits = collectEdits(base, baseText, base.name, null, critic);
+    copies.forEach(function (copy) {
+      edits = edits.concat(collectEdits(copy, baseText, copy.name, fileAuthor(copy.name, critic), critic));
+    });
+
+    var byKey = {};
+    edits = edits.filter(function (e, i) {
+      e.order = i;
+      var same = byKey[e.key];
+      if (!same) return (byKey[e.key] = e);
+      if (same.sources.indexOf(e.sources[0]) === -1) same.sources.push(e.sources[0]);
+      if (same.replies) mergeThread(same, e, critic);
+      return false;
+    }).sort(compareEdits);
+
+    var clusters = findClusters(edits);
+    var conflicts = clusters.map(function (cluster) {
+      var from = Math.min.apply(null, cluster.map(function (e) { return e.from; }));
+      var to = Math.max.apply(null, cluster.map(function (e) { return e.to; }));
+      var options = [];
+      [base].concat(copies).forEach(function (doc) {
+        var mine = cluster.filter(function (e) { return e.sources.indexOf(doc.name) !== -1; });
+        if (!mine.length) return;
+        var markup = render(baseText, from, to, mine);
+        var same = options.filter(function (o) { return o.markup === markup; })[0];
+        if (same) same.label += ', ' + doc.name;
+        else options.push({ label: doc.name, markup: markup, edits: mine });
+      });
+      options.push({ label: 'Original text', markup: baseText.substring(from, to), edits: [] });
+      return {
+        from: from,
+        to: to,
+        before: baseText.substring(Math.max(0, from - CONTEXT_LENGTH), from),
+        after: baseText.substring(to, to + CONTEXT_LENGTH),
+        options: options,
+      };
+    });
+
+    function resolve(choices) {
+      var kept = edits.filter(function (e) {
+        return !clusters.some(function (cluster) { return cluster.indexOf(e) !== -1; });
+      });
+      conflicts.forEach(function (conflict, i) {
+        var option = conflict.options[choices[i]];
+        if (option) kept = kept.concat(option.edits);
+      });
+      return render(baseText, 0, baseText.length, kept.sort(compareEdits));
+    }
+
+    return { conflicts: conflicts, resolve: resolve };
+  }
+
+  window.MarkaroundMerge = { merge: merge };
+})();
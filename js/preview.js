@@ -0,0 +1,569 @@
+/**
+ * Markaround - incremental preview
+ * Keeps the preview of a long document cheap to update. The source is cut
+ * into chunks at blank lines that no list, change, code fence or raw HTML
+ * element crosses, so each chunk renders on its own; an edit rescans and
+ * re-renders only the chunks around it, and the preview replaces only
+ * their elements.
+ *
+ *   createRegionIndex()    review regions of a text that keeps changing
+ *   createRenderer(md)     { chunks, regions } for a text, HTML cached per chunk
+ *   createPatcher(el)      applies chunks to the preview element, sanitized
+ *                          with raw HTML on
+ *   startWorker(url, ...)  the renderer in a Web Worker (js/render-worker.js)
+ *
+ * Chunk HTML carries source offsets relative to the chunk; the patcher
+ * shifts them to document offsets.
+ *
+ * Classic script for the page and the render worker (sets
+ * self.MarkaroundPreview); needs markdown-it, js/critic-core.js,
+ * js/criticmarkup-plugin.js, js/extensions.js and js/sanitize.js loaded
+ * first.
+ */
+(function () {
+  'use strict';
+
+  var Critic = self.MarkaroundCritic;
+
+  // --- Markdown ---
+  // Tags block elements with the source offset they start at (used by
+  // scroll sync and click-to-source)
+  function sourceOffsets(md) {
+    md.core.ruler.push('source_offsets', function (state) {
+      if (state.inlineMode) return;
+      var lineStarts = [0];
+      for (var i = 0; i < state.src.length; i++) {
+        if (state.src.charCodeAt(i) === 10) lineStarts.push(i + 1);
+      }
+      state.tokens.forEach(function (token) {
+        if (token.block && token.map && token.nesting !== -1) {
+          token.attrSet('data-source-offset', String(lineStarts[Math.min(token.map[0], lineStarts.length - 1)]));
+        }
+      });
+    });
+  }
+
+  // Raw HTML comes out without the attributes and classes of the preview's
+  // own markup (see authorHtml in js/sanitize.js)
+  function authorHtml(md) {
+    ['html_block', 'html_inline'].forEach(function (type) {
+      md.renderer.rules[type] = function (tokens, idx) {
+        return self.MarkaroundSanitize.authorHtml(tokens[idx].content);
+      };
+    });
+  }
+
+  // The preview's markdown-it instance, the same in the page and the
+  // worker, with the extensions with ids in `extensions` (see
+  // js/extensions.js); md.markaroundExtensions lists them. Raw HTML passes
+  // through when `html` is true, for the page to sanitize (js/sanitize.js).
+  function createMarkdown(extensions, html) {
+    var md = self.markdownit(Critic.MARKDOWN_OPTIONS).use(self.criticmarkupPlugin);
+    md.set({ html: !!html });
+    if (html) md.use(authorHtml);
+    md.markaroundExtensions = self.MarkaroundExtensions ? self.MarkaroundExtensions.use(md, extensions || []) : [];
+    return md.use(sourceOffsets);
+  }
+
+  // --- Chunks ---
+  // A chunk starts at an unindented line after a blank line, unless a
+  // region or fence runs across that line or it continues the chunk's list.
+  // Fences are followed as markdown-it reads them, so one that is never
+  // closed runs to the end. A chunk is open when it holds an opener or
+  // fence that isn't closed in it: that could still pair with text after it.
+  var LIST_ITEM_RE = /^(?:[*+-]|\d{1,9}[.)])(?:[ \t]|$)/;
+  var MARKDOWN_FENCE_RE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+  var FENCE_LINE_RE = /^(?:[ \t]*>)*[ \t]*(?:`{3}|~{3})/;
+  var BLANK_END_RE = /(?:^|\n)[ \t]*\n$/;
+
+  // Raw HTML can wrap Markdown across blank lines, as <details> does, so
+  // with `html` a chunk also goes on while an element or comment opened in
+  // it is open. Tags in code don't count. A closing tag also closes the
+  // elements inside it that may go unclosed (<li>, <p>, ...); tags closed
+  // out of order leave the chunk open, which is slower but never wrong.
+  var HTML_TAG_RE = /<!--|<(\/?)([A-Za-z][A-Za-z0-9-]*)(?:\s[^<>]*?)?(\/?)>/g;
+  var VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+  var OPTIONAL_END = ['li', 'p', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'rt', 'rp', 'option', 'colgroup'];
+
+  // Updates `open` (element names, '!--' for a comment) with the tags of `line`
+  function followHtml(open, line) {
+    var pos = 0;
+    for (;;) {
+      if (open[open.length - 1] === '!--') {
+        var end = line.indexOf('-->', pos);
+        if (end === -1) return;
+        open.pop();
+        pos = end + 3;
+      }
+      HTML_TAG_RE.lastIndex = pos;
+      var tag = HTML_TAG_RE.exec(line);
+      if (!tag) return;
+      pos = HTML_TAG_RE.lastIndex;
+      var name = tag[0] === '<!--' ? '!--' : tag[2].toLowerCase();
+      if (tag[1]) {
+        var at = open.lastIndexOf(name);
+        var implied = at !== -1 && open.slice(at + 1).every(function (inner) { return OPTIONAL_END.indexOf(inner) !== -1; });
+        if (implied) open.length = at;
+      } else if (!tag[3] && VOID_ELEMENTS.indexOf(name) === -1) {
+        open.push(name);
+      }
+    }
+  }
+
+  function withoutCode(text, code) {
+    var out = '';
+    var pos = 0;
+    code.forEach(function (range) {
+      out += text.substring(pos, range.start) + text.substring(range.start, range.end).replace(/[^\n]/g, ' ');
+      pos = range.end;
+    });
+    return out + text.substring(pos);
+  }
+
+  // Chunks of `text` as [{ start, end, list, open, regions }], regions
+  // relative to their chunk; `html` when raw HTML is rendered
+  function scanChunks(text, html) {
+    var regions = Critic.findReviewRegions(text);
+    var code = Critic.findCodeRanges(text);
+    var markup = html ? withoutCode(text, code) : null;
+    var openHtml = [];
+    var fences = code.filter(function (range) { return range.type === 'fence'; });
+    var chunks = [];
+    var chunk = { start: 0, end: 0, list: false, open: false, regions: [] };
+    var r = 0;
+    var f = 0;
+    var fence = null; // closing line pattern of the markdown fence we're in
+    var blank = false;
+    var pos = 0;
+    while (pos < text.length) {
+      var eol = text.indexOf('\n', pos);
+      if (eol === -1) eol = text.length;
+      var line = text.substring(pos, eol);
+      while (r < regions.length && regions[r].end <= pos) r++;
+      while (f < fences.length && fences[f].end < pos) f++;
+      var inRegion = r < regions.length && regions[r].start < pos;
+      var inCode = f < fences.length && fences[f].start <= pos;
+      var isBlank = !/\S/.test(line);
+      var isItem = LIST_ITEM_RE.test(line);
+      if (blank && !isBlank && !inRegion && !fence && !(inCode && fences[f].start < pos) && pos > chunk.start
+          && !/^[ \t]/.test(line) && !(chunk.list && isItem) && !openHtml.length) {
+        chunk.end = pos;
+        chunks.push(chunk);
+        chunk = { start: pos, end: 0, list: false, open: false, regions: [] };
+      }
+      if (isItem) chunk.list = true;
+      if (fence) {
+        if (fence.test(line)) fence = null;
+      } else if (!(inRegion && isBlockRegion(text, regions[r]))) {
+        var opener = MARKDOWN_FENCE_RE.exec(line);
+        if (opener && (opener[1].charAt(0) === '~' || opener[2].indexOf('`') === -1)) {
+          fence = new RegExp('^ {0,3}' + opener[1].charAt(0) + '{' + opener[1].length + ',}[ \\t]*$');
+        }
+      }
+      if (!inCode && FENCE_LINE_RE.test(line)) chunk.open = true;
+      if (html) followHtml(openHtml, markup.substring(pos, eol));
+      blank = isBlank;
+      pos = eol + 1;
+    }
+    if (fence || openHtml.length) chunk.open = true;
+    chunk.end = text.length;
+    chunks.push(chunk);
+
+    var c = 0;
+    regions.forEach(function (region) {
+      while (chunks[c].end <= region.start) c++;
+      chunks[c].regions.push(shiftRegion(region, -chunks[c].start));
+    });
+    markOpenChunks(text, code, chunks);
+    return chunks;
+  }
+
+  // Regions the plugin parses as blocks (see criticBlock) keep their
+  // fences to themselves. Only those after a blank line are counted: one
+  // continuing a paragraph is inline.
+  function isBlockRegion(text, region) {
+    if (region.type === 'comment' || text.indexOf('\n', region.start) >= region.end) return false;
+    var lineStart = text.lastIndexOf('\n', region.start - 1) + 1;
+    var previousStart = text.lastIndexOf('\n', lineStart - 2) + 1;
+    var lineEnd = text.indexOf('\n', region.end);
+    return /^ {0,3}$/.test(text.substring(lineStart, region.start))
+      && (lineStart === 0 || !/\S/.test(text.substring(previousStart, lineStart)))
+      && !/\S/.test(text.substring(region.end, lineEnd === -1 ? text.length : lineEnd));
+  }
+
+  function markOpenChunks(text, code, chunks) {
+    var skips = {};
+    code.forEach(function (range) { skips[range.start] = range.end; });
+    var c = 0;
+    for (var i = 0; i < text.length; i++) {
+      if (skips[i] !== undefined) { i = skips[i] - 1; continue; }
+      if (text.charCodeAt(i) !== 123) continue; // '{'
+      var opener = Critic.detectCriticOpener(text, i);
+      if (!opener) continue;
+      while (chunks[c].end <= i) c++;
+      if (!chunks[c].open && Critic.findCriticClose(text, i + 3, opener.closer, skips) === -1) chunks[c].open = true;
+    }
+  }
+
+  function shiftRegion(region, delta) {
+    var copy = {};
+    for (var key in region) copy[key] = region[key];
+    copy.start += delta;
+    copy.end += delta;
+    if (region.comment) copy.comment = shiftRegion(region.comment, delta);
+    return copy;
+  }
+
+  // Index of the chunk holding `pos` (the last one for the end of the text)
+  function chunkAt(chunks, pos) {
+    var lo = 0;
+    var hi = chunks.length - 1;
+    while (lo < hi) {
+      var mid = (lo + hi + 1) >> 1;
+      if (chunks[mid].start <= pos) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  // Length of the text `a` and `b` start with; whole blocks are compared
+  // first, which is much faster than comparing characters
+  var BLOCK = 4096;
+
+  function sharedPrefix(a, b) {
+    var max = Math.min(a.length, b.length);
+    var n = 0;
+    while (n + BLOCK <= max && a.substr(n, BLOCK) === b.substr(n, BLOCK)) n += BLOCK;
+    while (n < max && a.charCodeAt(n) === b.charCodeAt(n)) n++;
+    return n;
+  }
+
+  // Length of the text `a` and `b` end with, at most `max`
+  function sharedSuffix(a, b, max) {
+    var n = 0;
+    while (n + BLOCK <= max && a.substr(a.length - n - BLOCK, BLOCK) === b.substr(b.length - n - BLOCK, BLOCK)) n += BLOCK;
+    while (n < max && a.charCodeAt(a.length - 1 - n) === b.charCodeAt(b.length - 1 - n)) n++;
+    return n;
+  }
+
+  // --- Region Index ---
+  // Review regions of a text that changes a little at a time. Each update
+  // rescans from the chunk before the edit (or the first open chunk) to the
+  // chunk after it, widening until the chunks after it line up again.
+  // `html` chunks the text as it is rendered with raw HTML on.
+  function RegionIndex(html) {
+    this.html = !!html;
+    this.source = '';
+    this.chunks = null;
+    this.list = null; // regions() of the current source
+  }
+
+  RegionIndex.prototype.update = function (source) {
+    var old = this.source;
+    var chunks = this.chunks;
+    if (chunks && source === old) return this;
+    this.source = source;
+    this.list = null;
+    if (!chunks) {
+      this.chunks = scanChunks(source, this.html);
+      return this;
+    }
+
+    var prefix = sharedPrefix(old, source);
+    var suffix = sharedSuffix(old, source, Math.min(old.length, source.length) - prefix);
+    var delta = source.length - old.length;
+
+    var first = Math.max(chunkAt(chunks, Math.max(prefix - 1, 0)) - 1, 0);
+    for (var i = 0; i < first; i++) {
+      if (chunks[i].open) { first = i; break; }
+    }
+    var last = chunkAt(chunks, old.length - suffix);
+    var from = chunks[first].start;
+    var scanned;
+    for (;;) {
+      var text = source.substring(from, chunks[last].end + delta);
+      scanned = scanChunks(text, this.html);
+      var next = chunks[last + 1];
+      if (!next) break;
+      if (scanned.some(function (chunk) { return chunk.open; })) {
+        last = chunks.length - 1;
+        continue;
+      }
+      var nextLine = source.substring(next.start + delta, source.indexOf('\n', next.start + delta) + 1 || source.length);
+      if (BLANK_END_RE.test(text) && !(scanned[scanned.length - 1].list && LIST_ITEM_RE.test(nextLine))) break;
+      last++;
+    }
+
+    scanned.forEach(function (chunk) {
+      chunk.start += from;
+      chunk.end += from;
+    });
+    var after = chunks.slice(last + 1);
+    after.forEach(function (chunk) {
+      chunk.start += delta;
+      chunk.end += delta;
+    });
+    this.chunks = chunks.slice(0, first).concat(scanned, after);
+    return this;
+  };
+
+  // Review regions of `source` (see findReviewRegions). The list is shared
+  // until the source changes, so callers must not modify it.
+  RegionIndex.prototype.regions = function (source) {
+    if (source !== undefined) this.update(source);
+    if (!this.list) {
+      var list = [];
+      this.chunks.forEach(function (chunk) {
+        chunk.regions.forEach(function (region) { list.push(shiftRegion(region, chunk.start)); });
+      });
+      this.list = list;
+    }
+    return this.list;
+  };
+
+  function createRegionIndex(html) {
+    return new RegionIndex(html);
+  }
+
+  // --- Renderer ---
+  // Link reference definitions apply to the whole document, so chunks
+  // defining any are collected and every chunk renders with them. So does
+  // the document context of extensions (footnote numbers, heading ids):
+  // a chunk renders again when its part of that changes.
+  var DEFINITION_RE = /^ {0,3}\[[^\]]+\]:/m;
+
+  function Renderer(md) {
+    this.md = md;
+    this.index = new RegionIndex(md.options.html);
+    this.definitions = '';
+    this.references = null;
+  }
+
+  // { chunks: [{ start, html }], regions } for `source`
+  Renderer.prototype.render = function (source) {
+    var md = this.md;
+    var chunks = this.index.update(source).chunks;
+
+    var definitions = '';
+    chunks.forEach(function (chunk) {
+      if (chunk.definitions === undefined) chunk.definitions = DEFINITION_RE.test(source.substring(chunk.start, chunk.end));
+      if (chunk.definitions) definitions += source.substring(chunk.start, chunk.end) + '\n';
+    });
+    if (definitions !== this.definitions) {
+      var env = {};
+      md.parse(definitions, env);
+      this.definitions = definitions;
+      // Footnotes look like definitions: only a change to the references
+      // themselves renders everything again
+      if (JSON.stringify(env.references || null) !== JSON.stringify(this.references)) {
+        this.references = env.references || null;
+        chunks.forEach(function (chunk) { chunk.html = null; });
+      }
+    }
+
+    md.markaroundExtensions.forEach(function (extension) {
+      if (!extension.scan) return;
+      var contexts = extension.context(chunks.map(function (chunk) {
+        if (!chunk.scans) chunk.scans = {};
+        if (!(extension.id in chunk.scans)) chunk.scans[extension.id] = extension.scan(source.substring(chunk.start, chunk.end));
+        return chunk.scans[extension.id];
+      }));
+      chunks.forEach(function (chunk, i) {
+        var key = JSON.stringify(contexts[i]);
+        if (!chunk.contexts) chunk.contexts = {};
+        if (chunk.contexts[extension.id] && chunk.contexts[extension.id].key === key) return;
+        chunk.contexts[extension.id] = { key: key, value: contexts[i] };
+        chunk.html = null;
+      });
+    });
+
+    var references = this.references;
+    return {
+      chunks: chunks.map(function (chunk) {
+        if (chunk.html == null) {
+          var env = references ? { references: references } : {};
+          for (var id in chunk.contexts) env[id] = chunk.contexts[id].value;
+          chunk.html = md.render(source.substring(chunk.start, chunk.end), env);
+        }
+        return { start: chunk.start, html: chunk.html };
+      }),
+      regions: this.index.regions(),
+    };
+  };
+
+  function createRenderer(md) {
+    return new Renderer(md);
+  }
+
+  // --- Patching ---
+  // Chunks are compared by their HTML: the unchanged ones at either end keep
+  // their elements (with offsets shifted if they moved) and the ones in
+  // between are parsed in one go and swapped in.
+  var OFFSET_ATTR_RE = / data-(source-)?offset="(\d+)"/g;
+  var SEPARATOR = 'markaround-chunk';
+
+  function shiftOffsets(html, delta) {
+    if (!delta) return html;
+    return html.replace(OFFSET_ATTR_RE, function (match, source, offset) {
+      return ' data-' + (source || '') + 'offset="' + (Number(offset) + delta) + '"';
+    });
+  }
+
+  function shiftNodeOffsets(nodes, delta) {
+    nodes.forEach(function (node) {
+      if (node.nodeType !== 1) return;
+      var els = [node].concat(Array.prototype.slice.call(node.querySelectorAll('[data-offset], [data-source-offset]')));
+      els.forEach(function (el) {
+        ['data-offset', 'data-source-offset'].forEach(function (name) {
+          var value = el.getAttribute(name);
+          if (value !== null) el.setAttribute(name, String(Number(value) + delta));
+        });
+      });
+    });
+  }
+
+  function Patcher(container) {
+    this.container = container;
+    this.shown = []; // { start, html, nodes } in document order
+    this.sanitize = null;
+  }
+
+  // From now on each new chunk is parsed on its own and cleaned with
+  // sanitize(fragment) before it's shown; null parses them in one go again
+  Patcher.prototype.setSanitizer = function (sanitize) {
+    this.sanitize = sanitize;
+  };
+
+  Patcher.prototype.apply = function (chunks) {
+    var container = this.container;
+    var shown = this.shown;
+    var head = 0;
+    while (head < shown.length && head < chunks.length && shown[head].html === chunks[head].html) head++;
+    var tail = 0;
+    while (tail < shown.length - head && tail < chunks.length - head
+      && shown[shown.length - 1 - tail].html === chunks[chunks.length - 1 - tail].html) tail++;
+
+    var i;
+    for (i = head; i < shown.length - tail; i++) {
+      shown[i].nodes.forEach(function (node) { container.removeChild(node); });
+    }
+    var before = null;
+    for (i = shown.length - tail; i < shown.length && !before; i++) before = shown[i].nodes[0] || null;
+
+    var fresh = chunks.slice(head, chunks.length - tail).map(function (chunk) {
+      return { start: chunk.start, html: chunk.html, nodes: [] };
+    });
+    var sanitize = this.sanitize;
+    if (fresh.length && sanitize) {
+      // Raw HTML could hold anything, separators included
+      var content = document.createDocumentFragment();
+      fresh.forEach(function (chunk) {
+        var part = document.createElement('template');
+        part.innerHTML = shiftOffsets(chunk.html, chunk.start);
+        sanitize(part.content);
+        chunk.nodes = Array.prototype.slice.call(part.content.childNodes);
+        content.appendChild(part.content);
+      });
+      container.insertBefore(content, before);
+    } else if (fresh.length) {
+      var template = document.createElement('template');
+      template.innerHTML = fresh.map(function (chunk) {
+        return shiftOffsets(chunk.html, chunk.start);
+      }).join('<!--' + SEPARATOR + '-->');
+      var k = 0;
+      Array.prototype.slice.call(template.content.childNodes).forEach(function (node) {
+        if (node.nodeType === 8 && node.data === SEPARATOR) {
+          template.content.removeChild(node);
+          k++;
+        } else {
+          fresh[k].nodes.push(node);
+        }
+      });
+      container.insertBefore(template.content, before);
+    }
+
+    this.shown = shown.slice(0, head).concat(fresh, shown.slice(shown.length - tail));
+    this.shown.forEach(function (chunk, n) {
+      var start = chunks[n].start;
+      if (chunk.start !== start) {
+        shiftNodeOffsets(chunk.nodes, start - chunk.start);
+        chunk.start = start;
+      }
+    });
+  };
+
+  function createPatcher(container) {
+    return new Patcher(container);
+  }
+
+  // --- Render Worker ---
+  // Renders in a Web Worker, which loads `scripts` (markdown-it, the core,
+  // the plugin, js/extensions.js and this file) and uses the extensions
+  // with ids in `extensions` (and raw HTML when `html`, see
+  // createMarkdown). Only the latest request is answered;
+  // render() calls back with null when the worker fails, so the caller can
+  // render on the page instead. Returns null where workers can't start
+  // (e.g. pages opened from file://).
+  function WorkerRenderer(url, scripts, extensions, html) {
+    var renderer = this;
+    this.worker = new Worker(url);
+    this.failed = false;
+    this.latest = 0;
+    this.callback = null;
+    this.worker.onmessage = function (e) {
+      if (e.data.id !== renderer.latest || !renderer.callback) return;
+      var callback = renderer.callback;
+      renderer.callback = null;
+      callback(e.data.result);
+    };
+    this.worker.onerror = function (e) {
+      if (e.preventDefault) e.preventDefault();
+      renderer.failed = true;
+      renderer.worker.terminate();
+      var callback = renderer.callback;
+      renderer.callback = null;
+      if (callback) callback(null);
+    };
+    this.worker.postMessage({ type: 'init', scripts: scripts, extensions: extensions, html: !!html });
+  }
+
+  WorkerRenderer.prototype.render = function (source, callback) {
+    if (this.failed) {
+      callback(null);
+      return;
+    }
+    this.callback = callback;
+    this.worker.postMessage({ type: 'render', id: ++this.latest, source: source });
+  };
+
+  // Drops the answer to the pending request
+  WorkerRenderer.prototype.cancel = function () {
+    this.latest++;
+    this.callback = null;
+  };
+
+  // Switches extensions and raw HTML; a pending answer would be from the
+  // old ones
+  WorkerRenderer.prototype.configure = function (extensions, html) {
+    this.cancel();
+    this.worker.postMessage({ type: 'configure', extensions: extensions, html: !!html });
+  };
+
+  function startWorker(url, scripts, extensions, html) {
+    if (typeof Worker === 'undefined') return null;
+    try {
+      return new WorkerRenderer(url, scripts, extensions, html);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  self.MarkaroundPreview = {
+    sourceOffsets: sourceOffsets,
+    createMarkdown: createMarkdown,
+    createRegionIndex: createRegionIndex,
+    createRenderer: createRenderer,
+    createPatcher: createPatcher,
+    startWorker: startWorker,
+  };
+})();
@@ -0,0 +1,33 @@
+/**
+ * Markaround - render worker
+ * Renders the preview off the page with the renderer from js/preview.js,
+ * so long documents don't hold up typing. Messages:
+ *
+ *   { type: 'init', scripts, extensions, html }  loads markdown-it,
+ *                                    js/critic-core.js, js/criticmarkup-plugin.js,
+ *                                    js/extensions.js, js/sanitize.js and
+ *                                    js/preview.js
+ *   { type: 'configure', extensions, html }  switches to these extension
+ *                                    ids, with raw HTML or without
+ *   { type: 'render', id, source }   answered with { id, result }
+ */
+'use strict';
+
+var renderer = null;
+
+// The page sanitizes raw HTML before showing it (js/sanitize.js)
+function configure(extensions, html) {
+  renderer = self.MarkaroundPreview.createRenderer(self.MarkaroundPreview.createMarkdown(extensions, html));
+}
+
+self.onmessage = function (e) {
+  var message = e.data;
+  if (message.type === 'init') {
+    importScripts.apply(self, message.scripts);
+    configure(message.extensions, message.html);
+  } else if (message.type === 'configure') {
+    configure(message.extensions, message.html);
+  } else if (message.type === 'render') {
+    self.postMessage({ id: message.id, result: renderer.render(message.source) });
+  }
+};
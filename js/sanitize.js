@@ -0,0 +1,259 @@
+/**
+ * Markaround - HTML sanitizer
+ * Cleans the preview of a document with raw HTML turned on. The HTML is
+ * parsed in an inert <template> (nothing loads or runs there) and only
+ * allow-listed elements and attributes are kept: scripts, frames, forms,
+ * styles, event handlers and javascript: URLs are removed, unknown
+ * elements are replaced by their content. This covers everything the
+ * preview shows, the markup of changes and comments included.
+ *
+ * Before that, the document's own HTML is kept from passing for the
+ * preview's markup: ids, data attributes and the classes the preview uses
+ * (changes, their controls, comments, math, diagrams) are taken off its
+ * tags while it is rendered, so it can't forge an accept/reject control.
+ *
+ *   fragment(html)    a DocumentFragment of the cleaned HTML
+ *   sanitize(root)    cleans everything inside an element or fragment
+ *   authorHtml(html)  a document's raw HTML without those attributes
+ *
+ * Classic script for the page and the render worker (sets
+ * self.MarkaroundSanitize); only fragment() needs a DOM.
+ */
+(function () {
+  'use strict';
+
+  // --- Allow-list ---
+  // Elements kept as they are, with the attributes they may carry beyond
+  // the global ones
+  var ELEMENTS = {
+    a: ['href'], abbr: [], b: [], bdi: [], bdo: [], blockquote: ['cite'], br: [], button: [],
+    caption: [], cite: [], code: [], col: ['span'], colgroup: ['span'], dd: [], del: ['cite', 'datetime'],
+    details: ['open'], dfn: [], div: [], dl: [], dt: [], em: [], figcaption: [], figure: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [],
+    img: ['src', 'alt', 'width', 'height', 'loading'], input: ['type', 'checked', 'disabled'],
+    ins: ['cite', 'datetime'], kbd: [], li: ['value'], mark: [], nav: [], ol: ['start', 'reversed', 'type'],
+    p: [], pre: [], q: ['cite'], rp: [], rt: [], ruby: [], s: [], samp: [], small: [], span: [],
+    strong: [], sub: [], summary: [], sup: [], table: [], tbody: [], td: ['colspan', 'rowspan', 'align'],
+    tfoot: [], th: ['colspan', 'rowspan', 'align', 'scope'], thead: [], time: ['datetime'], tr: [],
+    u: [], ul: [], var: [], wbr: [],
+  };
+  var GLOBAL_ATTRIBUTES = ['class', 'id', 'title', 'lang', 'dir', 'style', 'aria-hidden', 'aria-label'];
+  var DATA_ATTRIBUTE_RE = /^data-[a-z0-9-]+$/;
+
+  // Elements removed with everything in them rather than unwrapped
+  var DROPPED = ['script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'noembed', 'textarea', 'select', 'option', 'title', 'head', 'link', 'meta', 'base',
+    'svg', 'math', 'canvas', 'audio', 'video', 'source', 'track', 'portal'];
+
+  var URL_ATTRIBUTES = ['href', 'src', 'cite'];
+  // No scheme, or one of these; images may also be inline data
+  var SAFE_URL_RE = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z0-9+.-]+(?:[\/?#]|$))/i;
+  var DATA_IMAGE_RE = /^data:image\/(?:png|gif|jpeg|webp|avif);base64,[a-z0-9+\/=\s]*$/i;
+
+  // Declarations kept in a style attribute: the author colors and table
+  // alignment the preview writes, and the like in raw HTML
+  var STYLE_PROPERTIES = {
+    'text-align': /^(?:left|right|center|justify|start|end)$/i,
+    'background': /^(?:#[0-9a-f]{3,8}|[a-z]+)$/i,
+    'background-color': /^(?:#[0-9a-f]{3,8}|[a-z]+)$/i,
+    'color': /^(?:#[0-9a-f]{3,8}|[a-z]+)$/i,
+  };
+
+  // --- Checks ---
+  function safeUrl(value, name, tag) {
+    // Browsers ignore control characters and spaces inside a scheme
+    var url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (tag === 'img' && name === 'src' && DATA_IMAGE_RE.test(value.trim())) return true;
+    return url === '' || (SAFE_URL_RE.test(url) && !/^[a-z0-9+.-]*script:/i.test(url));
+  }
+
+  function safeStyle(value) {
+    return value.split(';').map(function (declaration) {
+      var colon = declaration.indexOf(':');
+      if (colon === -1) return '';
+      var property = declaration.substring(0, colon).trim().toLowerCase();
+      var setting = declaration.substring(colon + 1).trim();
+      return STYLE_PROPERTIES[property] && STYLE_PROPERTIES[property].test(setting) ? property + ':' + setting : '';
+    }).filter(Boolean).join(';');
+  }
+
+  function cleanAttributes(el, tag) {
+    var allowed = ELEMENTS[tag];
+    Array.prototype.slice.call(el.attributes).forEach(function (attribute) {
+      var name = attribute.name.toLowerCase();
+      var keep = GLOBAL_ATTRIBUTES.indexOf(name) !== -1 || allowed.indexOf(name) !== -1 || DATA_ATTRIBUTE_RE.test(name);
+      if (keep && URL_ATTRIBUTES.indexOf(name) !== -1) keep = safeUrl(attribute.value, name, tag);
+      if (keep && name === 'style') {
+        var style = safeStyle(attribute.value);
+        if (style) el.setAttribute('style', style);
+        keep = !!style;
+      }
+      if (!keep) el.removeAttribute(attribute.name);
+    });
+    // Checkboxes (task lists) are the only inputs, and can't be ticked
+    if (tag === 'input') el.setAttribute('disabled', '');
+    if (tag === 'button') el.setAttribute('type', 'button');
+  }
+
+  // --- Cleaning ---
+  function sanitize(root) {
+    var node = root.firstChild;
+    while (node) {
+      var next = node.nextSibling;
+      if (node.nodeType === 1) {
+        var tag = node.localName;
+        var isHtml = node.namespaceURI === 'http://www.w3.org/1999/xhtml';
+        if (!isHtml || DROPPED.indexOf(tag) !== -1 || (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() !== 'checkbox')) {
+          root.removeChild(node);
+        } else if (!ELEMENTS.hasOwnProperty(tag)) {
+          // Unknown element: keep what's inside it, cleaned in its turn
+          next = node.firstChild || next;
+          while (node.firstChild) root.insertBefore(node.firstChild, node);
+          root.removeChild(node);
+        } else {
+          cleanAttributes(node, tag);
+          sanitize(node);
+        }
+      } else if (node.nodeType !== 3) {
+        // Comments, processing instructions and the like
+        root.removeChild(node);
+      }
+      node = next;
+    }
+    return root;
+  }
+
+  function fragment(html) {
+    var template = document.createElement('template');
+    template.innerHTML = html;
+    return sanitize(template.content);
+  }
+
+  // --- Author HTML ---
+  // Classes of the preview's own markup, which the app looks elements up by
+  var RESERVED_CLASS_RE = /^(?:critic-|math|mermaid|footnote|task-list|heading-anchor$|toc$|source-active$|review-focus$)/;
+  // Elements whose content is text up to their end tag
+  var RAW_TEXT = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript'];
+  var SPACE_RE = /[\t\n\f\r ]/;
+
+  function reservedAttribute(name) {
+    return name === 'id' || name === 'name' || name.substring(0, 5) === 'data-';
+  }
+
+  // An attribute as written, without the reserved classes; '' to drop it
+  function authorAttribute(name, text, value) {
+    if (reservedAttribute(name)) return '';
+    if (name !== 'class') return text;
+    // A character reference could spell a reserved class
+    if (value.indexOf('&') !== -1) return '';
+    var classes = value.split(/[\t\n\f\r ]+/).filter(function (name) {
+      return name && !RESERVED_CLASS_RE.test(name.toLowerCase());
+    });
+    return classes.length ? 'class="' + classes.join(' ').replace(/"/g, '&quot;') + '"' : '';
+  }
+
+  // Reads the tag starting at html[start] the way a browser does: { end,
+  // name, tag } with the tag rewritten, or null when it isn't finished
+  function readTag(html, start) {
+    var closing = html.charAt(start + 1) === '/';
+    var pos = start + (closing ? 2 : 1);
+    while (pos < html.length && !SPACE_RE.test(html.charAt(pos)) && html.charAt(pos) !== '/' && html.charAt(pos) !== '>') pos++;
+    var name = html.substring(start + (closing ? 2 : 1), pos);
+    var attributes = [];
+    while (pos < html.length) {
+      var c = html.charAt(pos);
+      if (c === '>') {
+        var tag = closing ? '</' + name + '>' : '<' + [name].concat(attributes).join(' ') + '>';
+        return { end: pos + 1, name: name.toLowerCase(), closing: closing, tag: tag };
+      }
+      if (SPACE_RE.test(c) || c === '/') {
+        pos++;
+        continue;
+      }
+      // Attribute name: its first character may be '='
+      var nameStart = pos++;
+      while (pos < html.length && !SPACE_RE.test(html.charAt(pos)) && '/>='.indexOf(html.charAt(pos)) === -1) pos++;
+      var attribute = html.substring(nameStart, pos).toLowerCase();
+      var valueEnd = pos;
+      var value = '';
+      while (SPACE_RE.test(html.charAt(valueEnd))) valueEnd++;
+      if (html.charAt(valueEnd) === '=') {
+        pos = valueEnd + 1;
+        while (SPACE_RE.test(html.charAt(pos))) pos++;
+        var quote = html.charAt(pos);
+        if (quote === '"' || quote === "'") {
+          var close = html.indexOf(quote, pos + 1);
+          if (close === -1) return null;
+          value = html.substring(pos + 1, close);
+          pos = close + 1;
+        } else {
+          var valueStart = pos;
+          while (pos < html.length && !SPACE_RE.test(html.charAt(pos)) && html.charAt(pos) !== '>') pos++;
+          value = html.substring(valueStart, pos);
+        }
+      }
+      var kept = authorAttribute(attribute, html.substring(nameStart, pos), value);
+      if (kept) attributes.push(kept);
+    }
+    return null;
+  }
+
+  // End of the comment or other markup declaration at html[start], or -1
+  function declarationEnd(html, start) {
+    if (html.substring(start, start + 4) === '<!--') {
+      if (html.charAt(start + 4) === '>') return start + 5;
+      if (html.substring(start + 4, start + 6) === '->') return start + 6;
+      var end = html.indexOf('--', start + 4);
+      while (end !== -1) {
+        if (html.charAt(end + 2) === '>') return end + 3;
+        if (html.substring(end + 2, end + 4) === '!>') return end + 4;
+        end = html.indexOf('--', end + 1);
+      }
+      return -1;
+    }
+    var close = html.indexOf('>', start);
+    return close === -1 ? -1 : close + 1;
+  }
+
+  // A document's raw HTML (a markdown-it html_block or html_inline token),
+  // read as a browser reads it: every tag loses the reserved attributes and
+  // classes, and markup left unfinished at the end is shown as text, so it
+  // can't take in the preview's markup that follows. Runs without a DOM,
+  // in the render worker too.
+  function authorHtml(html) {
+    var out = '';
+    var pos = 0;
+    while (pos < html.length) {
+      var start = html.indexOf('<', pos);
+      if (start === -1) start = html.length;
+      out += html.substring(pos, start);
+      if (start === html.length) break;
+      var next = html.charAt(start + 1);
+      var tagStart = /[a-z]/i.test(next) || (next === '/' && /[a-z]/i.test(html.charAt(start + 2)));
+      if (!tagStart && next !== '!' && next !== '?' && next !== '/') {
+        out += '<';
+        pos = start + 1;
+        continue;
+      }
+      var tag = tagStart ? readTag(html, start) : null;
+      var end = tagStart ? (tag ? tag.end : -1) : declarationEnd(html, start);
+      if (end === -1) {
+        out += html.substring(start).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        break;
+      }
+      out += tag ? tag.tag : html.substring(start, end);
+      pos = end;
+      // Raw text runs to the first end tag that can close it
+      if (tag && !tag.closing && RAW_TEXT.indexOf(tag.name) !== -1) {
+        var closeRe = new RegExp('</' + tag.name + '(?=[\\t\\n\\f\\r />])', 'i');
+        var match = closeRe.exec(html.substring(pos));
+        var textEnd = match ? pos + match.index : html.length;
+        out += html.substring(pos, textEnd);
+        pos = textEnd;
+      }
+    }
+    return out;
+  }
+
+  self.MarkaroundSanitize = { fragment: fragment, sanitize: sanitize, authorHtml: authorHtml };
+})();
@@ -0,0 +1,74 @@
+/**
+ * Markaround - share links
+ * Packs a document into a URL fragment so a link can carry it: the
+ * document ({ name, layout, review, source }) is serialized as JSON,
+ * compressed with the built-in CompressionStream (deflate-raw) and written
+ * as base64url after #share=. The fragment never reaches a server. Browsers
+ * without CompressionStream write the JSON uncompressed, marked by the
+ * first character ('z' compressed, 'u' plain).
+ */
+(function () {
+  'use strict';
+
+  var PREFIX = '#share=';
+
+  // --- base64url ---
+  function toBase64Url(bytes) {
+    var binary = '';
+    var CHUNK = 0x8000;
+    for (var i = 0; i < bytes.length; i += CHUNK) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    var binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  // --- Compression ---
+  function pipe(bytes, transform) {
+    var stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Response(stream).arrayBuffer().then(function (buffer) { return new Uint8Array(buffer); });
+  }
+
+  // Resolves to the fragment (starting with #share=) for a document
+  function encode(doc) {
+    var json = new TextEncoder().encode(JSON.stringify({
+      name: doc.name,
+      layout: doc.layout,
+      review: !!doc.review,
+      source: doc.source,
+    }));
+    if (typeof CompressionStream === 'undefined') return Promise.resolve(PREFIX + 'u' + toBase64Url(json));
+    return pipe(json, new CompressionStream('deflate-raw')).then(function (bytes) {
+      return PREFIX + 'z' + toBase64Url(bytes);
+    });
+  }
+
+  function isShareFragment(hash) {
+    return hash.indexOf(PREFIX) === 0;
+  }
+
+  // Resolves to { name, layout, review, source }; rejects if the fragment is
+  // damaged (e.g. a link cut short by a mail client)
+  function decode(hash) {
+    return Promise.resolve().then(function () {
+      var kind = hash.charAt(PREFIX.length);
+      var bytes = fromBase64Url(hash.substring(PREFIX.length + 1));
+      if (kind === 'u') return bytes;
+      if (kind !== 'z') throw new Error('Unknown share link format');
+      if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed share links');
+      return pipe(bytes, new DecompressionStream('deflate-raw'));
+    }).then(function (bytes) {
+      var doc = JSON.parse(new TextDecoder().decode(bytes));
+      if (typeof doc.source !== 'string') throw new Error('The share link has no document');
+      return doc;
+    });
+  }
+
+  window.MarkaroundShare = { encode: encode, decode: decode, isShareFragment: isShareFragment };
+})();
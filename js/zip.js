@@ -0,0 +1,158 @@
+/**
+ * Markaround - minimal ZIP reader/writer
+ * Just enough of the ZIP format to package and unpack Office Open XML files
+ * (.docx) in the browser with no dependencies. Written entries are stored
+ * uncompressed, which every ZIP reader (Word included) accepts; deflated
+ * entries are read with the built-in DecompressionStream.
+ */
+(function () {
+  'use strict';
+
+  var CRC_TABLE = (function () {
+    var table = new Uint32Array(256);
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    var crc = 0xFFFFFFFF;
+    for (var i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function dosDateTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+  }
+
+  // files: [{ name: 'word/document.xml', data: string | Uint8Array }]
+  // Returns the archive as a Uint8Array.
+  function create(files) {
+    var encoder = new TextEncoder();
+    var stamp = dosDateTime(new Date());
+    var parts = [];
+    var central = [];
+    var offset = 0;
+
+    files.forEach(function (file) {
+      var name = encoder.encode(file.name);
+      var data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      var crc = crc32(data);
+
+      var local = new Uint8Array(30 + name.length);
+      var lv = new DataView(local.buffer);
+      lv.setUint32(0, 0x04034B50, true);  // local file header signature
+      lv.setUint16(4, 20, true);          // version needed (2.0)
+      lv.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+      lv.setUint16(8, 0, true);           // method: stored
+      lv.setUint16(10, stamp.time, true);
+      lv.setUint16(12, stamp.date, true);
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, data.length, true);
+      lv.setUint32(22, data.length, true);
+      lv.setUint16(26, name.length, true);
+      local.set(name, 30);
+
+      var entry = new Uint8Array(46 + name.length);
+      var cv = new DataView(entry.buffer);
+      cv.setUint32(0, 0x02014B50, true);  // central directory signature
+      cv.setUint16(4, 20, true);          // version made by
+      cv.setUint16(6, 20, true);          // version needed
+      cv.setUint16(8, 0x0800, true);
+      cv.setUint16(10, 0, true);
+      cv.setUint16(12, stamp.time, true);
+      cv.setUint16(14, stamp.date, true);
+      cv.setUint32(16, crc, true);
+      cv.setUint32(20, data.length, true);
+      cv.setUint32(24, data.length, true);
+      cv.setUint16(28, name.length, true);
+      cv.setUint32(42, offset, true);     // local header offset
+      entry.set(name, 46);
+
+      parts.push(local, data);
+      central.push(entry);
+      offset += local.length + data.length;
+    });
+
+    var centralSize = central.reduce(function (sum, entry) { return sum + entry.length; }, 0);
+    var end = new Uint8Array(22);
+    var ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054B50, true);    // end of central directory signature
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    var all = parts.concat(central, [end]);
+    var out = new Uint8Array(offset + centralSize + end.length);
+    var pos = 0;
+    all.forEach(function (chunk) {
+      out.set(chunk, pos);
+      pos += chunk.length;
+    });
+    return out;
+  }
+
+  function inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      return Promise.reject(new Error('This browser cannot decompress ZIP files'));
+    }
+    var stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).arrayBuffer().then(function (buffer) { return new Uint8Array(buffer); });
+  }
+
+  // Unpacks an archive (ArrayBuffer or Uint8Array). `names` optionally limits
+  // extraction to those entries. Resolves to { name: Uint8Array }.
+  function read(archive, names) {
+    var bytes = archive instanceof Uint8Array ? archive : new Uint8Array(archive);
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var decoder = new TextDecoder();
+
+    // The end of central directory record sits in the last 22 bytes plus an
+    // optional comment of up to 64 KiB
+    var end = -1;
+    for (var i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054B50) { end = i; break; }
+    }
+    if (end === -1) return Promise.reject(new Error('Not a ZIP archive'));
+
+    var count = view.getUint16(end + 10, true);
+    var pos = view.getUint32(end + 16, true);
+    var pending = [];
+    var files = {};
+
+    for (var n = 0; n < count; n++) {
+      if (view.getUint32(pos, true) !== 0x02014B50) return Promise.reject(new Error('Corrupt ZIP central directory'));
+      var method = view.getUint16(pos + 10, true);
+      var size = view.getUint32(pos + 20, true);
+      var nameLength = view.getUint16(pos + 28, true);
+      var extraLength = view.getUint16(pos + 30, true);
+      var commentLength = view.getUint16(pos + 32, true);
+      var localOffset = view.getUint32(pos + 42, true);
+      var name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+      pos += 46 + nameLength + extraLength + commentLength;
+
+      if (names && names.indexOf(name) === -1) continue;
+      // Sizes in the local header may be deferred to a data descriptor, so
+      // only its name/extra lengths are used
+      var dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      var data = bytes.subarray(dataStart, dataStart + size);
+      if (method === 0) {
+        files[name] = data;
+      } else if (method === 8) {
+        pending.push(inflate(data).then(function (entryName, inflated) { files[entryName] = inflated; }.bind(null, name)));
+      } else {
+        return Promise.reject(new Error('Unsupported ZIP compression method ' + method + ' (' + name + ')'));
+      }
+    }
+    return Promise.all(pending).then(function () { return files; });
+  }
+
+  window.MarkaroundZip = { create: create, read: read };
+})();
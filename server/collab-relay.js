@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Markaround - collaboration relay
+ * A minimal WebSocket relay for live collaboration (js/collab.js), with no
+ * dependencies beyond Node itself. Clients connect to ws://host:port/?room=
+ * and every text frame a client sends is forwarded unchanged to the other
+ * clients in the same room. The relay keeps no document state: peers send
+ * each other the document when they join.
+ *
+ * Usage: node server/collab-relay.js [port]    (default: $PORT or 8787)
+ * Put it behind a TLS proxy to use it from a page served over https (wss://).
+ */
+'use strict';
+
+var http = require('http');
+var crypto = require('crypto');
+
+var PORT = Number(process.argv[2] || process.env.PORT || 8787);
+var WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+var MAX_MESSAGE = 16 * 1024 * 1024;
+
+// room name -> Set of connections
+var rooms = new Map();
+
+// --- Frames ---
+function encodeFrame(opcode, payload) {
+  var length = payload.length;
+  var header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Reads one frame from the start of buffer: { fin, opcode, payload, size },
+// or null until the whole frame has arrived
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  var length = buffer[1] & 0x7f;
+  var offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  var masked = (buffer[1] & 0x80) !== 0;
+  var mask = masked ? buffer.slice(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (length > MAX_MESSAGE) throw new Error('Message too large');
+  if (buffer.length < offset + length) return null;
+  var payload = Buffer.from(buffer.slice(offset, offset + length));
+  if (mask) {
+    for (var i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  }
+  return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload: payload, size: offset + length };
+}
+
+// --- Connections ---
+function join(room, socket) {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  var peers = rooms.get(room);
+  var connection = { socket: socket };
+  peers.add(connection);
+
+  var buffer = Buffer.alloc(0);
+  var fragments = [];
+  var fragmentSize = 0;
+
+  function leave() {
+    if (!peers.delete(connection)) return;
+    if (!peers.size) rooms.delete(room);
+    socket.destroy();
+  }
+
+  function relay(text) {
+    var frame = encodeFrame(0x1, text);
+    peers.forEach(function (peer) {
+      if (peer !== connection && !peer.socket.destroyed) peer.socket.write(frame);
+    });
+  }
+
+  function handleFrame(frame) {
+    switch (frame.opcode) {
+      case 0x0: // continuation
+      case 0x1: // text
+        fragments.push(frame.payload);
+        fragmentSize += frame.payload.length;
+        if (fragmentSize > MAX_MESSAGE) throw new Error('Message too large');
+        if (frame.fin) {
+          relay(Buffer.concat(fragments));
+          fragments = [];
+          fragmentSize = 0;
+        }
+        break;
+      case 0x8: // close
+        socket.end(encodeFrame(0x8, frame.payload.slice(0, 2)));
+        leave();
+        break;
+      case 0x9: // ping
+        socket.write(encodeFrame(0xa, frame.payload));
+        break;
+      default: // pong, binary: ignored
+        break;
+    }
+  }
+
+  socket.on('data', function (chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      var frame;
+      while ((frame = decodeFrame(buffer))) {
+        buffer = buffer.slice(frame.size);
+        handleFrame(frame);
+      }
+    } catch (err) {
+      socket.end(encodeFrame(0x8, Buffer.from([0x03, 0xf1]))); // 1009: message too big
+      leave();
+    }
+  });
+  socket.on('close', leave);
+  socket.on('error', leave);
+}
+
+var server = http.createServer(function (req, res) {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Markaround collaboration relay: connect with a WebSocket to ?room=<name>\n');
+});
+
+server.on('upgrade', function (req, socket) {
+  var url = new URL(req.url, 'http://relay');
+  var room = url.searchParams.get('room');
+  var key = req.headers['sec-websocket-key'];
+  if (!room || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  var accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n'
+  );
+  socket.setNoDelay(true);
+  join(room, socket);
+});
+
+server.listen(PORT, function () {
+  console.log('Markaround collaboration relay listening on port ' + PORT);
+});
@@ -0,0 +1,36 @@
+/**
+ * Version compare (js/diff.js): two versions of a document written as one
+ * CriticMarkup redline. The page script runs in a jsdom window, as it does
+ * in the browser.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var window = new JSDOM('<!DOCTYPE html>', { runScripts: 'outside-only' }).window;
+window.eval(fs.readFileSync(path.join(__dirname, '..', 'js/diff.js'), 'utf8'));
+var Diff = window.MarkaroundDiff;
+
+test('an edit inside a sentence is a small substitution', function () {
+  assert.strictEqual(Diff.compare('The quick fox.\n', 'The slow fox.\n'), 'The {~~quick~>slow~~} fox.\n');
+});
+
+test('a paragraph added or removed at the end starts a block of its own', function () {
+  assert.strictEqual(Diff.compare('A para.\n', 'A para.\n\nNew para.\n'), 'A para.\n\n{++New para.\n++}');
+  assert.strictEqual(Diff.compare('A para.\n\nOld para.\n', 'A para.\n'), 'A para.\n\n{--Old para.\n--}');
+});
+
+test('changes() reports the separating blank line outside the markup too', function () {
+  var edits = Diff.changes('A para.\n', 'A para.\n\nNew para.\n', '{>>@alice<<}');
+  assert.strictEqual(edits.length, 1);
+  assert.strictEqual(JSON.stringify(edits[0]),
+    JSON.stringify({ from: 8, to: 8, newFrom: 8, newTo: 19, markup: '\n{++New para.\n++}{>>@alice<<}' }));
+});
+
+test('text added on the same line keeps its newline inside the addition', function () {
+  assert.strictEqual(Diff.compare('A para.', 'A para.\nmore'), 'A para.{++\nmore++}');
+});
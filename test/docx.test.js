@@ -0,0 +1,62 @@
+/**
+ * Word round trip: a document exported with js/docx.js and read back with
+ * js/docx-import.js comes back as it was written. The page scripts run in a
+ * jsdom window, as they do in the browser.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var ROOT = path.join(__dirname, '..');
+var SCRIPTS = [
+  require.resolve('markdown-it/dist/markdown-it.min.js'),
+  path.join(ROOT, 'js/critic-core.js'),
+  path.join(ROOT, 'js/criticmarkup-plugin.js'),
+  path.join(ROOT, 'js/zip.js'),
+  path.join(ROOT, 'js/docx.js'),
+  path.join(ROOT, 'js/docx-import.js'),
+];
+
+var window = new JSDOM('<!DOCTYPE html>', { runScripts: 'outside-only' }).window;
+// Blobs, streams and text coding come from Node, as jsdom lacks them
+['Blob', 'Response', 'TextEncoder', 'TextDecoder', 'DecompressionStream'].forEach(function (name) {
+  window[name] = global[name];
+});
+SCRIPTS.forEach(function (file) { window.eval(fs.readFileSync(file, 'utf8')); });
+var Critic = window.MarkaroundCritic;
+var helpers = Object.assign({}, Critic, {
+  md: window.markdownit(Critic.MARKDOWN_OPTIONS).use(window.criticmarkupPlugin),
+  newThreadId: function () { return 't1'; },
+});
+
+function roundTrip(source) {
+  return window.MarkaroundDocx.build(source, helpers).arrayBuffer().then(function (archive) {
+    return window.MarkaroundDocxImport.convert(archive, helpers);
+  });
+}
+
+test('changes and comments without an author come back without one', function () {
+  var source = 'Intro {++added++} and {--removed--} text.{>>A note<<}\n\n'
+    + 'Signed {++change++}{>>@alice 2026-10-19<<}.\n';
+  return roundTrip(source).then(function (result) {
+    assert.strictEqual(result, source);
+  });
+});
+
+test('code blocks keep their language and stay apart', function () {
+  var source = 'Text.\n\n```js\nvar a = 1;\n```\n\n```\nplain\n```\n\n```py\nx = 1\n```\n';
+  return roundTrip(source).then(function (result) {
+    assert.strictEqual(result, source);
+  });
+});
+
+test('a changed code block keeps its language on both sides', function () {
+  var source = '{~~\n```py\nx = 1\n```\n~>\n```py\nx = 2\n```\n~~}{>>@bob<<}\n';
+  return roundTrip(source).then(function (result) {
+    assert.strictEqual(result, source);
+  });
+});
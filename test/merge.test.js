@@ -0,0 +1,85 @@
+/**
+ * Review merge (js/merge.js): reviewed copies of one base document combined
+ * into one CriticMarkup document, with the edits of each copy placed on the
+ * base and the overlapping edits of different copies reported as conflicts.
+ * The page scripts run in a jsdom window, as they do in the browser.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var ROOT = path.join(__dirname, '..');
+var SCRIPTS = [
+  path.join(ROOT, 'js/critic-core.js'),
+  path.join(ROOT, 'js/diff.js'),
+  path.join(ROOT, 'js/merge.js'),
+];
+
+var window = new JSDOM('<!DOCTYPE html>', { runScripts: 'outside-only' }).window;
+SCRIPTS.forEach(function (file) { window.eval(fs.readFileSync(file, 'utf8')); });
+var Critic = window.MarkaroundCritic;
+var Merge = window.MarkaroundMerge;
+
+function merge(base, copies) {
+  return Merge.merge({ name: 'base.md', text: base }, Object.keys(copies).map(function (name) {
+    return { name: name, text: copies[name] };
+  }), Critic);
+}
+
+function acceptAll(text) {
+  return Critic.resolveSource(text, Critic.acceptMarkup, true);
+}
+
+test('edits from different copies at the same spot conflict', function () {
+  var result = merge('Hello world.\n', {
+    'alice.md': 'Hello {++big ++}world.\n',
+    'bob.md': 'Hello {++small ++}world.\n',
+  });
+  assert.strictEqual(result.conflicts.length, 1);
+  assert.strictEqual(result.conflicts[0].options.map(function (o) { return o.label; }).join(', '),
+    'alice.md, bob.md, Original text');
+  assert.strictEqual(acceptAll(result.resolve([1])), 'Hello small world.\n');
+});
+
+test('typed text right before a tracked addition in one copy keeps its order', function () {
+  var result = merge('Hello world.\n', { 'alice.md': 'Hello there {++big ++}world.\n' });
+  assert.strictEqual(result.conflicts.length, 0);
+  var merged = result.resolve([]);
+  assert.strictEqual(acceptAll(merged), 'Hello there big world.\n');
+  assert.strictEqual(Critic.resolveSource(merged, Critic.rejectMarkup, true), 'Hello world.\n');
+});
+
+test('typed text right after a tracked addition in one copy keeps its order', function () {
+  var result = merge('Hello world.\n', { 'alice.md': 'Hello {++big ++}there world.\n' });
+  assert.strictEqual(result.conflicts.length, 0);
+  assert.strictEqual(acceptAll(result.resolve([])), 'Hello big there world.\n');
+});
+
+test('a thread resolved in one copy and answered in another is both', function () {
+  var base = 'Text.{>>#t1 @carol: Why?<<}\n';
+  var result = merge(base, {
+    'alice.md': 'Text.{>>#t1 resolved @carol: Why?<<}\n',
+    'bob.md': 'Text.{>>#t1 @carol: Why?<<}{>>#t1 @bob: Because.<<}\n',
+  });
+  assert.strictEqual(result.conflicts.length, 0);
+  assert.strictEqual(result.resolve([]), 'Text.{>>#t1 resolved @carol: Why?<<}{>>#t1 @bob: Because.<<}\n');
+
+  // Replies come first when the copies are the other way round
+  result = merge(base, {
+    'bob.md': 'Text.{>>#t1 @carol: Why?<<}{>>#t1 @bob: Because.<<}\n',
+    'alice.md': 'Text.{>>#t1 resolved @carol: Why?<<}\n',
+  });
+  assert.strictEqual(result.resolve([]), 'Text.{>>#t1 resolved @carol: Why?<<}{>>#t1 @bob: Because.<<}\n');
+});
+
+test('a thread reopened in one copy stays open', function () {
+  var result = merge('Text.{>>#t1 resolved @carol: Why?<<}\n', {
+    'alice.md': 'Text.{>>#t1 @carol: Why?<<}{>>#t1 @alice: Not yet.<<}\n',
+    'bob.md': 'Text.{>>#t1 resolved @carol: Why?<<}\n',
+  });
+  assert.strictEqual(result.resolve([]), 'Text.{>>#t1 @carol: Why?<<}{>>#t1 @alice: Not yet.<<}\n');
+});
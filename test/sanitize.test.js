@@ -0,0 +1,170 @@
+/**
+ * Raw HTML mode: the sanitizer (js/sanitize.js) on its own and on the
+ * preview's output, with scripts and event handlers put in raw HTML, in
+ * changes and in comments. The page scripts run in a jsdom window, as
+ * they do in the browser.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var ROOT = path.join(__dirname, '..');
+var SCRIPTS = [
+  require.resolve('markdown-it/dist/markdown-it.min.js'),
+  path.join(ROOT, 'js/critic-core.js'),
+  path.join(ROOT, 'js/criticmarkup-plugin.js'),
+  path.join(ROOT, 'js/extensions.js'),
+  path.join(ROOT, 'js/sanitize.js'),
+  path.join(ROOT, 'js/preview.js'),
+];
+
+var window = new JSDOM('<!DOCTYPE html><div id="view"></div>', { runScripts: 'outside-only' }).window;
+SCRIPTS.forEach(function (file) { window.eval(fs.readFileSync(file, 'utf8')); });
+var Sanitize = window.MarkaroundSanitize;
+var Preview = window.MarkaroundPreview;
+var EXTENSIONS = window.MarkaroundExtensions.list().map(function (extension) { return extension.id; });
+
+var PAYLOADS = [
+  '<img src=x onerror="alert(1)">',
+  '<a href="javascript:alert(2)">link</a>',
+  '<a href="  JaVa&#x09;ScRipt:alert(3)">link</a>',
+  '<svg><script>alert(4)</script></svg>',
+  '<svg onload="alert(5)"></svg>',
+  '<script>alert(6)</script>',
+  '<iframe src="javascript:alert(7)"></iframe>',
+  '<div style="background:url(javascript:alert(8))" onclick="alert(9)">x</div>',
+  '<form action="javascript:alert(10)"><button formaction="javascript:alert(11)">go</button></form>',
+];
+
+// Everything that could run script in `root`: script-capable elements,
+// event handler attributes and javascript: URLs
+function activeContent(root) {
+  var found = [];
+  root.querySelectorAll('*').forEach(function (el) {
+    if (/^(script|iframe|object|embed|svg|math|form|style|link|meta|base)$/.test(el.localName)) found.push('<' + el.localName + '>');
+    Array.prototype.forEach.call(el.attributes, function (attribute) {
+      var value = attribute.value.replace(/[\u0000- ]/g, '');
+      if (/^on/i.test(attribute.name)) found.push(attribute.name + ' on <' + el.localName + '>');
+      else if (/script:/i.test(value) && attribute.name !== 'data-markup' && attribute.name !== 'data-comment-text') {
+        found.push(attribute.name + '="' + attribute.value + '"');
+      }
+    });
+  });
+  return found;
+}
+
+function renderClean(md, source) {
+  var el = window.document.createElement('div');
+  el.appendChild(Sanitize.fragment(md.render(source)));
+  return el;
+}
+
+test('fragment() drops handlers, script URLs and script elements', function () {
+  PAYLOADS.forEach(function (payload) {
+    var el = window.document.createElement('div');
+    el.appendChild(Sanitize.fragment(payload));
+    assert.deepStrictEqual(activeContent(el), [], payload + ' -> ' + el.innerHTML);
+  });
+});
+
+test('fragment() keeps what raw HTML documents use', function () {
+  var el = window.document.createElement('div');
+  el.appendChild(Sanitize.fragment('<details open><summary>More</summary><kbd>Ctrl</kbd> <sup>2</sup>'
+    + '<img src="a.png" width="20" alt="a"> <a href="https://example.com">x</a></details>'));
+  assert.strictEqual(el.innerHTML, '<details open=""><summary>More</summary><kbd>Ctrl</kbd> <sup>2</sup>'
+    + '<img src="a.png" width="20" alt="a"> <a href="https://example.com">x</a></details>');
+});
+
+test('sanitize() cleans an element in place', function () {
+  var el = window.document.createElement('div');
+  el.innerHTML = '<p onclick="alert(1)">text <a href="javascript:alert(2)">link</a></p>';
+  Sanitize.sanitize(el);
+  assert.strictEqual(el.innerHTML, '<p>text <a>link</a></p>');
+});
+
+test('raw HTML inside changes and comments is neutralized in the preview', function () {
+  var md = Preview.createMarkdown(EXTENSIONS, true);
+  PAYLOADS.forEach(function (payload) {
+    [
+      'Text {++' + payload + '++} end.',
+      'Text {--' + payload + '--} end.',
+      'Text {~~' + payload + '~>' + payload + '~~} end.',
+      'Text {==marked==}{>>' + payload + '<<} end.',
+      'Text {>>@alice ' + payload + '<<} end.',
+      '{++\n' + payload + '\n++}',
+    ].forEach(function (source) {
+      assert.deepStrictEqual(activeContent(renderClean(md, source)), [], source);
+    });
+  });
+});
+
+test('the incremental preview is sanitized chunk by chunk', function () {
+  var md = Preview.createMarkdown(EXTENSIONS, true);
+  var source = PAYLOADS.map(function (payload, i) {
+    return 'Para ' + i + ' {++' + payload + '++} and {>>' + payload + '<<}\n\n' + payload + '\n';
+  }).join('\n');
+  var view = window.document.getElementById('view');
+  var patcher = Preview.createPatcher(view);
+  patcher.setSanitizer(Sanitize.sanitize);
+  patcher.apply(Preview.createRenderer(md).render(source).chunks);
+  assert.ok(view.querySelectorAll('.critic-addition').length >= PAYLOADS.length);
+  assert.deepStrictEqual(activeContent(view), []);
+});
+
+test('comment text that breaks out of data-comment-text stays text', function () {
+  var md = Preview.createMarkdown(EXTENSIONS, true);
+  [
+    '" onmouseover="alert(1)" x="',
+    '"><img src=x onerror=alert(2)><span x="',
+    '\'><script>alert(3)</script>',
+    '&quot; onfocus=alert(4) autofocus &quot;',
+  ].forEach(function (comment) {
+    var el = renderClean(md, 'Text {>>' + comment + '<<} and {==range==}{>>' + comment + '<<} end.');
+    var markers = el.querySelectorAll('.critic-comment-marker');
+    assert.strictEqual(markers.length, 2, comment);
+    markers.forEach(function (marker) {
+      assert.strictEqual(marker.getAttribute('data-comment-text'), comment);
+    });
+    assert.strictEqual(el.querySelectorAll('img, script').length, 0, comment);
+    assert.deepStrictEqual(activeContent(el), [], comment);
+  });
+});
+
+test('raw HTML cannot pass for the preview\'s controls', function () {
+  var md = Preview.createMarkdown(EXTENSIONS, true);
+  var forged = '<span class="critic-deletion" data-markup="{--Kept--}" data-offset="0" id="renderedView">'
+    + '<button class="critic-accept" data-comment-id="comment-0">OK</button></span>';
+  [
+    'Kept text. ' + forged + ' {++real++}',
+    'Kept text. {++real ' + forged + '++}',
+    forged + '\n\n{++real++}',
+    '<div class=\'critic-controls\' data-source-offset=3 DATA-OFFSET=0>' + forged + '</div>\n\n{++real++}',
+  ].forEach(function (source) {
+    var el = renderClean(md, source);
+    var accepts = el.querySelectorAll('.critic-accept');
+    assert.strictEqual(accepts.length, 1, source);
+    assert.strictEqual(accepts[0].closest('[data-markup]').getAttribute('data-markup').indexOf('{++real'), 0, source);
+    assert.strictEqual(el.querySelectorAll('[id]').length, 0, source);
+    assert.strictEqual(el.querySelectorAll('[data-comment-id]').length, 0, source);
+  });
+});
+
+test('authorHtml() reads tags as a browser does', function () {
+  var cases = [
+    ['<b class="x critic-accept">a</b>', '<b class="x">a</b>'],
+    ['<b class="c&#114;itic-accept">a</b>', '<b>a</b>'],
+    ['<p/class="critic-accept"/id=z data-offset=1>', '<p>'],
+    ['<span title="a>b" data-markup=\'x\'>', '<span title="a>b">'],
+    ['<script><!--</script><b class="critic-reject">', '<script><!--</script><b>'],
+    ['<!-- <b id=x> -->', '<!-- <b id=x> -->'],
+    ['<span title="unfinished', '&lt;span title="unfinished'],
+    ['1 < 2 <3', '1 < 2 <3'],
+  ];
+  cases.forEach(function (pair) {
+    assert.strictEqual(Sanitize.authorHtml(pair[0]), pair[1], pair[0]);
+  });
+});